@@ -0,0 +1,25 @@
+/**
+ * One-time script to add existing push subscriptions to the push:subscribers index
+ * (subscriptions saved before the index existed are invisible to broadcasts)
+ * Run with: node scripts/backfillPushIndex.js
+ */
+
+import { waitForRedis } from '../src/services/redisClient.js';
+import { rebuildSubscriptionIndex } from '../src/services/pushService.js';
+
+async function backfillPushIndex() {
+    if (!(await waitForRedis())) {
+        console.error('Redis not available!');
+        process.exit(1);
+    }
+
+    const indexed = await rebuildSubscriptionIndex();
+    console.log(`✅ Indexed ${indexed} push subscriptions.`);
+
+    process.exit(0);
+}
+
+backfillPushIndex().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,138 @@
+/**
+ * Golden-Set Replay
+ *
+ * Runs every fixture in scripts/golden/fixtures/ (raw Gemini/OpenAI output)
+ * through the same pipeline a live scan uses:
+ *   parseAIResponse (JSON extraction, repair, schema validation, placeholder cleanup)
+ *   → sanitizeAIResponse (banned content)
+ * and diffs the normalized result against the fixture's stored `expected`.
+ *
+ * Usage:
+ *   node scripts/golden-replay.js              Compare, exit 1 on any diff
+ *   node scripts/golden-replay.js --update     Rewrite expectations from current output
+ *   node scripts/golden-replay.js --only roast Only fixtures whose name contains "roast"
+ *
+ * Add fixtures: run the API with AI_FIXTURE_RECORD_DIR=./tmp/fixtures, copy files
+ * into scripts/golden/fixtures/, then review + store them with --update.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAIResponse } from '../src/services/responseParser.js';
+import { sanitizeAIResponse } from '../src/utils/contentSanitizer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, 'golden', 'fixtures');
+
+const args = process.argv.slice(2);
+const UPDATE = args.includes('--update');
+const ONLY = args.includes('--only') ? args[args.indexOf('--only') + 1] : null;
+
+/**
+ * Run one fixture through the pipeline and return a stable, comparable result
+ */
+function replay(fixture) {
+    const context = {
+        tier: fixture.tier || 'free',
+        mode: fixture.mode || 'nice',
+        eventContext: fixture.eventContext || null,
+        requestId: `golden:${fixture.name}`
+    };
+
+    let result;
+    try {
+        result = parseAIResponse(fixture.content, context);
+    } catch (error) {
+        // Analyzer would retry / fail the scan - record the failure itself
+        return { threw: true, error: error.message };
+    }
+
+    const { sanitized, hadViolations, logEntry } = sanitizeAIResponse(result);
+    return {
+        threw: false,
+        result: sanitized,
+        sanitizer: {
+            hadViolations,
+            violations: logEntry?.violations || []
+        }
+    };
+}
+
+/**
+ * Recursive diff - returns ["path: expected → actual", ...]
+ */
+function diff(expected, actual, prefix = '') {
+    if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+
+    const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object'
+        && Array.isArray(expected) === Array.isArray(actual);
+    if (!bothObjects) {
+        return [`${prefix || '(root)'}: ${JSON.stringify(expected)} → ${JSON.stringify(actual)}`];
+    }
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    const lines = [];
+    for (const key of keys) {
+        lines.push(...diff(expected[key], actual[key], prefix ? `${prefix}.${key}` : key));
+    }
+    return lines;
+}
+
+function main() {
+    // Keep pipeline logs out of the report
+    console.log = () => { };
+    console.warn = () => { };
+    const print = (line = '') => process.stdout.write(`${line}\n`);
+
+    if (!fs.existsSync(FIXTURE_DIR)) {
+        print(`❌ No fixture directory at ${FIXTURE_DIR}`);
+        process.exit(1);
+    }
+
+    const files = fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).sort();
+    let passed = 0, failed = 0, added = 0, updated = 0;
+
+    for (const file of files) {
+        const filePath = path.join(FIXTURE_DIR, file);
+        const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        fixture.name = fixture.name || path.basename(file, '.json');
+        if (ONLY && !fixture.name.includes(ONLY)) continue;
+
+        const actual = replay(fixture);
+
+        if (!fixture.expected) {
+            if (UPDATE) {
+                fs.writeFileSync(filePath, JSON.stringify({ ...fixture, expected: actual }, null, 2) + '\n');
+                print(`🆕 ${fixture.name} - expectation stored`);
+                added++;
+            } else {
+                print(`🆕 ${fixture.name} - no expectation yet (run with --update)`);
+                failed++;
+            }
+            continue;
+        }
+
+        const differences = diff(fixture.expected, actual);
+        if (differences.length === 0) {
+            passed++;
+            continue;
+        }
+
+        if (UPDATE) {
+            fs.writeFileSync(filePath, JSON.stringify({ ...fixture, expected: actual }, null, 2) + '\n');
+            print(`✏️  ${fixture.name} - expectation updated (${differences.length} changes)`);
+            updated++;
+        } else {
+            print(`❌ ${fixture.name}`);
+            differences.forEach(line => print(`     ${line}`));
+            failed++;
+        }
+    }
+
+    print();
+    print(`Golden set: ${passed} passed, ${failed} failed${UPDATE ? `, ${added} added, ${updated} updated` : ''}`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,71 @@
+/**
+ * Image Format Replay
+ *
+ * Runs every upload in scripts/image-fixtures/ through the same sanitizer a
+ * live scan uses (validateAndSanitizeImage → checkPhotoQuality) and checks
+ * the detected type, decoded size and quality-gate verdict.
+ *
+ * Fixtures are real files from the formats phones actually send - e.g.
+ * outfit_vintage_hevc.heic is an HEVC-coded HEIC (the iPhone default),
+ * which the prebuilt sharp cannot decode on its own.
+ *
+ * Usage:
+ *   node scripts/image-replay.js    Exit 1 on any mismatch
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateAndSanitizeImage, checkPhotoQuality } from '../src/utils/imageValidator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, 'image-fixtures');
+
+// file → expected sanitizer outcome
+const EXPECTED = {
+    'outfit_vintage_hevc.heic': { valid: true, originalType: 'image/heic', width: 768, height: 1024, qualityOk: true }
+};
+
+async function replay(file) {
+    const buffer = fs.readFileSync(path.join(FIXTURE_DIR, file));
+    const result = await validateAndSanitizeImage(`data:application/octet-stream;base64,${buffer.toString('base64')}`);
+    if (!result.valid) return { valid: false, error: result.error };
+
+    const quality = await checkPhotoQuality(result.sanitizedImage);
+    return {
+        valid: true,
+        originalType: result.originalType,
+        width: result.width,
+        height: result.height,
+        qualityOk: quality.ok
+    };
+}
+
+async function main() {
+    // Keep sanitizer logs out of the report
+    console.log = () => { };
+    console.error = () => { };
+    const print = (line = '') => process.stdout.write(`${line}\n`);
+
+    let passed = 0, failed = 0;
+    for (const [file, expected] of Object.entries(EXPECTED)) {
+        const actual = await replay(file);
+        const differences = Object.keys(expected)
+            .filter(key => actual[key] !== expected[key])
+            .map(key => `${key}: ${JSON.stringify(expected[key])} → ${JSON.stringify(actual[key])}`);
+
+        if (differences.length === 0) {
+            passed++;
+            continue;
+        }
+        print(`❌ ${file}${actual.error ? ` (${actual.error})` : ''}`);
+        differences.forEach(line => print(`     ${line}`));
+        failed++;
+    }
+
+    print();
+    print(`Image fixtures: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -3,11 +3,12 @@
  * Run with: node scripts/resetScansToday.js
  */
 
-import { redis, isRedisAvailable } from '../src/services/redisClient.js';
+import { waitForRedis } from '../src/services/redisClient.js';
+import { kv, scanKeys } from '../src/services/kvStore.js';
 import { getTodayKeyEST } from '../src/utils/dateUtils.js';
 
 async function resetTodaysScans() {
-    if (!isRedisAvailable()) {
+    if (!(await waitForRedis())) {
         console.error('Redis not available!');
         process.exit(1);
     }
@@ -15,22 +16,21 @@ async function resetTodaysScans() {
     const today = getTodayKeyEST();
     console.log(`Resetting all scans for EST date: ${today}`);
 
-    // Find all scan keys for today
-    const userKeys = await redis.keys(`fitrate:scans:simple:*:${today}`);
-    const fpKeys = await redis.keys(`fitrate:scans:fp:*:${today}`);
-    const allKeys = [...userKeys, ...fpKeys];
+    // Find and delete today's scan keys batch by batch (SCAN - never blocks Redis)
+    const deleteBatch = async (keys) => {
+        keys.forEach(k => console.log(`  - ${k}`));
+        await kv.del(...keys);
+    };
+    const userCount = await scanKeys(`fitrate:scans:simple:*:${today}`, deleteBatch);
+    const fpCount = await scanKeys(`fitrate:scans:fp:*:${today}`, deleteBatch);
+    const total = userCount + fpCount;
 
-    if (allKeys.length === 0) {
+    if (total === 0) {
         console.log('No scan keys found for today.');
         process.exit(0);
     }
 
-    console.log(`Found ${allKeys.length} scan keys to delete:`);
-    allKeys.forEach(k => console.log(`  - ${k}`));
-
-    // Delete all keys
-    await redis.del(...allKeys);
-    console.log(`✅ Deleted ${allKeys.length} keys. All users now have 2 scans.`);
+    console.log(`✅ Deleted ${total} keys. All users now have 2 scans.`);
 
     process.exit(0);
 }
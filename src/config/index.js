@@ -1,3 +1,12 @@
+// Parse "id:number,id:number" env lists (rollout %, variant weights)
+function parseWeightList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([id, weight]) => id && weight !== undefined && !isNaN(parseInt(weight)))
+    .reduce((acc, [id, weight]) => ({ ...acc, [id]: parseInt(weight) }), {});
+}
+
 export const config = {
   port: process.env.PORT || 3001,
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -14,6 +23,48 @@ export const config = {
     model: 'gemini-2.5-flash',  // Primary model - fast and reliable
   },
 
+  // AI provider routing (see MODEL_ROUTING in systemPrompt.js)
+  ai: {
+    // Pin every scan to one provider (e.g. 'gemini'), bypassing routing rules
+    provider: process.env.AI_PROVIDER || null,
+    // Per-rule rollout overrides: "pro-gpt4o:100,purchased-gpt4o:25"
+    rollout: parseWeightList(process.env.AI_ROUTING_ROLLOUT),
+    // Fall through to the next provider (MODEL_ROUTING.fallbacks) when one is down
+    crossProviderFallback: process.env.AI_CROSS_PROVIDER_FALLBACK === 'true',
+  },
+
+  // Prompt A/B experiments (see PROMPT_VARIANTS in systemPrompt.js)
+  prompts: {
+    // Per-variant weight overrides: "control:50,lean-variety:50"
+    weights: parseWeightList(process.env.PROMPT_VARIANT_WEIGHTS),
+  },
+
+  // Mock AI provider (AI_PROVIDER=mock) - offline dev + e2e testing
+  mock: {
+    // ok | invalid | overload | overload-primary | timeout | truncated | random
+    scenario: process.env.MOCK_AI_SCENARIO || 'ok',
+    latencyMs: parseInt(process.env.MOCK_AI_LATENCY_MS) || 300,
+  },
+
+  // Persisted scan results (resultStore.js, GET /api/results/:resultId)
+  results: {
+    retentionDays: parseInt(process.env.RESULT_RETENTION_DAYS) || 30,
+  },
+
+  // Open Graph share pages (/share/*)
+  share: {
+    appUrl: (process.env.APP_URL || 'https://fitrate.app').replace(/\/+$/, ''),
+    // Public base URL of this API for og:url / og:image - defaults to the request's host
+    publicApiUrl: process.env.PUBLIC_API_URL ? process.env.PUBLIC_API_URL.replace(/\/+$/, '') : null,
+  },
+
+  // Key-value storage (kvStore.js) - fallback used when Redis is unavailable
+  storage: {
+    // file = persisted to filePath (survives restarts), memory = lost on restart
+    fallback: process.env.KV_FALLBACK === 'memory' ? 'memory' : 'file',
+    filePath: process.env.KV_FILE || null,
+  },
+
   // CORS
   allowedOrigins: (process.env.ALLOWED_ORIGINS || 'http://localhost:5173,http://localhost:3000,https://fitrate.app,https://www.fitrate.app')
     .split(',')
@@ -22,11 +22,16 @@ export const SCAN_LIMITS = {
 };
 
 // === FREE TIER DAILY LIMITS ===
-// These limits apply to free users only. Pro users get 100/day ("unlimited").
+// These limits apply to free users only. Pro users are capped by PRO_TIER_LIMITS.
 export const FREE_TIER_LIMITS = {
     ARENA_BATTLES_DAILY: 3,       // 3 arena battles per day (free), 100 (pro)
     DAILY_FITRATE_ENTRIES: 1      // 1 Daily FitRate entry for EVERYONE (fair competition)
 };
+
+// Pro fair-use caps - arena entries skip scan counting and earn weekly reward points
+export const PRO_TIER_LIMITS = {
+    ARENA_BATTLES_DAILY: 100
+};
 // REMOVED: Wardrobe Wars, KOTH, Daily Challenge (simplified app)
 
 // === MODE ACCESS CONTROL ===
@@ -62,9 +67,46 @@ export const OUTPUT_LENGTHS = {
 };
 
 // === MODEL ROUTING ===
+// Drives provider selection in services/analyzerRegistry.js
+// Rules are checked in order - first match wins. A rule can filter on:
+//   tier ('free' | 'pro'), modes (list), purchased (has purchased scans)
+// rollout = % of matching users sent to the provider (0 = rule disabled).
+// Rollout can be changed at deploy time via AI_ROUTING_ROLLOUT="pro-gpt4o:100,purchased-gpt4o:25"
 export const MODEL_ROUTING = {
-    free: { model: 'gemini', modes: ['nice', 'roast'] },
-    pro: { model: 'gpt-4o', modes: ['nice', 'roast', 'honest', 'savage', 'rizz', 'celeb', 'aura', 'chaos'] }
+    defaultProvider: 'gemini',
+    rules: [
+        { id: 'pro-gpt4o', tier: 'pro', provider: 'openai', modes: ['nice', 'roast', 'honest', 'savage', 'rizz', 'celeb', 'aura', 'chaos'], rollout: 0 },
+        { id: 'purchased-gpt4o', purchased: true, provider: 'openai', rollout: 0 },
+        { id: 'free-gemini', tier: 'free', provider: 'gemini', rollout: 100 }
+    ],
+    // Cross-provider fallback when every model of a provider failed or is circuit-open.
+    // Only used when AI_CROSS_PROVIDER_FALLBACK=true (GPT-4o fallback costs ~10x a Gemini scan)
+    fallbacks: {
+        gemini: ['openai'],
+        openai: ['gemini']
+    },
+    // Failure codes that mean "provider unavailable" (INVALID_OUTFIT, CONTENT_FLAGGED etc. never fall through)
+    fallbackOnCodes: ['AI_CONNECTION_FAILED', 'AI_SERVICE_UNAVAILABLE', 'AI_CIRCUIT_OPEN', 'AI_TIMEOUT', 'AI_RATE_LIMITED', 'NETWORK_ERROR']
+};
+
+// === PROMPT VARIANTS (A/B experiments) ===
+// Named, versioned variants of buildSystemPrompt's variety system.
+// Users are assigned by weight (sticky per user + experiment) in services/promptExperiments.js,
+// and the variant id is stamped on every result so feedback can be compared per variant.
+// Bump `experiment` to reshuffle assignments; bump a variant's `version` when its knobs change.
+// Weights can be overridden at deploy time via PROMPT_VARIANT_WEIGHTS="control:50,lean-variety:50"
+//
+// Knobs (omit = current behavior):
+//   guestVoiceChance    - chance of a guest voice injection (default 0.15)
+//   surpriseMultiplier  - scales each surprise field's chance (default 1)
+//   verdictStyles       - verdict style ids to pick from (default all)
+export const PROMPT_VARIANTS = {
+    experiment: 'variety-2025',
+    defaultVariant: 'control',
+    variants: [
+        { id: 'control', version: 1, weight: 100, description: 'Current prompt - full variety system' },
+        { id: 'lean-variety', version: 1, weight: 0, description: 'No guest voices, half the surprise fields', guestVoiceChance: 0, surpriseMultiplier: 0.5 }
+    ]
 };
 
 // === MODE CONFIGURATIONS ===
@@ -831,10 +873,13 @@ const VERDICT_EMOJI_RULES = {
 
 /**
  * Get random verdict style for variety
+ * @param {string[]} allowedIds - Restrict to these style ids (prompt variants)
  */
-function getRandomVerdictStyle() {
-    const index = Math.floor(Math.random() * VERDICT_STYLES.length);
-    return VERDICT_STYLES[index];
+function getRandomVerdictStyle(allowedIds = null) {
+    const pool = allowedIds ? VERDICT_STYLES.filter(s => allowedIds.includes(s.id)) : VERDICT_STYLES;
+    const styles = pool.length > 0 ? pool : VERDICT_STYLES;
+    const index = Math.floor(Math.random() * styles.length);
+    return styles[index];
 }
 
 /**
@@ -908,8 +953,8 @@ const SURPRISE_FIELDS = [
  * Get random surprise fields to inject (each has independent chance)
  * Returns array of fields that "hit" based on probability
  */
-function getSurpriseFields() {
-    const activated = SURPRISE_FIELDS.filter(f => Math.random() < f.chance);
+function getSurpriseFields(multiplier = 1) {
+    const activated = SURPRISE_FIELDS.filter(f => Math.random() < f.chance * multiplier);
     return activated;
 }
 
@@ -959,8 +1004,8 @@ const GUEST_VOICE_POOL = [
     { name: 'The Art Critic', style: 'Pretentious gallery reviewer energy', phrases: ['Interesting.', 'I see what you were attempting.', 'This makes a statement, certainly.'] }
 ];
 
-function getGuestVoice() {
-    if (Math.random() < 0.15) {
+function getGuestVoice(chance = 0.15) {
+    if (Math.random() < chance) {
         const guest = GUEST_VOICE_POOL[Math.floor(Math.random() * GUEST_VOICE_POOL.length)];
         return {
             active: true,
@@ -1070,6 +1115,51 @@ const OUTPUT_FORMAT = {
 }`
 };
 
+/**
+ * Derive a field-level response schema from an OUTPUT_FORMAT template
+ * Keeps the parser in lockstep with what the prompt actually asks for
+ *
+ * Field specs:
+ *   boolean            → { type: 'boolean' }
+ *   <0-100, ...>       → { type: 'number', min: 0, max: 100 }
+ *   "<...>" / string   → { type: 'string' }
+ *   { "top": ... }     → { type: 'object', keys: ['top', ...] }
+ * "only in event mode" / "CELEB MODE ONLY" / "only if isValidOutfit" set `when`
+ */
+function deriveResponseSchema(format) {
+    const fields = {};
+    for (const line of format.split('\n')) {
+        const match = line.match(/^\s*"(\w+)":\s*(.+?),?\s*$/);
+        if (!match) continue;
+        const [, name, spec] = match;
+
+        let field;
+        const range = spec.match(/^<(\d+)-(\d+)/);
+        if (/^<?boolean/.test(spec)) {
+            field = { type: 'boolean' };
+        } else if (range) {
+            field = { type: 'number', min: parseInt(range[1]), max: parseInt(range[2]) };
+        } else if (spec.startsWith('{')) {
+            field = { type: 'object', keys: Array.from(spec.matchAll(/"(\w+)":/g), m => m[1]) };
+        } else {
+            field = { type: 'string' };
+        }
+
+        if (/only in event mode/i.test(spec)) field.when = 'event';
+        else if (/CELEB MODE ONLY/i.test(spec)) field.when = 'celeb';
+        else if (/only if isValidOutfit/i.test(spec)) field.when = 'error';
+
+        fields[name] = field;
+    }
+    return fields;
+}
+
+// Structured schemas for response validation (see services/responseParser.js)
+export const RESPONSE_SCHEMAS = {
+    free: deriveResponseSchema(OUTPUT_FORMAT.free),
+    pro: deriveResponseSchema(OUTPUT_FORMAT.pro)
+};
+
 /**
  * Build daily challenge prompt block
  * Adds competitive context for one-entry-per-day global competition
@@ -1131,13 +1221,26 @@ BANNED: Never comment on body/face/identity.
  * @param {Object} dailyChallengeContext - Daily challenge context (optional)
  */
 export function buildSystemPrompt(tier, mode, securityContext = {}, eventContext = null, dailyChallengeContext = null) {
+    return buildSystemPromptWithMeta(tier, mode, securityContext, eventContext, dailyChallengeContext).prompt;
+}
+
+/**
+ * Same as buildSystemPrompt, plus which variant + random picks produced the prompt
+ *
+ * @param {Object} promptVariant - Entry from PROMPT_VARIANTS.variants (optional, default variant if null)
+ * @returns {{ prompt: string, meta: { variantId, version, experiment, verdictStyle, guestVoice, surpriseFields } }}
+ */
+export function buildSystemPromptWithMeta(tier, mode, securityContext = {}, eventContext = null, dailyChallengeContext = null, promptVariant = null) {
+    const variant = promptVariant
+        || PROMPT_VARIANTS.variants.find(v => v.id === PROMPT_VARIANTS.defaultVariant)
+        || {};
     const isPro = tier === 'pro';
     const outputFormat = isPro ? OUTPUT_FORMAT.pro : OUTPUT_FORMAT.free;
     const eventBlock = buildEventModePrompt(eventContext);
     const dailyChallengeBlock = buildDailyChallengePrompt(dailyChallengeContext);
 
     // LEGENDARY: Random verdict style for variety
-    const verdictStyle = getRandomVerdictStyle();
+    const verdictStyle = getRandomVerdictStyle(variant.verdictStyles || null);
 
     // DIVERSITY: Random celebrity pools by gender for accurate matching
     const randomCelebPools = getRandomCelebMatches();
@@ -1153,10 +1256,10 @@ export function buildSystemPrompt(tier, mode, securityContext = {}, eventContext
     const timeContext = getTimeContext();
 
     // Guest voice injection (15% chance for bonus personality)
-    const guestVoice = getGuestVoice();
+    const guestVoice = getGuestVoice(variant.guestVoiceChance ?? 0.15);
 
     // Surprise fields (each has ~10% chance)
-    const surpriseFields = getSurpriseFields();
+    const surpriseFields = getSurpriseFields(variant.surpriseMultiplier ?? 1);
 
     // Build variety injections
     let varietyBlock = `\n⏰ TIME VIBE: ${timeContext.injection}\n`;
@@ -1269,7 +1372,7 @@ CRITICAL FOR CELEB MODE:
         return '';
     };
 
-    return `FitRate AI — Outfit Scorecard Generator (COMEDY EDITION)
+    const prompt = `FitRate AI — Outfit Scorecard Generator (COMEDY EDITION)
 ${dailyChallengeBlock ? dailyChallengeBlock + '\n' : ''}${eventBlock ? eventBlock + '\n' : ''}${isPro ? 'PRO: High-fidelity analysis. Fill identityReflection + socialPerception.' : 'FREE: Punchy, viral-first.'}
 ${varietyBlock}
 MODE: ${mode.toUpperCase()} — ${modeInstructions[mode]}
@@ -1347,6 +1450,18 @@ OUTPUT (JSON only):
 ${outputFormat}
 
 INVALID: {"isValidOutfit": false, "error": "Need to see your outfit! Try a photo showing your clothes 📸"}`.trim();
+
+    return {
+        prompt,
+        meta: {
+            variantId: variant.id || 'control',
+            version: variant.version || 1,
+            experiment: PROMPT_VARIANTS.experiment,
+            verdictStyle: verdictStyle.id,
+            guestVoice: guestVoice.active ? guestVoice.name : null,
+            surpriseFields: surpriseFields.map(sf => sf.field)
+        }
+    };
 }
 
 
@@ -1448,7 +1563,9 @@ export default {
     BATTLE_SCORING_INSTRUCTIONS,
     OUTPUT_LENGTHS,
     MODEL_ROUTING,
+    PROMPT_VARIANTS,
     MODE_CONFIGS,
+    RESPONSE_SCHEMAS,
     VIRALITY_HOOKS,
     CELEBS,
     CELEB_MODE_DISCLAIMER,
@@ -1463,6 +1580,7 @@ export default {
     VERDICT_EMOJI_RULES,
     // Functions
     buildSystemPrompt,
+    buildSystemPromptWithMeta,
     getViralityHooks,
     enhanceWithViralityHooks,
     getRandomVerdictStyle,
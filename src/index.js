@@ -25,7 +25,13 @@ import restoreRoutes from './routes/restore.js';
 import pushRoutes from './routes/push.js';
 import streakRoutes from './routes/streak.js';
 import leaderboardRoutes from './routes/leaderboard.js';
-// REMOVED: show, battle, matchmaking, wardrobe, war routes (game modes removed)
+import battleRoutes from './routes/battle.js';
+import challengeRoutes from './routes/challenges.js';
+import showRoutes from './routes/show.js';
+import arenaRoutes from './routes/arena.js';
+import resultRoutes from './routes/results.js';
+import shareRoutes from './routes/share.js';
+// REMOVED: matchmaking, wardrobe, war routes (game modes removed)
 
 // Security middleware
 import { validateOrigin, costTracker } from './middleware/apiKeyAuth.js';
@@ -36,6 +42,14 @@ import { validateOrigin, costTracker } from './middleware/apiKeyAuth.js';
 console.log('🚀 FitRate API Starting...');
 console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
 
+if (process.env.AI_PROVIDER === 'mock') {
+  if (config.nodeEnv === 'production') {
+    console.error('❌ AI_PROVIDER=mock is ignored in production - using routing rules');
+  } else {
+    console.log(`🧪 AI_PROVIDER=mock - offline mock analyzer (scenario: ${config.mock.scenario}, latency: ${config.mock.latencyMs}ms)`);
+  }
+}
+
 if (!process.env.GEMINI_API_KEY) {
   console.error('❌ GEMINI_API_KEY is NOT SET - Free scans will fail!');
 } else {
@@ -133,11 +147,16 @@ app.use('/api/', (req, res, next) => {
   if (req.path.startsWith('/webhook') || req.path.startsWith('/admin') || req.path.startsWith('/diag') || req.path.startsWith('/event') || req.path.startsWith('/leaderboard')) {
     return next();
   }
+  // Share card PNGs are fetched by social platforms and <img> tags - no Origin header
+  if (req.method === 'GET' && req.path.startsWith('/results/') && req.path.endsWith('.png')) {
+    return next();
+  }
   validateOrigin(req, res, next);
 });
 
 // Cost tracking for expensive endpoints
 app.use('/api/analyze', costTracker('scan'));
+app.use('/api/battle', costTracker('battle'));
 
 // Routes
 // Diag route now protected by admin key middleware
@@ -153,6 +172,12 @@ app.use('/api/restore', restoreRoutes);
 app.use('/api/push', pushRoutes);
 app.use('/api/streak', streakRoutes);        // Daily streak system
 app.use('/api/leaderboard', leaderboardRoutes);  // Today's Top Fits
+app.use('/api/battle', battleRoutes);        // 1v1 outfit battles (arena limit)
+app.use('/api/challenges', challengeRoutes); // Challenge Party rooms (docs/CHALLENGE_PARTY.md)
+app.use('/api/show', showRoutes);            // Fashion Show group rooms
+app.use('/api/arena', arenaRoutes);          // Arena matchmaking + weekly leaderboard
+app.use('/api/results', resultRoutes);       // Persisted scan results by resultId
+app.use('/share', shareRoutes);              // Open Graph pages for shared links (outside /api - no Origin check)
 
 // 404 handler
 app.use((req, res) => {
@@ -187,8 +212,10 @@ import {
   distributeRewards,
   wasDistributed,
   markDistributed,
-  WEEKLY_REWARDS
+  WEEKLY_REWARDS,
+  ARENA_REWARDS
 } from './services/rewardService.js';
+import { getArenaRewardLeaderboard, getRewardWeekId } from './services/arenaService.js';
 // REMOVED: Daily Challenge (simplified app)
 // import { getYesterdaysFinalLeaderboard, getYesterdayKey } from './services/dailyChallengeService.js';
 
@@ -274,6 +301,32 @@ async function checkAndDistributeRewards() {
     }
   }
 
+  // --- ARENA REWARDS (Monday 05:00 UTC, when the arena week rolls over) ---
+  if (utcDay === 1) { // Monday
+    try {
+      // Yesterday (Sunday) was the last day of the arena week being paid out
+      const arenaWeekId = getRewardWeekId(now);
+
+      if (!(await wasDistributed(arenaWeekId, 'arena'))) {
+        console.log(`⚔️ Distributing ARENA rewards for ${arenaWeekId}...`);
+
+        const leaderboard = await getArenaRewardLeaderboard(arenaWeekId);
+        const rewards = calculateRewards(leaderboard, ARENA_REWARDS);
+        const result = await distributeRewards(rewards);
+
+        await markDistributed(arenaWeekId, 'arena', {
+          totalParticipants: leaderboard.length,
+          winnersCount: rewards.length,
+          ...result
+        });
+
+        console.log(`✅ Arena rewards distributed: ${result.distributed} winners, ${result.totalScans} total scans`);
+      }
+    } catch (error) {
+      console.error('❌ Arena reward distribution failed:', error);
+    }
+  }
+
   console.log(`\n🎁 Reward distribution check complete\n`);
 }
 
@@ -1,13 +1,10 @@
 /**
  * Pro Email Store
  * Stores emails of users who have paid for Pro
- * Uses Redis with in-memory fallback for local dev
+ * Uses the KV store (Redis, or the local fallback in dev)
  */
 
-import { redis, isRedisAvailable } from '../services/redisClient.js';
-
-// In-memory fallback for local dev (when Redis not configured)
-const proEmailsFallback = new Map();
+import { kv } from '../services/kvStore.js';
 
 const REDIS_KEY = 'fitrate:pro:emails';
 
@@ -22,11 +19,7 @@ export async function addProEmail(email) {
         active: true
     });
 
-    if (isRedisAvailable()) {
-        await redis.hset(REDIS_KEY, normalized, data);
-    } else {
-        proEmailsFallback.set(normalized, JSON.parse(data));
-    }
+    await kv.hset(REDIS_KEY, normalized, data);
 
     console.log(`✅ Added Pro email: ${normalized}`);
     return true;
@@ -39,17 +32,12 @@ export async function isProEmail(email) {
     if (!email) return false;
     const normalized = email.toLowerCase().trim();
 
-    if (isRedisAvailable()) {
-        const data = await redis.hget(REDIS_KEY, normalized);
-        if (data) {
-            const parsed = JSON.parse(data);
-            return parsed.active || false;
-        }
-        return false;
-    } else {
-        const data = proEmailsFallback.get(normalized);
-        return data?.active || false;
+    const data = await kv.hget(REDIS_KEY, normalized);
+    if (data) {
+        const parsed = JSON.parse(data);
+        return parsed.active || false;
     }
+    return false;
 }
 
 /**
@@ -59,23 +47,13 @@ export async function removeProEmail(email) {
     if (!email) return false;
     const normalized = email.toLowerCase().trim();
 
-    if (isRedisAvailable()) {
-        const data = await redis.hget(REDIS_KEY, normalized);
-        if (data) {
-            const parsed = JSON.parse(data);
-            parsed.active = false;
-            await redis.hset(REDIS_KEY, normalized, JSON.stringify(parsed));
-            console.log(`❌ Removed Pro email: ${normalized}`);
-            return true;
-        }
-    } else {
-        const data = proEmailsFallback.get(normalized);
-        if (data) {
-            data.active = false;
-            proEmailsFallback.set(normalized, data);
-            console.log(`❌ Removed Pro email: ${normalized}`);
-            return true;
-        }
+    const data = await kv.hget(REDIS_KEY, normalized);
+    if (data) {
+        const parsed = JSON.parse(data);
+        parsed.active = false;
+        await kv.hset(REDIS_KEY, normalized, JSON.stringify(parsed));
+        console.log(`❌ Removed Pro email: ${normalized}`);
+        return true;
     }
     return false;
 }
@@ -84,16 +62,9 @@ export async function removeProEmail(email) {
  * Get all Pro emails (for debugging)
  */
 export async function getAllProEmails() {
-    if (isRedisAvailable()) {
-        const all = await redis.hgetall(REDIS_KEY);
-        return Object.entries(all).map(([email, data]) => ({
-            email,
-            ...JSON.parse(data)
-        }));
-    } else {
-        return Array.from(proEmailsFallback.entries()).map(([email, data]) => ({
-            email,
-            ...data
-        }));
-    }
+    const all = await kv.hgetall(REDIS_KEY);
+    return Object.entries(all).map(([email, data]) => ({
+        email,
+        ...JSON.parse(data)
+    }));
 }
@@ -1,22 +1,22 @@
 /**
  * Referral Store
  * Tracks referrals and Pro Roast entitlements
- * Uses Redis with in-memory fallback for local dev
+ * Uses the KV store (Redis, or the local fallback in dev)
  * SECURITY: Uses fingerprint to prevent VPN abuse and self-referral
  */
 
-import { redis, isRedisAvailable } from '../services/redisClient.js';
-
-// In-memory fallbacks for local dev
-const referralStatsFallback = new Map();
-const processedReferralsFallback = new Set();
-const proRoastStoreFallback = new Map();
+import { kv } from '../services/kvStore.js';
 
 const REFERRAL_STATS_PREFIX = 'fitrate:referral:stats:';
 const PROCESSED_REFERRALS_KEY = 'fitrate:referral:processed';
 const PRO_ROAST_PREFIX = 'fitrate:proroast:';
 const FINGERPRINT_REFERRER_KEY = 'fitrate:referral:fingerprints:';
 
+async function getStats(userId) {
+    const data = await kv.get(`${REFERRAL_STATS_PREFIX}${userId}`);
+    return data ? JSON.parse(data) : { totalReferrals: 0 };
+}
+
 /**
  * Add a referral claim - tracks referrals for stats/bragging rights only
  * SECURITY: Uses fingerprint to prevent VPN abuse
@@ -37,41 +37,24 @@ export async function addReferral(referrerId, refereeFingerprint, refereeUserId
     const key = `${referrerId}:${refereeFingerprint}`;
 
     // Check if already processed (same device can't claim twice)
-    if (isRedisAvailable()) {
-        const exists = await redis.sismember(PROCESSED_REFERRALS_KEY, key);
-        if (exists) return { success: false, reason: 'already_claimed' };
-
-        // SECURITY: Check if this fingerprint has referred themselves before
-        const fingerprintReferrer = await redis.get(`${FINGERPRINT_REFERRER_KEY}${refereeFingerprint}`);
-        if (fingerprintReferrer && fingerprintReferrer === referrerId) {
-            console.warn(`⚠️ FRAUD: Same device referral loop detected: ${refereeFingerprint.slice(0, 12)}`);
-            return { success: false, reason: 'device_loop' };
-        }
-    } else {
-        if (processedReferralsFallback.has(key)) return { success: false, reason: 'already_claimed' };
-    }
-
-    // Get current stats
-    let stats;
-    if (isRedisAvailable()) {
-        const data = await redis.get(`${REFERRAL_STATS_PREFIX}${referrerId}`);
-        stats = data ? JSON.parse(data) : { totalReferrals: 0 };
-    } else {
-        stats = referralStatsFallback.get(referrerId) || { totalReferrals: 0 };
+    const exists = await kv.sismember(PROCESSED_REFERRALS_KEY, key);
+    if (exists) return { success: false, reason: 'already_claimed' };
+
+    // SECURITY: Check if this fingerprint has referred themselves before
+    const fingerprintReferrer = await kv.get(`${FINGERPRINT_REFERRER_KEY}${refereeFingerprint}`);
+    if (fingerprintReferrer && fingerprintReferrer === referrerId) {
+        console.warn(`⚠️ FRAUD: Same device referral loop detected: ${refereeFingerprint.slice(0, 12)}`);
+        return { success: false, reason: 'device_loop' };
     }
 
     // Increment total referrals
+    const stats = await getStats(referrerId);
     stats.totalReferrals += 1;
 
-    if (isRedisAvailable()) {
-        await redis.sadd(PROCESSED_REFERRALS_KEY, key);
-        await redis.set(`${REFERRAL_STATS_PREFIX}${referrerId}`, JSON.stringify(stats));
-        // Track which fingerprint claimed from which referrer (for loop detection)
-        await redis.set(`${FINGERPRINT_REFERRER_KEY}${refereeFingerprint}`, referrerId);
-    } else {
-        processedReferralsFallback.add(key);
-        referralStatsFallback.set(referrerId, stats);
-    }
+    await kv.sadd(PROCESSED_REFERRALS_KEY, key);
+    await kv.set(`${REFERRAL_STATS_PREFIX}${referrerId}`, JSON.stringify(stats));
+    // Track which fingerprint claimed from which referrer (for loop detection)
+    await kv.set(`${FINGERPRINT_REFERRER_KEY}${refereeFingerprint}`, referrerId);
 
     console.log(`🎉 Referral: ${referrerId} -> ${stats.totalReferrals} total`);
 
@@ -87,14 +70,7 @@ export async function addReferral(referrerId, refereeFingerprint, refereeUserId
 export async function hasUnlockedViaReferrals(userId) {
     if (!userId) return false;
 
-    let stats;
-    if (isRedisAvailable()) {
-        const data = await redis.get(`${REFERRAL_STATS_PREFIX}${userId}`);
-        stats = data ? JSON.parse(data) : { totalReferrals: 0 };
-    } else {
-        stats = referralStatsFallback.get(userId) || { totalReferrals: 0 };
-    }
-
+    const stats = await getStats(userId);
     return stats.totalReferrals >= 3;
 }
 
@@ -102,23 +78,14 @@ export async function hasUnlockedViaReferrals(userId) {
  * Get stats for a user
  */
 export async function getReferralStats(userId) {
-    let stats, purchased;
-
-    if (isRedisAvailable()) {
-        const [statsData, purchasedData] = await Promise.all([
-            redis.get(`${REFERRAL_STATS_PREFIX}${userId}`),
-            redis.get(`${PRO_ROAST_PREFIX}${userId}`)
-        ]);
-        stats = statsData ? JSON.parse(statsData) : { totalReferrals: 0 };
-        purchased = parseInt(purchasedData) || 0;
-    } else {
-        stats = referralStatsFallback.get(userId) || { totalReferrals: 0 };
-        purchased = proRoastStoreFallback.get(userId) || 0;
-    }
+    const [stats, purchasedData] = await Promise.all([
+        getStats(userId),
+        kv.get(`${PRO_ROAST_PREFIX}${userId}`)
+    ]);
 
     return {
         totalReferrals: stats.totalReferrals,
-        proRoasts: purchased  // Only show purchased Pro Roasts
+        proRoasts: parseInt(purchasedData) || 0  // Only show purchased Pro Roasts
     };
 }
 
@@ -126,38 +93,20 @@ export async function getReferralStats(userId) {
  * Add a purchased Pro Roast (from $0.99 payment)
  */
 export async function addProRoast(userId) {
-    let current;
-
-    if (isRedisAvailable()) {
-        const newCount = await redis.incr(`${PRO_ROAST_PREFIX}${userId}`);
-        console.log(`💰 Pro Roast purchased: ${userId} -> now has ${newCount}`);
-        return newCount;
-    } else {
-        current = proRoastStoreFallback.get(userId) || 0;
-        proRoastStoreFallback.set(userId, current + 1);
-        console.log(`💰 Pro Roast purchased: ${userId} -> now has ${current + 1}`);
-        return current + 1;
-    }
+    const newCount = await kv.incr(`${PRO_ROAST_PREFIX}${userId}`);
+    console.log(`💰 Pro Roast purchased: ${userId} -> now has ${newCount}`);
+    return newCount;
 }
 
 /**
  * Consume a Pro Roast (purchased only)
  */
 export async function consumeProRoast(userId) {
-    if (isRedisAvailable()) {
-        const purchased = await redis.get(`${PRO_ROAST_PREFIX}${userId}`);
-        if (parseInt(purchased) > 0) {
-            await redis.decr(`${PRO_ROAST_PREFIX}${userId}`);
-            return true;
-        }
-    } else {
-        const purchased = proRoastStoreFallback.get(userId) || 0;
-        if (purchased > 0) {
-            proRoastStoreFallback.set(userId, purchased - 1);
-            return true;
-        }
+    const purchased = await kv.get(`${PRO_ROAST_PREFIX}${userId}`);
+    if (parseInt(purchased) > 0) {
+        await kv.decr(`${PRO_ROAST_PREFIX}${userId}`);
+        return true;
     }
-
     return false;
 }
 
@@ -165,35 +114,20 @@ export async function consumeProRoast(userId) {
  * Check if user has any Pro Roasts available (purchased only)
  */
 export async function hasProRoast(userId) {
-    if (isRedisAvailable()) {
-        const purchased = await redis.get(`${PRO_ROAST_PREFIX}${userId}`);
-        const purchasedCount = parseInt(purchased) || 0;
-        return purchasedCount > 0;
-    } else {
-        const purchased = proRoastStoreFallback.get(userId) || 0;
-        return purchased > 0;
-    }
+    const purchased = await kv.get(`${PRO_ROAST_PREFIX}${userId}`);
+    return (parseInt(purchased) || 0) > 0;
 }
 
 /**
  * Legacy: Consume a bonus scan (backwards compatibility)
  */
 export async function consumeBonusScan(userId) {
-    if (isRedisAvailable()) {
-        const statsData = await redis.get(`${REFERRAL_STATS_PREFIX}${userId}`);
-        if (statsData) {
-            const stats = JSON.parse(statsData);
-            if (stats.bonusScans > 0) {
-                stats.bonusScans -= 1;
-                await redis.set(`${REFERRAL_STATS_PREFIX}${userId}`, JSON.stringify(stats));
-                return true;
-            }
-        }
-    } else {
-        const stats = referralStatsFallback.get(userId);
-        if (stats && stats.bonusScans > 0) {
+    const statsData = await kv.get(`${REFERRAL_STATS_PREFIX}${userId}`);
+    if (statsData) {
+        const stats = JSON.parse(statsData);
+        if (stats.bonusScans > 0) {
             stats.bonusScans -= 1;
-            referralStatsFallback.set(userId, stats);
+            await kv.set(`${REFERRAL_STATS_PREFIX}${userId}`, JSON.stringify(stats));
             return true;
         }
     }
@@ -205,7 +139,6 @@ export async function consumeBonusScan(userId) {
 // ============================================
 
 const PURCHASED_SCANS_PREFIX = 'fitrate:scans:';
-const purchasedScansFallback = new Map();
 
 /**
  * Add purchased scans (from scan pack purchase)
@@ -213,28 +146,17 @@ const purchasedScansFallback = new Map();
  * @param {number} count - Number of scans to add
  */
 export async function addPurchasedScans(userId, count) {
-    if (isRedisAvailable()) {
-        const newCount = await redis.incrby(`${PURCHASED_SCANS_PREFIX}${userId}`, count);
-        console.log(`💰 Scan pack purchased: ${userId} -> +${count} scans (total: ${newCount})`);
-        return newCount;
-    } else {
-        const current = purchasedScansFallback.get(userId) || 0;
-        purchasedScansFallback.set(userId, current + count);
-        console.log(`💰 Scan pack purchased: ${userId} -> +${count} scans (total: ${current + count})`);
-        return current + count;
-    }
+    const newCount = await kv.incrby(`${PURCHASED_SCANS_PREFIX}${userId}`, count);
+    console.log(`💰 Scan pack purchased: ${userId} -> +${count} scans (total: ${newCount})`);
+    return newCount;
 }
 
 /**
  * Get purchased scans balance
  */
 export async function getPurchasedScans(userId) {
-    if (isRedisAvailable()) {
-        const count = await redis.get(`${PURCHASED_SCANS_PREFIX}${userId}`);
-        return parseInt(count) || 0;
-    } else {
-        return purchasedScansFallback.get(userId) || 0;
-    }
+    const count = await kv.get(`${PURCHASED_SCANS_PREFIX}${userId}`);
+    return parseInt(count) || 0;
 }
 
 /**
@@ -242,28 +164,44 @@ export async function getPurchasedScans(userId) {
  * Returns true if successful, false if no scans available
  */
 export async function consumePurchasedScan(userId) {
-    if (isRedisAvailable()) {
-        const current = await redis.get(`${PURCHASED_SCANS_PREFIX}${userId}`);
-        if (parseInt(current) > 0) {
-            await redis.decr(`${PURCHASED_SCANS_PREFIX}${userId}`);
-            return true;
-        }
-    } else {
-        const current = purchasedScansFallback.get(userId) || 0;
-        if (current > 0) {
-            purchasedScansFallback.set(userId, current - 1);
-            return true;
-        }
+    const current = await kv.get(`${PURCHASED_SCANS_PREFIX}${userId}`);
+    if (parseInt(current) > 0) {
+        await kv.decr(`${PURCHASED_SCANS_PREFIX}${userId}`);
+        return true;
     }
     return false;
 }
 
+/**
+ * Reserve several purchased scans at once (batch analysis)
+ * Atomic: concurrent batches can't spend the same scans - a reservation that
+ * would take the balance below zero is rolled back.
+ * @returns {number|null} Balance left after the reservation, or null if there weren't enough
+ */
+export async function reservePurchasedScans(userId, count) {
+    if (count <= 0) return getPurchasedScans(userId);
+    const key = `${PURCHASED_SCANS_PREFIX}${userId}`;
+    const remaining = await kv.decrby(key, count);
+    if (remaining < 0) {
+        await kv.incrby(key, count);
+        return null;
+    }
+    return remaining;
+}
+
+/**
+ * Give back reserved purchased scans that weren't used
+ */
+export async function refundPurchasedScans(userId, count) {
+    if (count <= 0) return;
+    await kv.incrby(`${PURCHASED_SCANS_PREFIX}${userId}`, count);
+}
+
 // ============================================
 // SHARE TRACKING
 // ============================================
 
 const SHARE_STATS_PREFIX = 'fitrate:shares:';
-const shareStatsFallback = new Map();
 
 /**
  * Track a share event (user copied/shared their link)
@@ -271,13 +209,7 @@ const shareStatsFallback = new Map();
 export async function trackShare(userId) {
     if (!userId) return;
 
-    if (isRedisAvailable()) {
-        await redis.hincrby(`${SHARE_STATS_PREFIX}${userId}`, 'totalShares', 1);
-    } else {
-        const stats = shareStatsFallback.get(userId) || { totalShares: 0, clicks: 0, conversions: 0 };
-        stats.totalShares += 1;
-        shareStatsFallback.set(userId, stats);
-    }
+    await kv.hincrby(`${SHARE_STATS_PREFIX}${userId}`, 'totalShares', 1);
 }
 
 /**
@@ -286,16 +218,12 @@ export async function trackShare(userId) {
 export async function getShareStats(userId) {
     if (!userId) return { totalShares: 0, clicks: 0, conversions: 0 };
 
-    if (isRedisAvailable()) {
-        const stats = await redis.hgetall(`${SHARE_STATS_PREFIX}${userId}`);
-        return {
-            totalShares: parseInt(stats?.totalShares) || 0,
-            clicks: parseInt(stats?.clicks) || 0,
-            conversions: parseInt(stats?.conversions) || 0
-        };
-    } else {
-        return shareStatsFallback.get(userId) || { totalShares: 0, clicks: 0, conversions: 0 };
-    }
+    const stats = await kv.hgetall(`${SHARE_STATS_PREFIX}${userId}`);
+    return {
+        totalShares: parseInt(stats?.totalShares) || 0,
+        clicks: parseInt(stats?.clicks) || 0,
+        conversions: parseInt(stats?.conversions) || 0
+    };
 }
 
 // ============================================
@@ -303,7 +231,6 @@ export async function getShareStats(userId) {
 // ============================================
 
 const NOTIFICATION_PREFIX = 'fitrate:notify:';
-const notificationFallback = new Map();
 
 /**
  * Set a notification for a user (called when their referral is claimed)
@@ -311,14 +238,8 @@ const notificationFallback = new Map();
 export async function setReferralNotification(userId, notification) {
     if (!userId) return;
 
-    if (isRedisAvailable()) {
-        await redis.lpush(`${NOTIFICATION_PREFIX}${userId}`, JSON.stringify(notification));
-        await redis.expire(`${NOTIFICATION_PREFIX}${userId}`, 86400); // 24h TTL
-    } else {
-        const notifications = notificationFallback.get(userId) || [];
-        notifications.push(notification);
-        notificationFallback.set(userId, notifications);
-    }
+    await kv.lpush(`${NOTIFICATION_PREFIX}${userId}`, JSON.stringify(notification));
+    await kv.expire(`${NOTIFICATION_PREFIX}${userId}`, 86400); // 24h TTL
 }
 
 /**
@@ -327,17 +248,10 @@ export async function setReferralNotification(userId, notification) {
 export async function checkReferralNotifications(userId) {
     if (!userId) return [];
 
-    if (isRedisAvailable()) {
-        const notifications = await redis.lrange(`${NOTIFICATION_PREFIX}${userId}`, 0, -1);
-        if (notifications.length > 0) {
-            await redis.del(`${NOTIFICATION_PREFIX}${userId}`);
-            return notifications.map(n => JSON.parse(n));
-        }
-        return [];
-    } else {
-        const notifications = notificationFallback.get(userId) || [];
-        notificationFallback.delete(userId);
-        return notifications;
+    const notifications = await kv.lrange(`${NOTIFICATION_PREFIX}${userId}`, 0, -1);
+    if (notifications.length > 0) {
+        await kv.del(`${NOTIFICATION_PREFIX}${userId}`);
+        return notifications.map(n => JSON.parse(n));
     }
+    return [];
 }
-
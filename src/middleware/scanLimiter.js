@@ -2,21 +2,17 @@
  * Daily Scan Rate Limiter
  * - Free users: 2 scans/day
  * - Pro users: Unlimited (100/day fair use cap)
- * Uses Redis with in-memory fallback for local dev
+ * Uses the KV store (Redis, or the local fallback in dev)
  * SECURITY: Uses device fingerprint to prevent userId spoofing
  */
 
-import { redis, isRedisAvailable } from '../services/redisClient.js';
-import { consumeBonusScan, getReferralStats, getPurchasedScans, consumePurchasedScan } from './referralStore.js';
+import { kv } from '../services/kvStore.js';
+import { consumeBonusScan, getReferralStats, getPurchasedScans, consumePurchasedScan, reservePurchasedScans, refundPurchasedScans } from './referralStore.js';
 import { generateFingerprint, getClientIP } from '../utils/fingerprint.js';
 import { EntitlementService } from '../services/entitlements.js';
 import { ERROR_MESSAGES, SCAN_LIMITS } from '../config/systemPrompt.js';
 import { getTodayKeyEST, getMidnightResetTimeEST } from '../utils/dateUtils.js';
 
-// In-memory fallback for local dev
-const scanStoreFallback = new Map();
-const proPreviewStoreFallback = new Map(); // Track Pro Preview usage per user per day
-
 // Pro = "Unlimited" (100/day fair use cap - 99% of users never hit this)
 const LIMITS = {
     free: 1,   // Free tier daily limit (1 scan/day)
@@ -35,6 +31,11 @@ const MAX_INVALID_ATTEMPTS = 20;
 const INVALID_BLOCK_DURATION = 3600;
 const PERMANENT_BAN_DURATION = 604800;
 
+// Failure codes that mean "this upload isn't a usable outfit photo" - the only ones
+// that count towards the spam block. Provider errors, outages and photo quality
+// rejections (PHOTO_*) never do: an honest user can't avoid them.
+const INVALID_IMAGE_CODES = ['INVALID_IMAGE', 'INVALID_OUTFIT'];
+
 // Get today's date string for key - uses EST for consistent midnight reset
 function getTodayKey() {
     return getTodayKeyEST();
@@ -83,62 +84,43 @@ export async function getScanCountFromRequest(req) {
 /**
  * PERSISTENT increment - uses Redis with userId:date key
  * Survives backend restarts/deploys (48h TTL for auto-cleanup)
+ * @param {string} userId
+ * @param {number} amount - Scans to add (batch analysis reserves several at once)
  */
-export async function incrementScanSimple(userId) {
+export async function incrementScanSimple(userId, amount = 1) {
     if (!userId) return 0;
     const today = getTodayKey();
     const redisKey = `${SCAN_KEY_PREFIX}simple:${userId}:${today}`;
 
-    if (isRedisAvailable()) {
-        const newCount = await redis.incr(redisKey);
-        // Set 48h TTL on first increment (covers timezone edge cases)
-        if (newCount === 1) {
-            await redis.expire(redisKey, 172800); // 48 hours
-        }
-        console.log(`[SCAN] Incremented ${userId.slice(0, 12)} to ${newCount} (Redis)`);
-        return newCount;
-    } else {
-        // Fallback to in-memory for local dev
-        const key = `${userId}:${today}`;
-        const data = scanStoreFallback.get(key) || { count: 0 };
-        data.count += 1;
-        scanStoreFallback.set(key, data);
-        console.log(`[SCAN] Incremented ${userId.slice(0, 12)} to ${data.count} (in-memory)`);
-        return data.count;
+    const newCount = await kv.incrby(redisKey, amount);
+    // Set 48h TTL on first increment (covers timezone edge cases)
+    if (newCount === amount) {
+        await kv.expire(redisKey, 172800); // 48 hours
     }
+    console.log(`[SCAN] Incremented ${userId.slice(0, 12)} to ${newCount}`);
+    return newCount;
 }
 
 /**
  * Decrement scan count (for rollback on failed analysis)
  * Used when AI call fails to prevent counting failed attempts
+ * @param {string} userId
+ * @param {number} amount - Scans to give back (batch rollback returns several at once)
  */
-export async function decrementScanSimple(userId) {
-    if (!userId) return 0;
+export async function decrementScanSimple(userId, amount = 1) {
+    if (!userId || amount <= 0) return 0;
     const today = getTodayKey();
     const redisKey = `${SCAN_KEY_PREFIX}simple:${userId}:${today}`;
 
-    if (isRedisAvailable()) {
-        const newCount = await redis.decr(redisKey);
-        // Ensure we don't go negative
-        if (newCount < 0) {
-            await redis.set(redisKey, 0);
-            console.log(`[SCAN] Decremented ${userId.slice(0, 12)} to 0 (clamped, Redis)`);
-            return 0;
-        }
-        console.log(`[SCAN] Decremented ${userId.slice(0, 12)} to ${newCount} (Redis)`);
-        return newCount;
-    } else {
-        // Fallback to in-memory for local dev
-        const key = `${userId}:${today}`;
-        const data = scanStoreFallback.get(key);
-        if (data && data.count > 0) {
-            data.count -= 1;
-            scanStoreFallback.set(key, data);
-            console.log(`[SCAN] Decremented ${userId.slice(0, 12)} to ${data.count} (in-memory)`);
-            return data.count;
-        }
+    const newCount = await kv.decrby(redisKey, amount);
+    // Ensure we don't go negative
+    if (newCount < 0) {
+        await kv.set(redisKey, 0);
+        console.log(`[SCAN] Decremented ${userId.slice(0, 12)} to 0 (clamped)`);
         return 0;
     }
+    console.log(`[SCAN] Decremented ${userId.slice(0, 12)} to ${newCount}`);
+    return newCount;
 }
 
 /**
@@ -150,12 +132,8 @@ export async function hasUsedProPreview(userId) {
     const today = getTodayKey();
     const key = `${userId}:${today}`;
 
-    if (isRedisAvailable()) {
-        const used = await redis.get(`${PRO_PREVIEW_PREFIX}${key}`);
-        return used === '1';
-    } else {
-        return proPreviewStoreFallback.get(key) === true;
-    }
+    const used = await kv.get(`${PRO_PREVIEW_PREFIX}${key}`);
+    return used === '1';
 }
 
 /**
@@ -166,12 +144,7 @@ export async function markProPreviewUsed(userId) {
     const today = getTodayKey();
     const key = `${userId}:${today}`;
 
-    if (isRedisAvailable()) {
-        await redis.set(`${PRO_PREVIEW_PREFIX}${key}`, '1');
-        await redis.expire(`${PRO_PREVIEW_PREFIX}${key}`, 86400); // 24h TTL
-    } else {
-        proPreviewStoreFallback.set(key, true);
-    }
+    await kv.set(`${PRO_PREVIEW_PREFIX}${key}`, '1', 'EX', 86400); // 24h TTL
     console.log(`[PRO_PREVIEW] Marked used for ${userId.slice(0, 12)}`);
 }
 
@@ -184,40 +157,13 @@ export async function shouldUseProPreview(userId) {
     return !used; // First scan of day = Pro Preview
 }
 
-// Clean up old entries every hour (only for in-memory fallback)
-setInterval(() => {
-    if (!isRedisAvailable()) {
-        const today = new Date().toDateString();
-        for (const [key, data] of scanStoreFallback.entries()) {
-            if (data.date !== today) {
-                scanStoreFallback.delete(key);
-            }
-        }
-        // Also clean proPreviewStoreFallback
-        const todayKey = getTodayKey();
-        for (const key of proPreviewStoreFallback.keys()) {
-            if (!key.includes(todayKey)) {
-                proPreviewStoreFallback.delete(key);
-            }
-        }
-    }
-}, 60 * 60 * 1000);
-
 // Get scan count using secure key from request
 export async function getScanCountSecure(req) {
     const key = getSecureKey(req);
     const today = getTodayKey();
 
-    if (isRedisAvailable()) {
-        const count = await redis.get(`${SCAN_KEY_PREFIX}${key}:${today}`);
-        return parseInt(count) || 0;
-    } else {
-        const data = scanStoreFallback.get(key);
-        if (!data || data.date !== new Date().toDateString()) {
-            return 0;
-        }
-        return data.count;
-    }
+    const count = await kv.get(`${SCAN_KEY_PREFIX}${key}:${today}`);
+    return parseInt(count) || 0;
 }
 
 // Legacy version for status endpoint (uses userId/IP, not fingerprint)
@@ -225,16 +171,8 @@ export async function getScanCount(userId, ip) {
     const key = getLegacyKey(userId, ip);
     const today = getTodayKey();
 
-    if (isRedisAvailable()) {
-        const count = await redis.get(`${SCAN_KEY_PREFIX}${key}:${today}`);
-        return parseInt(count) || 0;
-    } else {
-        const data = scanStoreFallback.get(key);
-        if (!data || data.date !== new Date().toDateString()) {
-            return 0;
-        }
-        return data.count;
-    }
+    const count = await kv.get(`${SCAN_KEY_PREFIX}${key}:${today}`);
+    return parseInt(count) || 0;
 }
 
 // Increment scan count using secure key from request
@@ -242,27 +180,13 @@ export async function incrementScanCountSecure(req) {
     const key = getSecureKey(req);
     const today = getTodayKey();
 
-    if (isRedisAvailable()) {
-        const redisKey = `${SCAN_KEY_PREFIX}${key}:${today}`;
-        const newCount = await redis.incr(redisKey);
-        // Set 24h TTL on first increment
-        if (newCount === 1) {
-            await redis.expire(redisKey, 86400); // 24 hours
-        }
-        return newCount;
-    } else {
-        const todayStr = new Date().toDateString();
-        const data = scanStoreFallback.get(key);
-
-        if (!data || data.date !== todayStr) {
-            scanStoreFallback.set(key, { date: todayStr, count: 1, isPro: false });
-            return 1;
-        }
-
-        data.count += 1;
-        scanStoreFallback.set(key, data);
-        return data.count;
+    const redisKey = `${SCAN_KEY_PREFIX}${key}:${today}`;
+    const newCount = await kv.incr(redisKey);
+    // Set 24h TTL on first increment
+    if (newCount === 1) {
+        await kv.expire(redisKey, 86400); // 24 hours
     }
+    return newCount;
 }
 
 // Legacy version for backward compatibility
@@ -270,41 +194,22 @@ export async function incrementScanCount(userId, ip) {
     const key = getLegacyKey(userId, ip);
     const today = getTodayKey();
 
-    if (isRedisAvailable()) {
-        const redisKey = `${SCAN_KEY_PREFIX}${key}:${today}`;
-        const newCount = await redis.incr(redisKey);
-        if (newCount === 1) {
-            await redis.expire(redisKey, 86400);
-        }
-        return newCount;
-    } else {
-        const todayStr = new Date().toDateString();
-        const data = scanStoreFallback.get(key);
-        if (!data || data.date !== todayStr) {
-            scanStoreFallback.set(key, { date: todayStr, count: 1, isPro: false });
-            return 1;
-        }
-        data.count += 1;
-        scanStoreFallback.set(key, data);
-        return data.count;
+    const redisKey = `${SCAN_KEY_PREFIX}${key}:${today}`;
+    const newCount = await kv.incr(redisKey);
+    if (newCount === 1) {
+        await kv.expire(redisKey, 86400);
     }
+    return newCount;
 }
 
 export async function setProStatus(userId, ip, isPro) {
     const key = getLegacyKey(userId, ip);
 
-    if (isRedisAvailable()) {
-        const redisKey = `${PRO_STATUS_PREFIX}${key}`;
-        if (isPro) {
-            await redis.set(redisKey, '1');
-        } else {
-            await redis.del(redisKey);
-        }
+    const redisKey = `${PRO_STATUS_PREFIX}${key}`;
+    if (isPro) {
+        await kv.set(redisKey, '1');
     } else {
-        const today = new Date().toDateString();
-        const data = scanStoreFallback.get(key) || { date: today, count: 0 };
-        data.isPro = isPro;
-        scanStoreFallback.set(key, data);
+        await kv.del(redisKey);
     }
 }
 
@@ -326,57 +231,41 @@ export async function trackInvalidAttempt(req) {
     const invalidKey = `${INVALID_ATTEMPTS_PREFIX}${fingerprint}`;
     const banKey = `${REPEAT_OFFENDER_PREFIX}${fingerprint}`;
 
-    if (isRedisAvailable()) {
-        // Check if already permanently banned
-        const isBanned = await redis.get(banKey);
-        if (isBanned) {
-            return { count: 999, blocked: true, permanentlyBanned: true };
-        }
-
-        const count = await redis.incr(invalidKey);
-        if (count === 1) {
-            await redis.expire(invalidKey, INVALID_BLOCK_DURATION);
-        }
+    // Check if already permanently banned
+    const isBanned = await kv.get(banKey);
+    if (isBanned) {
+        return { count: 999, blocked: true, permanentlyBanned: true };
+    }
 
-        const isBlocked = count > MAX_INVALID_ATTEMPTS;
-
-        // If just hit block threshold, check if this is a repeat offense
-        if (isBlocked && count === MAX_INVALID_ATTEMPTS + 1) {
-            // Check if they were blocked before (repeat offender key)
-            const wasBlockedBefore = await redis.get(`${invalidKey}:repeat`);
-            if (wasBlockedBefore) {
-                // REPEAT OFFENDER - permanent ban
-                await redis.set(banKey, '1');
-                await redis.expire(banKey, PERMANENT_BAN_DURATION);
-                console.warn(`🚫 PERMANENT BAN: Repeat offender ${fingerprint.slice(0, 12)}`);
-                return { count, blocked: true, permanentlyBanned: true };
-            } else {
-                // First offense - mark for repeat tracking
-                await redis.set(`${invalidKey}:repeat`, '1');
-                await redis.expire(`${invalidKey}:repeat`, PERMANENT_BAN_DURATION); // Remember for 30 days
-            }
-        }
+    const count = await kv.incr(invalidKey);
+    if (count === 1) {
+        await kv.expire(invalidKey, INVALID_BLOCK_DURATION);
+    }
 
-        return { count, blocked: isBlocked, permanentlyBanned: false };
-    } else {
-        // In-memory fallback (simplified)
-        const data = scanStoreFallback.get(invalidKey) || { count: 0, expiry: Date.now() + INVALID_BLOCK_DURATION * 1000, wasBlocked: false };
-        if (Date.now() > data.expiry) {
-            // Check if they were blocked before resetting
-            if (data.count > MAX_INVALID_ATTEMPTS) {
-                data.wasBlocked = true;
-            }
-            data.count = 0;
-            data.expiry = Date.now() + INVALID_BLOCK_DURATION * 1000;
+    const isBlocked = count > MAX_INVALID_ATTEMPTS;
+
+    // If just hit block threshold, check if this is a repeat offense
+    if (isBlocked && count === MAX_INVALID_ATTEMPTS + 1) {
+        // Check if they were blocked before (repeat offender key)
+        const wasBlockedBefore = await kv.get(`${invalidKey}:repeat`);
+        if (wasBlockedBefore) {
+            // REPEAT OFFENDER - permanent ban
+            await kv.set(banKey, '1');
+            await kv.expire(banKey, PERMANENT_BAN_DURATION);
+            console.warn(`🚫 PERMANENT BAN: Repeat offender ${fingerprint.slice(0, 12)}`);
+            return { count, blocked: true, permanentlyBanned: true };
+        } else {
+            // First offense - mark for repeat tracking
+            await kv.set(`${invalidKey}:repeat`, '1');
+            await kv.expire(`${invalidKey}:repeat`, PERMANENT_BAN_DURATION); // Remember for 30 days
         }
-        data.count += 1;
-        scanStoreFallback.set(invalidKey, data);
+    }
 
-        const isBlocked = data.count > MAX_INVALID_ATTEMPTS;
-        const permanentlyBanned = isBlocked && data.wasBlocked;
+    return { count, blocked: isBlocked, permanentlyBanned: false };
+}
 
-        return { count: data.count, blocked: isBlocked, permanentlyBanned };
-    }
+export function isInvalidImageCode(code) {
+    return INVALID_IMAGE_CODES.includes(code);
 }
 
 /**
@@ -388,22 +277,13 @@ export async function isBlockedForInvalidAttempts(req) {
     const invalidKey = `${INVALID_ATTEMPTS_PREFIX}${fingerprint}`;
     const banKey = `${REPEAT_OFFENDER_PREFIX}${fingerprint}`;
 
-    if (isRedisAvailable()) {
-        // Check permanent ban first
-        const isBanned = await redis.get(banKey);
-        if (isBanned) return true;
+    // Check permanent ban first
+    const isBanned = await kv.get(banKey);
+    if (isBanned) return true;
 
-        // Check temp block
-        const count = await redis.get(invalidKey);
-        return parseInt(count) > MAX_INVALID_ATTEMPTS;
-    } else {
-        const banData = scanStoreFallback.get(banKey);
-        if (banData) return true;
-
-        const data = scanStoreFallback.get(invalidKey);
-        if (!data || Date.now() > data.expiry) return false;
-        return data.count > MAX_INVALID_ATTEMPTS;
-    }
+    // Check temp block
+    const count = await kv.get(invalidKey);
+    return parseInt(count) > MAX_INVALID_ATTEMPTS;
 }
 
 /**
@@ -472,36 +352,19 @@ export async function scanLimiter(req, res, next) {
         return next();
     }
 
-    // PERSISTENT tracking by userId + today's date (Redis with in-memory fallback)
+    // PERSISTENT tracking by userId + today's date (KV store - Redis or local fallback)
     const today = getTodayKey();
     const redisKey = `${SCAN_KEY_PREFIX}simple:${userId}:${today}`;
 
-    // Get current count from Redis (or in-memory fallback)
-    let currentCount = 0;
-    if (isRedisAvailable()) {
-        const count = await redis.get(redisKey);
-        currentCount = parseInt(count) || 0;
-    } else {
-        const key = `${userId}:${today}`;
-        const data = scanStoreFallback.get(key) || { count: 0 };
-        currentCount = data.count;
-    }
+    const count = await kv.get(redisKey);
+    const currentCount = parseInt(count) || 0;
 
     // DUAL-KEY ENFORCEMENT: Check Fingerprint Usage
     // This blocks users who clear cache (new userId) but are on the same device
     const fingerprint = generateFingerprint(req);
     const fpKey = `${SCAN_KEY_PREFIX}fp:${fingerprint}:${today}`;
-    let fingerprintCount = 0;
-
-    if (isRedisAvailable()) {
-        const fpVal = await redis.get(fpKey);
-        fingerprintCount = parseInt(fpVal) || 0;
-    } else {
-        // Fallback for local dev
-        const key = `fp:${fingerprint}:${today}`;
-        const data = scanStoreFallback.get(key) || { count: 0 };
-        fingerprintCount = data.count;
-    }
+    const fpVal = await kv.get(fpKey);
+    const fingerprintCount = parseInt(fpVal) || 0;
 
     // The effective count is the HIGHER of the two
     // If I clear cache, my userId count is 0, but my fingerprint count is 2 -> BLOCKED
@@ -562,15 +425,8 @@ export async function scanLimiter(req, res, next) {
     const newCount = await incrementScanSimple(userId);
 
     // Also increment fingerprint counter
-    if (isRedisAvailable()) {
-        const newFpCount = await redis.incr(fpKey);
-        if (newFpCount === 1) await redis.expire(fpKey, 172800); // 48h
-    } else {
-        const key = `fp:${fingerprint}:${today}`;
-        const data = scanStoreFallback.get(key) || { count: 0 };
-        data.count += 1;
-        scanStoreFallback.set(key, data);
-    }
+    const newFpCount = await kv.incr(fpKey);
+    if (newFpCount === 1) await kv.expire(fpKey, 172800); // 48h
 
     console.log(`[SCAN] Incremented userId:${userId.slice(0, 12)} to ${newCount}, FP to ${fingerprintCount + 1}`);
 
@@ -590,6 +446,135 @@ export async function scanLimiter(req, res, next) {
     next();
 }
 
+/**
+ * Batch scan limiter - reserves quota for a whole multi-outfit batch up front
+ * Runs AFTER multer (needs req.files to know the batch size).
+ *
+ * All-or-nothing: either every outfit in the batch fits into
+ * (daily scans left + purchased scans) or nothing is reserved and the
+ * request is rejected. Daily scans are reserved first (userId and device
+ * counters), purchased scans cover the overflow and are taken off the balance
+ * atomically, so concurrent batches can't overspend it.
+ * The route hands back whatever failed outfits don't use (refundBatchScans).
+ */
+export async function batchScanLimiter(req, res, next) {
+    const ip = getClientIP(req);
+    const userId = req.body?.userId || req.query?.userId;
+    const batchSize = req.files?.length || 0;
+
+    // Batch always costs scans - anonymous requests can't be tracked
+    if (!userId) {
+        return res.status(400).json({
+            success: false,
+            error: 'User ID required for batch analysis',
+            code: 'BATCH_USER_REQUIRED'
+        });
+    }
+
+    const today = getTodayKey();
+    const redisKey = `${SCAN_KEY_PREFIX}simple:${userId}:${today}`;
+    const fingerprint = generateFingerprint(req);
+    const fpKey = `${SCAN_KEY_PREFIX}fp:${fingerprint}:${today}`;
+
+    const [count, fpVal] = await kv.mget(redisKey, fpKey);
+    const currentCount = parseInt(count) || 0;
+    const fingerprintCount = parseInt(fpVal) || 0;
+
+    // Same dual-key rule as scanLimiter: the HIGHER count wins
+    const effectiveCount = Math.max(currentCount, fingerprintCount);
+    const isPro = await getProStatus(userId, ip);
+    const limit = isPro ? LIMITS.pro : LIMITS.free;
+    const purchasedScans = await getPurchasedScans(userId);
+
+    const fromDaily = Math.min(batchSize, Math.max(0, limit - effectiveCount));
+    const fromPurchased = batchSize - fromDaily;
+
+    const rejectLimit = (scansUsed) => res.status(429).json({
+        success: false,
+        error: `This batch needs ${batchSize} scans but you only have ${Math.max(0, limit - scansUsed) + purchasedScans} left. Remove some outfits or buy a scan pack!`,
+        code: 'LIMIT_REACHED',
+        limitReached: true,
+        isPro,
+        scansNeeded: batchSize,
+        scansUsed,
+        scansLimit: limit,
+        purchasedScansRemaining: purchasedScans,
+        resetTime: getResetTime()
+    });
+
+    if (fromPurchased > purchasedScans) {
+        console.log(`[SCAN] BATCH BLOCKED - needs ${batchSize}, has ${fromDaily} daily + ${purchasedScans} purchased`);
+        return rejectLimit(effectiveCount);
+    }
+
+    let newCount = currentCount;
+    let newFpCount = fingerprintCount;
+    if (fromDaily > 0) {
+        newCount = await incrementScanSimple(userId, fromDaily);
+
+        // Another request may have spent scans since we read the count - undo the whole reservation
+        if (newCount > limit) {
+            await decrementScanSimple(userId, fromDaily);
+            console.log(`[SCAN] BATCH BLOCKED - concurrent scan used the reserved quota (${newCount}/${limit})`);
+            return rejectLimit(newCount - fromDaily);
+        }
+
+        newFpCount = await kv.incrby(fpKey, fromDaily);
+        if (newFpCount === fromDaily) await kv.expire(fpKey, 172800); // 48h
+
+        // Same re-check on the device counter - parallel batches rotating userIds share it
+        if (newFpCount > limit) {
+            await refundBatchScans({ userId, fingerprintKey: fpKey }, { daily: fromDaily });
+            console.log(`[SCAN] BATCH BLOCKED - concurrent scan on this device used the reserved quota (${newFpCount}/${limit})`);
+            return rejectLimit(newFpCount - fromDaily);
+        }
+    }
+
+    let purchasedRemaining = purchasedScans;
+    if (fromPurchased > 0) {
+        purchasedRemaining = await reservePurchasedScans(userId, fromPurchased);
+
+        // A concurrent batch spent the purchased scans first - undo the daily part too
+        if (purchasedRemaining === null) {
+            await refundBatchScans({ userId, fingerprintKey: fpKey }, { daily: fromDaily });
+            console.log(`[SCAN] BATCH BLOCKED - concurrent request used the purchased scans`);
+            return rejectLimit(effectiveCount);
+        }
+    }
+
+    console.log(`[SCAN] Batch of ${batchSize} reserved for ${userId.slice(0, 12)}: ${fromDaily} daily + ${fromPurchased} purchased`);
+
+    req.scanInfo = {
+        userId,
+        ip,
+        currentCount: Math.max(newCount, newFpCount),
+        limit,
+        isPro,
+        batchSize,
+        reservedDaily: fromDaily,
+        reservedPurchased: fromPurchased,
+        purchasedScansRemaining: purchasedRemaining,
+        fingerprintKey: fpKey,
+        scanIncremented: fromDaily > 0
+    };
+    next();
+}
+
+/**
+ * Give back scans a batch reserved but didn't use
+ * Daily scans go back to both the userId and device counters, purchased scans to the balance.
+ * @param {Object} scanInfo - req.scanInfo from batchScanLimiter ({ userId, fingerprintKey })
+ * @param {Object} refund - { daily, purchased } scan counts to return
+ */
+export async function refundBatchScans({ userId, fingerprintKey }, { daily = 0, purchased = 0 }) {
+    if (daily > 0) {
+        await decrementScanSimple(userId, daily);
+        const fpCount = await kv.decrby(fingerprintKey, daily);
+        if (fpCount < 0) await kv.set(fingerprintKey, 0, 'EX', 172800);
+    }
+    await refundPurchasedScans(userId, purchased);
+}
+
 function getResetTime() {
     // Returns midnight EST as UTC ISO string
     return getMidnightResetTimeEST();
@@ -2,7 +2,7 @@
  * Streak Store - Daily Fit Streak System
  * 
  * Tracks consecutive days of fit scanning per user/device.
- * Uses Redis with in-memory fallback for resilience.
+ * Uses the KV store (Redis, or the local fallback) for resilience.
  * 
  * Visual Progression:
  * - Day 1-2:    🔥 (small flame)
@@ -12,16 +12,13 @@
  * - Day 30+:    🏆 LEGENDARY
  */
 
-import { redis, isRedisAvailable } from '../services/redisClient.js';
+import { kv } from '../services/kvStore.js';
 
 // Constants
 const STREAK_PREFIX = 'fitrate:streak:';
 const STREAK_TTL = 60 * 60 * 24 * 60; // 60 days (keep history)
 const GRACE_HOUR = 3; // Scans before 3 AM count as previous day
 
-// In-memory fallback for local dev
-const streakStoreFallback = new Map();
-
 /**
  * Get the streak date key, accounting for grace period
  * Scans before 3 AM count as previous day
@@ -83,22 +80,16 @@ export async function getStreakData(userId) {
     const redisKey = `${STREAK_PREFIX}${userId}`;
 
     try {
-        if (isRedisAvailable()) {
-            const data = await redis.hgetall(redisKey);
-            if (!data || Object.keys(data).length === 0) {
-                return { currentStreak: 0, lastScanDate: null, maxStreak: 0, totalScans: 0 };
-            }
-            return {
-                currentStreak: parseInt(data.currentStreak) || 0,
-                lastScanDate: data.lastScanDate || null,
-                maxStreak: parseInt(data.maxStreak) || 0,
-                totalScans: parseInt(data.totalScans) || 0
-            };
-        } else {
-            // In-memory fallback
-            const data = streakStoreFallback.get(userId);
-            return data || { currentStreak: 0, lastScanDate: null, maxStreak: 0, totalScans: 0 };
+        const data = await kv.hgetall(redisKey);
+        if (!data || Object.keys(data).length === 0) {
+            return { currentStreak: 0, lastScanDate: null, maxStreak: 0, totalScans: 0 };
         }
+        return {
+            currentStreak: parseInt(data.currentStreak) || 0,
+            lastScanDate: data.lastScanDate || null,
+            maxStreak: parseInt(data.maxStreak) || 0,
+            totalScans: parseInt(data.totalScans) || 0
+        };
     } catch (error) {
         console.error(`[STREAK] Error getting streak for ${userId.slice(0, 12)}:`, error);
         return { currentStreak: 0, lastScanDate: null, maxStreak: 0, totalScans: 0 };
@@ -167,20 +158,15 @@ export async function recordScan(userId) {
 
     // Save to storage
     try {
-        if (isRedisAvailable()) {
-            const redisKey = `${STREAK_PREFIX}${userId}`;
-            await redis.hset(redisKey, {
-                currentStreak: newStreak.toString(),
-                lastScanDate: todayKey,
-                maxStreak: newMaxStreak.toString(),
-                totalScans: newTotalScans.toString()
-            });
-            await redis.expire(redisKey, STREAK_TTL);
-            console.log(`[STREAK] ${userId.slice(0, 12)} now at ${newStreak} days (Redis)`);
-        } else {
-            streakStoreFallback.set(userId, newData);
-            console.log(`[STREAK] ${userId.slice(0, 12)} now at ${newStreak} days (in-memory)`);
-        }
+        const redisKey = `${STREAK_PREFIX}${userId}`;
+        await kv.hset(redisKey, {
+            currentStreak: newStreak.toString(),
+            lastScanDate: todayKey,
+            maxStreak: newMaxStreak.toString(),
+            totalScans: newTotalScans.toString()
+        });
+        await kv.expire(redisKey, STREAK_TTL);
+        console.log(`[STREAK] ${userId.slice(0, 12)} now at ${newStreak} days`);
     } catch (error) {
         console.error(`[STREAK] Error saving streak for ${userId.slice(0, 12)}:`, error);
     }
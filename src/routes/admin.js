@@ -1,6 +1,10 @@
 import express from 'express';
-import { redis, isRedisAvailable } from '../services/redisClient.js';
+import { kv, scanKeys, getStorageBackend } from '../services/kvStore.js';
 import { ensureCurrentEvent, getWeekId } from '../services/eventService.js';
+import { seedGhost, getGhostPoolStats } from '../services/arenaService.js';
+import { getPendingFlags, reviewFlag, addReferenceImage, getIntegrityStats, isValidFlagId, REVIEW_DECISIONS } from '../services/integrityService.js';
+import { getImageHash } from '../services/imageHasher.js';
+import { validateAndSanitizeImage } from '../utils/imageValidator.js';
 
 const router = express.Router();
 
@@ -15,17 +19,15 @@ router.post('/reset-event', async (req, res) => {
     }
 
     try {
-        // Try to get current state (may fail if Redis not ready)
+        // Try to get current state (may fail if the store is unreachable)
         let currentEvent = null;
         try {
-            if (redis) {
-                const currentEventJson = await redis.get('fitrate:event:current');
-                currentEvent = currentEventJson ? JSON.parse(currentEventJson) : null;
-                // Delete the current event key
-                await redis.del('fitrate:event:current');
-            }
-        } catch (redisErr) {
-            console.warn('Redis get/del failed, continuing anyway:', redisErr.message);
+            const currentEventJson = await kv.get('fitrate:event:current');
+            currentEvent = currentEventJson ? JSON.parse(currentEventJson) : null;
+            // Delete the current event key
+            await kv.del('fitrate:event:current');
+        } catch (storeErr) {
+            console.warn('KV get/del failed, continuing anyway:', storeErr.message);
         }
 
         // Force regeneration of event (this has its own Redis handling)
@@ -57,48 +59,164 @@ router.post('/reset-tracking', async (req, res) => {
     }
 
     try {
-        if (isRedisAvailable()) {
-            // Clear Redis keys
-            const patterns = [
-                'fitrate:scans:*',
-                'fitrate:invalid:*',
-                'fitrate:banned:*',
-                'fitrate:suspicious:*',
-                'fitrate:fp:users:*'
-            ];
-
-            for (const pattern of patterns) {
-                const keys = await redis.keys(pattern);
-                if (keys.length > 0) {
-                    await redis.del(...keys);
-                }
-            }
-
-            return res.json({
-                success: true,
-                message: 'Redis tracking data cleared',
-                cleared: 'All scan counts, invalid attempts, and blocks reset'
-            });
-        } else {
-            // Clear in-memory stores (import them dynamically)
-            const { scanStoreFallback } = await import('../middleware/scanLimiter.js');
-            const { fingerprintStore } = await import('../utils/fingerprint.js');
-
-            scanStoreFallback.clear();
-            if (fingerprintStore) fingerprintStore.clear();
-
-            return res.json({
-                success: true,
-                message: 'In-memory tracking data cleared',
-                cleared: 'All scan counts, invalid attempts, and blocks reset'
-            });
+        // Walk with SCAN, not KEYS - a KEYS over the whole keyspace would stall live scans
+        const patterns = [
+            'fitrate:scans:*',
+            'fitrate:invalid:*',
+            'fitrate:banned:*',
+            'fitrate:suspicious:*',
+            'fitrate:fp:users:*'
+        ];
+
+        let deleted = 0;
+        for (const pattern of patterns) {
+            deleted += await scanKeys(pattern, keys => kv.del(...keys));
         }
+
+        return res.json({
+            success: true,
+            message: `Tracking data cleared (${getStorageBackend()})`,
+            cleared: 'All scan counts, invalid attempts, and blocks reset',
+            deleted
+        });
     } catch (error) {
         console.error('Reset tracking error:', error);
         return res.status(500).json({ error: 'Failed to reset tracking' });
     }
 });
 
-// REMOVED: Ghost pool management (game modes removed)
+// ADMIN: Seed the arena ghost pool (scripts/seed-ghost-pool.js)
+// URL: /api/admin/ghost-pool/seed?key=YOUR_ADMIN_KEY
+// Body: { score, thumb (image data URL), displayName, mode }
+router.post('/ghost-pool/seed', async (req, res) => {
+    const { key } = req.query;
+
+    // Require admin key
+    if (!key || key !== process.env.ADMIN_KEY) {
+        return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const { score, thumb, displayName, mode } = req.body || {};
+        const outcome = await seedGhost({ score, thumb, displayName, mode });
+        if (!outcome.success) {
+            return res.status(outcome.error === 'pool_full' ? 409 : 400).json({
+                success: false,
+                error: outcome.message,
+                code: outcome.error.toUpperCase()
+            });
+        }
+
+        const { thumb: _thumb, ...ghost } = outcome.ghost;
+        return res.json({
+            success: true,
+            ghost,
+            poolStats: await getGhostPoolStats()
+        });
+    } catch (error) {
+        console.error('Ghost pool seed error:', error);
+        return res.status(500).json({ error: 'Failed to seed ghost pool', details: error.message });
+    }
+});
+
+// ADMIN: Ghost pool size
+// URL: /api/admin/ghost-pool/stats?key=YOUR_ADMIN_KEY
+router.get('/ghost-pool/stats', async (req, res) => {
+    const { key } = req.query;
+
+    // Require admin key
+    if (!key || key !== process.env.ADMIN_KEY) {
+        return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        return res.json({ success: true, ...(await getGhostPoolStats()) });
+    } catch (error) {
+        console.error('Ghost pool stats error:', error);
+        return res.status(500).json({ error: 'Failed to get ghost pool stats' });
+    }
+});
+
+// ADMIN: Competition entries held for integrity review (stolen / recycled photos)
+// URL: /api/admin/integrity/flags?key=YOUR_ADMIN_KEY
+router.get('/integrity/flags', async (req, res) => {
+    const { key } = req.query;
+
+    // Require admin key
+    if (!key || key !== process.env.ADMIN_KEY) {
+        return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        return res.json({
+            success: true,
+            flags: await getPendingFlags(),
+            ...(await getIntegrityStats())
+        });
+    } catch (error) {
+        console.error('Integrity flags error:', error);
+        return res.status(500).json({ error: 'Failed to get integrity flags' });
+    }
+});
+
+// ADMIN: Approve (back on the leaderboard) or reject a held entry
+// URL: /api/admin/integrity/flags/:flagId/review?key=YOUR_ADMIN_KEY
+// Body: { decision: 'approve' | 'reject' }
+router.post('/integrity/flags/:flagId/review', async (req, res) => {
+    const { key } = req.query;
+
+    // Require admin key
+    if (!key || key !== process.env.ADMIN_KEY) {
+        return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    const { flagId } = req.params;
+    const { decision } = req.body || {};
+    if (!isValidFlagId(flagId) || !REVIEW_DECISIONS.includes(decision)) {
+        return res.status(400).json({ success: false, error: `Valid flagId and decision (${REVIEW_DECISIONS.join(' | ')}) required` });
+    }
+
+    try {
+        const outcome = await reviewFlag(flagId, decision);
+        if (!outcome.success) {
+            const status = { not_found: 404, already_reviewed: 409 }[outcome.error] || 503;
+            return res.status(status).json({ success: false, error: outcome.message, code: outcome.error.toUpperCase() });
+        }
+        return res.json({ success: true, flag: outcome.flag });
+    } catch (error) {
+        console.error('Integrity review error:', error);
+        return res.status(500).json({ error: 'Failed to review flag', details: error.message });
+    }
+});
+
+// ADMIN: Add a photo to the integrity reference set (celebrity, stock, viral outfits)
+// URL: /api/admin/integrity/reference?key=YOUR_ADMIN_KEY
+// Body: { image (data URL), label }
+router.post('/integrity/reference', async (req, res) => {
+    const { key } = req.query;
+
+    // Require admin key
+    if (!key || key !== process.env.ADMIN_KEY) {
+        return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const { image, label } = req.body || {};
+        // Hash the sanitized image - the same pipeline scans are hashed after
+        const validation = typeof image === 'string' ? await validateAndSanitizeImage(image) : { valid: false, error: 'Image required' };
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, error: validation.error });
+        }
+
+        const outcome = await addReferenceImage(await getImageHash(validation.sanitizedImage), label);
+        if (!outcome.success) {
+            return res.status(outcome.error === 'invalid_image' ? 400 : 503).json({ success: false, error: outcome.message, code: outcome.error.toUpperCase() });
+        }
+        return res.json({ success: true, reference: outcome.reference, ...(await getIntegrityStats()) });
+    } catch (error) {
+        console.error('Integrity reference error:', error);
+        return res.status(500).json({ error: 'Failed to add reference image', details: error.message });
+    }
+});
 
 export default router;
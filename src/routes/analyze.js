@@ -1,13 +1,13 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import multer from 'multer';
-import { analyzeWithGemini } from '../services/geminiAnalyzer.js';
-import { analyzeOutfit as analyzeWithOpenAI } from '../services/outfitAnalyzer.js';
-import { scanLimiter, incrementScanSimple, decrementScanSimple, getScanCount, getScanCountSecure, incrementScanCount, LIMITS, getProStatus, trackInvalidAttempt, isBlockedForInvalidAttempts } from '../middleware/scanLimiter.js';
+import { selectProvider, analyzeWithFallback } from '../services/analyzerRegistry.js';
+import { scanLimiter, batchScanLimiter, incrementScanSimple, decrementScanSimple, getScanCount, getScanCountSecure, incrementScanCount, LIMITS, getProStatus, trackInvalidAttempt, isBlockedForInvalidAttempts, isInvalidImageCode, refundBatchScans } from '../middleware/scanLimiter.js';
 import { getReferralStats, consumeProRoast, hasProRoast, consumePurchasedScan, getPurchasedScans } from '../middleware/referralStore.js';
 import { getImageHash, getCachedResult, cacheResult } from '../services/imageHasher.js';
-import { redis, isRedisAvailable } from '../services/redisClient.js';
-import { validateAndSanitizeImage, quickImageCheck } from '../utils/imageValidator.js';
+import { kv } from '../services/kvStore.js';
+import { validateAndSanitizeImage, quickImageCheck, checkPhotoQuality, createThumbnail } from '../utils/imageValidator.js';
+import { extractPalette } from '../utils/colorPalette.js';
 import { ERROR_MESSAGES, MODE_CONFIGS, PRO_MODES } from '../config/systemPrompt.js';
 import { EntitlementService } from '../services/entitlements.js';
 import { getActiveEvent, recordEventScore, canFreeUserSubmit, canProUserSubmit } from '../services/eventService.js';
@@ -16,6 +16,10 @@ import { recordScan, getStreakDisplay, getMilestoneInfo } from '../middleware/st
 import { recordScore as recordLeaderboardScore, recordDailyChallengeScore } from './leaderboard.js';
 import { hasEnteredToday as hasEnteredDailyChallenge } from '../services/dailyChallengeService.js';
 import { generateCardDNA } from '../services/cardDNA.js';
+import { createJob, getJob, updateJobStage, completeJob, expireStaleJob, startJobHeartbeat } from '../services/analysisJobs.js';
+import { assignPromptVariant, recordVariantOutcome, recordVariantFeedback } from '../services/promptExperiments.js';
+import { recordResult } from '../services/resultStore.js';
+import { prepareShowSubmission, releaseShowSubmission, recordShowEntry } from '../services/showService.js';
 
 const router = express.Router();
 
@@ -37,6 +41,27 @@ const proRoastLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Job polling limiter - clients poll ~1/s while a job runs
+const jobPollLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120,
+  message: { success: false, error: 'Too many requests' },
+});
+
+// Batch analysis - several outfits per request, each one is a full AI call
+const BATCH_MIN_IMAGES = 2;
+const BATCH_MAX_IMAGES = 6;
+const BATCH_CONCURRENCY = 2;            // AI calls in flight per batch (provider QPS + sharp memory)
+const BATCH_TIMEOUT_MS = 90 * 1000;     // Overrides the 30s server timeout for this route
+
+const batchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 3, // 3 batches (up to 18 AI calls) per minute per IP
+  message: { success: false, error: 'Too many batch requests. Please wait a moment.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Stricter rate limiter for status checks (prevent enumeration)
 const statusLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -96,11 +121,12 @@ router.post('/feedback', async (req, res) => {
     ts: Date.now()
   };
 
-  if (isRedisAvailable()) {
-    await redis.lpush('fitrate:feedback:ratings', JSON.stringify(feedback));
-    // Keep last 1000 ratings
-    await redis.ltrim('fitrate:feedback:ratings', 0, 999);
-  }
+  // PROMPT A/B: Attribute the rating to the prompt variant that produced the result
+  feedback.variantId = await recordVariantFeedback(feedback.resultId, feedback.rating);
+
+  await kv.lpush('fitrate:feedback:ratings', JSON.stringify(feedback));
+  // Keep last 1000 ratings
+  await kv.ltrim('fitrate:feedback:ratings', 0, 999);
 
   console.log(`📝 Feedback received: ${feedback.rating}/5 for ${feedback.resultId.slice(0, 20)}`);
   res.json({ success: true, message: 'Thanks for the feedback!' });
@@ -134,10 +160,66 @@ router.post('/consume', scanLimiter, async (req, res) => {
   });
 });
 
-// Main analyze endpoint with rate limiting
-// Accept both JSON (legacy base64) and multipart FormData (optimized blob upload)
-router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
+/**
+ * Response channel for the analyze handler
+ * JSON mode: send() writes the normal response, progress() is a no-op
+ * Job mode: progress() updates the job stage, send() stores the final payload on the job
+ * SSE mode: progress() streams named events, send() emits the final event and closes
+ *   - `result` carries exactly the JSON body POST /api/analyze returns
+ *   - `error` carries the same body plus the HTTP status it would have used
+ */
+function createResponder(res, { stream = false, jobId = null } = {}) {
+  if (jobId) {
+    // Serialize job writes so a late stage update can't overwrite the final result
+    let writes = Promise.resolve();
+    const enqueue = (write) => {
+      writes = writes.then(write).catch(e => console.warn(`[JOB] ${jobId} update failed: ${e.message}`));
+      return writes;
+    };
+    return {
+      progress: (event) => { enqueue(() => updateJobStage(jobId, event)); },
+      send: (status, body) => enqueue(() => completeJob(jobId, status, body))
+    };
+  }
+
+  if (!stream) {
+    return {
+      progress: () => { },
+      send: (status, body) => res.status(status).json(body)
+    };
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'  // Disable proxy buffering (nginx/Railway)
+  });
+  res.flushHeaders();
+
+  // Client may disconnect mid-analysis - keep processing (scan is counted), just stop writing
+  const write = (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    progress: (event, data = {}) => write(event, { ...data, ts: Date.now() }),
+    send: (status, body) => {
+      if (status >= 400) {
+        write('error', { status, ...body });
+      } else {
+        write('result', body);
+      }
+      res.end();
+    }
+  };
+}
+
+// Main analyze handler - shared by the JSON endpoint and the SSE streaming variant
+async function handleAnalyze(req, res, { stream = false, jobId = null } = {}) {
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const reply = createResponder(res, { stream, jobId });
 
   try {
     console.log(`[${requestId}] POST /api/analyze - IP: ${req.ip || 'unknown'}`);
@@ -154,20 +236,18 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       image = req.body.image;
     }
 
-    const { roastMode, mode: modeParam, occasion, eventMode, imageThumb, dailyChallenge, arenaMode } = req.body;
+    // Leaderboard thumbnails are built from the sanitized image below - a client-sent imageThumb is ignored
+    const { roastMode, mode: modeParam, occasion, eventMode, dailyChallenge, arenaMode, mockScenario } = req.body;
+    // FASHION SHOW: walk already checked by showGate - the show's vibe decides the mode
+    const showSubmission = req.showSubmission || null;
     // Support both new mode string and legacy roastMode boolean
-    const mode = modeParam || (roastMode ? 'roast' : 'nice');
-
-    // Debug: trace thumbnail in event mode
-    if (eventMode) {
-      console.log(`[${requestId}] Event mode submission - imageThumb: ${imageThumb ? `${Math.round(imageThumb.length / 1024)}KB` : 'NOT PROVIDED'}`);
-    }
+    const mode = showSubmission?.show.mode || modeParam || (roastMode ? 'roast' : 'nice');
 
     // SECURITY: Validate mode exists
     const modeConfig = MODE_CONFIGS[mode];
     if (!modeConfig) {
       console.log(`[${requestId}] Error: Invalid mode - ${mode}`);
-      return res.status(400).json({
+      return reply.send(400, {
         success: false,
         error: 'Invalid mode. Use: nice, roast, honest, or savage.'
       });
@@ -180,10 +260,11 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
     // Check if user is trying to access a Pro-only mode
     // EXCEPTION: Daily Challenge, Weekly Event, and Arena Battles are FREE for everyone, 
     // even when the rotating mode is a Pro-only mode!
-    const isFreeChallenge = dailyChallenge || eventMode || arenaMode;
+    // Fashion Shows too - a Pro vibe needed a Pro host to create the show
+    const isFreeChallenge = dailyChallenge || eventMode || arenaMode || showSubmission;
     if (PRO_MODES.includes(mode) && !isPro && !isFreeChallenge) {
       console.log(`[${requestId}] Error: Pro-only mode "${mode}" requested by free user`);
-      return res.status(403).json({
+      return reply.send(403, {
         success: false,
         error: 'This mode requires Pro subscription',
         code: 'PRO_MODE_REQUIRED',
@@ -197,7 +278,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       const userId = req.scanInfo?.userId || req.body.userId;
       if (!userId) {
         console.log(`[${requestId}] Error: Daily challenge requires userId`);
-        return res.status(400).json({
+        return reply.send(400, {
           success: false,
           error: 'User ID required for daily challenge',
           code: 'DAILY_CHALLENGE_USER_REQUIRED'
@@ -208,7 +289,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       const alreadyEntered = await hasEnteredDailyChallenge(userId);
       if (alreadyEntered) {
         console.log(`[${requestId}] User ${userId.slice(0, 12)}... already entered daily challenge today`);
-        return res.json({
+        return reply.send(200, {
           success: false,
           error: "You've already entered today's challenge. Come back tomorrow!",
           code: 'DAILY_CHALLENGE_ALREADY_ENTERED',
@@ -220,7 +301,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       const validDailyChallengeModes = ['nice', 'roast', 'honest', 'chaos', 'coquette', 'hypebeast'];
       if (!validDailyChallengeModes.includes(mode)) {
         console.log(`[${requestId}] Daily challenge invalid mode: ${mode}`);
-        return res.status(400).json({
+        return reply.send(400, {
           success: false,
           error: 'Invalid mode for daily challenge',
           code: 'DAILY_CHALLENGE_MODE_INVALID'
@@ -230,7 +311,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
 
     if (!image) {
       console.log(`[${requestId}] Error: No image provided`);
-      return res.status(400).json({
+      return reply.send(400, {
         success: false,
         error: 'No image provided'
       });
@@ -240,7 +321,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
     const isBlocked = await isBlockedForInvalidAttempts(req);
     if (isBlocked) {
       console.warn(`[${requestId}] BLOCKED: Too many invalid image attempts`);
-      return res.status(429).json({
+      return reply.send(429, {
         success: false,
         error: 'Too many failed attempts. Please wait an hour and try again with a valid outfit photo.',
         code: 'INVALID_SPAM_BLOCKED'
@@ -250,9 +331,9 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
     // SECURITY: Quick check before expensive validation
     if (!quickImageCheck(image)) {
       console.log(`[${requestId}] Error: Quick image check failed`);
-      return res.status(400).json({
+      return reply.send(400, {
         success: false,
-        error: 'Invalid image. Please use JPEG, PNG, or WebP under 10MB.'
+        error: 'Invalid image. Please use JPEG, PNG, WebP, HEIC or AVIF under 10MB.'
       });
     }
 
@@ -260,7 +341,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
     const validation = await validateAndSanitizeImage(image);
     if (!validation.valid) {
       console.log(`[${requestId}] Error: Image validation failed - ${validation.error}`);
-      return res.status(400).json({
+      return reply.send(400, {
         success: false,
         error: validation.error
       });
@@ -269,13 +350,41 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
     // Use sanitized image (EXIF stripped, validated)
     const sanitizedImage = validation.sanitizedImage;
     console.log(`[${requestId}] Image validated: ${validation.width}x${validation.height} (${validation.originalType})`);
+    reply.progress('validated', { width: validation.width, height: validation.height, type: validation.originalType });
 
-    // Image hash for caching (prevents duplicate API calls)
+    // QUALITY GATE: dark / blurry / flat photos come back INVALID_OUTFIT anyway - reject before
+    // spending an AI call. Not the user's fault: the scan is refunded and it's not an invalid attempt.
+    const quality = await checkPhotoQuality(sanitizedImage);
+    if (!quality.ok) {
+      console.log(`[${requestId}] 📷 Photo quality gate: ${quality.code}`, quality.metrics);
+      if (req.scanInfo?.scanIncremented) {
+        await decrementScanSimple(req.scanInfo.userId);
+        console.log(`[${requestId}] 🔄 Scan decremented (photo quality gate)`);
+      }
+      const { limit, isPro } = req.scanInfo;
+      const currentCount = Math.max(0, req.scanInfo.currentCount - (req.scanInfo.scanIncremented ? 1 : 0));
+      return reply.send(400, {
+        success: false,
+        error: quality.error,
+        code: quality.code,
+        quality: quality.metrics,
+        scanInfo: {
+          scansUsed: currentCount,
+          scansLimit: limit,
+          scansRemaining: Math.max(0, limit - currentCount),
+          isPro,
+          scanNotCounted: true
+        }
+      });
+    }
+
+    // Perceptual hash for caching (near-duplicates of a cached photo skip the API call too)
     const imageHash = await getImageHash(sanitizedImage);
-    const cacheKey = `${imageHash}:${mode}:${occasion || 'none'}`;
+    const cacheVariant = `${mode}:${occasion || 'none'}`;
 
-    // Check cache first
-    const cachedResult = await getCachedResult(cacheKey);
+    // Check cache first (never for show walks - every walk is scored in the show's context)
+    const cachedResult = showSubmission ? null : await getCachedResult(imageHash, cacheVariant);
+    reply.progress('cache', { hit: !!cachedResult });
     if (cachedResult) {
       console.log(`[${requestId}] Cache hit - returning cached result`);
 
@@ -283,6 +392,9 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       // Just use the current count from scanInfo
       if (cachedResult.success) {
         const { limit, isPro, currentCount } = req.scanInfo;
+        // Fresh resultId so this scan can be referenced (feedback, challenges) like a new one
+        cachedResult.resultId = requestId;
+        await recordResult(requestId, { scores: cachedResult.scores, mode, userId: req.scanInfo.userId, cardDNA: cachedResult.cardDNA, imageHash });
         cachedResult.scanInfo = {
           scansUsed: currentCount,
           scansLimit: limit,
@@ -305,7 +417,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
           cached: true
         };
       }
-      return res.json(cachedResult);
+      return reply.send(200, cachedResult);
     }
 
     // Gather security context for AI gatekeeper
@@ -319,15 +431,18 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       suspiciousFlag: false // Backend middleware already handles this, but AI acts as backup
     };
 
-    // TEMPORARY: All scans use Gemini (free tier) - Pro/GPT-4o will be configured later
-    // TODO: Re-enable Pro routing when ready:
-    // const purchasedScans = req.scanInfo?.userId ? await getPurchasedScans(req.scanInfo.userId) : 0;
-    // const isProTier = isPro || purchasedScans > 0;
-    // const useOpenAI = isProTier;
-    const useOpenAI = false; // Force Gemini for all scans
-    const analyzer = useOpenAI ? analyzeWithOpenAI : analyzeWithGemini;
-    const serviceName = 'Gemini Flash';
-    console.log(`[${requestId}] Using ${serviceName} [FREE]`);
+    // PROVIDER ROUTING: MODEL_ROUTING rules pick the provider (tier, mode, purchased scans, rollout %)
+    const { provider, ruleId } = selectProvider({
+      tier: isPro ? 'pro' : 'free',
+      mode,
+      hasPurchasedScans: (req.scanInfo.purchasedScansRemaining || 0) > 0,
+      userId: req.scanInfo.userId
+    });
+    console.log(`[${requestId}] Using ${provider.label} [${provider.tier.toUpperCase()}] (rule: ${ruleId})`);
+    reply.progress('provider', { provider: provider.id, label: provider.label, rule: ruleId });
+
+    // PROMPT A/B: Sticky weighted variant per user (PROMPT_VARIANTS in systemPrompt.js)
+    const promptVariant = assignPromptVariant(req.scanInfo.userId);
 
     // Fetch event context if user opted into event mode
     let eventContext = null;
@@ -380,15 +495,25 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       console.log(`[${requestId}] Daily Challenge context: mode=${mode}`);
     }
 
-    let result = await analyzer(sanitizedImage, {
+    // Dominant colors are local + deterministic - extract them while the AI call runs
+    const palettePromise = extractPalette(sanitizedImage);
+
+    let result = await analyzeWithFallback(provider, sanitizedImage, {
       mode: mode,
       roastMode: mode === 'roast',
       occasion: occasion || null,
       securityContext,
       eventContext,
-      dailyChallengeContext
+      dailyChallengeContext,
+      showContext: showSubmission?.showContext || null,
+      mockScenario: mockScenario || null,  // Only read by the mock provider (ignored in production)
+      onProgress: reply.progress,  // Model attempts + fallbacks (SSE only)
+      promptVariant
     });
 
+    // PROMPT A/B: Scan/invalid/error counters per variant + resultId → variant for feedback
+    await recordVariantOutcome(requestId, result.promptVariant, { success: result.success, code: result.code });
+
     // SECURITY: Validate AI response structure
     if (result.success && result.scores) {
       // Ensure scores are within expected ranges
@@ -417,16 +542,18 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       const { sanitized, hadViolations, logEntry } = sanitizeAIResponse(result);
       if (hadViolations) {
         console.warn(`[${requestId}] SECURITY: AI output sanitized for banned content`, logEntry);
-        // Log to Redis for monitoring (silently)
-        if (isRedisAvailable()) {
-          await redis.lpush('fitrate:security:sanitized', JSON.stringify({
-            requestId,
-            ...logEntry
-          }));
-          await redis.ltrim('fitrate:security:sanitized', 0, 999); // Keep last 1000
-        }
+        // Log to the KV store for monitoring (silently)
+        await kv.lpush('fitrate:security:sanitized', JSON.stringify({
+          requestId,
+          ...logEntry
+        }));
+        await kv.ltrim('fitrate:security:sanitized', 0, 999); // Keep last 1000
       }
       result = sanitized;
+      // 🎨 PALETTE: Which colors the `color` subscore is about (cached with the result)
+      const palette = await palettePromise;
+      if (palette) result.scores.palette = palette;
+      reply.progress('scores', { scores: result.scores });
     }
 
     // Only cache on successful analysis (scan already counted in middleware)
@@ -447,9 +574,11 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       }
 
       // Cache the result for future duplicate requests
-      await cacheResult(cacheKey, result);
+      if (!showSubmission) {
+        await cacheResult(imageHash, cacheVariant, result);
+      }
 
-      // Add result ID for feedback
+      // Add result ID for feedback, sharing and challenges (persisted below, once cardDNA is final)
       result.resultId = requestId;
 
       // 🎨 CARD DNA: Generate unique visual DNA for this results card
@@ -465,7 +594,8 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
           mode: mode,
           score: result.scores.overall,
           timestamp: dnaTimestamp,
-          streak: currentStreak
+          streak: currentStreak,
+          palette: result.scores.palette
         });
         result.cardDNA = cardDNA;
         console.log(`[${requestId}] 🎨 Card DNA: ${cardDNA.signature} (${cardDNA.timeContext.period}/${cardDNA.streakContext.tier})`);
@@ -484,6 +614,11 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
         usedPurchasedScan
       };
 
+      // Leaderboard thumbnail of the photo that was actually scored (event + daily challenge top 5)
+      const imageThumb = (eventContext || dailyChallenge) && result.scores?.overall
+        ? await createThumbnail(sanitizedImage)
+        : null;
+
       // Record score for event leaderboard if in event mode
       if (eventContext && result.scores?.overall) {
         // SECURITY: Check freeze window (last 5 min of week)
@@ -498,10 +633,12 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
               result.scores.overall,
               result.scores.themeCompliant ?? true,
               isPro,
-              imageThumb  // Pass thumbnail for top-5 storage
+              imageThumb,  // Server-generated thumbnail for top-5 storage
+              imageHash    // Same photo can't be entered under another account
             );
             result.eventStatus = eventResult;
             console.log(`[${requestId}] Event score recorded: ${result.scores.overall} (${eventResult.action})`);
+            reply.progress('side_effect', { type: 'event', ...eventResult });
           } catch (e) {
             console.warn(`[${requestId}] Failed to record event score: ${e.message}`);
           }
@@ -534,6 +671,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
             ...display
           };
           console.log(`[${requestId}] 🔥 Streak: ${streakResult.currentStreak} days${streakResult.isMilestone ? ' (MILESTONE!)' : ''}`);
+          reply.progress('side_effect', { type: 'streak', current: streakResult.currentStreak, isMilestone: streakResult.isMilestone });
 
           // 🎨 REGENERATE Card DNA with actual streak value for streak-influenced visuals
           if (streakResult.currentStreak > 0) {
@@ -543,7 +681,8 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
                 mode: mode,
                 score: result.scores.overall,
                 timestamp: dnaTimestamp,
-                streak: streakResult.currentStreak
+                streak: streakResult.currentStreak,
+                palette: result.scores.palette
               });
               result.cardDNA = cardDNA;
               console.log(`[${requestId}] 🎨 Card DNA (with streak): ${cardDNA.signature} (${cardDNA.timeContext.period}/${cardDNA.streakContext.tier})`);
@@ -569,6 +708,7 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
               description: leaderboardResult.description
             };
             console.log(`[${requestId}] 🏆 Leaderboard: rank #${leaderboardResult.rank}`);
+            reply.progress('side_effect', { type: 'leaderboard', rank: leaderboardResult.rank });
           }
         }
       } catch (leaderboardError) {
@@ -582,7 +722,8 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
           const userId = req.scanInfo?.userId || req.body.userId;
           const dailyChallengeResult = await recordDailyChallengeScore(userId, result.scores.overall, {
             tagline: result.scores.tagline || null,
-            imageThumb: imageThumb || null
+            imageThumb,
+            imageHash
           });
 
           if (dailyChallengeResult.success) {
@@ -596,6 +737,10 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
               message: dailyChallengeResult.message
             };
             console.log(`[${requestId}] 🎯 Daily Challenge: rank #${dailyChallengeResult.rank}/${dailyChallengeResult.totalParticipants}`);
+            reply.progress('side_effect', { type: 'daily_challenge', rank: dailyChallengeResult.rank, totalParticipants: dailyChallengeResult.totalParticipants });
+          } else if (dailyChallengeResult.error === 'duplicate_image' || dailyChallengeResult.error === 'under_review') {
+            result.dailyChallengeMessage = dailyChallengeResult.message;
+            console.warn(`[${requestId}] 🚫 Daily challenge: ${dailyChallengeResult.error}`);
           } else {
             // This shouldn't happen since we checked already, but handle gracefully
             console.warn(`[${requestId}] Daily challenge recording failed: ${dailyChallengeResult.error}`);
@@ -605,6 +750,29 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
           // Non-blocking - don't fail the scan
         }
       }
+
+      // 🎭 FASHION SHOW: Best walk per participant goes on the live ranking
+      if (showSubmission) {
+        showSubmission.settled = true;  // The reserved walk is used from here on
+        try {
+          const showEntry = await recordShowEntry(showSubmission.show.code, req.scanInfo.userId, {
+            score: result.scores.overall,
+            verdict: result.scores.verdict,
+            groupLine: result.scores.groupLine || null,
+            resultId: requestId
+          });
+          if (showEntry) {
+            result.show = { code: showSubmission.show.code, name: showSubmission.show.name, ...showEntry };
+            reply.progress('side_effect', { type: 'show', rank: showEntry.rank, totalParticipants: showEntry.totalParticipants });
+          }
+        } catch (showError) {
+          console.warn(`[${requestId}] Show entry failed:`, showError.message);
+          // Non-blocking - the scan itself succeeded
+        }
+      }
+
+      // 💾 Persist under resultId - GET /api/results/:resultId, challenges and arena read it from here
+      await recordResult(requestId, { scores: result.scores, mode, userId: req.scanInfo.userId, cardDNA: result.cardDNA, imageHash });
     } else {
       console.log(`[${requestId}] ❌ Analysis failed: ${result.error}`);
 
@@ -630,16 +798,18 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       console.log(`[${requestId}] ℹ️  Scan NOT counted - User still has ${limit - currentCount}/${limit} scans remaining`);
 
       // SECURITY: Track invalid image attempts to prevent spam abuse
-      // This includes non-outfit images (selfies, random objects, etc.)
-      const invalidTrack = await trackInvalidAttempt(req);
-      console.log(`[${requestId}] Invalid attempt #${invalidTrack.count} (blocked: ${invalidTrack.blocked})`);
+      // Only non-outfit images (selfies, random objects, etc.) - provider errors and flagged content don't count
+      if (isInvalidImageCode(result.code)) {
+        const invalidTrack = await trackInvalidAttempt(req);
+        console.log(`[${requestId}] Invalid attempt #${invalidTrack.count} (blocked: ${invalidTrack.blocked})`);
 
-      if (invalidTrack.blocked) {
-        result.error = 'Too many failed attempts. Please wait and try again with a valid outfit photo.';
+        if (invalidTrack.blocked) {
+          result.error = 'Too many failed attempts. Please wait and try again with a valid outfit photo.';
+        }
       }
     }
 
-    return res.json(result);
+    return reply.send(200, result);
   } catch (error) {
     console.error(`[${requestId}] Analyze route error:`, {
       message: error.message,
@@ -652,6 +822,419 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
       console.log(`[${requestId}] 🔄 Scan decremented (rollback for server error)`);
     }
 
+    return reply.send(500, {
+      success: false,
+      error: 'Server error. Please try again.'
+    });
+  } finally {
+    // Walk reserved by showGate but never scored (invalid request, failed analysis, server error)
+    await releaseShowWalk(req);
+  }
+}
+
+// Fashion Show walks (`showCode`): check show/participant and reserve a walk BEFORE a scan is counted
+const SHOW_ERROR_STATUS = { not_found: 404, closed: 410, not_joined: 403, submission_limit: 429 };
+
+// Give back a reserved show walk that didn't get scored (at most once per request)
+async function releaseShowWalk(req) {
+  const submission = req.showSubmission;
+  if (!submission || submission.settled) return;
+  submission.settled = true;
+  try {
+    await releaseShowSubmission(submission.show.code, req.body.userId);
+  } catch (error) {
+    console.warn(`[SHOW] ${submission.show.code} walk release failed: ${error.message}`);
+  }
+}
+
+async function showGate(req, res, next) {
+  const showCode = typeof req.body?.showCode === 'string' ? req.body.showCode.toUpperCase() : null;
+  if (!showCode) return next();
+
+  try {
+    const submission = await prepareShowSubmission(showCode, req.body.userId);
+    if (!submission.success) {
+      return res.status(SHOW_ERROR_STATUS[submission.error] || 400).json({
+        success: false,
+        error: submission.message,
+        code: `SHOW_${submission.error.toUpperCase()}`
+      });
+    }
+    req.showSubmission = submission;
+    // Rejected before the handler ran (scanLimiter, queueing a job) - the walk wasn't used
+    res.once('finish', () => {
+      if (res.statusCode >= 400) releaseShowWalk(req);
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Main analyze endpoint with rate limiting
+// Accept both JSON (legacy base64) and multipart FormData (optimized blob upload)
+// Send `async: true` (or ?async=1) to get a jobId back immediately and poll GET /jobs/:jobId
+router.post('/', upload.single('imageFile'), showGate, scanLimiter, async (req, res) => {
+  const asyncMode = req.body.async === true || req.body.async === 'true' || req.query.async === '1';
+  if (!asyncMode) return handleAnalyze(req, res);
+
+  try {
+    const job = await createJob({
+      userId: req.scanInfo?.userId || null,
+      mode: req.body.mode || (req.body.roastMode ? 'roast' : 'nice'),
+      scanIncremented: !!req.scanInfo?.scanIncremented
+    });
+    console.log(`[JOB] ${job.jobId} queued (mode: ${job.mode})`);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      pollUrl: `/api/analyze/jobs/${job.jobId}`,
+      pollIntervalMs: 1000
+    });
+
+    // Runs after the response - handleAnalyze rolls back the scan on failure like the sync path
+    const stopHeartbeat = startJobHeartbeat(job.jobId);
+    handleAnalyze(req, res, { jobId: job.jobId }).catch(e => {
+      console.error(`[JOB] ${job.jobId} crashed: ${e.message}`);
+    }).finally(stopHeartbeat);
+  } catch (error) {
+    console.error('[JOB] Failed to queue analysis job:', error.message);
+    if (req.scanInfo?.scanIncremented) {
+      await decrementScanSimple(req.scanInfo.userId);
+    }
+    return res.status(500).json({ success: false, error: 'Server error. Please try again.' });
+  }
+});
+
+/**
+ * Run fn over items with at most `limit` calls in flight, preserving order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Upload + validate a batch request BEFORE any quota is reserved
+ * 2-6 files in the `images` field, valid mode, Pro modes gated like POST /
+ */
+function prepareBatch(req, res, next) {
+  upload.array('images', BATCH_MAX_IMAGES)(req, res, async (err) => {
+    if (err) {
+      // multer reports "too many files" as LIMIT_UNEXPECTED_FILE
+      const tooMany = err.code === 'LIMIT_UNEXPECTED_FILE';
+      return res.status(400).json({
+        success: false,
+        error: tooMany ? `Upload ${BATCH_MIN_IMAGES}-${BATCH_MAX_IMAGES} outfits per batch (field: images)` : err.message,
+        code: 'BATCH_INVALID'
+      });
+    }
+
+    const count = req.files?.length || 0;
+    if (count < BATCH_MIN_IMAGES || count > BATCH_MAX_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        error: `Upload ${BATCH_MIN_IMAGES}-${BATCH_MAX_IMAGES} outfits per batch (got ${count})`,
+        code: 'BATCH_INVALID'
+      });
+    }
+
+    const mode = req.body.mode || (req.body.roastMode === 'true' ? 'roast' : 'nice');
+    if (!MODE_CONFIGS[mode]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mode. Use: nice, roast, honest, or savage.'
+      });
+    }
+
+    try {
+      const userId = req.body.userId;
+      const isPro = userId ? await EntitlementService.isPro(userId, null) : false;
+      if (PRO_MODES.includes(mode) && !isPro) {
+        return res.status(403).json({
+          success: false,
+          error: 'This mode requires Pro subscription',
+          code: 'PRO_MODE_REQUIRED',
+          proModes: PRO_MODES
+        });
+      }
+
+      // SECURITY: Same spam block as single scans
+      if (await isBlockedForInvalidAttempts(req)) {
+        return res.status(429).json({
+          success: false,
+          error: 'Too many failed attempts. Please wait an hour and try again with a valid outfit photo.',
+          code: 'INVALID_SPAM_BLOCKED'
+        });
+      }
+
+      req.batch = { mode, isPro };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * Validate + analyze one outfit of a batch
+ * Same pipeline as handleAnalyze (validation, cache, provider, sanitizer) minus
+ * the per-scan side effects - those run once for the whole batch.
+ * Never throws: failures come back as { success: false, error, code }.
+ */
+async function analyzeBatchOutfit(file, index, ctx) {
+  const { batchId, userId, mode, occasion, provider, promptVariant, securityContext, mockScenario } = ctx;
+  const resultId = `${batchId}_${index + 1}`;
+
+  try {
+    const image = `data:${file.mimetype || 'image/jpeg'};base64,${file.buffer.toString('base64')}`;
+
+    if (!quickImageCheck(image)) {
+      return { index, success: false, error: 'Invalid image. Please use JPEG, PNG, WebP, HEIC or AVIF under 10MB.', code: 'INVALID_IMAGE' };
+    }
+
+    const validation = await validateAndSanitizeImage(image);
+    if (!validation.valid) {
+      return { index, success: false, error: validation.error, code: 'INVALID_IMAGE' };
+    }
+    const sanitizedImage = validation.sanitizedImage;
+
+    const quality = await checkPhotoQuality(sanitizedImage);
+    if (!quality.ok) {
+      return { index, success: false, error: quality.error, code: quality.code, quality: quality.metrics };
+    }
+
+    // Same cache as single scans - re-rating a candidate costs no AI call
+    const imageHash = await getImageHash(sanitizedImage);
+    const cacheVariant = `${mode}:${occasion || 'none'}`;
+    const cachedResult = await getCachedResult(imageHash, cacheVariant);
+    if (cachedResult) {
+      const { scanInfo, ...cached } = cachedResult;
+      console.log(`[${batchId}] Outfit ${index + 1}: cache hit`);
+      if (cached.success) await recordResult(resultId, { scores: cached.scores, mode, userId, imageHash });
+      return { ...cached, index, resultId, cached: true };
+    }
+
+    const palettePromise = extractPalette(sanitizedImage);
+    let result = await analyzeWithFallback(provider, sanitizedImage, {
+      mode,
+      roastMode: mode === 'roast',
+      occasion: occasion || null,
+      securityContext,
+      eventContext: null,
+      dailyChallengeContext: null,
+      mockScenario,
+      promptVariant
+    });
+
+    await recordVariantOutcome(resultId, result.promptVariant, { success: result.success, code: result.code });
+
+    if (!result.success) {
+      return { ...result, index };
+    }
+
+    // No jackpot roll here - a random 100 would decide the comparison
+    result.scores.overall = Math.min(100, Math.max(0, result.scores.overall));
+
+    const { sanitized, hadViolations, logEntry } = sanitizeAIResponse(result);
+    if (hadViolations) {
+      console.warn(`[${batchId}] SECURITY: Outfit ${index + 1} AI output sanitized for banned content`, logEntry);
+      await kv.lpush('fitrate:security:sanitized', JSON.stringify({ requestId: resultId, ...logEntry }));
+      await kv.ltrim('fitrate:security:sanitized', 0, 999);
+    }
+    result = sanitized;
+    const palette = await palettePromise;
+    if (palette) result.scores.palette = palette;
+
+    await cacheResult(imageHash, cacheVariant, result);
+    await recordResult(resultId, { scores: result.scores, mode, userId, imageHash });
+    return { ...result, index, resultId, cached: false };
+  } catch (error) {
+    console.error(`[${batchId}] Outfit ${index + 1} failed:`, error.message);
+    return { index, success: false, error: 'Server error. Please try again.', code: 'ANALYSIS_ERROR' };
+  }
+}
+
+/**
+ * Rank successful outfits: overall, then color+fit+style, then upload order
+ * @returns {{ ranking: Array, recommended: Object|null }}
+ */
+function rankBatchOutfits(outfits) {
+  const subtotal = (o) => (o.scores.color || 0) + (o.scores.fit || 0) + (o.scores.style || 0);
+  const rated = outfits
+    .filter(o => o.success && o.scores)
+    .sort((a, b) => (b.scores.overall - a.scores.overall) || (subtotal(b) - subtotal(a)) || (a.index - b.index));
+
+  const ranking = rated.map((o, i) => ({
+    rank: i + 1,
+    index: o.index,
+    resultId: o.resultId,
+    overall: o.scores.overall,
+    verdict: o.scores.verdict || null
+  }));
+
+  if (rated.length === 0) return { ranking, recommended: null };
+
+  const [best, runnerUp] = rated;
+  const margin = runnerUp ? Math.round((best.scores.overall - runnerUp.scores.overall) * 10) / 10 : null;
+  let reason;
+  if (!runnerUp) {
+    reason = `Outfit ${best.index + 1} is the only one we could rate`;
+  } else if (margin === 0) {
+    reason = `Outfit ${best.index + 1} edges out outfit ${runnerUp.index + 1} on color, fit and style`;
+  } else {
+    reason = `Outfit ${best.index + 1} wins by ${margin} point${margin === 1 ? '' : 's'}`;
+  }
+
+  return {
+    ranking,
+    recommended: {
+      index: best.index,
+      resultId: best.resultId,
+      overall: best.scores.overall,
+      margin,
+      reason,
+      tip: best.scores.tip || null
+    }
+  };
+}
+
+// Batch analysis: rate 2-6 candidate outfits in one multipart request
+// Fields: images (files), userId, mode, occasion
+// Quota for the whole batch is reserved up front (batchScanLimiter), failed outfits are refunded
+router.post('/batch', batchLimiter, prepareBatch, batchScanLimiter, async (req, res) => {
+  const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const { userId, limit, isPro, reservedDaily, reservedPurchased, purchasedScansRemaining } = req.scanInfo;
+  const { mode } = req.batch;
+  const { occasion, mockScenario } = req.body;
+  res.setTimeout(BATCH_TIMEOUT_MS);
+
+  let refunded = false;
+  const refundAll = async () => {
+    if (refunded) return;
+    refunded = true;
+    await refundBatchScans(req.scanInfo, { daily: reservedDaily, purchased: reservedPurchased });
+  };
+
+  try {
+    console.log(`[${batchId}] POST /api/analyze/batch - ${req.files.length} outfits, mode: ${mode}`);
+
+    const stats = await getReferralStats(userId);
+    const { provider, ruleId } = selectProvider({
+      tier: req.batch.isPro ? 'pro' : 'free',
+      mode,
+      hasPurchasedScans: purchasedScansRemaining + reservedPurchased > 0,
+      userId
+    });
+    console.log(`[${batchId}] Using ${provider.label} [${provider.tier.toUpperCase()}] (rule: ${ruleId})`);
+    const promptVariant = assignPromptVariant(userId);
+
+    const outfits = await mapWithConcurrency(req.files, BATCH_CONCURRENCY, (file, index) => analyzeBatchOutfit(file, index, {
+      batchId,
+      userId,
+      mode,
+      occasion,
+      provider,
+      promptVariant,
+      securityContext: {
+        userId,
+        scansUsed: req.scanInfo.currentCount || 0,
+        dailyLimit: limit,
+        referralExtrasEarned: (stats.totalReferrals || 0) * 2,
+        authTokenValid: true,
+        suspiciousFlag: false
+      },
+      mockScenario: mockScenario || null
+    }));
+
+    // SETTLE QUOTA: successes spend daily scans first, then purchased; failures are refunded
+    const successes = outfits.filter(o => o.success).length;
+    const dailyUsed = Math.min(successes, reservedDaily);
+    const purchasedUsed = Math.min(successes - dailyUsed, reservedPurchased);
+    const purchasedRefund = reservedPurchased - purchasedUsed;
+    refunded = true;
+    if (reservedDaily - dailyUsed > 0 || purchasedRefund > 0) {
+      await refundBatchScans(req.scanInfo, { daily: reservedDaily - dailyUsed, purchased: purchasedRefund });
+      console.log(`[${batchId}] 🔄 ${reservedDaily - dailyUsed} daily + ${purchasedRefund} purchased scan(s) refunded (failed outfits)`);
+    }
+
+    // SECURITY: Only unusable uploads count towards the invalid-image spam block
+    // (photo quality rejections, provider errors and outages don't)
+    const invalidOutfits = outfits.filter(o => !o.success && isInvalidImageCode(o.code)).length;
+    for (let i = 0; i < invalidOutfits; i++) {
+      await trackInvalidAttempt(req);
+    }
+
+    const scansUsed = Math.max(0, req.scanInfo.currentCount - (reservedDaily - dailyUsed));
+    const scanInfo = {
+      scansUsed,
+      scansLimit: limit,
+      scansRemaining: Math.max(0, limit - scansUsed),
+      isPro,
+      scansCharged: successes,
+      scansRefunded: outfits.length - successes,
+      purchasedScansRemaining: purchasedScansRemaining + purchasedRefund,
+      usedPurchasedScans: purchasedUsed
+    };
+
+    if (successes === 0) {
+      console.log(`[${batchId}] ❌ No outfit could be rated - full batch refunded`);
+      return res.json({
+        success: false,
+        batchId,
+        error: "We couldn't rate any of these outfits. Try clearer full-body photos!",
+        code: 'BATCH_ALL_FAILED',
+        outfits,
+        scanInfo: { ...scanInfo, scanNotCounted: true }
+      });
+    }
+
+    const { ranking, recommended } = rankBatchOutfits(outfits);
+
+    // 🔥 STREAK: A batch is one scan session
+    let streak = null;
+    try {
+      const streakResult = await recordScan(userId);
+      streak = {
+        current: streakResult.currentStreak,
+        max: streakResult.maxStreak,
+        total: streakResult.totalScans,
+        isNewStreak: streakResult.isNewStreak,
+        isMilestone: streakResult.isMilestone,
+        milestone: streakResult.isMilestone ? getMilestoneInfo(streakResult.currentStreak) : null,
+        ...getStreakDisplay(streakResult.currentStreak)
+      };
+    } catch (streakError) {
+      console.warn(`[${batchId}] Streak recording failed:`, streakError.message);
+    }
+
+    console.log(`[${batchId}] ✅ ${successes}/${outfits.length} rated - pick: outfit ${recommended.index + 1} (${recommended.overall})`);
+    return res.json({
+      success: true,
+      batchId,
+      mode,
+      recommended,
+      ranking,
+      outfits,
+      streak,
+      scanInfo
+    });
+  } catch (error) {
+    console.error(`[${batchId}] Batch route error:`, {
+      message: error.message,
+      stack: error.stack
+    });
+    await refundAll();
     return res.status(500).json({
       success: false,
       error: 'Server error. Please try again.'
@@ -659,4 +1242,43 @@ router.post('/', upload.single('imageFile'), scanLimiter, async (req, res) => {
   }
 });
 
+// Poll an async analysis job
+// pending → { status, stage } | completed/failed → { status, httpStatus, result } (result = sync response body)
+router.get('/jobs/:jobId', jobPollLimiter, async (req, res) => {
+  try {
+    let job = await getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found or expired', code: 'JOB_NOT_FOUND' });
+    }
+
+    // Worker stopped heartbeating (server restarted mid-analysis) - fail the job and give the scan back (once)
+    const { job: checkedJob, claimed } = await expireStaleJob(job);
+    job = checkedJob;
+    if (claimed && job.scanIncremented && job.userId) {
+      await decrementScanSimple(job.userId);
+      console.log(`[JOB] ${job.jobId} expired - 🔄 scan decremented (rollback for stale job)`);
+    }
+
+    if (job.status === 'pending') {
+      return res.json({ success: true, jobId: job.jobId, status: job.status, stage: job.stage, createdAt: job.createdAt });
+    }
+
+    return res.json({
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      httpStatus: job.httpStatus,
+      result: job.result
+    });
+  } catch (error) {
+    console.error('[JOB] Poll error:', error.message);
+    return res.status(500).json({ success: false, error: 'Server error. Please try again.' });
+  }
+});
+
+// Streaming variant (Server-Sent Events) - same body/auth/limits as POST /
+// Events: validated, cache, provider, model_attempt, attempt_failed, fallback, scores, side_effect, result | error
+// NOTE: Rejections from upload/scanLimiter middleware arrive as plain JSON before the stream opens
+router.post('/stream', upload.single('imageFile'), showGate, scanLimiter, (req, res) => handleAnalyze(req, res, { stream: true }));
+
 export default router;
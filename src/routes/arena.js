@@ -0,0 +1,183 @@
+/**
+ * Arena Routes - matchmaking against live players or ghosts, weekly leaderboard
+ *
+ * POST /api/arena/match              - Enter with a fresh scan { userId, resultId, displayName }
+ * GET  /api/arena/match/:ticketId    - Poll a ticket (?userId=) - ghost match after 15s
+ * GET  /api/arena/ghosts/:ghostId/thumb - A ghost opponent's outfit image (match.opponent.thumbUrl)
+ * GET  /api/arena/leaderboard        - This week's board (?userId= marks "you", ?weekId= for past weeks)
+ *
+ * The scan itself goes through POST /api/analyze with `arenaMode: true`.
+ * Each match counts against the arena daily limit (3/day free, 100/day Pro, dailyLimitsService).
+ * Ghost pool seeding lives in the admin routes (/api/admin/ghost-pool/*).
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { enterArena, pollArenaTicket, getArenaLeaderboard, getGhostThumb, isValidTicketId, isValidGhostId, ARENA_LIMITS, ARENA_POINTS } from '../services/arenaService.js';
+import { isValidResultId } from '../services/resultStore.js';
+import { recordAction, refundAction, toLimitInfo } from '../services/dailyLimitsService.js';
+import { getWeekId } from '../services/eventService.js';
+import { ARENA_REWARDS } from '../services/rewardService.js';
+
+const router = express.Router();
+
+const matchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10,
+  message: { success: false, error: 'Too many arena entries. Please wait a moment.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const pollLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // Clients poll every ~2s while searching
+  message: { success: false, error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Service error → HTTP status
+const ERROR_STATUS = {
+  not_found: 404,
+  result_not_found: 400,
+  invalid_result: 400,
+  stale_result: 400,
+  already_entered: 409
+};
+
+function sendError(res, outcome) {
+  return res.status(ERROR_STATUS[outcome.error] || 500).json({
+    success: false,
+    error: outcome.message,
+    code: outcome.error.toUpperCase()
+  });
+}
+
+// Public view - userIds and resultIds stay server-side, ghost images are linked rather than inlined
+function toPublic(ticket) {
+  const body = {
+    ticketId: ticket.ticketId,
+    status: ticket.status,
+    score: ticket.score,
+    mode: ticket.mode,
+    queuedAt: ticket.queuedAt
+  };
+  if (ticket.match) {
+    const { ghostId, ...opponent } = ticket.match.opponent;
+    body.match = {
+      ...ticket.match,
+      opponent: ghostId ? { ...opponent, thumbUrl: `/api/arena/ghosts/${ghostId}/thumb` } : opponent
+    };
+  } else {
+    body.ghostFallbackMs = ARENA_LIMITS.ghostFallbackMs;
+  }
+  return body;
+}
+
+router.post('/match', matchLimiter, async (req, res) => {
+  const { userId, resultId, displayName } = req.body;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+  if (!isValidResultId(resultId)) {
+    return res.status(400).json({ success: false, error: 'Valid resultId required - scan your outfit first', code: 'INVALID_RESULT_ID' });
+  }
+
+  try {
+    // ARENA LIMIT: 3/day free, 100/day Pro - counted up front, refunded if the entry is refused
+    const arenaLimit = await recordAction('arena', userId);
+    if (!arenaLimit.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: arenaLimit.isPro
+          ? "You've hit today's arena limit. Come back tomorrow!"
+          : 'Daily arena limit reached. Upgrade to Pro for more battles!',
+        code: 'ARENA_LIMIT_REACHED',
+        ...toLimitInfo(arenaLimit)
+      });
+    }
+
+    const outcome = await enterArena({ userId, resultId, displayName });
+    if (!outcome.success) {
+      await refundAction('arena', userId);
+      return sendError(res, outcome);
+    }
+
+    return res.status(outcome.ticket.status === 'matched' ? 200 : 202).json({
+      success: true,
+      ticket: toPublic(outcome.ticket),
+      arenaInfo: toLimitInfo(arenaLimit)
+    });
+  } catch (error) {
+    console.error('[ARENA] Match error:', error.message);
+    await refundAction('arena', userId).catch(() => {});
+    return res.status(500).json({ success: false, error: 'Failed to enter the arena' });
+  }
+});
+
+router.get('/match/:ticketId', pollLimiter, async (req, res) => {
+  const { ticketId } = req.params;
+  const { userId } = req.query;
+  if (!isValidTicketId(ticketId)) {
+    return res.status(400).json({ success: false, error: 'Invalid ticket ID', code: 'INVALID_TICKET_ID' });
+  }
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+
+  try {
+    const outcome = await pollArenaTicket(ticketId, userId);
+    if (!outcome.success) return sendError(res, outcome);
+    return res.json({ success: true, ticket: toPublic(outcome.ticket) });
+  } catch (error) {
+    console.error('[ARENA] Poll error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to check match' });
+  }
+});
+
+router.get('/ghosts/:ghostId/thumb', pollLimiter, async (req, res) => {
+  const { ghostId } = req.params;
+  if (!isValidGhostId(ghostId)) {
+    return res.status(400).json({ success: false, error: 'Invalid ghost ID', code: 'INVALID_GHOST_ID' });
+  }
+
+  try {
+    const thumb = await getGhostThumb(ghostId);
+    if (!thumb) {
+      return res.status(404).json({ success: false, error: 'Ghost not found', code: 'NOT_FOUND' });
+    }
+    // Ghost images never change - let the client and CDN keep them
+    res.set({
+      'Content-Type': thumb.contentType,
+      'Cache-Control': 'public, max-age=86400'
+    });
+    return res.send(thumb.buffer);
+  } catch (error) {
+    console.error('[ARENA] Ghost thumb error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to load ghost image' });
+  }
+});
+
+router.get('/leaderboard', pollLimiter, async (req, res) => {
+  const { userId } = req.query;
+  const weekId = typeof req.query.weekId === 'string' && /^\d{4}-W\d{2}$/.test(req.query.weekId)
+    ? req.query.weekId
+    : getWeekId();
+
+  try {
+    const board = await getArenaLeaderboard(weekId, 10);
+    return res.json({
+      success: true,
+      weekId,
+      leaderboard: board.map(({ userId: entryUserId, ...entry }) => ({ ...entry, isYou: !!userId && entryUserId === userId })),
+      points: ARENA_POINTS,
+      rewards: ARENA_REWARDS.tiers
+    });
+  } catch (error) {
+    console.error('[ARENA] Leaderboard error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to load arena leaderboard' });
+  }
+});
+
+export default router;
@@ -0,0 +1,217 @@
+/**
+ * Battle Routes - 1v1 outfit battles
+ *
+ * POST /api/battle - Score two outfits head to head (counts against the daily `arena` limit)
+ *
+ * Body (JSON): { outfit1, outfit2, userId, mode }   outfit1/outfit2 = base64 data URLs
+ * Body (FormData): outfit1 + outfit2 files, userId, mode
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import multer from 'multer';
+import { selectProvider } from '../services/analyzerRegistry.js';
+import { analyzeBattle } from '../services/battleService.js';
+import { recordAction, refundAction, toLimitInfo } from '../services/dailyLimitsService.js';
+import { assignPromptVariant, recordVariantOutcome } from '../services/promptExperiments.js';
+import { isBlockedForInvalidAttempts, trackInvalidAttempt, isInvalidImageCode } from '../middleware/scanLimiter.js';
+import { validateAndSanitizeImage, quickImageCheck, checkPhotoQuality } from '../utils/imageValidator.js';
+import { extractPalette } from '../utils/colorPalette.js';
+import { sanitizeAIResponse } from '../utils/contentSanitizer.js';
+import { MODE_CONFIGS, PRO_MODES } from '../config/systemPrompt.js';
+import { EntitlementService } from '../services/entitlements.js';
+import { kv } from '../services/kvStore.js';
+
+const router = express.Router();
+
+// Multer for FormData image uploads (memory storage, 10MB limit)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Two AI calls per battle
+const battleLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 5, // 5 battles per minute per IP
+  message: { success: false, error: 'Too many battles. Please wait a moment.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Read an outfit from FormData (file) or JSON (base64 data URL)
+function getOutfitImage(req, field) {
+  const file = req.files?.[field]?.[0];
+  if (file) {
+    return `data:${file.mimetype || 'image/jpeg'};base64,${file.buffer.toString('base64')}`;
+  }
+  return req.body[field];
+}
+
+router.post('/', battleLimiter, upload.fields([{ name: 'outfit1', maxCount: 1 }, { name: 'outfit2', maxCount: 1 }]), async (req, res) => {
+  const battleId = `battle_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const { userId, mode: modeParam, mockScenario } = req.body;
+  const mode = modeParam || 'nice';
+  let arenaCounted = false;
+
+  try {
+    console.log(`[${battleId}] POST /api/battle - IP: ${req.ip || 'unknown'}`);
+
+    if (!userId) {
+      return res.status(400).json({ success: false, error: 'User ID required', code: 'BATTLE_USER_REQUIRED' });
+    }
+
+    if (!MODE_CONFIGS[mode]) {
+      return res.status(400).json({ success: false, error: 'Invalid mode. Use: nice, roast, honest, or savage.' });
+    }
+
+    const isPro = await EntitlementService.isPro(userId, null);
+    if (PRO_MODES.includes(mode) && !isPro) {
+      return res.status(403).json({
+        success: false,
+        error: 'This mode requires Pro subscription',
+        code: 'PRO_MODE_REQUIRED',
+        proModes: PRO_MODES
+      });
+    }
+
+    const images = [getOutfitImage(req, 'outfit1'), getOutfitImage(req, 'outfit2')];
+    if (!images[0] || !images[1]) {
+      return res.status(400).json({ success: false, error: 'Two outfits required (outfit1, outfit2)' });
+    }
+
+    // SECURITY: Same spam block as single scans
+    if (await isBlockedForInvalidAttempts(req)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed attempts. Please wait an hour and try again with a valid outfit photo.',
+        code: 'INVALID_SPAM_BLOCKED'
+      });
+    }
+
+    // SECURITY: Validate both images before spending an arena battle
+    const sanitizedImages = [];
+    for (let i = 0; i < images.length; i++) {
+      if (!quickImageCheck(images[i])) {
+        return res.status(400).json({
+          success: false,
+          error: `Outfit ${i + 1}: Invalid image. Please use JPEG, PNG, WebP, HEIC or AVIF under 10MB.`,
+          failedOutfit: i + 1
+        });
+      }
+      const validation = await validateAndSanitizeImage(images[i]);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, error: `Outfit ${i + 1}: ${validation.error}`, failedOutfit: i + 1 });
+      }
+      sanitizedImages.push(validation.sanitizedImage);
+    }
+
+    // QUALITY GATE: same check as single scans - dark / blurry / flat photos are rejected before
+    // spending an arena battle or an AI call, and aren't invalid attempts
+    for (let i = 0; i < sanitizedImages.length; i++) {
+      const quality = await checkPhotoQuality(sanitizedImages[i]);
+      if (!quality.ok) {
+        console.log(`[${battleId}] 📷 Photo quality gate (outfit ${i + 1}): ${quality.code}`, quality.metrics);
+        return res.status(400).json({
+          success: false,
+          error: `Outfit ${i + 1}: ${quality.error}`,
+          code: quality.code,
+          quality: quality.metrics,
+          failedOutfit: i + 1
+        });
+      }
+    }
+
+    // ARENA LIMIT: 3/day free, 100/day Pro (dailyLimitsService) - counted up front, refunded on failure
+    const arena = await recordAction('arena', userId);
+    if (!arena.allowed) {
+      console.log(`[${battleId}] Arena limit reached (${arena.used}/${arena.limit})`);
+      return res.status(429).json({
+        success: false,
+        error: arena.isPro
+          ? "You've used today's arena battles. Come back tomorrow!"
+          : "You've used today's arena battles. Come back tomorrow or go Pro for more battles!",
+        code: 'ARENA_LIMIT_REACHED',
+        limitReached: true,
+        arenaInfo: { ...toLimitInfo(arena), remaining: 0 }
+      });
+    }
+    arenaCounted = true;
+
+    const { provider, ruleId } = selectProvider({
+      tier: isPro ? 'pro' : 'free',
+      mode,
+      hasPurchasedScans: false,
+      userId
+    });
+    console.log(`[${battleId}] Using ${provider.label} [${provider.tier.toUpperCase()}] (rule: ${ruleId})`);
+
+    // Dominant colors per outfit - local, so extracted while the AI call runs
+    const palettePromises = sanitizedImages.map(image => extractPalette(image));
+
+    const result = await analyzeBattle(provider, sanitizedImages[0], sanitizedImages[1], {
+      mode,
+      roastMode: mode === 'roast',
+      securityContext: { userId, authTokenValid: true, suspiciousFlag: false },
+      mockScenario: mockScenario || null,  // Only read by the mock provider (ignored in production)
+      promptVariant: assignPromptVariant(userId)
+    });
+
+    // PROMPT A/B: Each outfit is one scored call
+    for (const [i, promptVariant] of (result.promptVariants || []).entries()) {
+      const outfitFailed = !result.success && (result.failedOutfit === 0 || result.failedOutfit === i + 1);
+      await recordVariantOutcome(`${battleId}_${i + 1}`, promptVariant, { success: !outfitFailed, code: outfitFailed ? result.code : null });
+    }
+    delete result.promptVariants;
+
+    if (!result.success) {
+      console.log(`[${battleId}] ❌ Battle failed: ${result.error}`);
+      await refundAction('arena', userId);
+      // Only unusable photos feed the spam block - provider errors and outages aren't the user's fault
+      if (isInvalidImageCode(result.code)) {
+        await trackInvalidAttempt(req);
+      }
+      return res.json({
+        ...result,
+        arenaInfo: {
+          ...toLimitInfo({ ...arena, used: Math.max(0, arena.used - 1), remaining: arena.remaining + 1 }),
+          battleNotCounted: true
+        }
+      });
+    }
+
+    // SECURITY: Sanitize AI output for banned terms on both cards
+    const palettes = await Promise.all(palettePromises);
+    for (const [i, key] of ['outfit1', 'outfit2'].entries()) {
+      const { sanitized, hadViolations, logEntry } = sanitizeAIResponse({ success: true, scores: result.battle[key] });
+      if (hadViolations) {
+        console.warn(`[${battleId}] SECURITY: ${key} AI output sanitized for banned content`, logEntry);
+        // Same monitoring list as single + batch scans
+        await kv.lpush('fitrate:security:sanitized', JSON.stringify({ requestId: `${battleId}:${key}`, ...logEntry }));
+        await kv.ltrim('fitrate:security:sanitized', 0, 999);
+      }
+      result.battle[key] = sanitized.scores;
+      if (palettes[i]) result.battle[key].palette = palettes[i];
+    }
+
+    console.log(`[${battleId}] ⚔️ ${result.battle.outfit1.overall} vs ${result.battle.outfit2.overall} → ${result.battle.winner ? `outfit ${result.battle.winner}` : 'tie'}${result.battle.tieBreaker ? ` (${result.battle.tieBreaker})` : ''}`);
+
+    return res.json({
+      success: true,
+      battleId,
+      battle: result.battle,
+      arenaInfo: toLimitInfo(arena)
+    });
+  } catch (error) {
+    console.error(`[${battleId}] Battle route error:`, {
+      message: error.message,
+      stack: error.stack
+    });
+    if (arenaCounted) {
+      await refundAction('arena', userId).catch(() => { });
+    }
+    return res.status(500).json({ success: false, error: 'Battle failed. Please try again.' });
+  }
+});
+
+export default router;
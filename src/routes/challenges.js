@@ -0,0 +1,162 @@
+/**
+ * Challenge Party Routes (docs/CHALLENGE_PARTY.md)
+ *
+ * POST /api/challenges              - Create a challenge from the creator's result { userId, resultId }
+ * GET  /api/challenges/:id          - Challenge state (public - anyone with the link)
+ * POST /api/challenges/:id/respond  - Answer with the responder's result { userId, resultId }
+ *
+ * Scores are read from the server-side analyze result, never from the request body.
+ * The result has to belong to the userId sending it.
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { createChallenge, getChallenge, respondToChallenge, isValidChallengeId } from '../services/challengeService.js';
+import { isValidResultId } from '../services/resultStore.js';
+
+const router = express.Router();
+
+const createLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 challenges per minute per IP
+  message: { success: false, error: 'Too many challenges created. Please wait a moment.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const getLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: { success: false, error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const respondLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20,
+  message: { success: false, error: 'Too many responses. Please wait a moment.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Service error → HTTP status
+const ERROR_STATUS = {
+  not_found: 404,
+  expired: 410,
+  result_not_found: 400,
+  invalid_result: 400,
+  not_owner: 403,
+  own_challenge: 400,
+  stale_result: 400,
+  already_completed: 400
+};
+
+function sendError(res, outcome) {
+  return res.status(ERROR_STATUS[outcome.error] || 500).json({
+    success: false,
+    error: outcome.message,
+    code: outcome.error.toUpperCase()
+  });
+}
+
+// Public view - internal ids (resultIds, creator userId) stay server-side
+function toPublic(challenge) {
+  const body = {
+    challengeId: challenge.challengeId,
+    status: challenge.status,
+    creatorScore: challenge.creatorScore,
+    responderScore: challenge.responderScore,
+    winner: challenge.winner,
+    mode: challenge.mode,
+    createdAt: challenge.createdAt
+  };
+  if (challenge.status === 'completed') {
+    body.respondedAt = challenge.respondedAt;
+  } else {
+    body.expiresAt = challenge.expiresAt;
+  }
+  return body;
+}
+
+// Clients used to send raw scores - reject them with a pointer to the new field
+function getResultId(req, legacyField) {
+  const { resultId } = req.body || {};
+  if (isValidResultId(resultId)) return { resultId };
+  if (req.body?.[legacyField] !== undefined) {
+    return { error: `${legacyField} is no longer accepted - send the resultId from your analyze response` };
+  }
+  return { error: 'Valid resultId required' };
+}
+
+router.post('/', createLimiter, async (req, res) => {
+  const { resultId, error } = getResultId(req, 'creatorScore');
+  if (error) {
+    return res.status(400).json({ success: false, error, code: 'INVALID_RESULT_ID' });
+  }
+  const { userId } = req.body;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+
+  try {
+    const outcome = await createChallenge(resultId, userId);
+    if (!outcome.success) return sendError(res, outcome);
+    return res.status(201).json(toPublic(outcome.challenge));
+  } catch (err) {
+    console.error('[CHALLENGE] Create error:', err.message);
+    return res.status(500).json({ success: false, error: 'Failed to create challenge' });
+  }
+});
+
+router.get('/:challengeId', getLimiter, async (req, res) => {
+  const { challengeId } = req.params;
+  if (!isValidChallengeId(challengeId)) {
+    return res.status(400).json({ success: false, error: 'Invalid challenge ID', code: 'INVALID_CHALLENGE_ID' });
+  }
+
+  try {
+    const outcome = await getChallenge(challengeId);
+    if (!outcome.success) return sendError(res, outcome);
+    return res.json(toPublic(outcome.challenge));
+  } catch (err) {
+    console.error('[CHALLENGE] Get error:', err.message);
+    return res.status(500).json({ success: false, error: 'Failed to load challenge' });
+  }
+});
+
+router.post('/:challengeId/respond', respondLimiter, async (req, res) => {
+  const { challengeId } = req.params;
+  if (!isValidChallengeId(challengeId)) {
+    return res.status(400).json({ success: false, error: 'Invalid challenge ID', code: 'INVALID_CHALLENGE_ID' });
+  }
+
+  const { resultId, error } = getResultId(req, 'responderScore');
+  if (error) {
+    return res.status(400).json({ success: false, error, code: 'INVALID_RESULT_ID' });
+  }
+  const { userId } = req.body;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+
+  try {
+    const outcome = await respondToChallenge(challengeId, resultId, userId);
+    if (!outcome.success) return sendError(res, outcome);
+
+    const { challenge, margin } = outcome;
+    return res.json({
+      success: true,
+      status: challenge.status,
+      creatorScore: challenge.creatorScore,
+      responderScore: challenge.responderScore,
+      winner: challenge.winner,
+      margin
+    });
+  } catch (err) {
+    console.error('[CHALLENGE] Respond error:', err.message);
+    return res.status(500).json({ success: false, error: 'Failed to submit response' });
+  }
+});
+
+export default router;
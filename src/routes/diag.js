@@ -1,5 +1,9 @@
 import express from 'express';
 import { config } from '../config/index.js';
+import { listProviders } from '../services/analyzerRegistry.js';
+import { getBreakerStates } from '../services/circuitBreaker.js';
+import { getVariantStats } from '../services/promptExperiments.js';
+import { getCacheStats } from '../services/imageHasher.js';
 
 const router = express.Router();
 
@@ -39,6 +43,16 @@ router.get('/', (req, res) => {
             rateLimitMax: config.rateLimit.maxRequests,
             // SECURITY: Don't expose allowedOrigins - helps attackers craft bypass attempts
         },
+        aiProviders: {
+            registered: listProviders(),
+            pinnedProvider: config.ai.provider,
+            rolloutOverrides: config.ai.rollout,
+            crossProviderFallback: config.ai.crossProviderFallback
+        },
+        // Per-model circuit breakers (closed | open | half_open) - only models that have been called appear
+        circuitBreakers: getBreakerStates(),
+        // Analysis cache: memory/Redis hits, misses, LRU usage
+        analysisCache: getCacheStats(),
         envVarsLoaded: {
             PORT: !!process.env.PORT,
             NODE_ENV: !!process.env.NODE_ENV,
@@ -51,6 +65,19 @@ router.get('/', (req, res) => {
     });
 });
 
+/**
+ * Prompt A/B experiment results - compare variants side by side
+ * GET /api/diag/prompt-variants
+ * Returns scans, invalid-outfit rate, error rate and feedback ratings per variant
+ */
+router.get('/prompt-variants', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await getVariantStats()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * Test Redis connection and status
  * GET /api/diag/redis
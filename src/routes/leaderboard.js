@@ -11,7 +11,7 @@
  */
 
 import express from 'express';
-import { redis, isRedisAvailable } from '../services/redisClient.js';
+import { kv } from '../services/kvStore.js';
 import { getTodayKeyEST } from '../utils/dateUtils.js';
 import {
     getDailyLeaderboard,
@@ -128,12 +128,8 @@ router.get('/rank', async (req, res) => {
         const todayKey = getTodayKeyEST();
         const redisKey = `${LEADERBOARD_KEY_PREFIX}${todayKey}`;
 
-        if (!isRedisAvailable()) {
-            return res.json({ success: true, rank: null, message: 'Leaderboard unavailable' });
-        }
-
         // Get user's rank (0-indexed, so add 1)
-        const rankIndex = await redis.zrevrank(redisKey, userId);
+        const rankIndex = await kv.zrevrank(redisKey, userId);
 
         if (rankIndex === null) {
             return res.json({
@@ -144,13 +140,13 @@ router.get('/rank', async (req, res) => {
         }
 
         const rank = rankIndex + 1;
-        const score = await redis.zscore(redisKey, userId);
-        const totalEntries = await redis.zcard(redisKey);
+        const score = await kv.zscore(redisKey, userId);
+        const totalEntries = await kv.zcard(redisKey);
 
         // Calculate distance to top 10
         let distanceToTop10 = null;
         if (rank > 10) {
-            const top10Score = await redis.zrevrange(redisKey, 9, 9, 'WITHSCORES');
+            const top10Score = await kv.zrevrange(redisKey, 9, 9, 'WITHSCORES');
             if (top10Score.length >= 2) {
                 distanceToTop10 = Math.ceil(parseFloat(top10Score[1]) - parseFloat(score));
             }
@@ -181,13 +177,8 @@ export async function recordScore(userId, score) {
     const redisKey = `${LEADERBOARD_KEY_PREFIX}${todayKey}`;
 
     try {
-        if (!isRedisAvailable()) {
-            console.log('[LEADERBOARD] Redis unavailable, skipping record');
-            return null;
-        }
-
         // Only record if higher than existing score (best of day)
-        const existingScore = await redis.zscore(redisKey, userId);
+        const existingScore = await kv.zscore(redisKey, userId);
 
         if (existingScore && parseFloat(existingScore) >= score) {
             console.log(`[LEADERBOARD] ${userId.slice(0, 12)} already has higher score ${existingScore}, keeping it`);
@@ -195,11 +186,11 @@ export async function recordScore(userId, score) {
         }
 
         // Add/update score in sorted set
-        await redis.zadd(redisKey, score, userId);
-        await redis.expire(redisKey, LEADERBOARD_TTL);
+        await kv.zadd(redisKey, score, userId);
+        await kv.expire(redisKey, LEADERBOARD_TTL);
 
         // Get new rank
-        const rankIndex = await redis.zrevrank(redisKey, userId);
+        const rankIndex = await kv.zrevrank(redisKey, userId);
         const rank = rankIndex !== null ? rankIndex + 1 : null;
 
         console.log(`[LEADERBOARD] ${userId.slice(0, 12)} scored ${score}, now rank #${rank}`);
@@ -2,7 +2,7 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { EntitlementService } from '../services/entitlements.js';
 import { setProStatus, LIMITS } from '../middleware/scanLimiter.js';
-import { redis, isRedisAvailable } from '../services/redisClient.js';
+import { kv } from '../services/kvStore.js';
 import { getPurchasedScans } from '../middleware/referralStore.js';
 import { getTodayKeyEST, getMidnightResetTimeEST } from '../utils/dateUtils.js';
 
@@ -128,16 +128,12 @@ router.get('/scan-status', async (req, res) => {
     }
 
     try {
-        // Get today's date in EST for Redis key
+        // Get today's date in EST for the scan key
         const today = getTodayKeyEST();
         const redisKey = `fitrate:scans:simple:${userId}:${today}`;
 
-        let scansUsed = 0;
-
-        if (isRedisAvailable()) {
-            const count = await redis.get(redisKey);
-            scansUsed = parseInt(count) || 0;
-        }
+        const count = await kv.get(redisKey);
+        const scansUsed = parseInt(count) || 0;
 
         // Get purchased scans
         const purchasedScans = await getPurchasedScans(userId);
@@ -6,7 +6,7 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { EntitlementService } from '../services/entitlements.js';
-import { redis, isRedisAvailable } from '../services/redisClient.js';
+import { kv } from '../services/kvStore.js';
 import { getPurchasedScans, addPurchasedScans } from '../middleware/referralStore.js';
 
 const router = express.Router();
@@ -64,37 +64,35 @@ router.post('/', restoreLimiter, async (req, res) => {
         }
 
         // 2. Restore purchased scans from email backup
-        if (isRedisAvailable()) {
-            // Check if there are scans stored under the email
-            const emailScans = await getPurchasedScans(normalizedEmail);
-
-            if (emailScans > 0) {
-                // Transfer scans from email to new userId
-                await addPurchasedScans(userId, emailScans);
-                // Clear the email-based scans (now transferred)
-                await redis.set(`fitrate:scans:${normalizedEmail}`, 0);
-                restoredScans = emailScans;
-                console.log(`🔄 Restored ${emailScans} scans from email ${normalizedEmail.slice(0, 3)}*** to user ${userId.slice(0, 8)}...`);
-            }
+        // Check if there are scans stored under the email
+        const emailScans = await getPurchasedScans(normalizedEmail);
+
+        if (emailScans > 0) {
+            // Transfer scans from email to new userId
+            await addPurchasedScans(userId, emailScans);
+            // Clear the email-based scans (now transferred)
+            await kv.set(`fitrate:scans:${normalizedEmail}`, 0);
+            restoredScans = emailScans;
+            console.log(`🔄 Restored ${emailScans} scans from email ${normalizedEmail.slice(0, 3)}*** to user ${userId.slice(0, 8)}...`);
+        }
 
-            // 3. Check for linked userId and transfer those scans too
-            const linkedUserId = await redis.get(`fitrate:email:user:${normalizedEmail}`);
-            if (linkedUserId && linkedUserId !== userId) {
-                const linkedScans = await getPurchasedScans(linkedUserId);
-                if (linkedScans > 0) {
-                    await addPurchasedScans(userId, linkedScans);
-                    // Clear old userId scans (now transferred)
-                    await redis.set(`fitrate:scans:${linkedUserId}`, 0);
-                    restoredScans += linkedScans;
-                    console.log(`🔄 Transferred ${linkedScans} scans from old userId ${linkedUserId.slice(0, 8)}... to ${userId.slice(0, 8)}...`);
-                }
+        // 3. Check for linked userId and transfer those scans too
+        const linkedUserId = await kv.get(`fitrate:email:user:${normalizedEmail}`);
+        if (linkedUserId && linkedUserId !== userId) {
+            const linkedScans = await getPurchasedScans(linkedUserId);
+            if (linkedScans > 0) {
+                await addPurchasedScans(userId, linkedScans);
+                // Clear old userId scans (now transferred)
+                await kv.set(`fitrate:scans:${linkedUserId}`, 0);
+                restoredScans += linkedScans;
+                console.log(`🔄 Transferred ${linkedScans} scans from old userId ${linkedUserId.slice(0, 8)}... to ${userId.slice(0, 8)}...`);
             }
-
-            // 4. Link new userId to email for future
-            await redis.set(`fitrate:email:user:${normalizedEmail}`, userId);
-            await redis.set(`fitrate:user:email:${userId}`, normalizedEmail);
         }
 
+        // 4. Link new userId to email for future
+        await kv.set(`fitrate:email:user:${normalizedEmail}`, userId);
+        await kv.set(`fitrate:user:email:${userId}`, normalizedEmail);
+
         // Check if anything was restored
         if (restoredPro || restoredScans > 0) {
             return res.json({
@@ -143,16 +141,13 @@ router.get('/check', restoreLimiter, async (req, res) => {
         const normalizedEmail = email.toLowerCase().trim();
         const hasPro = await EntitlementService.hasProByEmail(email);
 
-        let purchasedScans = 0;
-        if (isRedisAvailable()) {
-            // Check scans under email
-            purchasedScans = await getPurchasedScans(normalizedEmail);
+        // Check scans under email
+        let purchasedScans = await getPurchasedScans(normalizedEmail);
 
-            // Also check linked userId
-            const linkedUserId = await redis.get(`fitrate:email:user:${normalizedEmail}`);
-            if (linkedUserId) {
-                purchasedScans += await getPurchasedScans(linkedUserId);
-            }
+        // Also check linked userId
+        const linkedUserId = await kv.get(`fitrate:email:user:${normalizedEmail}`);
+        if (linkedUserId) {
+            purchasedScans += await getPurchasedScans(linkedUserId);
         }
 
         return res.json({
@@ -0,0 +1,100 @@
+/**
+ * Result Routes - look up a past scan by resultId
+ *
+ * GET /api/results/:resultId          - Public view (share links): scores, verdict, mode, cardDNA
+ * GET /api/results/:resultId?userId=  - Full view when userId is the owner (Pro insights, expiry)
+ * GET /api/results/:resultId/card.png         - Share card (1080x1350)
+ * GET /api/results/:resultId/card-story.png   - Story variant (1080x1920)
+ * GET /api/results/:resultId/card-square.png  - Square variant (1080x1080)
+ *
+ * Cards are public (no Origin check) so social platforms and <img> tags can load them.
+ *
+ * Results are persisted by analyze for RESULT_RETENTION_DAYS (resultStore.js).
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { getResult, isValidResultId, toPublicResult, toOwnerResult } from '../services/resultStore.js';
+import { renderShareCard } from '../services/shareCard.js';
+
+const router = express.Router();
+
+const getLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: { success: false, error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const cardLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // Renders are CPU-bound - cached cards are cheap, first renders are not
+  message: { success: false, error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Card file name → shareCard format
+const CARD_FILES = {
+  'card.png': 'card',
+  'card-story.png': 'story',
+  'card-square.png': 'square'
+};
+
+router.get('/:resultId', getLimiter, async (req, res) => {
+  const { resultId } = req.params;
+  const { userId } = req.query;
+  if (!isValidResultId(resultId)) {
+    return res.status(400).json({ success: false, error: 'Invalid result ID', code: 'INVALID_RESULT_ID' });
+  }
+
+  try {
+    const record = await getResult(resultId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Result not found or expired', code: 'NOT_FOUND' });
+    }
+
+    const isOwner = !!userId && !!record.userId && userId === record.userId;
+    return res.json({
+      success: true,
+      isOwner,
+      result: isOwner ? toOwnerResult(record) : toPublicResult(record)
+    });
+  } catch (error) {
+    console.error('[RESULTS] Get error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to load result' });
+  }
+});
+
+router.get('/:resultId/:file', cardLimiter, async (req, res) => {
+  const { resultId, file } = req.params;
+  const format = CARD_FILES[file];
+  if (!format) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (!isValidResultId(resultId)) {
+    return res.status(400).json({ success: false, error: 'Invalid result ID', code: 'INVALID_RESULT_ID' });
+  }
+
+  try {
+    const record = await getResult(resultId);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Result not found or expired', code: 'NOT_FOUND' });
+    }
+
+    // Only the public fields + cardDNA go into the card - same view as the share link
+    const { png, cached } = await renderShareCard(toPublicResult(record), format);
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=86400',
+      'X-Card-Cache': cached ? 'HIT' : 'MISS'
+    });
+    return res.send(png);
+  } catch (error) {
+    console.error(`[RESULTS] Card render error (${resultId}/${format}):`, error.message);
+    return res.status(500).json({ success: false, error: 'Failed to render card' });
+  }
+});
+
+export default router;
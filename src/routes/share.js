@@ -0,0 +1,178 @@
+/**
+ * Share Routes - Open Graph landing pages for shared links
+ *
+ * GET /share/r/:resultId         - A scan result (card.png as the preview image)
+ * GET /share/c/:challengeId      - A Challenge Party room (creator's card as the image)
+ * GET /share/e/:weekId           - A past weekly event (winner + theme)
+ * GET /share/e/:weekId/card.png  - Event results card (1080x1350)
+ *
+ * Mounted outside /api: crawlers send no Origin header. Crawlers get the meta
+ * tags, browsers get the same page plus an instant redirect into the app
+ * (APP_URL). Unknown/expired links still unfurl as a generic FitRate page.
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { config } from '../config/index.js';
+import { getResult, isValidResultId, toPublicResult } from '../services/resultStore.js';
+import { getChallenge, isValidChallengeId } from '../services/challengeService.js';
+import { getArchivedEvent } from '../services/eventService.js';
+import { renderShareCard, CARD_FORMATS } from '../services/shareCard.js';
+import { isUnfurlBot, renderSharePage, describeResult, describeChallenge, describeEventArchive } from '../services/sharePages.js';
+
+const router = express.Router();
+
+const pageLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: 'Too many requests',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const WEEK_ID_PATTERN = /^\d{4}-W\d{2}$/;
+
+function getBaseUrl(req) {
+  return config.share.publicApiUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+function cardImage(req, path, alt) {
+  return {
+    url: `${getBaseUrl(req)}${path}`,
+    width: CARD_FORMATS.card.width,
+    height: CARD_FORMATS.card.height,
+    alt
+  };
+}
+
+function sendPage(req, res, { status = 200, title, description, image = null, redirectUrl }) {
+  const html = renderSharePage({
+    title,
+    description,
+    image,
+    pageUrl: `${getBaseUrl(req)}${req.originalUrl.split('?')[0]}`,
+    redirectUrl,
+    redirect: !isUnfurlBot(req.get('user-agent'))
+  });
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    // Short cache - challenge pages change once they're answered
+    'Cache-Control': 'public, max-age=300',
+    Vary: 'User-Agent'
+  });
+  return res.status(status).send(html);
+}
+
+function sendNotFound(req, res) {
+  return sendPage(req, res, {
+    status: 404,
+    title: 'FitRate - AI Outfit Ratings',
+    description: null,
+    redirectUrl: config.share.appUrl
+  });
+}
+
+router.get('/r/:resultId', pageLimiter, async (req, res) => {
+  const { resultId } = req.params;
+  if (!isValidResultId(resultId)) return sendNotFound(req, res);
+
+  try {
+    const record = await getResult(resultId);
+    if (!record) return sendNotFound(req, res);
+
+    const { title, description, alt } = describeResult(toPublicResult(record));
+    return sendPage(req, res, {
+      title,
+      description,
+      image: cardImage(req, `/api/results/${resultId}/card.png`, alt),
+      redirectUrl: `${config.share.appUrl}/?result=${encodeURIComponent(resultId)}`
+    });
+  } catch (error) {
+    console.error('[SHARE] Result page error:', error.message);
+    return sendNotFound(req, res);
+  }
+});
+
+router.get('/c/:challengeId', pageLimiter, async (req, res) => {
+  const { challengeId } = req.params;
+  if (!isValidChallengeId(challengeId)) return sendNotFound(req, res);
+
+  try {
+    const outcome = await getChallenge(challengeId);
+    const challenge = outcome.challenge;
+    if (!challenge) return sendNotFound(req, res);
+
+    const creatorRecord = challenge.creatorResultId ? await getResult(challenge.creatorResultId) : null;
+    const creatorResult = creatorRecord ? toPublicResult(creatorRecord) : null;
+    const { title, description } = describeChallenge(challenge, creatorResult);
+    return sendPage(req, res, {
+      title,
+      description,
+      image: creatorResult ? cardImage(req, `/api/results/${creatorResult.resultId}/card.png`, title) : null,
+      redirectUrl: `${config.share.appUrl}/c/${encodeURIComponent(challengeId)}`
+    });
+  } catch (error) {
+    console.error('[SHARE] Challenge page error:', error.message);
+    return sendNotFound(req, res);
+  }
+});
+
+router.get('/e/:weekId', pageLimiter, async (req, res) => {
+  const { weekId } = req.params;
+  if (!WEEK_ID_PATTERN.test(weekId)) return sendNotFound(req, res);
+
+  try {
+    const archive = await getArchivedEvent(weekId);
+    if (!archive) return sendNotFound(req, res);
+
+    const { title, description } = describeEventArchive(archive);
+    return sendPage(req, res, {
+      title,
+      description,
+      image: cardImage(req, `/share/e/${weekId}/card.png`, title),
+      redirectUrl: `${config.share.appUrl}/?event=${encodeURIComponent(weekId)}`
+    });
+  } catch (error) {
+    console.error('[SHARE] Event page error:', error.message);
+    return sendNotFound(req, res);
+  }
+});
+
+router.get('/e/:weekId/card.png', pageLimiter, async (req, res) => {
+  const { weekId } = req.params;
+  if (!WEEK_ID_PATTERN.test(weekId)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const archive = await getArchivedEvent(weekId);
+    if (!archive) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // Archives aren't scan results - present the winning score with the theme as headline
+    const winner = archive.leaderboard?.[0];
+    const { png, cached } = await renderShareCard({
+      resultId: `event_${weekId}`,
+      mode: 'nice',
+      scores: {
+        overall: winner?.score || 0,
+        tagline: archive.theme,
+        verdict: winner ? `${winner.displayName} won ${weekId} out of ${archive.totalParticipants} fits` : `${archive.totalParticipants} fits entered`
+      },
+      cardDNA: null,
+      createdAt: archive.archivedAt
+    }, 'card');
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=86400',
+      'X-Card-Cache': cached ? 'HIT' : 'MISS'
+    });
+    return res.send(png);
+  } catch (error) {
+    console.error(`[SHARE] Event card error (${weekId}):`, error.message);
+    return res.status(500).json({ error: 'Failed to render card' });
+  }
+});
+
+export default router;
@@ -0,0 +1,153 @@
+/**
+ * Fashion Show Routes - group rooms with a live ranking
+ *
+ * POST /api/show              - Create a show { userId, displayName, name, vibe, familySafe, durationMinutes }
+ * GET  /api/show/:code        - Show settings + live ranking
+ * POST /api/show/:code/join   - Join by code { userId, displayName }
+ *
+ * Walks (outfit submissions) go through POST /api/analyze with `showCode` -
+ * same validation, quota and cache as a normal scan, plus the show's vibe and showContext.
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { createShow, getShow, joinShow, getShowRanking, isValidShowCode, SHOW_LIMITS } from '../services/showService.js';
+import { vibeToMode, PRO_MODES } from '../config/systemPrompt.js';
+import { EntitlementService } from '../services/entitlements.js';
+
+const router = express.Router();
+
+const createLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 5,
+  message: { success: false, error: 'Too many shows created. Please wait a moment.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const readLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // Clients refresh the live ranking
+  message: { success: false, error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const joinLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20,
+  message: { success: false, error: 'Too many requests' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Service error → HTTP status
+const ERROR_STATUS = {
+  not_found: 404,
+  closed: 410,
+  full: 409,
+  invalid_name: 400,
+  invalid_duration: 400,
+  code_unavailable: 503
+};
+
+function sendError(res, outcome) {
+  return res.status(ERROR_STATUS[outcome.error] || 500).json({
+    success: false,
+    error: outcome.message,
+    code: outcome.error.toUpperCase()
+  });
+}
+
+// Public view - hostId stays server-side, ranking userIds are only used to find "me"
+async function toPublic(show, viewerId = null) {
+  const ranking = await getShowRanking(show.code);
+  return {
+    code: show.code,
+    name: show.name,
+    vibe: show.vibe,
+    mode: show.mode,
+    familySafe: show.familySafe,
+    status: show.status,
+    isHost: !!viewerId && viewerId === show.hostId,
+    createdAt: show.createdAt,
+    closesAt: show.closesAt,
+    closedAt: show.closedAt,
+    maxSubmissionsPerUser: SHOW_LIMITS.maxSubmissionsPerUser,
+    ranking: ranking.map(({ userId, ...entry }) => ({ ...entry, isYou: !!viewerId && userId === viewerId })),
+    winner: show.status === 'closed' && ranking[0] ? { displayName: ranking[0].displayName, score: ranking[0].score } : null
+  };
+}
+
+router.post('/', createLimiter, async (req, res) => {
+  const { userId, displayName, name, vibe, familySafe, durationMinutes } = req.body;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+
+  try {
+    // Pro vibes need a Pro host - everyone who joins can then walk in it
+    const mode = vibeToMode(vibe);
+    if (PRO_MODES.includes(mode) && !(await EntitlementService.isPro(userId, null))) {
+      return res.status(403).json({
+        success: false,
+        error: 'This vibe requires Pro subscription',
+        code: 'PRO_MODE_REQUIRED',
+        proModes: PRO_MODES
+      });
+    }
+
+    const outcome = await createShow({
+      hostId: userId,
+      hostName: displayName,
+      name,
+      vibe,
+      familySafe: familySafe === true || familySafe === 'true',
+      durationMinutes: durationMinutes ?? SHOW_LIMITS.defaultDurationMinutes
+    });
+    if (!outcome.success) return sendError(res, outcome);
+
+    return res.status(201).json({ success: true, show: await toPublic(outcome.show, userId) });
+  } catch (error) {
+    console.error('[SHOW] Create error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to create show' });
+  }
+});
+
+router.get('/:code', readLimiter, async (req, res) => {
+  const code = String(req.params.code || '').toUpperCase();
+  if (!isValidShowCode(code)) {
+    return res.status(400).json({ success: false, error: 'Invalid show code', code: 'INVALID_SHOW_CODE' });
+  }
+
+  try {
+    const show = await getShow(code);
+    if (!show) return sendError(res, { error: 'not_found', message: 'Show not found' });
+    return res.json({ success: true, show: await toPublic(show, req.query.userId) });
+  } catch (error) {
+    console.error('[SHOW] Get error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to load show' });
+  }
+});
+
+router.post('/:code/join', joinLimiter, async (req, res) => {
+  const code = String(req.params.code || '').toUpperCase();
+  const { userId, displayName } = req.body;
+  if (!isValidShowCode(code)) {
+    return res.status(400).json({ success: false, error: 'Invalid show code', code: 'INVALID_SHOW_CODE' });
+  }
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+
+  try {
+    const outcome = await joinShow(code, userId, displayName);
+    if (!outcome.success) return sendError(res, outcome);
+    return res.json({ success: true, show: await toPublic(outcome.show, userId) });
+  } catch (error) {
+    console.error('[SHOW] Join error:', error.message);
+    return res.status(500).json({ success: false, error: 'Failed to join show' });
+  }
+});
+
+export default router;
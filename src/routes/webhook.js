@@ -4,7 +4,7 @@ import { config } from '../config/index.js';
 import { EntitlementService } from '../services/entitlements.js';
 import { IdempotencyService } from '../services/idempotency.js';
 import { addProRoast, addPurchasedScans } from '../middleware/referralStore.js';
-import { redis, isRedisAvailable } from '../services/redisClient.js';
+import { kv } from '../services/kvStore.js';
 
 const router = express.Router();
 
@@ -29,13 +29,11 @@ async function linkEmailToUser(email, userId) {
 
   const normalizedEmail = email.toLowerCase().trim();
 
-  if (isRedisAvailable()) {
-    // Store email→userId mapping (never expires)
-    await redis.set(`${EMAIL_USER_MAP_PREFIX}${normalizedEmail}`, userId);
-    // Also store userId→email for reference
-    await redis.set(`fitrate:user:email:${userId}`, normalizedEmail);
-    console.log(`🔗 Linked email ${normalizedEmail.slice(0, 3)}***@*** to user ${userId.slice(0, 8)}...`);
-  }
+  // Store email→userId mapping (never expires)
+  await kv.set(`${EMAIL_USER_MAP_PREFIX}${normalizedEmail}`, userId);
+  // Also store userId→email for reference
+  await kv.set(`fitrate:user:email:${userId}`, normalizedEmail);
+  console.log(`🔗 Linked email ${normalizedEmail.slice(0, 3)}***@*** to user ${userId.slice(0, 8)}...`);
 }
 
 /**
@@ -46,10 +44,7 @@ async function getUserIdByEmail(email) {
 
   const normalizedEmail = email.toLowerCase().trim();
 
-  if (isRedisAvailable()) {
-    return await redis.get(`${EMAIL_USER_MAP_PREFIX}${normalizedEmail}`);
-  }
-  return null;
+  return await kv.get(`${EMAIL_USER_MAP_PREFIX}${normalizedEmail}`);
 }
 
 router.post('/', async (req, res) => {
@@ -0,0 +1,167 @@
+/**
+ * Analysis Jobs Service
+ *
+ * Async job mode for POST /api/analyze: the request returns a jobId right away
+ * and the client polls GET /api/analyze/jobs/:jobId for the result.
+ * Keeps slow Gemini fallback chains from outliving the 30s server timeout.
+ *
+ * Job lifecycle: pending → completed | failed
+ * The worker holds a lease it renews while the analysis runs (startJobHeartbeat),
+ * so slow fallback chains never look stale. A pending job whose lease lapsed
+ * (server restarted mid-analysis) is expired on the next poll and its scan is
+ * rolled back. Completion and expiry race for one settle claim - whichever wins
+ * writes the final state, the other backs off.
+ *
+ * Redis Keys:
+ * - fitrate:analyze:job:{jobId} - Job JSON (1h TTL)
+ * - fitrate:analyze:job:{jobId}:lease - Worker heartbeat (JOB_LEASE_SECONDS TTL)
+ * - fitrate:analyze:job:{jobId}:settled - Settle claim ('completed' | 'expired')
+ */
+
+import crypto from 'crypto';
+import { kv } from './kvStore.js';
+
+const JOB_KEY_PREFIX = 'fitrate:analyze:job:';
+const JOB_TTL = 60 * 60;  // 1 hour - plenty of time to poll
+const JOB_LEASE_SECONDS = 30;  // Worker gone this long → job is stale
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+
+function getJobKey(jobId) {
+    return `${JOB_KEY_PREFIX}${jobId}`;
+}
+
+async function renewLease(jobId) {
+    await kv.set(`${getJobKey(jobId)}:lease`, '1', 'EX', JOB_LEASE_SECONDS);
+}
+
+/**
+ * Claim the right to write a job's final state - true for exactly one caller
+ * @param {'completed'|'expired'} outcome
+ */
+async function claimSettle(jobId, outcome) {
+    return await kv.set(`${getJobKey(jobId)}:settled`, outcome, 'EX', JOB_TTL, 'NX') === 'OK';
+}
+
+async function saveJob(job) {
+    await kv.set(getJobKey(job.jobId), JSON.stringify(job), 'EX', JOB_TTL);
+    return job;
+}
+
+/**
+ * Get a job by id
+ * @param {string} jobId
+ * @returns {Object|null} Job or null if unknown/expired
+ */
+export async function getJob(jobId) {
+    if (!jobId || !/^job_[a-f0-9]{24}$/.test(jobId)) return null;
+
+    const data = await kv.get(getJobKey(jobId));
+    return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Create a pending job
+ * @param {Object} params
+ * @param {string} params.userId - Owner (for logs + rollback)
+ * @param {string} params.mode - Analysis mode
+ * @param {boolean} params.scanIncremented - Whether scanLimiter counted this scan
+ * @returns {Object} Job
+ */
+export async function createJob({ userId = null, mode = 'nice', scanIncremented = false } = {}) {
+    const job = {
+        jobId: `job_${crypto.randomBytes(12).toString('hex')}`,
+        status: 'pending',
+        stage: 'queued',
+        userId,
+        mode,
+        scanIncremented,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+    };
+    await renewLease(job.jobId);
+    return saveJob(job);
+}
+
+/**
+ * Keep a job's lease alive while its worker runs
+ * @returns {Function} stop - call once the worker is done (success or crash)
+ */
+export function startJobHeartbeat(jobId) {
+    const timer = setInterval(() => {
+        renewLease(jobId).catch(e => console.warn(`[JOB] ${jobId} heartbeat failed: ${e.message}`));
+    }, HEARTBEAT_INTERVAL_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+/**
+ * Record the latest progress stage (same event names as the SSE stream)
+ */
+export async function updateJobStage(jobId, stage) {
+    const job = await getJob(jobId);
+    if (!job || job.status !== 'pending') return null;
+    return saveJob({ ...job, stage, updatedAt: Date.now() });
+}
+
+/**
+ * Store the final payload - exactly what POST /api/analyze would have returned
+ * @param {string} jobId
+ * @param {number} httpStatus - Status the synchronous endpoint would have used
+ * @param {Object} result - Response body
+ */
+export async function completeJob(jobId, httpStatus, result) {
+    const job = await getJob(jobId);
+    if (!job || job.status !== 'pending') return job;
+
+    // Expired (and rolled back) first - don't overwrite it
+    if (!await claimSettle(jobId, 'completed')) {
+        console.warn(`[JOB] ${jobId} finished after it was expired - keeping the expired state`);
+        return getJob(jobId);
+    }
+    return saveJob({
+        ...job,
+        status: httpStatus < 400 && result?.success ? 'completed' : 'failed',
+        stage: 'done',
+        httpStatus,
+        result,
+        updatedAt: Date.now()
+    });
+}
+
+/**
+ * Expire a pending job whose worker stopped renewing its lease (process died mid-analysis)
+ * @returns {{ job: Object, claimed: boolean }} claimed=true for the single caller that should roll back
+ */
+export async function expireStaleJob(job) {
+    if (job.status !== 'pending' || await kv.exists(`${getJobKey(job.jobId)}:lease`)) {
+        return { job, claimed: false };
+    }
+
+    // Completion (or another poll) got there first
+    if (!await claimSettle(job.jobId, 'expired')) {
+        return { job: await getJob(job.jobId) || job, claimed: false };
+    }
+
+    const expired = await saveJob({
+        ...job,
+        status: 'failed',
+        stage: 'expired',
+        httpStatus: 504,
+        result: {
+            success: false,
+            error: 'Analysis took too long. Please try again - this scan was not counted.',
+            code: 'JOB_EXPIRED'
+        },
+        updatedAt: Date.now()
+    });
+    return { job: expired, claimed: true };
+}
+
+export default {
+    createJob,
+    getJob,
+    updateJobStage,
+    completeJob,
+    expireStaleJob,
+    startJobHeartbeat
+};
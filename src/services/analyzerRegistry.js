@@ -0,0 +1,188 @@
+/**
+ * Analyzer Registry
+ * Pluggable AI providers for POST /api/analyze + routing policy
+ *
+ * Every provider registers under a common interface:
+ *   { id, label, tier, analyze(imageBase64, options), isConfigured() }
+ *
+ * selectProvider() walks MODEL_ROUTING rules (tier, mode, purchased scans,
+ * percentage rollout) and returns the provider to use for a request.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { MODEL_ROUTING } from '../config/systemPrompt.js';
+import { analyzeWithGemini } from './geminiAnalyzer.js';
+import { analyzeOutfit as analyzeWithOpenAI } from './outfitAnalyzer.js';
+import { analyzeWithMock } from './mockAnalyzer.js';
+
+const providers = new Map();
+
+/**
+ * Register an analyzer provider
+ * @param {Object} provider
+ * @param {string} provider.id - Unique id referenced by MODEL_ROUTING ('gemini', 'openai', ...)
+ * @param {string} provider.label - Human readable name for logs
+ * @param {string} provider.tier - Prompt tier the provider uses ('free' | 'pro')
+ * @param {Function} provider.analyze - async (imageBase64, options) => result
+ * @param {Function} provider.isConfigured - () => boolean (API key present, etc)
+ */
+export function registerProvider(provider) {
+    if (!provider?.id || typeof provider.analyze !== 'function') {
+        throw new Error('Provider must have an id and an analyze() function');
+    }
+    providers.set(provider.id, {
+        label: provider.id,
+        tier: 'free',
+        isConfigured: () => true,
+        ...provider
+    });
+}
+
+/**
+ * Get a registered provider by id (or null)
+ */
+export function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+/**
+ * List registered providers (for diagnostics)
+ */
+export function listProviders() {
+    return Array.from(providers.values()).map(p => ({
+        id: p.id,
+        label: p.label,
+        tier: p.tier,
+        configured: p.isConfigured()
+    }));
+}
+
+/**
+ * Stable 0-99 bucket for percentage rollouts
+ * Same user always lands in the same bucket for a given rule
+ */
+function getRolloutBucket(ruleId, userId) {
+    const hash = crypto.createHash('sha256').update(`${ruleId}:${userId || 'anonymous'}`).digest();
+    return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Check whether a routing rule matches the request context
+ */
+function ruleMatches(rule, { tier, mode, hasPurchasedScans, userId }) {
+    if (rule.tier && rule.tier !== tier) return false;
+    if (rule.modes && !rule.modes.includes(mode)) return false;
+    if (rule.purchased !== undefined && rule.purchased !== hasPurchasedScans) return false;
+
+    const rollout = config.ai.rollout[rule.id] ?? rule.rollout ?? 100;
+    if (rollout <= 0) return false;
+    if (rollout >= 100) return true;
+    return getRolloutBucket(rule.id, userId) < rollout;
+}
+
+/**
+ * Pick the provider for a request
+ * @param {Object} context
+ * @param {string} context.tier - 'free' or 'pro'
+ * @param {string} context.mode - Analysis mode
+ * @param {boolean} context.hasPurchasedScans - User has scan pack balance
+ * @param {string} context.userId - Used for sticky percentage rollouts
+ * @returns {{ provider: Object, ruleId: string }}
+ */
+export function selectProvider(context = {}) {
+    const defaultProvider = getProvider(MODEL_ROUTING.defaultProvider);
+
+    // Config override pins every request to one provider
+    if (config.ai.provider) {
+        const pinned = getProvider(config.ai.provider);
+        if (pinned?.isConfigured()) return { provider: pinned, ruleId: 'config-override' };
+        console.warn(`[ROUTING] AI_PROVIDER "${config.ai.provider}" is not registered or not configured - using rules`);
+    }
+
+    for (const rule of MODEL_ROUTING.rules) {
+        if (!ruleMatches(rule, context)) continue;
+
+        const provider = getProvider(rule.provider);
+        if (!provider) {
+            console.warn(`[ROUTING] Rule ${rule.id} points to unknown provider "${rule.provider}"`);
+            continue;
+        }
+        if (!provider.isConfigured()) {
+            console.warn(`[ROUTING] Rule ${rule.id} matched but ${provider.label} is not configured`);
+            continue;
+        }
+        return { provider, ruleId: rule.id };
+    }
+
+    return { provider: defaultProvider, ruleId: 'default' };
+}
+
+/**
+ * Run a provider, falling through to MODEL_ROUTING.fallbacks when it is unavailable
+ * (all models failed or circuit-open). Disabled unless AI_CROSS_PROVIDER_FALLBACK=true.
+ * @param {Object} provider - Provider picked by selectProvider()
+ * @param {string} imageBase64 - Sanitized image
+ * @param {Object} options - Analyzer options (onProgress receives 'fallback' events)
+ * @returns {Object} Analyzer result
+ */
+export async function analyzeWithFallback(provider, imageBase64, options = {}) {
+    const chain = [provider];
+    if (config.ai.crossProviderFallback) {
+        for (const id of MODEL_ROUTING.fallbacks?.[provider.id] || []) {
+            const fallback = getProvider(id);
+            if (fallback?.isConfigured()) chain.push(fallback);
+        }
+    }
+
+    let result;
+    for (const [index, current] of chain.entries()) {
+        if (index > 0) {
+            console.warn(`[ROUTING] ${chain[index - 1].label} unavailable (${result.code}) - falling back to ${current.label}`);
+            options.onProgress?.('fallback', { from: chain[index - 1].id, to: current.id, reason: result.code });
+        }
+
+        result = await current.analyze(imageBase64, options);
+        if (result.success || !MODEL_ROUTING.fallbackOnCodes.includes(result.code)) {
+            return result;
+        }
+    }
+    return result;
+}
+
+// ============================================
+// BUILT-IN PROVIDERS
+// ============================================
+
+registerProvider({
+    id: 'gemini',
+    label: 'Gemini Flash',
+    tier: 'free',
+    analyze: analyzeWithGemini,
+    isConfigured: () => !!config.gemini.apiKey
+});
+
+registerProvider({
+    id: 'openai',
+    label: 'GPT-4o',
+    tier: 'pro',
+    analyze: analyzeWithOpenAI,
+    isConfigured: () => !!config.openai.apiKey
+});
+
+// Offline deterministic provider - AI_PROVIDER=mock (disabled in production)
+registerProvider({
+    id: 'mock',
+    label: 'Mock (offline)',
+    tier: 'free',
+    analyze: analyzeWithMock,
+    isConfigured: () => config.nodeEnv !== 'production'
+});
+
+export default {
+    registerProvider,
+    getProvider,
+    listProviders,
+    selectProvider,
+    analyzeWithFallback
+};
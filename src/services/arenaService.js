@@ -0,0 +1,480 @@
+/**
+ * Arena Service - ghost pool, matchmaking and the weekly arena leaderboard
+ *
+ * A player enters the arena with a fresh analyze result (resultId). Matchmaking
+ * pairs them with another player waiting in the live queue inside a score band;
+ * if nobody shows up within 15 seconds they face a ghost - a seeded outfit
+ * with a fixed score - picked from the same band (widened until one is found).
+ *
+ * Every finished match awards leaderboard points for the current week. The
+ * reward scheduler (index.js) pays ARENA_REWARDS against last week's board.
+ *
+ * Redis Keys:
+ * - fitrate:arena:ghosts                  - ZSET ghostId → score
+ * - fitrate:arena:ghost:data              - HASH ghostId → ghost JSON
+ * - fitrate:arena:queue                   - ZSET ticketId → score (players waiting for a live match)
+ * - fitrate:arena:ticket:{ticketId}       - Ticket JSON (10 min TTL)
+ * - fitrate:arena:entered:{imageHash}     - One arena entry per photo (7 day TTL, resultId for results without a hash)
+ * - fitrate:phash:arena:*                 - Entered photo fingerprints, catches re-encoded copies (imageHasher.js)
+ * - fitrate:arena:leaderboard:{weekId}    - ZSET userId → points (3 week TTL)
+ * - fitrate:arena:players:{weekId}        - HASH {userId}:name|wins|losses|ties (3 week TTL)
+ */
+
+import crypto from 'crypto';
+import { kv } from './kvStore.js';
+import { getResult } from './resultStore.js';
+import { getWeekId } from './eventService.js';
+import { parseKey, findNearDuplicates, indexImage, unindexImage } from './imageHasher.js';
+
+const GHOSTS_KEY = 'fitrate:arena:ghosts';
+const GHOST_DATA_KEY = 'fitrate:arena:ghost:data';
+const QUEUE_KEY = 'fitrate:arena:queue';
+const TICKET_KEY_PREFIX = 'fitrate:arena:ticket:';
+const ENTERED_KEY_PREFIX = 'fitrate:arena:entered:';
+const LEADERBOARD_KEY_PREFIX = 'fitrate:arena:leaderboard:';
+const PLAYERS_KEY_PREFIX = 'fitrate:arena:players:';
+const ENTERED_HASH_SCOPE = 'arena';
+
+const TICKET_TTL = 60 * 10;                  // 10 minutes
+const ENTERED_TTL = 60 * 60 * 24 * 7;        // Well past the 10 min a result stays fresh
+const LEADERBOARD_TTL = 60 * 60 * 24 * 21;   // 3 weeks - survives the Monday payout
+
+export const ARENA_LIMITS = {
+    scoreBand: 5,                 // ± points for a fair match
+    maxBandWidenings: 3,          // Ghost band: 5 → 10 → 20 → 40, then nearest
+    ghostFallbackMs: 15 * 1000,   // Guaranteed match: ghost after 15s in the queue
+    maxResultAgeMs: 10 * 60 * 1000, // "Fresh scan" - result from the last 10 minutes
+    maxGhosts: 500,
+    maxThumbLength: 2 * 1024 * 1024, // ~1.5MB image as a base64 data URL
+    maxNameLength: 24,
+    ghostSampleSize: 3            // Last-resort ghost: random pick among the N nearest scores
+};
+
+// Leaderboard points per match - ghost wins are worth less than beating a live player
+export const ARENA_POINTS = {
+    liveWin: 3,
+    ghostWin: 2,
+    tie: 1,
+    loss: 0
+};
+
+function generateId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+export function isValidTicketId(ticketId) {
+    return typeof ticketId === 'string' && /^tk_\d+_[a-f0-9]{8}$/.test(ticketId);
+}
+
+export function isValidGhostId(ghostId) {
+    return typeof ghostId === 'string' && /^ghost_\d+_[a-f0-9]{8}$/.test(ghostId);
+}
+
+function cleanName(name, fallback) {
+    const cleaned = typeof name === 'string' ? name.replace(/[<>]/g, '').trim().slice(0, ARENA_LIMITS.maxNameLength) : '';
+    return cleaned || fallback;
+}
+
+// ============================================
+// GHOST POOL
+// ============================================
+
+/**
+ * Add a seeded outfit to the ghost pool
+ * @param {Object} params
+ * @param {number} params.score - Fixed overall score (0-100)
+ * @param {string} params.thumb - Outfit image as a data URL
+ * @param {string} params.displayName - Name shown to the opponent
+ * @param {string} params.mode - Mode the score was given in
+ * @returns {Object} { success, ghost } or { success: false, error, message }
+ */
+export async function seedGhost({ score, thumb, displayName, mode = 'nice' }) {
+    const numericScore = Number(score);
+    if (!Number.isFinite(numericScore) || numericScore < 0 || numericScore > 100) {
+        return { success: false, error: 'invalid_score', message: 'score must be a number between 0 and 100' };
+    }
+    if (typeof thumb !== 'string' || !thumb.startsWith('data:image/')) {
+        return { success: false, error: 'invalid_thumb', message: 'thumb must be an image data URL' };
+    }
+    if (thumb.length > ARENA_LIMITS.maxThumbLength) {
+        return { success: false, error: 'invalid_thumb', message: 'thumb is too large' };
+    }
+
+    const stats = await getGhostPoolStats();
+    if (stats.totalSize >= ARENA_LIMITS.maxGhosts) {
+        return { success: false, error: 'pool_full', message: `Ghost pool is full (${ARENA_LIMITS.maxGhosts})` };
+    }
+
+    const ghost = {
+        ghostId: generateId('ghost'),
+        score: Math.round(numericScore * 10) / 10,
+        thumb,
+        displayName: cleanName(displayName, 'Mystery Fit'),
+        mode: typeof mode === 'string' ? mode : 'nice',
+        createdAt: new Date().toISOString()
+    };
+
+    await kv.multi()
+        .hset(GHOST_DATA_KEY, ghost.ghostId, JSON.stringify(ghost))
+        .zadd(GHOSTS_KEY, ghost.score, ghost.ghostId)
+        .exec();
+
+    console.log(`👻 Ghost seeded: ${ghost.ghostId} (${ghost.displayName}, ${ghost.score})`);
+    return { success: true, ghost };
+}
+
+/**
+ * Ghost pool size
+ * @returns {Object} { activeSize, totalSize, queueSize }
+ *   activeSize - ghosts available to matchmaking, totalSize - ghosts stored,
+ *   queueSize - players currently waiting for a live match
+ */
+export async function getGhostPoolStats() {
+    const [activeSize, totalSize, queueSize] = await Promise.all([
+        kv.zcard(GHOSTS_KEY),
+        kv.hlen(GHOST_DATA_KEY),
+        kv.zcard(QUEUE_KEY)
+    ]);
+    return { activeSize, totalSize, queueSize };
+}
+
+async function getGhost(ghostId) {
+    const data = await kv.hget(GHOST_DATA_KEY, ghostId);
+    return data ? JSON.parse(data) : null;
+}
+
+async function findGhostIdsInBand(min, max) {
+    return kv.zrangebyscore(GHOSTS_KEY, min, max);
+}
+
+/**
+ * A ghost's outfit image (served separately - tickets only carry its URL)
+ * @returns {Object|null} { contentType, buffer }
+ */
+export async function getGhostThumb(ghostId) {
+    const ghost = await getGhost(ghostId);
+    const match = ghost?.thumb?.match(/^data:(image\/[\w+.-]+);base64,(.+)$/);
+    if (!match) return null;
+    return { contentType: match[1], buffer: Buffer.from(match[2], 'base64') };
+}
+
+/**
+ * Pick a ghost near a score: random ghost within the band, widening the band
+ * when it's empty, then one of the closest ghosts in the whole pool
+ * (chosen from the ZSET scores - only the picked ghost's data is read)
+ */
+async function pickGhost(score) {
+    let band = ARENA_LIMITS.scoreBand;
+    for (let i = 0; i <= ARENA_LIMITS.maxBandWidenings; i++) {
+        const ids = await findGhostIdsInBand(score - band, score + band);
+        if (ids.length > 0) {
+            const ghost = await getGhost(ids[crypto.randomInt(ids.length)]);
+            if (ghost) return ghost;
+        }
+        band *= 2;
+    }
+
+    const flat = await kv.zrangebyscore(GHOSTS_KEY, '-inf', '+inf', 'WITHSCORES');
+    const nearest = [];
+    for (let i = 0; i < flat.length; i += 2) nearest.push({ ghostId: flat[i], distance: Math.abs(parseFloat(flat[i + 1]) - score) });
+    nearest.sort((a, b) => a.distance - b.distance);
+    const sample = nearest.slice(0, ARENA_LIMITS.ghostSampleSize);
+    if (sample.length === 0) return null;
+    return getGhost(sample[crypto.randomInt(sample.length)].ghostId);
+}
+
+// ============================================
+// TICKETS + LIVE QUEUE
+// ============================================
+
+async function saveTicket(ticket) {
+    await kv.set(`${TICKET_KEY_PREFIX}${ticket.ticketId}`, JSON.stringify(ticket), 'EX', TICKET_TTL);
+}
+
+async function loadTicket(ticketId) {
+    const data = await kv.get(`${TICKET_KEY_PREFIX}${ticketId}`);
+    return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Take a ticket out of the live queue. Only one caller gets `true` - that caller
+ * owns the ticket's match (a live opponent claiming it, or its own ghost fallback)
+ */
+async function claimFromQueue(ticketId) {
+    return (await kv.zrem(QUEUE_KEY, ticketId)) === 1;
+}
+
+async function addToQueue(ticket) {
+    await kv.zadd(QUEUE_KEY, ticket.score, ticket.ticketId);
+}
+
+async function findQueuedInBand(min, max) {
+    return kv.zrangebyscore(QUEUE_KEY, min, max);
+}
+
+/**
+ * Claim the closest waiting player inside the score band (not the same user)
+ * @returns {Object|null} The opponent's ticket, now owned by the caller
+ */
+async function claimLiveOpponent(ticket) {
+    const ids = await findQueuedInBand(ticket.score - ARENA_LIMITS.scoreBand, ticket.score + ARENA_LIMITS.scoreBand);
+    const candidates = [];
+    for (const ticketId of ids) {
+        const candidate = await loadTicket(ticketId);
+        if (!candidate) {
+            // Ticket expired while queued - drop the orphan
+            await claimFromQueue(ticketId);
+            continue;
+        }
+        if (candidate.userId !== ticket.userId && candidate.status === 'searching') candidates.push(candidate);
+    }
+    candidates.sort((a, b) => Math.abs(a.score - ticket.score) - Math.abs(b.score - ticket.score));
+
+    for (const candidate of candidates) {
+        if (await claimFromQueue(candidate.ticketId)) return candidate;
+    }
+    return null;
+}
+
+// ============================================
+// MATCH RESOLUTION + LEADERBOARD
+// ============================================
+
+/**
+ * Compare scores at the 1-decimal precision results are recorded with
+ * @returns {Object} { outcome: 'win'|'loss'|'tie', margin } from the first player's side
+ */
+export function decideArenaMatch(score, opponentScore) {
+    const margin = Math.round((score - opponentScore) * 10) / 10;
+    if (margin === 0) return { outcome: 'tie', margin: 0 };
+    return { outcome: margin > 0 ? 'win' : 'loss', margin: Math.abs(margin) };
+}
+
+function pointsFor(outcome, opponentType) {
+    if (outcome === 'win') return opponentType === 'ghost' ? ARENA_POINTS.ghostWin : ARENA_POINTS.liveWin;
+    return outcome === 'tie' ? ARENA_POINTS.tie : ARENA_POINTS.loss;
+}
+
+const OUTCOME_FIELD = { win: 'wins', loss: 'losses', tie: 'ties' };
+
+async function recordLeaderboard(ticket, outcome, points) {
+    const weekId = getWeekId();
+    const lbKey = `${LEADERBOARD_KEY_PREFIX}${weekId}`;
+    const playersKey = `${PLAYERS_KEY_PREFIX}${weekId}`;
+    // zincrby with 0 still puts a losing player on the board
+    await kv.multi()
+        .zincrby(lbKey, points, ticket.userId)
+        .hset(playersKey, `${ticket.userId}:name`, ticket.displayName)
+        .hincrby(playersKey, `${ticket.userId}:${OUTCOME_FIELD[outcome]}`, 1)
+        .expire(lbKey, LEADERBOARD_TTL)
+        .expire(playersKey, LEADERBOARD_TTL)
+        .exec();
+    return weekId;
+}
+
+/**
+ * Settle one side of a match: store it on the ticket and score the leaderboard
+ */
+async function settleTicket(ticket, opponent, opponentType) {
+    const { outcome, margin } = decideArenaMatch(ticket.score, opponent.score);
+    const points = pointsFor(outcome, opponentType);
+    const weekId = await recordLeaderboard(ticket, outcome, points);
+
+    const settled = {
+        ...ticket,
+        status: 'matched',
+        match: {
+            opponentType,
+            opponent: {
+                displayName: opponent.displayName,
+                score: opponent.score,
+                mode: opponent.mode,
+                // The ~1MB image is fetched once from GET /api/arena/ghosts/:ghostId/thumb, not on every poll
+                ...(opponent.ghostId ? { ghostId: opponent.ghostId } : {})
+            },
+            outcome,
+            margin,
+            points,
+            weekId,
+            matchedAt: new Date().toISOString()
+        }
+    };
+    await saveTicket(settled);
+    return settled;
+}
+
+async function matchWithGhost(ticket) {
+    const ghost = await pickGhost(ticket.score);
+    if (!ghost) {
+        // Empty pool - keep the player searching, a live opponent can still arrive
+        await saveTicket({ ...ticket, status: 'searching' });
+        await addToQueue(ticket);
+        console.warn('[ARENA] Ghost pool is empty - seed it via POST /api/admin/ghost-pool/seed');
+        return { ...ticket, status: 'searching' };
+    }
+    const settled = await settleTicket(ticket, ghost, 'ghost');
+    console.log(`[ARENA] ${ticket.ticketId} vs ghost ${ghost.ghostId}: ${ticket.score} vs ${ghost.score} → ${settled.match.outcome}`);
+    return settled;
+}
+
+/**
+ * Enter matchmaking with a fresh analyze result
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.resultId - From POST /api/analyze (last 10 minutes, the caller's own)
+ * @param {string} params.displayName
+ * @returns {Object} { success, ticket } or { success: false, error, message }
+ */
+export async function enterArena({ userId, resultId, displayName }) {
+    const result = await getResult(resultId);
+    if (!result) {
+        return { success: false, error: 'result_not_found', message: 'Result not found or expired - scan your outfit first' };
+    }
+    if (result.userId !== userId) {
+        return { success: false, error: 'invalid_result', message: 'You can only enter the arena with your own scan' };
+    }
+    if (Date.now() - new Date(result.createdAt).getTime() > ARENA_LIMITS.maxResultAgeMs) {
+        return { success: false, error: 'stale_result', message: 'Scan a new outfit to enter the arena' };
+    }
+
+    // One arena entry per photo - a cache hit hands out a new resultId for the same image.
+    // Exact fingerprint claimed atomically, near-duplicates (re-encoded copies) caught by the hash index
+    const hash = result.imageHash ? parseKey(result.imageHash) : null;
+    const alreadyEntered = { success: false, error: 'already_entered', message: 'This photo already entered the arena - scan a new outfit' };
+    if (hash && (await findNearDuplicates(ENTERED_HASH_SCOPE, hash)).length > 0) return alreadyEntered;
+    const enteredKey = `${ENTERED_KEY_PREFIX}${hash ? hash.key : resultId}`;
+    const fresh = await kv.set(enteredKey, userId, 'EX', ENTERED_TTL, 'NX');
+    if (!fresh) return alreadyEntered;
+
+    try {
+        await indexImage(ENTERED_HASH_SCOPE, hash, userId, ENTERED_TTL);
+        return await matchEntry({ userId, displayName, resultId, result });
+    } catch (error) {
+        // The entry never made it into a ticket - give the photo back so a retry isn't refused
+        await Promise.all([
+            kv.del(enteredKey),
+            unindexImage(ENTERED_HASH_SCOPE, hash, userId)
+        ]).catch(releaseError => console.error('[ARENA] Failed to release photo claim:', releaseError.message));
+        throw error;
+    }
+}
+
+/**
+ * Queue a claimed entry, or settle it right away against a waiting live player
+ */
+async function matchEntry({ userId, displayName, resultId, result }) {
+    const ticket = {
+        ticketId: generateId('tk'),
+        userId,
+        displayName: cleanName(displayName, 'Anonymous'),
+        resultId,
+        score: result.overall,
+        mode: result.mode,
+        status: 'searching',
+        queuedAt: new Date().toISOString()
+    };
+
+    const opponent = await claimLiveOpponent(ticket);
+    if (opponent) {
+        const [settled] = await Promise.all([
+            settleTicket(ticket, opponent, 'live'),
+            settleTicket(opponent, ticket, 'live')
+        ]);
+        console.log(`[ARENA] Live match ${ticket.ticketId} vs ${opponent.ticketId}: ${ticket.score} vs ${opponent.score}`);
+        return { success: true, ticket: settled };
+    }
+
+    await saveTicket(ticket);
+    await addToQueue(ticket);
+    console.log(`[ARENA] ${ticket.ticketId} queued (score: ${ticket.score})`);
+    return { success: true, ticket };
+}
+
+/**
+ * Poll a ticket - falls back to a ghost once the player has waited long enough
+ * @param {string} ticketId
+ * @param {string} userId - Must own the ticket
+ * @returns {Object} { success, ticket } or { success: false, error, message }
+ */
+export async function pollArenaTicket(ticketId, userId) {
+    const ticket = await loadTicket(ticketId);
+    if (!ticket || ticket.userId !== userId) {
+        return { success: false, error: 'not_found', message: 'Arena ticket not found or expired' };
+    }
+    if (ticket.status !== 'searching') return { success: true, ticket };
+
+    const waitedMs = Date.now() - new Date(ticket.queuedAt).getTime();
+    if (waitedMs < ARENA_LIMITS.ghostFallbackMs) return { success: true, ticket };
+
+    // Only the side that takes the ticket out of the queue may settle it
+    if (!(await claimFromQueue(ticketId))) {
+        return { success: true, ticket: (await loadTicket(ticketId)) || ticket };
+    }
+    return { success: true, ticket: await matchWithGhost(ticket) };
+}
+
+/**
+ * Weekly arena leaderboard, best first
+ * @param {string} weekId - Defaults to the current week
+ * @param {number} limit
+ * @returns {Array} [{ rank, userId, displayName, points, wins, losses, ties }]
+ */
+export async function getArenaLeaderboard(weekId = getWeekId(), limit = 10) {
+    const raw = await kv.zrevrange(`${LEADERBOARD_KEY_PREFIX}${weekId}`, 0, limit - 1, 'WITHSCORES');
+    if (raw.length === 0) return [];
+    const players = await kv.hgetall(`${PLAYERS_KEY_PREFIX}${weekId}`);
+    const entries = [];
+    for (let i = 0; i < raw.length; i += 2) {
+        const userId = raw[i];
+        entries.push({
+            rank: entries.length + 1,
+            userId,
+            displayName: players[`${userId}:name`] || 'Anonymous',
+            points: parseFloat(raw[i + 1]),
+            wins: parseInt(players[`${userId}:wins`] || '0', 10),
+            losses: parseInt(players[`${userId}:losses`] || '0', 10),
+            ties: parseInt(players[`${userId}:ties`] || '0', 10)
+        });
+    }
+    return entries;
+}
+
+/**
+ * Week the Monday payout settles: the arena week that ended before `now`
+ * Weeks roll over at Monday 00:00 EST (fixed UTC-5, see dateUtils) = 05:00 UTC,
+ * so a run at 05:00-05:02 UTC Monday is already in the new week - step back a day.
+ * @param {Date} now - Payout run time
+ * @returns {string} weekId the finished week's matches were recorded under
+ */
+export function getRewardWeekId(now = new Date()) {
+    return getWeekId(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+}
+
+/**
+ * A week's board in the shape calculateRewards() expects. Players without
+ * points (no wins or ties) don't qualify for ARENA_REWARDS.
+ * @param {string} weekId
+ * @returns {Array} [{ userId, score, rank }]
+ */
+export async function getArenaRewardLeaderboard(weekId) {
+    const board = await getArenaLeaderboard(weekId, 100);
+    return board
+        .filter(entry => entry.points > 0)
+        .map(entry => ({ userId: entry.userId, score: entry.points, rank: entry.rank }));
+}
+
+export default {
+    ARENA_LIMITS,
+    ARENA_POINTS,
+    isValidTicketId,
+    isValidGhostId,
+    seedGhost,
+    getGhostThumb,
+    getGhostPoolStats,
+    decideArenaMatch,
+    enterArena,
+    pollArenaTicket,
+    getArenaLeaderboard,
+    getRewardWeekId,
+    getArenaRewardLeaderboard
+};
@@ -0,0 +1,93 @@
+/**
+ * Battle Service - 1v1 outfit battles
+ *
+ * Both outfits are scored by the active provider (MODEL_ROUTING via analyzerRegistry)
+ * with battleMode: true, which adds BATTLE_SCORING_INSTRUCTIONS (high variance,
+ * decimal scores) and keeps 2 decimals on `overall`.
+ *
+ * Winner resolution:
+ * 1. Higher overall (decimals count - 81.23 beats 81.2)
+ * 2. Still level → higher color + fit + style total
+ * 3. Still level → tie (winner: 0)
+ */
+
+import { analyzeWithFallback } from './analyzerRegistry.js';
+
+/**
+ * Decide a battle from two score objects
+ * @param {Object} scores1 - Outfit 1 scores (parseAIResponse shape)
+ * @param {Object} scores2 - Outfit 2 scores
+ * @returns {{ winner: number, margin: number, tieBreaker: string|null, commentary: string }}
+ */
+export function decideBattle(scores1, scores2) {
+    const subtotal = (s) => (s.color || 0) + (s.fit || 0) + (s.style || 0);
+    const margin = Math.round(Math.abs(scores1.overall - scores2.overall) * 100) / 100;
+
+    let winner = 0;
+    let tieBreaker = null;
+    if (margin > 0) {
+        winner = scores1.overall > scores2.overall ? 1 : 2;
+    } else if (subtotal(scores1) !== subtotal(scores2)) {
+        winner = subtotal(scores1) > subtotal(scores2) ? 1 : 2;
+        tieBreaker = 'subscores';
+    }
+
+    let commentary;
+    if (winner === 0) {
+        commentary = "It's a tie! Both fits are equally fire 🔥";
+    } else if (tieBreaker) {
+        commentary = `Dead even at ${scores1.overall}! Outfit ${winner} takes it on color, fit and style ⚔️`;
+    } else if (margin < 1) {
+        commentary = `Outfit ${winner} wins by a thread - just ${margin} points! 😮‍💨`;
+    } else {
+        commentary = `Outfit ${winner} takes the crown by ${margin} points!`;
+    }
+
+    return { winner, margin, tieBreaker, commentary };
+}
+
+/**
+ * Score both outfits and decide the battle
+ * @param {Object} provider - Provider from selectProvider()
+ * @param {string} image1 - Sanitized base64 image (outfit 1)
+ * @param {string} image2 - Sanitized base64 image (outfit 2)
+ * @param {Object} options - Passed to the analyzer (mode, securityContext, promptVariant, ...)
+ * @returns {Object} { success, battle } or { success: false, error, code, failedOutfit }
+ */
+export async function analyzeBattle(provider, image1, image2, options = {}) {
+    const analyzerOptions = { ...options, battleMode: true };
+    const [result1, result2] = await Promise.all([
+        analyzeWithFallback(provider, image1, analyzerOptions),
+        analyzeWithFallback(provider, image2, analyzerOptions)
+    ]);
+
+    const failed = [result1, result2].findIndex(r => !r.success);
+    if (failed !== -1) {
+        const failedResult = failed === 0 ? result1 : result2;
+        const bothFailed = !result1.success && !result2.success;
+        return {
+            success: false,
+            error: bothFailed
+                ? 'Failed to analyze both outfits'
+                : `Failed to analyze outfit ${failed + 1}: ${failedResult.error}`,
+            code: failedResult.code || 'BATTLE_FAILED',
+            failedOutfit: bothFailed ? 0 : failed + 1,
+            promptVariants: [result1.promptVariant, result2.promptVariant]
+        };
+    }
+
+    return {
+        success: true,
+        battle: {
+            outfit1: result1.scores,
+            outfit2: result2.scores,
+            ...decideBattle(result1.scores, result2.scores)
+        },
+        promptVariants: [result1.promptVariant, result2.promptVariant]
+    };
+}
+
+export default {
+    decideBattle,
+    analyzeBattle
+};
@@ -11,6 +11,7 @@
  */
 
 import crypto from 'crypto';
+import { paletteAccent } from '../utils/colorPalette.js';
 
 // ============================================
 // SEEDED PRNG (Deterministic Randomness)
@@ -288,9 +289,10 @@ function getScoreBand(score) {
  * @param {number} params.score - Overall score 0-100
  * @param {number} params.timestamp - Creation timestamp
  * @param {number} params.streak - Current user streak (default 0)
+ * @param {Object} params.palette - Outfit palette (colorPalette.extractPalette), optional
  * @returns {Object} Card DNA object
  */
-export function generateCardDNA({ cardId, mode, score, timestamp, streak = 0 }) {
+export function generateCardDNA({ cardId, mode, score, timestamp, streak = 0, palette = null }) {
     // Create cryptographic seed from cardId + secret
     const seedInput = `${cardId}:${timestamp}:${process.env.CARD_SECRET || 'fitrate_unique_2024'}`;
     const fullSeed = crypto.createHash('sha256').update(seedInput).digest('hex');
@@ -323,6 +325,13 @@ export function generateCardDNA({ cardId, mode, score, timestamp, streak = 0 })
         badge: streakTier.badge
     };
 
+    // ===== PALETTE CONTEXT =====
+    // The outfit's own most vivid color replaces the time-of-day accent (null for all-neutral fits)
+    const accent = paletteAccent(palette);
+    const paletteContext = accent
+        ? { accent, harmony: palette.harmony, swatches: palette.swatches.map(swatch => swatch.hex) }
+        : null;
+
     // ===== STYLE TOKENS (Visual Variations) =====
     const styleTokens = {
         // Major layout choice
@@ -381,7 +390,8 @@ export function generateCardDNA({ cardId, mode, score, timestamp, streak = 0 })
         styleTokens.badgePosition,
         copySlots.verdictBadge,
         timeContext.period,
-        streakContext.tier
+        streakContext.tier,
+        ...(paletteContext ? [paletteContext.accent] : [])
     ].join(':')).digest('hex').slice(0, 12);
 
     return {
@@ -393,6 +403,7 @@ export function generateCardDNA({ cardId, mode, score, timestamp, streak = 0 })
         copySlots,
         timeContext,    // NEW: Time-of-day theming
         streakContext,  // NEW: Streak-influenced visuals
+        paletteContext, // Outfit accent color (null = use timeContext.accent)
         version: 2, // Bumped for new features
         generatedAt: new Date().toISOString()
     };
@@ -0,0 +1,207 @@
+/**
+ * Challenge Party Service - shared 1v1 challenge rooms (docs/CHALLENGE_PARTY.md)
+ *
+ * User A creates a challenge from one of their analyze results, shares the link,
+ * user B answers with their own result. Scores always come from the server-side
+ * result record (resultStore) - clients only send resultIds, and only ones they own.
+ * (resultIds are public via /share/r/:resultId)
+ *
+ * Lifecycle: waiting → completed | expired (7 days)
+ *
+ * Redis Keys:
+ * - challenge:{challengeId} - Hash (7 day TTL)
+ * - challenge:{challengeId}:claim - Responder's resultId, set once (expires with the challenge)
+ */
+
+import crypto from 'crypto';
+import { kv } from './kvStore.js';
+import { getResult } from './resultStore.js';
+
+const CHALLENGE_KEY_PREFIX = 'challenge:';
+const CHALLENGE_TTL = 60 * 60 * 24 * 7;  // 7 days
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 10;
+
+export function isValidChallengeId(challengeId) {
+    return typeof challengeId === 'string' && /^ch_[A-Za-z0-9]{6,16}$/.test(challengeId);
+}
+
+function generateChallengeId() {
+    const bytes = crypto.randomBytes(ID_LENGTH);
+    let id = 'ch_';
+    for (const byte of bytes) id += ID_ALPHABET[byte % ID_ALPHABET.length];
+    return id;
+}
+
+function getChallengeKey(challengeId) {
+    return `${CHALLENGE_KEY_PREFIX}${challengeId}`;
+}
+
+/**
+ * Hash fields → typed challenge
+ */
+function parseChallenge(challengeId, raw) {
+    if (!raw || !raw.status) return null;
+    const num = (v) => (v === undefined || v === null || v === '' ? null : parseFloat(v));
+    const str = (v) => (v === undefined || v === null || v === '' ? null : v);
+    return {
+        challengeId,
+        status: raw.status,
+        creatorScore: num(raw.creatorScore),
+        responderScore: num(raw.responderScore),
+        winner: str(raw.winner),
+        mode: str(raw.mode),
+        createdAt: raw.createdAt,
+        respondedAt: str(raw.respondedAt),
+        expiresAt: raw.expiresAt,
+        creatorResultId: str(raw.creatorResultId),
+        responderResultId: str(raw.responderResultId),
+        creatorUserId: str(raw.creatorUserId)
+    };
+}
+
+/**
+ * Compare scores at the 1-decimal precision results are recorded with
+ */
+export function calculateWinner(creatorScore, responderScore) {
+    const margin = Math.round((responderScore - creatorScore) * 10) / 10;
+    if (margin === 0) return { winner: 'tie', margin: 0 };
+    return { winner: margin > 0 ? 'responder' : 'creator', margin: Math.abs(margin) };
+}
+
+/**
+ * Create a challenge from the creator's analyze result
+ * @param {string} resultId - Creator's resultId (from POST /api/analyze)
+ * @param {string} userId - Creator - must own the result
+ * @returns {Object} { success, challenge } or { success: false, error, message }
+ */
+export async function createChallenge(resultId, userId) {
+    const result = await getResult(resultId);
+    if (!result) {
+        return { success: false, error: 'result_not_found', message: 'Result not found or expired - scan your outfit first' };
+    }
+    if (!userId || result.userId !== userId) {
+        return { success: false, error: 'not_owner', message: 'You can only challenge with your own scan' };
+    }
+
+    const now = new Date();
+    const challenge = {
+        status: 'waiting',
+        creatorScore: String(result.overall),
+        responderScore: '',
+        winner: '',
+        mode: result.mode || '',
+        createdAt: now.toISOString(),
+        respondedAt: '',
+        expiresAt: new Date(now.getTime() + CHALLENGE_TTL * 1000).toISOString(),
+        creatorResultId: resultId,
+        responderResultId: '',
+        creatorUserId: userId
+    };
+
+    const challengeId = generateChallengeId();
+    const key = getChallengeKey(challengeId);
+    await kv.multi()
+        .hset(key, challenge)
+        .expire(key, CHALLENGE_TTL)
+        .exec();
+
+    console.log(`[CHALLENGE] ${challengeId} created (score: ${result.overall}, mode: ${result.mode})`);
+    return { success: true, challenge: parseChallenge(challengeId, challenge) };
+}
+
+/**
+ * Get a challenge
+ * @param {string} challengeId
+ * @returns {Object} { success, challenge } or { success: false, error: 'not_found' | 'expired' }
+ */
+export async function getChallenge(challengeId) {
+    const raw = await kv.hgetall(getChallengeKey(challengeId));
+    const challenge = parseChallenge(challengeId, raw);
+
+    if (!challenge) {
+        return { success: false, error: 'not_found', message: 'Challenge not found' };
+    }
+    if (challenge.status === 'waiting' && new Date(challenge.expiresAt).getTime() <= Date.now()) {
+        return { success: false, error: 'expired', message: 'This challenge has expired', challenge: { ...challenge, status: 'expired' } };
+    }
+    return { success: true, challenge };
+}
+
+/**
+ * Answer a challenge with the responder's analyze result
+ * First valid response wins - later ones get 'already_completed'
+ * @param {string} challengeId
+ * @param {string} resultId - Responder's resultId
+ * @param {string} userId - Responder - must own the result
+ * @returns {Object} { success, challenge, margin } or { success: false, error, message }
+ */
+export async function respondToChallenge(challengeId, resultId, userId) {
+    const current = await getChallenge(challengeId);
+    if (!current.success) return current;
+    const challenge = current.challenge;
+
+    if (challenge.status !== 'waiting') {
+        return { success: false, error: 'already_completed', message: 'Challenge already completed' };
+    }
+
+    const result = await getResult(resultId);
+    if (!result) {
+        return { success: false, error: 'result_not_found', message: 'Result not found or expired - scan your outfit first' };
+    }
+    if (resultId === challenge.creatorResultId) {
+        return { success: false, error: 'invalid_result', message: "You can't answer a challenge with the creator's result" };
+    }
+    if (!userId || result.userId !== userId) {
+        return { success: false, error: 'not_owner', message: 'You can only answer with your own scan' };
+    }
+    if (challenge.creatorUserId && userId === challenge.creatorUserId) {
+        return { success: false, error: 'own_challenge', message: "You can't answer your own challenge" };
+    }
+    // The responder scans for this challenge - no digging up an older high score
+    if (new Date(result.createdAt).getTime() < new Date(challenge.createdAt).getTime()) {
+        return { success: false, error: 'stale_result', message: 'Scan a new outfit to answer this challenge' };
+    }
+
+    const { winner, margin } = calculateWinner(challenge.creatorScore, result.overall);
+    const respondedAt = new Date().toISOString();
+    const update = {
+        status: 'completed',
+        responderScore: String(result.overall),
+        winner,
+        respondedAt,
+        responderResultId: resultId
+    };
+
+    // Claim the response slot atomically - concurrent responders can't both win it
+    // Separate key: a write to the hash after it expired would recreate it without a TTL
+    const key = getChallengeKey(challengeId);
+    const ttl = await kv.ttl(key);
+    if (ttl === -2) {
+        return { success: false, error: 'not_found', message: 'Challenge not found' };
+    }
+    const remaining = ttl > 0 ? ttl : CHALLENGE_TTL;
+    const claimed = await kv.set(`${key}:claim`, resultId, 'EX', remaining, 'NX');
+    if (!claimed) {
+        return { success: false, error: 'already_completed', message: 'Challenge already completed' };
+    }
+    await kv.multi()
+        .hset(key, update)
+        .expire(key, remaining)
+        .exec();
+
+    console.log(`[CHALLENGE] ${challengeId} completed: ${challenge.creatorScore} vs ${result.overall} → ${winner}`);
+    return {
+        success: true,
+        challenge: { ...challenge, ...update, responderScore: result.overall },
+        margin
+    };
+}
+
+export default {
+    isValidChallengeId,
+    calculateWinner,
+    createChallenge,
+    getChallenge,
+    respondToChallenge
+};
@@ -0,0 +1,175 @@
+/**
+ * Circuit Breaker - Per-model health tracking for AI providers
+ *
+ * One breaker per model (e.g. 'gemini:gemini-2.5-flash', 'openai:gpt-4o').
+ * Stops every request paying 15s timeouts / 503 retries against a model
+ * that has been failing for minutes.
+ *
+ * States:
+ * - closed     Normal. Calls flow, outcomes recorded in a rolling window
+ * - open       Tripped. Calls skipped immediately until the cooldown passes
+ * - half_open  Cooldown passed. ONE probe call allowed - success closes, failure re-opens
+ *
+ * Trips when, within the rolling window:
+ * - failure rate >= 50% over at least 4 calls, OR
+ * - 3 consecutive failures
+ * Slow calls (> 12s) count as failures - a model that answers in 14s still loses the user.
+ *
+ * In-memory per instance: each instance learns health from its own traffic.
+ */
+
+// Tuning
+const WINDOW_MS = 5 * 60 * 1000;          // Rolling window for error rate
+const WINDOW_MAX_CALLS = 50;              // Cap samples per breaker
+const MIN_CALLS_FOR_RATE = 4;             // Don't judge error rate on 1-2 calls
+const FAILURE_RATE_THRESHOLD = 0.5;       // 50% failures → open
+const CONSECUTIVE_FAILURE_THRESHOLD = 3;  // 3 in a row → open
+const SLOW_CALL_MS = 12000;               // Slower than this counts as a failure
+const BASE_COOLDOWN_MS = 30 * 1000;       // First open lasts 30s
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;    // Repeated trips back off up to 5 min
+
+const breakers = new Map();
+
+function getBreaker(key) {
+    if (!breakers.has(key)) {
+        breakers.set(key, {
+            key,
+            state: 'closed',
+            calls: [],               // { ts, ok, latencyMs }
+            consecutiveFailures: 0,
+            openedAt: null,
+            cooldownMs: BASE_COOLDOWN_MS,
+            probeInFlight: false,
+            lastError: null,
+            trips: 0
+        });
+    }
+    return breakers.get(key);
+}
+
+function pruneCalls(breaker) {
+    const cutoff = Date.now() - WINDOW_MS;
+    breaker.calls = breaker.calls.filter(c => c.ts >= cutoff).slice(-WINDOW_MAX_CALLS);
+}
+
+function open(breaker, reason) {
+    // Re-opening straight from a failed probe backs off the cooldown
+    breaker.cooldownMs = breaker.state === 'half_open'
+        ? Math.min(breaker.cooldownMs * 2, MAX_COOLDOWN_MS)
+        : BASE_COOLDOWN_MS;
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    breaker.probeInFlight = false;
+    breaker.trips++;
+    console.warn(`[BREAKER] ⛔ ${breaker.key} OPEN for ${Math.round(breaker.cooldownMs / 1000)}s (${reason})`);
+}
+
+/**
+ * Check whether a call to this model should be attempted
+ * Moves open → half_open once the cooldown has passed and reserves the single probe
+ * @param {string} key - Breaker key ('provider:model')
+ * @returns {boolean}
+ */
+export function canAttempt(key) {
+    const breaker = getBreaker(key);
+
+    if (breaker.state === 'closed') return true;
+
+    if (breaker.state === 'open') {
+        if (Date.now() - breaker.openedAt < breaker.cooldownMs) return false;
+        breaker.state = 'half_open';
+        console.log(`[BREAKER] 🟡 ${key} HALF-OPEN - sending probe`);
+    }
+
+    // half_open: only one probe at a time
+    if (breaker.probeInFlight) return false;
+    breaker.probeInFlight = true;
+    return true;
+}
+
+/**
+ * Record a successful call
+ * @param {string} key - Breaker key
+ * @param {number} latencyMs - Call duration
+ */
+export function recordSuccess(key, latencyMs = 0) {
+    if (latencyMs > SLOW_CALL_MS) {
+        return recordFailure(key, latencyMs, `slow call (${latencyMs}ms)`);
+    }
+
+    const breaker = getBreaker(key);
+    breaker.calls.push({ ts: Date.now(), ok: true, latencyMs });
+    breaker.consecutiveFailures = 0;
+    pruneCalls(breaker);
+
+    if (breaker.state === 'half_open') {
+        breaker.state = 'closed';
+        breaker.probeInFlight = false;
+        breaker.cooldownMs = BASE_COOLDOWN_MS;
+        breaker.calls = [{ ts: Date.now(), ok: true, latencyMs }];  // Fresh window after recovery
+        console.log(`[BREAKER] ✅ ${key} CLOSED - probe succeeded`);
+    }
+}
+
+/**
+ * Record a failed call (503, timeout, network error, unparseable output, slow call)
+ * @param {string} key - Breaker key
+ * @param {number} latencyMs - Call duration
+ * @param {string} reason - Short description for diagnostics
+ */
+export function recordFailure(key, latencyMs = 0, reason = 'error') {
+    const breaker = getBreaker(key);
+    breaker.calls.push({ ts: Date.now(), ok: false, latencyMs });
+    breaker.consecutiveFailures++;
+    breaker.lastError = { reason, at: new Date().toISOString() };
+    pruneCalls(breaker);
+
+    if (breaker.state === 'half_open') {
+        return open(breaker, `probe failed: ${reason}`);
+    }
+    if (breaker.state === 'open') return;
+
+    const failures = breaker.calls.filter(c => !c.ok).length;
+    const failureRate = failures / breaker.calls.length;
+
+    if (breaker.consecutiveFailures >= CONSECUTIVE_FAILURE_THRESHOLD) {
+        open(breaker, `${breaker.consecutiveFailures} consecutive failures`);
+    } else if (breaker.calls.length >= MIN_CALLS_FOR_RATE && failureRate >= FAILURE_RATE_THRESHOLD) {
+        open(breaker, `${Math.round(failureRate * 100)}% failure rate`);
+    }
+}
+
+/**
+ * Snapshot of every breaker for GET /api/diag
+ */
+export function getBreakerStates() {
+    const states = {};
+    for (const breaker of breakers.values()) {
+        pruneCalls(breaker);
+        const latencies = breaker.calls.map(c => c.latencyMs).sort((a, b) => a - b);
+        const failures = breaker.calls.filter(c => !c.ok).length;
+        const retryInMs = breaker.state === 'open'
+            ? Math.max(0, breaker.cooldownMs - (Date.now() - breaker.openedAt))
+            : 0;
+
+        states[breaker.key] = {
+            state: breaker.state,
+            calls: breaker.calls.length,
+            failureRate: breaker.calls.length ? Math.round((failures / breaker.calls.length) * 100) / 100 : 0,
+            consecutiveFailures: breaker.consecutiveFailures,
+            avgLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            p95LatencyMs: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null,
+            retryInMs,
+            trips: breaker.trips,
+            lastError: breaker.lastError
+        };
+    }
+    return states;
+}
+
+export default {
+    canAttempt,
+    recordSuccess,
+    recordFailure,
+    getBreakerStates
+};
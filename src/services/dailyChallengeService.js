@@ -7,17 +7,23 @@
  * Redis Keys:
  * - fitrate:daily:scores:{YYYY-MM-DD} - Sorted set (userId → score)
  * - fitrate:daily:entries:{YYYY-MM-DD}:{userId} - Entry metadata (JSON)
+ * - fitrate:daily:thumb:{YYYY-MM-DD}:{userId} - Server-generated outfit thumbnail (top 5 only)
+ * - fitrate:phash:daily:{YYYY-MM-DD}:* - Submitted photo fingerprints (imageHasher.js)
  */
 
-import { redis, isRedisAvailable } from './redisClient.js';
+import { kv } from './kvStore.js';
+import { findDuplicateSubmission, indexImage } from './imageHasher.js';
+import { screenEntry, holdEntry } from './integrityService.js';
 import { getESTDate, getTodayKeyEST, getYesterdayKeyEST, getMidnightResetTimeEST, EST_OFFSET } from '../utils/dateUtils.js';
 
 // Redis key patterns
 const DAILY_SCORES_PREFIX = 'fitrate:daily:scores:';
 const DAILY_ENTRIES_PREFIX = 'fitrate:daily:entries:';
+const DAILY_THUMB_PREFIX = 'fitrate:daily:thumb:';
 
 // Constants
 const DAILY_TTL = 60 * 60 * 48; // 48 hours (overlap for timezone safety)
+const TOP_THUMBNAIL_LIMIT = 5;  // Only the top 5 keep thumbnails
 
 // Display name templates
 const DISPLAY_ADJECTIVES = ['Stylish', 'Dripped', 'Fresh', 'Clean', 'Bold', 'Fierce', 'Sleek', 'Iconic', 'Sharp', 'Slick'];
@@ -85,35 +91,33 @@ export function getRankTitle(rank) {
  * Check if a user has already entered today's daily challenge
  */
 export async function hasEnteredToday(userId) {
-    if (!userId || !isRedisAvailable()) return false;
+    if (!userId) return false;
 
     const todayKey = getTodayKey();
     const entryKey = `${DAILY_ENTRIES_PREFIX}${todayKey}:${userId}`;
-    const entry = await redis.get(entryKey);
+    const entry = await kv.get(entryKey);
     return entry !== null;
 }
 /**
  * Record a daily challenge score
  * Returns error if user has already entered today
- * Only stores imageThumb for top 5 entries to save storage
+ * Only stores imageThumb (server-generated, see imageValidator.createThumbnail) for top 5 entries
+ * Rejects a photo another userId already entered today (options.imageHash)
+ * Holds entries the integrity service flags (stolen / recycled photos) for admin review
  */
 export async function recordDailyChallengeScore(userId, score, options = {}) {
-    const { displayName = null, tagline = null, imageThumb = null } = options;
+    const { displayName = null, tagline = null, imageThumb = null, imageHash = null } = options;
 
     if (!userId || score === undefined) {
         return { success: false, error: 'missing_params', message: 'Missing userId or score' };
     }
 
-    if (!isRedisAvailable()) {
-        return { success: false, error: 'redis_unavailable', message: 'Daily challenge unavailable' };
-    }
-
     const todayKey = getTodayKey();
     const scoresKey = `${DAILY_SCORES_PREFIX}${todayKey}`;
     const entryKey = `${DAILY_ENTRIES_PREFIX}${todayKey}:${userId}`;
 
     // Check if already entered today
-    const existingEntry = await redis.get(entryKey);
+    const existingEntry = await kv.get(entryKey);
     if (existingEntry) {
         return {
             success: false,
@@ -122,48 +126,86 @@ export async function recordDailyChallengeScore(userId, score, options = {}) {
         };
     }
 
+    // Same photo resubmitted under another userId
+    const duplicate = await findDuplicateSubmission(`daily:${todayKey}`, imageHash, userId);
+    if (duplicate) {
+        console.log(`[DAILY CHALLENGE] Blocked ${userId.slice(0, 12)}...: duplicate photo of ${duplicate.ownerId.slice(0, 12)}...'s entry (distance ${duplicate.distance})`);
+        return {
+            success: false,
+            error: 'duplicate_image',
+            message: 'This photo has already been entered in today\'s challenge.'
+        };
+    }
+    await indexImage(`daily:${todayKey}`, imageHash, userId, DAILY_TTL);
+
+    // INTEGRITY: Flagged entries use up today's try but stay off the leaderboard until approved
+    const screening = await screenEntry({ userId, imageHash, context: `daily:${todayKey}` });
+    if (screening.flagged) {
+        await kv.set(entryKey, JSON.stringify({
+            userId,
+            score,
+            displayName: displayName || getAnonymousName(userId),
+            tagline: tagline || null,
+            submittedAt: new Date().toISOString(),
+            held: true
+        }), 'EX', DAILY_TTL);
+        await holdEntry({
+            userId,
+            context: `daily:${todayKey}`,
+            reasons: screening.reasons,
+            leaderboardKey: scoresKey,
+            leaderboardScore: score,
+            leaderboardTtl: DAILY_TTL,
+            score,
+            // Placed on approval if the entry lands in the top 5
+            thumbnail: imageThumb && {
+                image: imageThumb,
+                keyPrefix: `${DAILY_THUMB_PREFIX}${todayKey}:`,
+                ttl: DAILY_TTL,
+                limit: TOP_THUMBNAIL_LIMIT
+            }
+        });
+        return {
+            success: false,
+            error: 'under_review',
+            message: 'Your entry is being reviewed before it appears on the leaderboard.'
+        };
+    }
+
     // Record the score
-    await redis.zadd(scoresKey, score, userId);
-    await redis.expire(scoresKey, DAILY_TTL);
+    await kv.zadd(scoresKey, score, userId);
+    await kv.expire(scoresKey, DAILY_TTL);
 
     // Get the user's rank BEFORE storing entry
-    const rankIndex = await redis.zrevrank(scoresKey, userId);
+    const rankIndex = await kv.zrevrank(scoresKey, userId);
     const rank = rankIndex !== null ? rankIndex + 1 : null;
-    const totalParticipants = await redis.zcard(scoresKey);
+    const totalParticipants = await kv.zcard(scoresKey);
 
-    // Only store thumbnail if user is in top 5 (saves storage)
-    const isTop5 = rank !== null && rank <= 5;
     const entry = {
         userId,
         score,
         displayName: displayName || getAnonymousName(userId),
         tagline: tagline || null,
-        imageThumb: isTop5 ? (imageThumb || null) : null,  // Only top 5 get thumbnails
         submittedAt: new Date().toISOString()
     };
-    await redis.set(entryKey, JSON.stringify(entry));
-    await redis.expire(entryKey, DAILY_TTL);
+    await kv.set(entryKey, JSON.stringify(entry));
+    await kv.expire(entryKey, DAILY_TTL);
+
+    // Only store thumbnail if user is in top 5 (saves storage)
+    const isTop5 = rank !== null && rank <= TOP_THUMBNAIL_LIMIT;
+    if (isTop5 && imageThumb) {
+        await kv.set(`${DAILY_THUMB_PREFIX}${todayKey}:${userId}`, imageThumb, 'EX', DAILY_TTL);
+    }
 
     // If a new entry pushed someone out of top 5, remove their thumbnail
-    if (isTop5 && totalParticipants > 5) {
-        // Get the 6th place entry and remove their thumbnail
-        const sixthPlaceResults = await redis.zrevrange(scoresKey, 5, 5);
-        if (sixthPlaceResults.length > 0) {
-            const sixthPlaceUserId = sixthPlaceResults[0];
-            const sixthPlaceKey = `${DAILY_ENTRIES_PREFIX}${todayKey}:${sixthPlaceUserId}`;
-            const sixthPlaceJson = await redis.get(sixthPlaceKey);
-            if (sixthPlaceJson) {
-                const sixthPlaceEntry = JSON.parse(sixthPlaceJson);
-                if (sixthPlaceEntry.imageThumb) {
-                    sixthPlaceEntry.imageThumb = null;  // Remove thumbnail
-                    await redis.set(sixthPlaceKey, JSON.stringify(sixthPlaceEntry));
-                    console.log(`[DAILY CHALLENGE] Removed thumbnail from 6th place: ${sixthPlaceUserId.slice(0, 12)}...`);
-                }
-            }
+    if (isTop5 && totalParticipants > TOP_THUMBNAIL_LIMIT) {
+        const [sixthPlaceUserId] = await kv.zrevrange(scoresKey, TOP_THUMBNAIL_LIMIT, TOP_THUMBNAIL_LIMIT);
+        if (sixthPlaceUserId && await kv.del(`${DAILY_THUMB_PREFIX}${todayKey}:${sixthPlaceUserId}`)) {
+            console.log(`[DAILY CHALLENGE] Removed thumbnail from 6th place: ${sixthPlaceUserId.slice(0, 12)}...`);
         }
     }
 
-    console.log(`[DAILY CHALLENGE] ${userId.slice(0, 12)}... entered with score ${score}, rank #${rank}/${totalParticipants}${isTop5 ? ' (top 5, thumbnail stored)' : ''}`);
+    console.log(`[DAILY CHALLENGE] ${userId.slice(0, 12)}... entered with score ${score}, rank #${rank}/${totalParticipants}${isTop5 && imageThumb ? ' (top 5, thumbnail stored)' : ''}`);
 
     return {
         success: true,
@@ -184,19 +226,9 @@ export async function getDailyLeaderboard(userId = null, limit = 10) {
     const todayKey = getTodayKey();
     const scoresKey = `${DAILY_SCORES_PREFIX}${todayKey}`;
 
-    if (!isRedisAvailable()) {
-        return {
-            success: true,
-            leaderboard: [],
-            totalParticipants: 0,
-            resetsAt: getMidnightResetTime(),
-            message: 'Leaderboard unavailable (no Redis)'
-        };
-    }
-
     // Get top N with scores
-    const results = await redis.zrevrange(scoresKey, 0, limit - 1, 'WITHSCORES');
-    const totalParticipants = await redis.zcard(scoresKey) || 0;
+    const results = await kv.zrevrange(scoresKey, 0, limit - 1, 'WITHSCORES');
+    const totalParticipants = await kv.zcard(scoresKey) || 0;
 
     const leaderboard = [];
     for (let i = 0; i < results.length; i += 2) {
@@ -206,15 +238,19 @@ export async function getDailyLeaderboard(userId = null, limit = 10) {
 
         // Get entry details for display name
         const entryKey = `${DAILY_ENTRIES_PREFIX}${todayKey}:${odlUserId}`;
-        const entryJson = await redis.get(entryKey);
+        const entryJson = await kv.get(entryKey);
         const entry = entryJson ? JSON.parse(entryJson) : {};
+        // Entries made before thumbnails got their own key still carry entry.imageThumb (48h TTL)
+        const imageThumb = rank <= TOP_THUMBNAIL_LIMIT
+            ? (await kv.get(`${DAILY_THUMB_PREFIX}${todayKey}:${odlUserId}`)) || entry.imageThumb || null
+            : null;
 
         leaderboard.push({
             rank,
             userId: odlUserId.slice(0, 8) + '...', // Truncated for privacy
             displayName: entry.displayName || getAnonymousName(odlUserId),
             tagline: entry.tagline || null,
-            imageThumb: entry.imageThumb || null,
+            imageThumb,
             score: Math.round(score * 10) / 10,
             ...getRankTitle(rank),
             isCurrentUser: userId ? odlUserId === userId : false
@@ -227,10 +263,10 @@ export async function getDailyLeaderboard(userId = null, limit = 10) {
     let hasEnteredToday = false;
 
     if (userId) {
-        const rankIndex = await redis.zrevrank(scoresKey, userId);
+        const rankIndex = await kv.zrevrank(scoresKey, userId);
         if (rankIndex !== null) {
             userRank = rankIndex + 1;
-            userScore = parseFloat(await redis.zscore(scoresKey, userId));
+            userScore = parseFloat(await kv.zscore(scoresKey, userId));
             hasEnteredToday = true;
         }
     }
@@ -258,19 +294,15 @@ export async function getUserDailyStatus(userId) {
     const scoresKey = `${DAILY_SCORES_PREFIX}${todayKey}`;
     const entryKey = `${DAILY_ENTRIES_PREFIX}${todayKey}:${userId}`;
 
-    if (!isRedisAvailable()) {
-        return { hasEnteredToday: false, resetsAt: getMidnightResetTime() };
-    }
-
-    const entryJson = await redis.get(entryKey);
+    const entryJson = await kv.get(entryKey);
     if (!entryJson) {
         return { hasEnteredToday: false, resetsAt: getMidnightResetTime() };
     }
 
     const entry = JSON.parse(entryJson);
-    const rankIndex = await redis.zrevrank(scoresKey, userId);
+    const rankIndex = await kv.zrevrank(scoresKey, userId);
     const rank = rankIndex !== null ? rankIndex + 1 : null;
-    const totalParticipants = await redis.zcard(scoresKey) || 0;
+    const totalParticipants = await kv.zcard(scoresKey) || 0;
 
     return {
         hasEnteredToday: true,
@@ -278,6 +310,7 @@ export async function getUserDailyStatus(userId) {
         rank,
         totalParticipants,
         ...getRankTitle(rank),
+        underReview: !!entry.held && rank === null,
         submittedAt: entry.submittedAt,
         resetsAt: getMidnightResetTime()
     };
@@ -294,14 +327,9 @@ export async function getYesterdaysFinalLeaderboard(limit = 100) {
     const yesterdayKey = getYesterdayKey();
     const scoresKey = `${DAILY_SCORES_PREFIX}${yesterdayKey}`;
 
-    if (!isRedisAvailable()) {
-        console.log('[DAILY REWARDS] Redis unavailable for yesterday leaderboard');
-        return { success: false, leaderboard: [], totalParticipants: 0 };
-    }
-
     // Get all entries with scores
-    const results = await redis.zrevrange(scoresKey, 0, limit - 1, 'WITHSCORES');
-    const totalParticipants = await redis.zcard(scoresKey) || 0;
+    const results = await kv.zrevrange(scoresKey, 0, limit - 1, 'WITHSCORES');
+    const totalParticipants = await kv.zcard(scoresKey) || 0;
 
     if (results.length === 0) {
         console.log(`[DAILY REWARDS] No entries found for ${yesterdayKey}`);
@@ -2,7 +2,7 @@
  * Daily Limits Service
  *
  * Tracks daily usage limits for free tier users.
- * Pro users get 100/day ("unlimited").
+ * Pro users are unlimited, except arena battles (100/day fair-use cap).
  *
  * Limits:
  * - Arena battles: 3/day (free), 100/day (pro)
@@ -13,12 +13,9 @@
  * - fitrate:limits:{type}:{userId}:{YYYY-MM-DD} - Daily count
  */
 
-import { redis, isRedisAvailable } from './redisClient.js';
+import { kv } from './kvStore.js';
 import { EntitlementService } from './entitlements.js';
-import { FREE_TIER_LIMITS } from '../config/systemPrompt.js';
-
-// In-memory fallback for local dev
-const limitsStoreFallback = new Map();
+import { FREE_TIER_LIMITS, PRO_TIER_LIMITS } from '../config/systemPrompt.js';
 
 // Redis key pattern
 const LIMITS_KEY_PREFIX = 'fitrate:limits:';
@@ -65,12 +62,8 @@ export async function getDailyUsage(type, userId) {
 
     const key = getLimitKey(type, userId);
 
-    if (isRedisAvailable()) {
-        const count = await redis.get(key);
-        return parseInt(count || '0', 10);
-    } else {
-        return limitsStoreFallback.get(key) || 0;
-    }
+    const count = await kv.get(key);
+    return parseInt(count || '0', 10);
 }
 
 /**
@@ -84,26 +77,21 @@ export async function incrementDailyUsage(type, userId) {
 
     const key = getLimitKey(type, userId);
 
-    if (isRedisAvailable()) {
-        const newCount = await redis.incr(key);
-        if (newCount === 1) {
-            await redis.expire(key, LIMITS_TTL);
-        }
-        return newCount;
-    } else {
-        const current = limitsStoreFallback.get(key) || 0;
-        const newCount = current + 1;
-        limitsStoreFallback.set(key, newCount);
-        return newCount;
+    const newCount = await kv.incr(key);
+    if (newCount === 1) {
+        await kv.expire(key, LIMITS_TTL);
     }
+    return newCount;
 }
 
 /**
  * Get the daily limit for a specific type
  * @param {string} type - 'arena' or 'dailyfitrate'
- * @returns {number} Daily limit
+ * @param {boolean} isPro - Pro users are only capped on arena battles
+ * @returns {number} Daily limit (Infinity = not counted)
  */
-function getDailyLimit(type) {
+function getDailyLimit(type, isPro = false) {
+    if (isPro) return type === 'arena' ? PRO_TIER_LIMITS.ARENA_BATTLES_DAILY : Infinity;
     switch (type) {
         case 'arena':
             return FREE_TIER_LIMITS.ARENA_BATTLES_DAILY;
@@ -116,7 +104,7 @@ function getDailyLimit(type) {
 
 /**
  * Check if a user can perform an action (hasn't exceeded daily limit)
- * Pro users always return true (unlimited)
+ * Pro users always return true (unlimited), except for arena battles
  *
  * @param {string} type - 'arena', 'wardrobe', or 'koth'
  * @param {string} userId - User ID
@@ -136,7 +124,8 @@ export async function canPerformAction(type, userId) {
 
     // Check if user is Pro
     const isPro = await checkIsPro(userId);
-    if (isPro) {
+    const limit = getDailyLimit(type, isPro);
+    if (limit === Infinity) {
         return {
             allowed: true,
             isPro: true,
@@ -146,14 +135,12 @@ export async function canPerformAction(type, userId) {
         };
     }
 
-    // Get current usage for free user
     const used = await getDailyUsage(type, userId);
-    const limit = getDailyLimit(type);
     const remaining = Math.max(0, limit - used);
 
     return {
         allowed: used < limit,
-        isPro: false,
+        isPro,
         used,
         limit,
         remaining
@@ -182,7 +169,8 @@ export async function recordAction(type, userId) {
 
     // Check if user is Pro
     const isPro = await checkIsPro(userId);
-    if (isPro) {
+    const limit = getDailyLimit(type, isPro);
+    if (limit === Infinity) {
         return {
             allowed: true,
             isPro: true,
@@ -194,13 +182,12 @@ export async function recordAction(type, userId) {
 
     // Get current usage before incrementing
     const currentUsed = await getDailyUsage(type, userId);
-    const limit = getDailyLimit(type);
 
     // Check if limit already reached
     if (currentUsed >= limit) {
         return {
             allowed: false,
-            isPro: false,
+            isPro,
             used: currentUsed,
             limit,
             remaining: 0
@@ -215,13 +202,45 @@ export async function recordAction(type, userId) {
 
     return {
         allowed: true,
-        isPro: false,
+        isPro,
         used: newUsed,
         limit,
         remaining
     };
 }
 
+/**
+ * Give back an action recorded with recordAction (e.g. the battle's AI call failed)
+ * No-op for actions recordAction didn't count (Pro, except arena)
+ *
+ * @param {string} type - 'arena' or 'dailyfitrate'
+ * @param {string} userId - User ID
+ * @returns {number} Usage count after the refund
+ */
+export async function refundAction(type, userId) {
+    if (!userId || getDailyLimit(type, await checkIsPro(userId)) === Infinity) return 0;
+
+    const key = getLimitKey(type, userId);
+
+    const newCount = await kv.decr(key);
+    if (newCount < 0) {
+        await kv.set(key, 0, 'EX', LIMITS_TTL);
+        return 0;
+    }
+    return newCount;
+}
+
+/**
+ * Limit status for API responses - JSON turns Infinity into null, so
+ * uncounted (Pro) actions say `unlimited: true` instead of sending a limit
+ * @param {Object} status - From recordAction() / canPerformAction()
+ * @returns {Object} { used, limit, remaining, isPro } or { used, unlimited: true, isPro }
+ */
+export function toLimitInfo({ used, limit, remaining, isPro }) {
+    if (limit === Infinity) return { used, unlimited: true, isPro };
+    return { used, limit, remaining, isPro };
+}
+
 /**
  * Get status for all limit types for a user
  * @param {string} userId - User ID
@@ -238,21 +257,8 @@ export async function getAllLimitsStatus(userId) {
 
     const isPro = await checkIsPro(userId);
 
-    // Pro users get 100/day for arena ("unlimited"), but Daily FitRate is 1 for EVERYONE
-    const proArenaLimit = 100;
-
-    if (isPro) {
-        const dailyFitrateUsed = await getDailyUsage('dailyfitrate', userId);
-        return {
-            isPro: true,
-            arena: { used: 0, limit: proArenaLimit, remaining: proArenaLimit },
-            dailyfitrate: {
-                used: dailyFitrateUsed,
-                limit: FREE_TIER_LIMITS.DAILY_FITRATE_ENTRIES,
-                remaining: Math.max(0, FREE_TIER_LIMITS.DAILY_FITRATE_ENTRIES - dailyFitrateUsed)
-            }
-        };
-    }
+    // Pro users get 100/day for arena (fair-use cap), but Daily FitRate is 1 for EVERYONE
+    const arenaLimit = getDailyLimit('arena', isPro);
 
     const [arenaUsed, dailyFitrateUsed] = await Promise.all([
         getDailyUsage('arena', userId),
@@ -260,11 +266,11 @@ export async function getAllLimitsStatus(userId) {
     ]);
 
     return {
-        isPro: false,
+        isPro,
         arena: {
             used: arenaUsed,
-            limit: FREE_TIER_LIMITS.ARENA_BATTLES_DAILY,
-            remaining: Math.max(0, FREE_TIER_LIMITS.ARENA_BATTLES_DAILY - arenaUsed)
+            limit: arenaLimit,
+            remaining: Math.max(0, arenaLimit - arenaUsed)
         },
         dailyfitrate: {
             used: dailyFitrateUsed,
@@ -279,5 +285,7 @@ export default {
     incrementDailyUsage,
     canPerformAction,
     recordAction,
+    refundAction,
+    toLimitInfo,
     getAllLimitsStatus
 };
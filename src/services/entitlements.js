@@ -4,85 +4,49 @@
  * 
  * Features:
  * - Dual Identity: Tracks by userId AND email
- * - Durable Persistence: Uses Redis (primary) or JSON file (fallback)
+ * - Durable Persistence: Uses the KV store (Redis, or its file fallback)
  * - Purchase Guarantee: Ensures paid users are never blocked
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { redis, isRedisAvailable } from './redisClient.js';
 import { fileURLToPath } from 'url';
+import { kv, getStorageBackend } from './kvStore.js';
+import { getRedis } from './redisClient.js';
 
-// Persistence path for local fallback
+// Pre-KV-store local fallback file - imported once, then renamed
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data');
-const ENTITLEMENTS_FILE = path.join(DATA_DIR, 'entitlements.json');
-
-// In-memory cache
-const cache = {
-    // Map<userId|email, { pro: boolean, active: boolean, expiresAt: string, ... }>
-    entitlements: new Map(),
-    // Map<email, Set<userId>> - Link emails to userIds
-    identityMap: new Map()
-};
+const LEGACY_FILE = path.join(__dirname, '../../data/entitlements.json');
 
-// Ensure data directory exists
-async function ensureDataDir() {
-    try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
-    } catch (err) {
-        if (err.code !== 'EEXIST') console.error('Failed to create data dir:', err);
-    }
-}
-
-// Load from disk on startup (for fallback mode)
-let initialized = false;
-async function init() {
-    if (initialized) return;
-    initialized = true;
-
-    if (isRedisAvailable()) {
-        console.log('✅ EntitlementService: Using Redis for storage');
-    } else {
-        console.log('⚠️ EntitlementService: Redis unavailable, using local file storage');
-        await ensureDataDir();
-        try {
-            const data = await fs.readFile(ENTITLEMENTS_FILE, 'utf8');
-            const json = JSON.parse(data);
-
-            // Hydrate cache
-            if (json.entitlements) {
-                Object.entries(json.entitlements).forEach(([key, val]) => cache.entitlements.set(key, val));
-            }
-            if (json.identityMap) {
-                Object.entries(json.identityMap).forEach(([email, ids]) => {
-                    cache.identityMap.set(email, new Set(ids));
-                });
-            }
-            console.log(`📦 Loaded ${cache.entitlements.size} entitlements from disk`);
-        } catch (err) {
-            if (err.code !== 'ENOENT') console.error('Error loading entitlements:', err);
-        }
-    }
-}
-
-// Save to disk (for fallback mode)
-async function persist() {
-    if (isRedisAvailable()) return;
+/**
+ * Import entitlements saved by the old file fallback into the KV store
+ * Only runs when Redis isn't configured - the legacy file was never written otherwise.
+ */
+async function importLegacyFile() {
+    if (getRedis()) return;
 
+    let json;
     try {
-        const data = {
-            entitlements: Object.fromEntries(cache.entitlements),
-            identityMap: Object.fromEntries(Array.from(cache.identityMap.entries()).map(([k, v]) => [k, Array.from(v)]))
-        };
-        await fs.writeFile(ENTITLEMENTS_FILE, JSON.stringify(data, null, 2));
+        json = JSON.parse(await fs.readFile(LEGACY_FILE, 'utf8'));
     } catch (err) {
-        console.error('Failed to save entitlements:', err);
+        if (err.code !== 'ENOENT') console.error('Error reading legacy entitlements:', err);
+        return;
     }
+
+    const pipeline = kv.pipeline();
+    Object.entries(json.entitlements || {}).forEach(([key, entitlement]) => {
+        if (entitlement?.active) pipeline.set(`entitlement:pro:${key}`, JSON.stringify(entitlement));
+    });
+    Object.entries(json.identityMap || {}).forEach(([email, ids]) => {
+        if (ids.length > 0) pipeline.sadd(`identity:${email}`, ...ids);
+    });
+    await pipeline.exec();
+    await fs.rename(LEGACY_FILE, `${LEGACY_FILE}.imported`);
+    console.log(`📦 Imported ${Object.keys(json.entitlements || {}).length} legacy entitlements into the KV store`);
 }
 
 // Initialize on import
-init().catch(err => console.error('EntitlementService init failed:', err));
+importLegacyFile().catch(err => console.error('EntitlementService init failed:', err));
 
 export const EntitlementService = {
     /**
@@ -102,32 +66,12 @@ export const EntitlementService = {
             lastVerified: now
         };
 
-        // Update Redis
-        if (isRedisAvailable()) {
-            const pipeline = redis.pipeline();
-            if (userId) pipeline.set(`entitlement:pro:${userId}`, JSON.stringify(entitlement));
-            if (email) pipeline.set(`entitlement:pro:${email.toLowerCase()}`, JSON.stringify(entitlement));
-            // Link them
-            if (userId && email) pipeline.sadd(`identity:${email.toLowerCase()}`, userId);
-            await pipeline.exec();
-        }
-        // Update Local Cache + File
-        else {
-            if (userId) cache.entitlements.set(userId, entitlement);
-            if (email) {
-                const normalizedEmail = email.toLowerCase();
-                cache.entitlements.set(normalizedEmail, entitlement);
-
-                // Link identity
-                if (userId) {
-                    if (!cache.identityMap.has(normalizedEmail)) {
-                        cache.identityMap.set(normalizedEmail, new Set());
-                    }
-                    cache.identityMap.get(normalizedEmail).add(userId);
-                }
-            }
-            await persist();
-        }
+        const pipeline = kv.pipeline();
+        if (userId) pipeline.set(`entitlement:pro:${userId}`, JSON.stringify(entitlement));
+        if (email) pipeline.set(`entitlement:pro:${email.toLowerCase()}`, JSON.stringify(entitlement));
+        // Link them
+        if (userId && email) pipeline.sadd(`identity:${email.toLowerCase()}`, userId);
+        await pipeline.exec();
 
         console.log(`👑 Granted Pro: ${userId || 'no-id'} / ${email || 'no-email'} (${source})`);
         return true;
@@ -140,25 +84,13 @@ export const EntitlementService = {
         if (!email) return;
         const normalizedEmail = email.toLowerCase();
 
-        if (isRedisAvailable()) {
-            // Find linked userIds and revoke them too
-            const userIds = await redis.smembers(`identity:${normalizedEmail}`);
-
-            const pipeline = redis.pipeline();
-            pipeline.del(`entitlement:pro:${normalizedEmail}`);
-            userIds.forEach(id => pipeline.del(`entitlement:pro:${id}`));
-            await pipeline.exec();
-        } else {
-            cache.entitlements.delete(normalizedEmail);
+        // Find linked userIds and revoke them too
+        const userIds = await kv.smembers(`identity:${normalizedEmail}`);
 
-            // Revoke linked userIds
-            const linkedIds = cache.identityMap.get(normalizedEmail);
-            if (linkedIds) {
-                linkedIds.forEach(id => cache.entitlements.delete(id));
-            }
-
-            await persist();
-        }
+        const pipeline = kv.pipeline();
+        pipeline.del(`entitlement:pro:${normalizedEmail}`);
+        userIds.forEach(id => pipeline.del(`entitlement:pro:${id}`));
+        await pipeline.exec();
         console.log(`🚫 Revoked Pro: ${email}`);
     },
 
@@ -171,51 +103,22 @@ export const EntitlementService = {
         if (userId) checks.push(userId);
         if (email) checks.push(email.toLowerCase());
 
-        if (isRedisAvailable()) {
-            // Check directly provided keys
-            for (const key of checks) {
-                const data = await redis.get(`entitlement:pro:${key}`);
-                if (data) return true;
-            }
-
-            // If we have userId, check if it's linked to a Pro email?
-            // (Usually grants are synced, so checking direct key is enough)
-            return false;
-        } else {
-            // Check memory cache
-            for (const key of checks) {
-                const ent = cache.entitlements.get(key);
-                if (ent && ent.active) return true;
-            }
-
-            // Check if userId is linked to a pro email (reverse lookup)
-            // Actually, grants propagate, so if userId is linked, it should have the entry.
-            // But let's be safe: Find if this userId belongs to any Pro email map
-            if (userId) {
-                for (const [em, ids] of cache.identityMap.entries()) {
-                    if (ids.has(userId)) {
-                        const ent = cache.entitlements.get(em);
-                        if (ent && ent.active) return true;
-                    }
-                }
-            }
-
-            return false;
+        // Check directly provided keys
+        for (const key of checks) {
+            const data = await kv.get(`entitlement:pro:${key}`);
+            if (data) return true;
         }
+
+        // If we have userId, check if it's linked to a Pro email?
+        // (Usually grants are synced, so checking direct key is enough)
+        return false;
     },
 
     /**
      * Get all data (for debug/dashboard)
      */
     async debugDump() {
-        if (isRedisAvailable()) {
-            return { source: 'redis', note: 'Use redis-cli to inspect' };
-        }
-        return {
-            source: 'memory/file',
-            entitlements: Object.fromEntries(cache.entitlements),
-            identityMap: Object.fromEntries(Array.from(cache.identityMap.entries()).map(([k, v]) => [k, Array.from(v)]))
-        };
+        return { source: getStorageBackend(), note: 'Inspect entitlement:pro:* and identity:* keys' };
     },
 
     /**
@@ -239,23 +142,15 @@ export const EntitlementService = {
         let hasPro = false;
         let oldUserIds = [];
 
-        if (isRedisAvailable()) {
-            const emailEntitlement = await redis.get(`entitlement:pro:${normalizedEmail}`);
-            if (emailEntitlement) {
-                const parsed = JSON.parse(emailEntitlement);
-                hasPro = parsed.active === true;
-            }
-
-            // Get old linked userIds
-            oldUserIds = await redis.smembers(`identity:${normalizedEmail}`) || [];
-        } else {
-            const ent = cache.entitlements.get(normalizedEmail);
-            hasPro = ent && ent.active === true;
-
-            const linkedSet = cache.identityMap.get(normalizedEmail);
-            oldUserIds = linkedSet ? Array.from(linkedSet) : [];
+        const emailEntitlement = await kv.get(`entitlement:pro:${normalizedEmail}`);
+        if (emailEntitlement) {
+            const parsed = JSON.parse(emailEntitlement);
+            hasPro = parsed.active === true;
         }
 
+        // Get old linked userIds
+        oldUserIds = await kv.smembers(`identity:${normalizedEmail}`) || [];
+
         if (!hasPro) {
             console.log(`🚫 Restore failed: ${normalizedEmail} has no Pro entitlement`);
             return { success: false, message: 'No Pro subscription found for this email' };
@@ -264,52 +159,30 @@ export const EntitlementService = {
         // Step 2: Revoke ALL old userIds (single device enforcement)
         const revokedCount = oldUserIds.length;
 
-        if (isRedisAvailable()) {
-            const pipeline = redis.pipeline();
-
-            // Delete all old userId entitlements
-            for (const oldId of oldUserIds) {
-                pipeline.del(`entitlement:pro:${oldId}`);
-            }
-
-            // Clear the identity set and add only the new userId
-            pipeline.del(`identity:${normalizedEmail}`);
-            pipeline.sadd(`identity:${normalizedEmail}`, newUserId);
-
-            // Grant Pro to new userId
-            const now = new Date().toISOString();
-            const entitlement = {
-                active: true,
-                grantedAt: now,
-                source: 'restore',
-                lastVerified: now,
-                restoredFrom: normalizedEmail
-            };
-            pipeline.set(`entitlement:pro:${newUserId}`, JSON.stringify(entitlement));
-
-            await pipeline.exec();
-        } else {
-            // Local cache mode
-            for (const oldId of oldUserIds) {
-                cache.entitlements.delete(oldId);
-            }
-
-            // Clear and reset identity map
-            cache.identityMap.set(normalizedEmail, new Set([newUserId]));
-
-            // Grant to new userId
-            const now = new Date().toISOString();
-            cache.entitlements.set(newUserId, {
-                active: true,
-                grantedAt: now,
-                source: 'restore',
-                lastVerified: now,
-                restoredFrom: normalizedEmail
-            });
-
-            await persist();
+        const pipeline = kv.pipeline();
+
+        // Delete all old userId entitlements
+        for (const oldId of oldUserIds) {
+            pipeline.del(`entitlement:pro:${oldId}`);
         }
 
+        // Clear the identity set and add only the new userId
+        pipeline.del(`identity:${normalizedEmail}`);
+        pipeline.sadd(`identity:${normalizedEmail}`, newUserId);
+
+        // Grant Pro to new userId
+        const now = new Date().toISOString();
+        const entitlement = {
+            active: true,
+            grantedAt: now,
+            source: 'restore',
+            lastVerified: now,
+            restoredFrom: normalizedEmail
+        };
+        pipeline.set(`entitlement:pro:${newUserId}`, JSON.stringify(entitlement));
+
+        await pipeline.exec();
+
         console.log(`🔄 Pro restored: ${normalizedEmail} → ${newUserId.slice(0, 8)}... (revoked ${revokedCount} old devices)`);
 
         return {
@@ -326,16 +199,11 @@ export const EntitlementService = {
         if (!email) return false;
         const normalizedEmail = email.toLowerCase().trim();
 
-        if (isRedisAvailable()) {
-            const data = await redis.get(`entitlement:pro:${normalizedEmail}`);
-            if (data) {
-                const parsed = JSON.parse(data);
-                return parsed.active === true;
-            }
-            return false;
-        } else {
-            const ent = cache.entitlements.get(normalizedEmail);
-            return ent && ent.active === true;
+        const data = await kv.get(`entitlement:pro:${normalizedEmail}`);
+        if (data) {
+            const parsed = JSON.parse(data);
+            return parsed.active === true;
         }
+        return false;
     }
 };
@@ -7,10 +7,15 @@
  * - fitrate:event:scores:{weekId} - Sorted set (userId → composite score)
  * - fitrate:event:entries:{weekId}:{userId} - Entry details (JSON)
  * - fitrate:event:archive:{weekId} - Frozen leaderboard (JSON)
+ * - fitrate:event:thumb:{weekId}:{userId} - Server-generated outfit thumbnail (top 5 only)
+ * - fitrate:event:thumbs:{weekId} - Legacy thumbnail hash (userId → thumb), read until it expires
  * - fitrate:event:themes - List of theme configurations
+ * - fitrate:phash:event:{weekId}:* - Submitted photo fingerprints (imageHasher.js)
  */
 
-import { redis, isRedisAvailable } from './redisClient.js';
+import { kv } from './kvStore.js';
+import { findDuplicateSubmission, indexImage } from './imageHasher.js';
+import { screenEntry, holdEntry } from './integrityService.js';
 import { getESTDate, getTodayKeyEST, EST_OFFSET } from '../utils/dateUtils.js';
 
 // Redis key patterns
@@ -20,12 +25,16 @@ const ENTRIES_PREFIX = 'fitrate:event:entries:';
 const ARCHIVE_PREFIX = 'fitrate:event:archive:';
 const FREE_ENTRIES_PREFIX = 'fitrate:event:free:';  // Track free user weekly entries
 const PRO_ENTRIES_PREFIX = 'fitrate:event:pro:';    // Track pro user daily entries
-const THUMBS_PREFIX = 'fitrate:event:thumbs:';       // Store outfit thumbnails (top 5 only)
+const THUMB_PREFIX = 'fitrate:event:thumb:';         // Store outfit thumbnails (top 5 only)
+const LEGACY_THUMBS_PREFIX = 'fitrate:event:thumbs:'; // Pre-thumb-key hash per week (7 day TTL, no longer written)
 
 // Freemium limits - NOW SAME FOR EVERYONE
 const FREE_EVENT_ENTRIES_WEEKLY = 1;   // Free users get 1 entry per week
 const EVENT_ENTRIES_WEEKLY = 1;        // All users get 1 entry per week (Pro included)
 const TOP_5_THUMBNAIL_LIMIT = 5;       // Only store thumbnails for top 5
+const DUPLICATE_INDEX_TTL = 7 * 24 * 60 * 60;  // Photo fingerprints live as long as the week
+const THUMBNAIL_TTL = 7 * 24 * 60 * 60;        // Thumbnails live as long as the week's leaderboard
+const LEADERBOARD_TTL = 14 * 24 * 60 * 60;     // The week, plus a week for the lazy archive (ensureCurrentEvent) to read it
 
 /**
  * EST offset in hours - imported from dateUtils for consistency
@@ -156,9 +165,7 @@ async function createNewEvent(weekId) {
         createdAt: new Date().toISOString()
     };
 
-    if (isRedisAvailable()) {
-        await redis.set(CURRENT_EVENT_KEY, JSON.stringify(event));
-    }
+    await kv.set(CURRENT_EVENT_KEY, JSON.stringify(event));
 
     console.log(`🎉 Created new event: ${event.theme} (${weekId})`);
     return event;
@@ -168,8 +175,6 @@ async function createNewEvent(weekId) {
  * Archive an event's leaderboard
 */
 async function archiveEvent(weekId) {
-    if (!isRedisAvailable()) return null;
-
     const scoresKey = `${SCORES_PREFIX}${weekId}`;
     const archiveKey = `${ARCHIVE_PREFIX}${weekId}`;
 
@@ -177,10 +182,10 @@ async function archiveEvent(weekId) {
     const leaderboard = await getLeaderboard(weekId, 5);
 
     // Get total participants
-    const totalParticipants = await redis.zcard(scoresKey);
+    const totalParticipants = await kv.zcard(scoresKey);
 
     // Get event metadata
-    const eventJson = await redis.get(CURRENT_EVENT_KEY);
+    const eventJson = await kv.get(CURRENT_EVENT_KEY);
     const event = eventJson ? JSON.parse(eventJson) : {};
 
     const archive = {
@@ -193,8 +198,8 @@ async function archiveEvent(weekId) {
     };
 
     // Store archive with 90 day TTL
-    await redis.set(archiveKey, JSON.stringify(archive));
-    await redis.expire(archiveKey, 90 * 24 * 60 * 60);
+    await kv.set(archiveKey, JSON.stringify(archive));
+    await kv.expire(archiveKey, 90 * 24 * 60 * 60);
 
     console.log(`📦 Archived event ${weekId}: ${totalParticipants} participants`);
     return archive;
@@ -206,24 +211,7 @@ async function archiveEvent(weekId) {
  */
 export async function ensureCurrentEvent() {
     const currentWeekId = getWeekId();
-    const weekIndex = parseInt(currentWeekId.split('-W')[1]) - 1;
-    const themeConfig = getThemeForWeek(weekIndex);
-
-    if (!isRedisAvailable()) {
-        // Fallback for local dev without Redis - STILL calculate correct theme
-        return {
-            weekId: currentWeekId,
-            theme: themeConfig.theme,
-            themeDescription: themeConfig.description,
-            themeEmoji: themeConfig.emoji,
-            startDate: getWeekStart().toISOString(),
-            endDate: getWeekEnd().toISOString(),
-            status: 'active',
-            createdAt: new Date().toISOString()
-        };
-    }
-
-    const eventJson = await redis.get(CURRENT_EVENT_KEY);
+    const eventJson = await kv.get(CURRENT_EVENT_KEY);
 
     if (!eventJson) {
         // No event exists — create new
@@ -247,12 +235,8 @@ export async function ensureCurrentEvent() {
 export async function getActiveEvent() {
     const event = await ensureCurrentEvent();
 
-    if (!isRedisAvailable()) {
-        return { ...event, totalParticipants: 0 };
-    }
-
     const scoresKey = `${SCORES_PREFIX}${event.weekId}`;
-    const totalParticipants = await redis.zcard(scoresKey) || 0;
+    const totalParticipants = await kv.zcard(scoresKey) || 0;
 
     return {
         ...event,
@@ -264,10 +248,8 @@ export async function getActiveEvent() {
  * Get user's rank in the leaderboard (1-indexed)
  */
 export async function getUserRank(weekId, userId) {
-    if (!isRedisAvailable()) return null;
-
     const scoresKey = `${SCORES_PREFIX}${weekId}`;
-    const rank = await redis.zrevrank(scoresKey, userId);
+    const rank = await kv.zrevrank(scoresKey, userId);
 
     if (rank === null) return null;
     return rank + 1; // Convert to 1-indexed
@@ -277,12 +259,10 @@ export async function getUserRank(weekId, userId) {
  * Get leaderboard (top N users)
  */
 export async function getLeaderboard(weekId, limit = 5) {
-    if (!isRedisAvailable()) return [];
-
     const scoresKey = `${SCORES_PREFIX}${weekId}`;
 
     // Get top N with scores
-    const raw = await redis.zrevrange(scoresKey, 0, limit - 1, 'WITHSCORES');
+    const raw = await kv.zrevrange(scoresKey, 0, limit - 1, 'WITHSCORES');
 
     const leaderboard = [];
     for (let i = 0; i < raw.length; i += 2) {
@@ -293,7 +273,7 @@ export async function getLeaderboard(weekId, limit = 5) {
 
         // Get entry details
         const entryKey = `${ENTRIES_PREFIX}${weekId}:${odlUserId}`;
-        const entryJson = await redis.get(entryKey);
+        const entryJson = await kv.get(entryKey);
         const entry = entryJson ? JSON.parse(entryJson) : {};
 
         // Fetch thumbnail only for top 5 entries
@@ -321,13 +301,13 @@ export async function getLeaderboard(weekId, limit = 5) {
  * Returns { canSubmit: boolean, entriesUsed: number, entriesLimit: number, entriesRemaining: number }
  */
 export async function canFreeUserSubmit(userId) {
-    if (!userId || !isRedisAvailable()) {
+    if (!userId) {
         return { canSubmit: true, entriesUsed: 0, entriesLimit: FREE_EVENT_ENTRIES_WEEKLY, entriesRemaining: FREE_EVENT_ENTRIES_WEEKLY };
     }
 
     const weekId = getWeekId();
     const freeEntryKey = `${FREE_ENTRIES_PREFIX}${weekId}:${userId}`;
-    const entriesUsed = parseInt(await redis.get(freeEntryKey)) || 0;
+    const entriesUsed = parseInt(await kv.get(freeEntryKey)) || 0;
 
     return {
         canSubmit: entriesUsed < FREE_EVENT_ENTRIES_WEEKLY,
@@ -341,13 +321,11 @@ export async function canFreeUserSubmit(userId) {
  * Mark that a free user has used their weekly entry
  */
 async function markFreeUserEntry(userId, weekId) {
-    if (!isRedisAvailable()) return;
-
     const freeEntryKey = `${FREE_ENTRIES_PREFIX}${weekId}:${userId}`;
-    await redis.incr(freeEntryKey);
+    await kv.incr(freeEntryKey);
 
     // Set TTL to expire after the week ends (7 days from Monday)
-    await redis.expire(freeEntryKey, 7 * 24 * 60 * 60);
+    await kv.expire(freeEntryKey, 7 * 24 * 60 * 60);
 }
 
 /**
@@ -356,13 +334,13 @@ async function markFreeUserEntry(userId, weekId) {
  * Returns { canSubmit: boolean, entriesUsed: number, entriesLimit: number, entriesRemaining: number }
  */
 export async function canProUserSubmit(userId) {
-    if (!userId || !isRedisAvailable()) {
+    if (!userId) {
         return { canSubmit: true, entriesUsed: 0, entriesLimit: EVENT_ENTRIES_WEEKLY, entriesRemaining: EVENT_ENTRIES_WEEKLY };
     }
 
     const weekId = getWeekId();
     const proEntryKey = `${PRO_ENTRIES_PREFIX}${weekId}:${userId}`;
-    const entriesUsed = parseInt(await redis.get(proEntryKey)) || 0;
+    const entriesUsed = parseInt(await kv.get(proEntryKey)) || 0;
 
     return {
         canSubmit: entriesUsed < EVENT_ENTRIES_WEEKLY,
@@ -376,13 +354,11 @@ export async function canProUserSubmit(userId) {
  * Mark that a Pro user has used an entry this week
  */
 async function markProUserEntry(userId, weekId) {
-    if (!isRedisAvailable()) return;
-
     const proEntryKey = `${PRO_ENTRIES_PREFIX}${weekId}:${userId}`;
-    await redis.incr(proEntryKey);
+    await kv.incr(proEntryKey);
 
     // Set TTL to expire after the week ends (7 days)
-    await redis.expire(proEntryKey, 7 * 24 * 60 * 60);
+    await kv.expire(proEntryKey, 7 * 24 * 60 * 60);
 }
 
 // ============================================
@@ -393,68 +369,46 @@ async function markProUserEntry(userId, weekId) {
  * Store outfit thumbnail for a user
  * @param {string} weekId - Week identifier
  * @param {string} userId - User ID
- * @param {string} imageThumb - Base64 thumbnail
+ * @param {string} imageThumb - Server-generated thumbnail (imageValidator.createThumbnail)
  */
 async function storeEventThumbnail(weekId, userId, imageThumb) {
-    if (!isRedisAvailable() || !imageThumb) return;
-
-    const thumbsKey = `${THUMBS_PREFIX}${weekId}`;
-    await redis.hset(thumbsKey, userId, imageThumb);
+    // No thumbnail for this photo - don't keep showing the previous one
+    if (!imageThumb) return deleteEventThumbnail(weekId, userId);
 
-    // Set TTL to match week expiry (7 days)
-    await redis.expire(thumbsKey, 7 * 24 * 60 * 60);
+    await kv.set(`${THUMB_PREFIX}${weekId}:${userId}`, imageThumb, 'EX', THUMBNAIL_TTL);
 
     console.log(`📸 Stored thumbnail for ${userId.slice(0, 8)}...`);
 }
 
 /**
  * Get thumbnail for a user
+ * Falls back to the legacy per-week hash so entries made before the key change keep their thumbnail
  */
 async function getEventThumbnail(weekId, userId) {
-    if (!isRedisAvailable()) return null;
-
-    const thumbsKey = `${THUMBS_PREFIX}${weekId}`;
-    const thumb = await redis.hget(thumbsKey, userId);
-    console.log(`🔍 getEventThumbnail for ${userId.slice(0, 8)}...: ${thumb ? `${Math.round(thumb.length / 1024)}KB` : 'NOT FOUND'}`);
-    return thumb;
+    return (await kv.get(`${THUMB_PREFIX}${weekId}:${userId}`))
+        || kv.hget(`${LEGACY_THUMBS_PREFIX}${weekId}`, userId);
 }
 
 /**
- * Delete thumbnail for a user (when knocked out of top 5)
+ * Delete thumbnail for a user (knocked out of top 5, or new best has no thumbnail)
  */
 async function deleteEventThumbnail(weekId, userId) {
-    if (!isRedisAvailable()) return;
-
-    const thumbsKey = `${THUMBS_PREFIX}${weekId}`;
-    await redis.hdel(thumbsKey, userId);
-
-    console.log(`🗑️ Deleted thumbnail for ${userId.slice(0, 8)}... (knocked out of top 5)`);
+    const [deleted, legacyDeleted] = await Promise.all([
+        kv.del(`${THUMB_PREFIX}${weekId}:${userId}`),
+        kv.hdel(`${LEGACY_THUMBS_PREFIX}${weekId}`, userId)
+    ]);
+    if (deleted || legacyDeleted) {
+        console.log(`🗑️ Deleted thumbnail for ${userId.slice(0, 8)}...`);
+    }
 }
 
 /**
- * Clean up thumbnails for users not in top 5
- * Called after score updates to maintain only top 5 images
+ * Drop the thumbnail of whoever is now 6th
+ * Called when an entry lands in the top 5 - scores only go up, so it pushes out at most one user
  */
-async function cleanupNonTop5Thumbnails(weekId) {
-    if (!isRedisAvailable()) return;
-
-    const scoresKey = `${SCORES_PREFIX}${weekId}`;
-    const thumbsKey = `${THUMBS_PREFIX}${weekId}`;
-
-    // Get current top 5 user IDs
-    const top5 = await redis.zrevrange(scoresKey, 0, TOP_5_THUMBNAIL_LIMIT - 1);
-    const top5Set = new Set(top5);
-
-    // Get all stored thumbnails
-    const allThumbs = await redis.hkeys(thumbsKey);
-
-    // Delete thumbnails for users not in top 5
-    for (const thumbUserId of allThumbs) {
-        if (!top5Set.has(thumbUserId)) {
-            await redis.hdel(thumbsKey, thumbUserId);
-            console.log(`🗑️ Cleaned up thumbnail for ${thumbUserId.slice(0, 8)}... (no longer top 5)`);
-        }
-    }
+async function dropSixthPlaceThumbnail(weekId) {
+    const [sixthUserId] = await kv.zrevrange(`${SCORES_PREFIX}${weekId}`, TOP_5_THUMBNAIL_LIMIT, TOP_5_THUMBNAIL_LIMIT);
+    if (sixthUserId) await deleteEventThumbnail(weekId, sixthUserId);
 }
 
 /**
@@ -465,16 +419,14 @@ async function cleanupNonTop5Thumbnails(weekId) {
  * 
  * SECURITY: Server-side validation of limits (don't trust frontend)
  * 
- * @param {string} imageThumb - Optional outfit thumbnail (only stored for top 5)
+ * @param {string} imageThumb - Server-generated thumbnail of the scored photo (only stored for top 5)
+ * @param {Object} imageHash - Perceptual hash of the photo (imageHasher.getImageHash) - the
+ *   same photo can't be entered again this week under a different userId
  */
-export async function recordEventScore(userId, score, themeCompliant, isPro, imageThumb = null) {
-    console.log(`🎯 recordEventScore called: userId=${userId?.slice(0, 8)}..., score=${score}, imageThumb=${imageThumb ? `${Math.round(imageThumb.length / 1024)}KB` : 'null'}`);
+export async function recordEventScore(userId, score, themeCompliant, isPro, imageThumb = null, imageHash = null) {
+    console.log(`🎯 recordEventScore called: userId=${userId?.slice(0, 8)}..., score=${score}`);
     if (!userId || score === undefined) return { action: 'error', message: 'Missing userId or score' };
 
-    if (!isRedisAvailable()) {
-        return { action: 'skipped', message: 'Redis not available' };
-    }
-
     const event = await ensureCurrentEvent();
     const weekId = event.weekId;
 
@@ -482,6 +434,13 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
     // SECURITY: Server-side limit enforcement
     // ============================================
 
+    // Same photo already entered this week by another account
+    const duplicate = await findDuplicateSubmission(`event:${weekId}`, imageHash, userId);
+    if (duplicate) {
+        console.log(`🚫 Blocked ${userId.slice(0, 8)}... duplicate photo of ${duplicate.ownerId.slice(0, 8)}...'s entry (distance ${duplicate.distance})`);
+        return { action: 'blocked', message: 'This photo has already been entered in this week\'s event', reason: 'duplicate_image' };
+    }
+
     // Check free user weekly limit
     if (!isPro) {
         const freeStatus = await canFreeUserSubmit(userId);
@@ -500,6 +459,11 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
         }
     }
 
+    await indexImage(`event:${weekId}`, imageHash, userId, DUPLICATE_INDEX_TTL);
+
+    // Stolen / recycled photo check across weeks + reference set (held below if flagged)
+    const screening = await screenEntry({ userId, imageHash, context: `event:${weekId}` });
+
     // ============================================
     // Score recording logic
     // ============================================
@@ -511,7 +475,7 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
 
     // FREEMIUM: Round score to whole number for free users (Pro gets decimal precision)
     const finalScore = isPro ? score : Math.round(score);
-    const isFirstSubmission = (await redis.zscore(scoresKey, userId)) === null;
+    const isFirstSubmission = (await kv.zscore(scoresKey, userId)) === null;
 
     // FREEMIUM: Mark free user's weekly entry as used (only on first submission)
     if (!isPro && isFirstSubmission) {
@@ -525,13 +489,52 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
         console.log(`⚡ Pro user ${userId.slice(0, 8)}... used a weekly event entry`);
     }
 
+    // INTEGRITY: Flagged entries stay off the leaderboard until an admin approves them
+    // The entry details are kept now so an approved entry shows up with its name / Pro badge
+    if (screening.flagged) {
+        const heldJson = await kv.get(entryKey);
+        const heldEntry = heldJson ? JSON.parse(heldJson) : {
+            userId,
+            bestScore: finalScore,
+            originalScore: score,
+            themeCompliant,
+            submissionCount: 0,
+            bestSubmissionAt: now,
+            firstSubmissionAt: now,
+            displayName: null,
+            isPro,
+            held: true
+        };
+        heldEntry.submissionCount = (heldEntry.submissionCount || 0) + 1;
+        await kv.set(entryKey, JSON.stringify(heldEntry), 'EX', LEADERBOARD_TTL);
+
+        const flag = await holdEntry({
+            userId,
+            context: `event:${weekId}`,
+            reasons: screening.reasons,
+            leaderboardKey: scoresKey,
+            leaderboardScore: createCompositeScore(finalScore, timestamp),
+            leaderboardTtl: LEADERBOARD_TTL,
+            score: finalScore,
+            // Placed on approval if the entry lands in the top 5
+            thumbnail: imageThumb && {
+                image: imageThumb,
+                keyPrefix: `${THUMB_PREFIX}${weekId}:`,
+                ttl: THUMBNAIL_TTL,
+                limit: TOP_5_THUMBNAIL_LIMIT
+            }
+        });
+        return { action: 'held', message: 'Your entry is being reviewed before it appears on the leaderboard', reason: 'integrity_review', flagId: flag.flagId };
+    }
+
     // Get current best (if any)
-    const currentComposite = await redis.zscore(scoresKey, userId);
+    const currentComposite = await kv.zscore(scoresKey, userId);
 
     if (currentComposite === null) {
         // First submission
         const composite = createCompositeScore(finalScore, timestamp);
-        await redis.zadd(scoresKey, composite, userId);
+        await kv.zadd(scoresKey, composite, userId);
+        await kv.expire(scoresKey, LEADERBOARD_TTL);
 
         const entry = {
             userId,
@@ -544,21 +547,18 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
             displayName: null,
             isPro
         };
-        await redis.set(entryKey, JSON.stringify(entry));
+        await kv.set(entryKey, JSON.stringify(entry));
 
         console.log(`🏆 New event entry: ${userId.slice(0, 8)}... scored ${finalScore}${!isPro ? ' (rounded)' : ''}`);
 
         const rank = await getUserRank(weekId, userId);
 
-        // Store thumbnail if provided and user is in top 5
-        if (imageThumb && rank <= TOP_5_THUMBNAIL_LIMIT) {
+        // Store thumbnail if user is in top 5, and drop the one this entry pushed out
+        if (rank <= TOP_5_THUMBNAIL_LIMIT) {
             await storeEventThumbnail(weekId, userId, imageThumb);
-            console.log(`📷 Stored thumbnail for top ${rank} user ${userId.slice(0, 8)}...`);
+            await dropSixthPlaceThumbnail(weekId);
         }
 
-        // Cleanup thumbnails for users no longer in top 5
-        await cleanupNonTop5Thumbnails(weekId);
-
         return { action: 'added', score: finalScore, rank, isPro };
     }
 
@@ -568,9 +568,10 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
     if (finalScore > currentScore) {
         // New personal best
         const composite = createCompositeScore(finalScore, timestamp);
-        await redis.zadd(scoresKey, composite, userId);
+        await kv.zadd(scoresKey, composite, userId);
+        await kv.expire(scoresKey, LEADERBOARD_TTL);
 
-        const entryJson = await redis.get(entryKey);
+        const entryJson = await kv.get(entryKey);
         const entry = entryJson ? JSON.parse(entryJson) : {};
         entry.bestScore = finalScore;
         entry.originalScore = score;  // Keep original for reference
@@ -578,29 +579,26 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
         entry.bestSubmissionAt = now;
         entry.submissionCount = (entry.submissionCount || 0) + 1;
         entry.isPro = isPro;
-        await redis.set(entryKey, JSON.stringify(entry));
+        await kv.set(entryKey, JSON.stringify(entry));
 
         console.log(`📈 Score improved: ${userId.slice(0, 8)}... ${currentScore} → ${finalScore}${!isPro ? ' (rounded)' : ''}`);
 
         const rank = await getUserRank(weekId, userId);
 
-        // Store/update thumbnail if provided and user is in top 5
-        if (imageThumb && rank <= TOP_5_THUMBNAIL_LIMIT) {
+        // Store/update thumbnail if user is in top 5, and drop the one this entry pushed out
+        if (rank <= TOP_5_THUMBNAIL_LIMIT) {
             await storeEventThumbnail(weekId, userId, imageThumb);
-            console.log(`📷 Updated thumbnail for top ${rank} user ${userId.slice(0, 8)}...`);
+            await dropSixthPlaceThumbnail(weekId);
         }
 
-        // Cleanup thumbnails for users no longer in top 5
-        await cleanupNonTop5Thumbnails(weekId);
-
         return { action: 'improved', oldScore: currentScore, newScore: finalScore, rank };
     }
 
     // Score not better — just increment count
-    const entryJson = await redis.get(entryKey);
+    const entryJson = await kv.get(entryKey);
     const entry = entryJson ? JSON.parse(entryJson) : {};
     entry.submissionCount = (entry.submissionCount || 0) + 1;
-    await redis.set(entryKey, JSON.stringify(entry));
+    await kv.set(entryKey, JSON.stringify(entry));
 
     return { action: 'unchanged', bestScore: currentScore };
 }
@@ -609,13 +607,13 @@ export async function recordEventScore(userId, score, themeCompliant, isPro, ima
  * Get user's full event status
  */
 export async function getUserEventStatus(weekId, userId) {
-    if (!isRedisAvailable() || !userId) {
+    if (!userId) {
         return { participating: false };
     }
 
     const rank = await getUserRank(weekId, userId);
     const entryKey = `${ENTRIES_PREFIX}${weekId}:${userId}`;
-    const entryJson = await redis.get(entryKey);
+    const entryJson = await kv.get(entryKey);
 
     if (!entryJson) {
         return { participating: false };
@@ -623,7 +621,7 @@ export async function getUserEventStatus(weekId, userId) {
 
     const entry = JSON.parse(entryJson);
     const scoresKey = `${SCORES_PREFIX}${weekId}`;
-    const totalParticipants = await redis.zcard(scoresKey) || 0;
+    const totalParticipants = await kv.zcard(scoresKey) || 0;
 
     return {
         participating: true,
@@ -632,6 +630,7 @@ export async function getUserEventStatus(weekId, userId) {
         bestScore: entry.bestScore,
         submissionCount: entry.submissionCount,
         themeCompliant: entry.themeCompliant,
+        underReview: !!entry.held && rank === null,
         totalParticipants
     };
 }
@@ -640,10 +639,8 @@ export async function getUserEventStatus(weekId, userId) {
  * Get archived event leaderboard
  */
 export async function getArchivedEvent(weekId) {
-    if (!isRedisAvailable()) return null;
-
     const archiveKey = `${ARCHIVE_PREFIX}${weekId}`;
-    const archiveJson = await redis.get(archiveKey);
+    const archiveJson = await kv.get(archiveKey);
 
     if (!archiveJson) return null;
     return JSON.parse(archiveJson);
@@ -0,0 +1,54 @@
+/**
+ * Fixture Recorder - Captures raw model output for the golden-set corpus
+ *
+ * Set AI_FIXTURE_RECORD_DIR to save every raw Gemini/OpenAI response
+ * (before parsing) as a fixture file. Copy interesting ones into
+ * scripts/golden/fixtures/ and run `npm run golden -- --update` to
+ * store their expectations. Never active in production.
+ *
+ * Fixture shape (same as scripts/golden/fixtures/*.json, minus `expected`):
+ *   { name, provider, model, tier, mode, eventContext, content, recordedAt }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config/index.js';
+
+const RECORD_DIR = process.env.AI_FIXTURE_RECORD_DIR || null;
+
+/**
+ * Save a raw model response as a fixture (no-op unless AI_FIXTURE_RECORD_DIR is set)
+ * @param {Object} params
+ * @param {string} params.provider - 'gemini' | 'openai'
+ * @param {string} params.model - Model name that produced the content
+ * @param {string} params.tier - Prompt tier ('free' | 'pro')
+ * @param {string} params.mode - Analysis mode
+ * @param {Object} params.eventContext - Weekly event context (optional)
+ * @param {string} params.content - Raw model text, exactly as received
+ */
+export function recordRawResponse({ provider, model, tier, mode, eventContext = null, content }) {
+    if (!RECORD_DIR || config.nodeEnv === 'production') return;
+
+    try {
+        fs.mkdirSync(RECORD_DIR, { recursive: true });
+        const name = `${provider}-${mode}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+        const fixture = {
+            name,
+            provider,
+            model,
+            tier,
+            mode,
+            eventContext,
+            content,
+            recordedAt: new Date().toISOString()
+        };
+        fs.writeFileSync(path.join(RECORD_DIR, `${name}.json`), JSON.stringify(fixture, null, 2));
+    } catch (error) {
+        // Recording must never break a scan
+        console.warn(`[FIXTURES] Failed to record raw response: ${error.message}`);
+    }
+}
+
+export default {
+    recordRawResponse
+};
@@ -6,18 +6,21 @@
 
 import { config } from '../config/index.js';
 import {
-    buildSystemPrompt,
+    buildSystemPromptWithMeta,
     ERROR_MESSAGES,
-    MODE_CONFIGS,
     OUTPUT_LENGTHS,
     VIRALITY_HOOKS,
-    getViralityHooks,
     BATTLE_SCORING_INSTRUCTIONS,
+    buildFashionShowPrompt,
     getDynamicTemperature
 } from '../config/systemPrompt.js';
+import { parseAIResponse } from './responseParser.js';
+import { canAttempt, recordSuccess, recordFailure } from './circuitBreaker.js';
+import { recordRawResponse } from './fixtureRecorder.js';
 
 // Create the full prompt for Gemini (Free tier)
-function createGeminiPrompt(mode, occasion, securityContext = {}, eventContext = null, battleMode = false, dailyChallengeContext = null) {
+// Returns { prompt, meta } - meta identifies the prompt variant for A/B stats
+function createGeminiPrompt(mode, occasion, securityContext = {}, eventContext = null, battleMode = false, dailyChallengeContext = null, promptVariant = null, showContext = null) {
     const {
         userId = 'anonymous',
         scansUsed = 0,
@@ -43,7 +46,7 @@ function createGeminiPrompt(mode, occasion, securityContext = {}, eventContext =
     };
 
     // Use centralized system prompt builder (now includes dailyChallengeContext)
-    let prompt = buildSystemPrompt('free', mode, fullSecurityContext, eventContext, dailyChallengeContext);
+    let { prompt, meta } = buildSystemPromptWithMeta('free', mode, fullSecurityContext, eventContext, dailyChallengeContext, promptVariant);
 
     // Add occasion context if provided
     if (occasion) {
@@ -55,17 +58,25 @@ function createGeminiPrompt(mode, occasion, securityContext = {}, eventContext =
         prompt += `\n\n${BATTLE_SCORING_INSTRUCTIONS}`;
     }
 
-    return prompt;
+    // Fashion Show: group-aware verdict, family-safe rules, rank callout
+    if (showContext) {
+        prompt += `\n\n${buildFashionShowPrompt(showContext)}`;
+    }
+
+    return { prompt, meta };
 }
 
 export async function analyzeWithGemini(imageBase64, options = {}) {
     // Support both old roastMode boolean and new mode string for backwards compatibility
-    const { roastMode = false, mode: modeParam = null, occasion = null, securityContext = {}, eventContext = null, battleMode = false, dailyChallengeContext = null } = options;
+    const { roastMode = false, mode: modeParam = null, occasion = null, securityContext = {}, eventContext = null, battleMode = false, dailyChallengeContext = null, showContext = null, transport = null, onProgress = null, providerId = 'gemini', promptVariant = null } = options;
     const mode = modeParam || (roastMode ? 'roast' : 'nice');
     const requestId = `gemini_${Date.now()}`;
 
-    // Check if API key is configured
-    if (!config.gemini.apiKey) {
+    // Transport is injectable so the mock provider can run the real retry/fallback/repair path offline
+    const callGemini = transport || fetch;
+
+    // Check if API key is configured (not needed for injected transports)
+    if (!transport && !config.gemini.apiKey) {
         console.error(`[${requestId}] ❌ CRITICAL: GEMINI_API_KEY not set!`);
         return {
             success: false,
@@ -85,10 +96,12 @@ export async function analyzeWithGemini(imageBase64, options = {}) {
     const temperature = battleMode ? Math.min(baseTemp + 0.15, 1.1) : baseTemp;
     console.log(`[${requestId}] Using dynamic temperature: ${temperature.toFixed(2)} (mode: ${mode}, battle: ${battleMode})`);
 
+    const { prompt, meta: promptMeta } = createGeminiPrompt(mode, occasion, securityContext, eventContext, battleMode, dailyChallengeContext, promptVariant, showContext);
+
     const requestBody = {
         contents: [{
             parts: [
-                { text: createGeminiPrompt(mode, occasion, securityContext, eventContext, battleMode, dailyChallengeContext) },
+                { text: prompt },
                 {
                     inline_data: {
                         mime_type: 'image/jpeg',
@@ -115,19 +128,37 @@ export async function analyzeWithGemini(imageBase64, options = {}) {
     // TIMEOUT: 15s per attempt — graceful timeout before client gives up at 30s
     const PER_ATTEMPT_TIMEOUT = 15000;
 
-    for (const modelName of models) {
+    // Progress events for SSE streaming (no-op for plain JSON requests)
+    const progress = (event, data) => onProgress?.(event, { provider: providerId, ...data });
+
+    for (const [modelIndex, modelName] of models.entries()) {
         const maxRetries = 2;
 
+        if (modelIndex > 0) {
+            progress('fallback', { from: models[modelIndex - 1], to: modelName });
+        }
+
+        // CIRCUIT BREAKER: one per model - tripped models are skipped without waiting
+        const breakerKey = `${providerId}:${modelName}`;
+
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            if (!canAttempt(breakerKey)) {
+                console.warn(`[${requestId}] ⛔ Circuit open for ${modelName} - skipping`);
+                progress('circuit_open', { model: modelName });
+                break;
+            }
+
+            const attemptStart = Date.now();
             try {
                 const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
                 console.log(`[${requestId}] Calling Gemini (model: ${modelName}, attempt: ${attempt})...`);
+                progress('model_attempt', { model: modelName, attempt });
 
                 const apiCallStart = Date.now();
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), PER_ATTEMPT_TIMEOUT);
 
-                const response = await fetch(apiUrl, {
+                const response = await callGemini(apiUrl, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -147,6 +178,7 @@ export async function analyzeWithGemini(imageBase64, options = {}) {
                 if (response.status === 503 || data.error?.status === 'UNAVAILABLE') {
                     console.warn(`[${requestId}] Model ${modelName} overloaded (attempt ${attempt}), waiting before retry...`);
                     if (attempt < maxRetries) {
+                        recordFailure(breakerKey, apiCallMs, 'overloaded');
                         await new Promise(r => setTimeout(r, 1000 * attempt)); // Exponential backoff
                         continue; // Retry same model
                     }
@@ -165,124 +197,25 @@ export async function analyzeWithGemini(imageBase64, options = {}) {
 
                 console.log(`[${requestId}] Received response (${content.length} chars)`);
 
-                // Parse JSON response - extract JSON from potential non-JSON preamble
-                let jsonStr = content.trim();
-
-                // Remove markdown code blocks
-                if (jsonStr.startsWith('```')) {
-                    jsonStr = jsonStr.replace(/```json?\n?/g, '').replace(/```$/g, '').trim();
+                // Golden-set corpus capture (AI_FIXTURE_RECORD_DIR, dev only)
+                if (!transport) {
+                    recordRawResponse({ provider: 'gemini', model: modelName, tier: 'free', mode, eventContext, content });
                 }
 
-                // Extract JSON if there's preamble text (e.g., "Okay, let me...")
-                const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    jsonStr = jsonMatch[0];
-                }
-
-                // Try to repair truncated JSON
-                let parsed;
-                try {
-                    parsed = JSON.parse(jsonStr);
-                } catch (parseError) {
-                    console.warn(`[${requestId}] JSON parse failed, attempting repair: ${parseError.message}`);
-
-                    // Try to close unclosed brackets/braces
-                    let repaired = jsonStr;
-
-                    // Count brackets and close any that are open
-                    const openBraces = (repaired.match(/\{/g) || []).length;
-                    const closeBraces = (repaired.match(/\}/g) || []).length;
-                    const openBrackets = (repaired.match(/\[/g) || []).length;
-                    const closeBrackets = (repaired.match(/\]/g) || []).length;
-
-                    // If truncated mid-string, close the string
-                    if (repaired.match(/"[^"]*$/)) {
-                        repaired += '"';
-                    }
-
-                    // Close arrays
-                    for (let i = 0; i < openBrackets - closeBrackets; i++) {
-                        repaired += ']';
-                    }
-
-                    // Close objects
-                    for (let i = 0; i < openBraces - closeBraces; i++) {
-                        repaired += '}';
-                    }
-
-                    try {
-                        parsed = JSON.parse(repaired);
-                        console.log(`[${requestId}] JSON repair successful`);
-                    } catch (repairError) {
-                        // Still failed - throw original error
-                        throw parseError;
-                    }
-                }
-
-                if (!parsed.isValidOutfit) {
-                    return {
-                        success: false,
-                        error: parsed.error || 'Could not analyze this image',
-                        code: 'INVALID_OUTFIT'
-                    };
-                }
-
-                // 🧹 CLEANUP: Strip bracket placeholders that Gemini sometimes outputs
-                // e.g., "[style elementing]", "<5-9 words>", etc.
-                const cleanPlaceholders = (str) => {
-                    if (typeof str !== 'string') return str;
-                    return str
-                        .replace(/\[[\w\s-]+\]/g, '')  // [placeholder]
-                        .replace(/<[\w\s-]+>/g, '')   // <placeholder>
-                        .replace(/\s{2,}/g, ' ')      // Multiple spaces
-                        .trim();
-                };
-
-                // Clean text fields that might have placeholders
-                if (parsed.verdict) parsed.verdict = cleanPlaceholders(parsed.verdict);
-                if (parsed.line) parsed.line = cleanPlaceholders(parsed.line);
-                if (parsed.tagline) parsed.tagline = cleanPlaceholders(parsed.tagline);
-                if (parsed.text) parsed.text = cleanPlaceholders(parsed.text);
-                if (parsed.aesthetic) parsed.aesthetic = cleanPlaceholders(parsed.aesthetic);
+                // Parse + validate against the free-tier schema (throws → retry)
+                const result = parseAIResponse(content, { tier: 'free', mode, eventContext, battleMode, showContext, requestId });
+                recordSuccess(breakerKey, apiCallMs);  // Invalid-outfit verdicts count too - the model answered
 
                 const parseMs = Date.now() - parseStart;
                 const totalMs = Date.now() - timingStart;
                 console.log(`[${requestId}] ⏱ Timing: API=${apiCallMs}ms parse=${parseMs}ms total=${totalMs}ms (${modelName})`);
 
-                // Get virality hooks for this mode
-                const viralityHooks = getViralityHooks(mode);
-                const modeConfig = MODE_CONFIGS[mode];
-
-                return {
-                    success: true,
-                    scores: {
-                        overall: parsed.overall,
-                        rating: `${parsed.overall}`,  // String format for consistency
-                        color: parsed.color,
-                        fit: parsed.fit,
-                        style: parsed.style,
-                        text: parsed.text || parsed.verdict,  // Analysis text
-                        verdict: parsed.verdict,
-                        line: parsed.line,
-                        tagline: parsed.tagline,
-                        aesthetic: parsed.aesthetic,
-                        celebMatch: parsed.celebMatch,
-                        judgedBy: parsed.judgedBy || null,  // Character archetype who judged (for celeb mode share cards)
-                        mode: mode,
-                        roastMode: mode === 'roast',
-                        shareHook: parsed.shareHook || modeConfig?.shareHook,
-                        virality_hooks: parsed.virality_hooks || viralityHooks,
-                        // 🎁 SURPRISE BONUS FIELDS (randomly generated ~10% chance each)
-                        outfitFortune: parsed.outfitFortune || null,
-                        outfitLore: parsed.outfitLore || null,
-                        outfitSoundtrack: parsed.outfitSoundtrack || null,
-                        outfitEnemy: parsed.outfitEnemy || null,
-                        outfitDatingApp: parsed.outfitDatingApp || null,
-                        outfitPowerMove: parsed.outfitPowerMove || null
-                    }
-                };
+                return { ...result, promptVariant: promptMeta };
             } catch (error) {
                 console.error(`[${requestId}] Error with ${modelName} (attempt ${attempt}):`, error.message);
+                const failureReason = error.name === 'AbortError' ? 'timeout' : error.message;
+                recordFailure(breakerKey, Date.now() - attemptStart, failureReason);
+                progress('attempt_failed', { model: modelName, attempt, reason: failureReason });
 
                 // For overload/503, continue to next model
                 if (error.message === 'Model overloaded') {
@@ -309,6 +242,7 @@ export async function analyzeWithGemini(imageBase64, options = {}) {
     return {
         success: false,
         error: 'Unable to connect to AI service. Please try again in a moment! 🔄',
-        code: 'AI_CONNECTION_FAILED'
+        code: 'AI_CONNECTION_FAILED',
+        promptVariant: promptMeta
     };
 }
@@ -1,91 +1,64 @@
-import fs from 'fs';
+import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { redis, isRedisAvailable } from './redisClient.js';
+import { kv } from './kvStore.js';
+import { getRedis } from './redisClient.js';
 
-// Setup file persistence (fallback)
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../data');
-const IDEMPOTENCY_FILE = path.join(DATA_DIR, 'processed_events.json');
-
-// Memory cache
-const processedEvents = new Set();
-let initialized = false;
-
-// Ensure data dir exists
-function ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-}
+// Stripe event IDs, kept in the KV store (Redis or the local fallback) with a TTL
+const EVENT_PREFIX = 'stripe:event:';
+const EVENT_TTL = 259200; // 3 days
 
-// Load from file (init)
-async function init() {
-    if (initialized) return;
+// Pre-KV-store local fallback file (array of event IDs) - imported once, then renamed
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEGACY_FILE = path.join(__dirname, '../data/processed_events.json');
 
-    if (isRedisAvailable()) {
-        // Redis usage doesn't need init load (we query directly)
-        initialized = true;
-        return;
-    }
+/**
+ * Import event IDs saved by the old file fallback into the KV store, so a
+ * webhook Stripe retries after the upgrade isn't processed twice.
+ * Only runs when Redis isn't configured - the legacy file was never written otherwise.
+ */
+async function importLegacyFile() {
+    if (getRedis()) return;
 
-    ensureDataDir();
+    let ids;
     try {
-        if (fs.existsSync(IDEMPOTENCY_FILE)) {
-            const data = fs.readFileSync(IDEMPOTENCY_FILE, 'utf8');
-            const ids = JSON.parse(data);
-            ids.forEach(id => processedEvents.add(id));
-        }
+        ids = JSON.parse(await fs.readFile(LEGACY_FILE, 'utf8'));
     } catch (err) {
-        console.error('Failed to load processed events:', err);
+        if (err.code !== 'ENOENT') console.error('Error reading legacy processed events:', err);
+        return;
     }
-    initialized = true;
-}
 
-// Save to file (if using file persistence)
-function persist() {
-    if (isRedisAvailable()) return;
-    try {
-        // Keep last 1000 events to prevent file bloom
-        const events = Array.from(processedEvents).slice(-1000);
-        fs.writeFileSync(IDEMPOTENCY_FILE, JSON.stringify(events));
-    } catch (err) {
-        console.error('Failed to save processed events:', err);
-    }
+    const pipeline = kv.pipeline();
+    (Array.isArray(ids) ? ids : []).forEach(id => {
+        pipeline.set(`${EVENT_PREFIX}${id}`, '1', 'EX', EVENT_TTL, 'NX');
+    });
+    await pipeline.exec();
+    await fs.rename(LEGACY_FILE, `${LEGACY_FILE}.imported`);
+    console.log(`📦 Imported ${Array.isArray(ids) ? ids.length : 0} legacy processed webhook events into the KV store`);
 }
 
+// Webhooks can arrive right after boot - every check waits for the import
+const ready = importLegacyFile().catch(err => console.error('IdempotencyService init failed:', err));
+
 export const IdempotencyService = {
     /**
      * Check if event has already been processed
-     * @param {string} eventId 
+     * @param {string} eventId
      * @returns {Promise<boolean>}
      */
     async hasProcessed(eventId) {
-        if (!initialized) await init();
-
-        if (isRedisAvailable()) {
-            const exists = await redis.exists(`stripe:event:${eventId}`);
-            return exists === 1;
-        }
-
-        return processedEvents.has(eventId);
+        await ready;
+        const exists = await kv.exists(`${EVENT_PREFIX}${eventId}`);
+        return exists === 1;
     },
 
     /**
      * Mark event as processed
-     * @param {string} eventId 
+     * @param {string} eventId
      * @param {number} expirySeconds (Default 3 days = 259200s)
      */
-    async markProcessed(eventId, expirySeconds = 259200) {
-        if (!initialized) await init();
-
-        if (isRedisAvailable()) {
-            // Set key with expiry
-            await redis.set(`stripe:event:${eventId}`, '1', 'EX', expirySeconds);
-        } else {
-            processedEvents.add(eventId);
-            // Cleanup old events occasionally handled by slice in persist
-            persist();
-        }
+    async markProcessed(eventId, expirySeconds = EVENT_TTL) {
+        await ready;
+        await kv.set(`${EVENT_PREFIX}${eventId}`, '1', 'EX', expirySeconds);
     }
 };
@@ -1,17 +1,129 @@
 /**
  * Image Hasher
  * Generates perceptual hashes for duplicate detection and caching
+ *
+ * Every image gets two 64-bit fingerprints (16 hex chars each):
+ * - pHash: sign of the low-frequency 8x8 DCT of a 32x32 grayscale copy
+ *   (survives recompression, resizing, small crops and brightness shifts)
+ * - dHash: left/right brightness gradients of a 9x8 grayscale copy
+ *   (cheap second opinion - confirms a pHash match is the same photo)
+ *
+ * Two images are near-duplicates when both Hamming distances are within
+ * NEAR_DUPLICATE. Lookups use multi-index hashing: the pHash is split into
+ * 4 bands of 16 bits, and any hash within 3 bits of another shares at least
+ * one band exactly, so a lookup only compares against the band buckets.
+ *
+ * Analysis cache: a bounded in-memory LRU (same 24h TTL) sits in front of the KV
+ * store, so hot duplicates skip the store entirely; Redis is refilled from it on reconnect.
+ * The band index and cached results live in the KV store (kvStore.js), so they keep
+ * working - and persist with KV_FALLBACK=file - without Redis.
+ *
+ * Redis Keys:
+ * - fitrate:cache:{fingerprint}:{mode}:{occasion} - Cached analysis (24h)
+ * - fitrate:phash:{scope}:{band}:{bits} - Sorted set of fingerprint[|ownerId] → indexed-at
+ *   scopes: cache (analysis cache), event:{weekId}, daily:{YYYY-MM-DD},
+ *   competition + reference (integrityService.js)
  */
 
 import sharp from 'sharp';
-import { redis, isRedisAvailable } from './redisClient.js';
+import { redis } from './redisClient.js';
+import { kv } from './kvStore.js';
 
 const CACHE_PREFIX = 'fitrate:cache:';
 const CACHE_TTL = 86400; // 24 hours - outfits don't change, saves API costs
+const INDEX_PREFIX = 'fitrate:phash:';
+
+// In-process tier in front of the KV store
+const MEMORY_CACHE_MAX_ENTRIES = 500;
+const MEMORY_CACHE_MAX_BYTES = 25 * 1024 * 1024;  // 25MB
+
+// Max Hamming distance (out of 64 bits) for "same photo"
+export const NEAR_DUPLICATE = {
+    pHash: 3,   // Guaranteed to be found by the 4-band index
+    dHash: 10   // Gradients shift more under recompression
+};
+
+const BAND_COUNT = 4;
+const BAND_HEX_LENGTH = 4;       // 16 bits per band
+const MAX_BUCKET_SIZE = 500;     // Oldest fingerprints fall out of a hot bucket first
+
+// 8x32 cosine table for the low-frequency DCT coefficients
+const DCT_SIZE = 32;
+const DCT_COSINES = Array.from({ length: 8 }, (_, u) =>
+    Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE)))
+);
+
+// Popcount per byte value
+const BIT_COUNTS = Array.from({ length: 256 }, (_, n) => {
+    let count = 0;
+    for (let v = n; v; v >>= 1) count += v & 1;
+    return count;
+});
+
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+async function grayscalePixels(buffer, width, height) {
+    const { data } = await sharp(buffer)
+        .removeAlpha()
+        .resize(width, height, { fit: 'fill' })
+        .grayscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return data;
+}
+
+function computePHash(pixels) {
+    // Top-left 8x8 of the 32x32 DCT-II (row-major: v = row frequency, u = column frequency)
+    const coefficients = [];
+    for (let v = 0; v < 8; v++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let y = 0; y < DCT_SIZE; y++) {
+                const rowCos = DCT_COSINES[v][y];
+                const row = y * DCT_SIZE;
+                for (let x = 0; x < DCT_SIZE; x++) {
+                    sum += pixels[row + x] * DCT_COSINES[u][x] * rowCos;
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+
+    // Median of the 63 AC terms - the DC term is just average brightness
+    const median = coefficients.slice(1).sort((a, b) => a - b)[31];
+    return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+}
+
+function computeDHash(pixels) {
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+/**
+ * Hamming distance between two equal-length hex hashes
+ */
+export function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 2) {
+        distance += BIT_COUNTS[parseInt(a.substr(i, 2), 16) ^ parseInt(b.substr(i, 2), 16)];
+    }
+    return distance;
+}
 
 /**
  * Generate a perceptual hash from base64 image
- * Uses downsizing + grayscale for consistent fingerprint
+ * @returns {Object|null} { key, pHash, dHash } - key is pHash + dHash (32 hex chars)
  */
 export async function getImageHash(base64Image) {
     try {
@@ -19,49 +131,301 @@ export async function getImageHash(base64Image) {
         const base64Data = base64Image.replace(/^data:image\/\w+;base64,/, '');
         const buffer = Buffer.from(base64Data, 'base64');
 
-        // Resize to 8x8 grayscale for perceptual hash
-        const { data } = await sharp(buffer)
-            .resize(8, 8, { fit: 'fill' })
-            .grayscale()
-            .raw()
-            .toBuffer({ resolveWithObject: true });
-
-        // Convert to simple hash string
-        return Buffer.from(data).toString('base64');
+        const pHash = computePHash(await grayscalePixels(buffer, DCT_SIZE, DCT_SIZE));
+        const dHash = computeDHash(await grayscalePixels(buffer, 9, 8));
+        return { key: `${pHash}${dHash}`, pHash, dHash };
     } catch (error) {
         console.error('Image hash error:', error.message);
         return null;
     }
 }
 
+/**
+ * Rebuild a hash from its key (e.g. one stored with a result)
+ */
+export function parseKey(key) {
+    return { key, pHash: key.slice(0, 16), dHash: key.slice(16, 32) };
+}
+
+function isNearDuplicate(a, b) {
+    return hammingDistance(a.pHash, b.pHash) <= NEAR_DUPLICATE.pHash &&
+        hammingDistance(a.dHash, b.dHash) <= NEAR_DUPLICATE.dHash;
+}
+
+function getBandKeys(scope, hash) {
+    return Array.from({ length: BAND_COUNT }, (_, band) =>
+        `${INDEX_PREFIX}${scope}:${band}:${hash.pHash.substr(band * BAND_HEX_LENGTH, BAND_HEX_LENGTH)}`);
+}
+
+/**
+ * Add an image to a scope's near-duplicate index
+ * @param {string} scope - cache | event:{weekId} | daily:{YYYY-MM-DD}
+ * @param {Object} hash - From getImageHash()
+ * @param {string} ownerId - Who submitted it (null for the analysis cache)
+ * @param {number} ttlSeconds - How long the scope is relevant (null = keep, e.g. curated reference sets)
+ */
+export async function indexImage(scope, hash, ownerId, ttlSeconds) {
+    if (!hash) return;
+
+    const member = ownerId ? `${hash.key}|${ownerId}` : hash.key;
+    const now = Date.now();
+    try {
+        const pipeline = kv.multi();
+        for (const bandKey of getBandKeys(scope, hash)) {
+            pipeline.zadd(bandKey, now, member);
+            pipeline.zremrangebyrank(bandKey, 0, -(MAX_BUCKET_SIZE + 1));
+            if (ttlSeconds) {
+                pipeline.zremrangebyscore(bandKey, 0, now - ttlSeconds * 1000);
+                pipeline.expire(bandKey, ttlSeconds);
+            }
+        }
+        await pipeline.exec();
+    } catch (error) {
+        console.error('Hash index error:', error.message);
+    }
+}
+
+/**
+ * Remove an image from a scope's index (a submission that was rolled back)
+ * @param {string} scope - Same scope as indexImage()
+ * @param {Object} hash - From getImageHash()
+ * @param {string} ownerId - Same ownerId it was indexed with
+ */
+export async function unindexImage(scope, hash, ownerId) {
+    if (!hash) return;
+
+    const member = ownerId ? `${hash.key}|${ownerId}` : hash.key;
+    const pipeline = kv.multi();
+    for (const bandKey of getBandKeys(scope, hash)) {
+        pipeline.zrem(bandKey, member);
+    }
+    await pipeline.exec();
+}
+
+/**
+ * Find indexed near-duplicates of an image, closest first
+ * @param {string} scope - Same scope as indexImage()
+ * @param {Object} hash - From getImageHash()
+ * @returns {Array} [{ key, ownerId, distance }] - distance is the pHash Hamming distance
+ */
+export async function findNearDuplicates(scope, hash) {
+    if (!hash) return [];
+
+    try {
+        const buckets = await Promise.all(getBandKeys(scope, hash).map(bandKey => kv.zrange(bandKey, 0, -1)));
+        const matches = new Map();
+        for (const member of buckets.flat()) {
+            if (matches.has(member)) continue;
+            // Fingerprints are hex, so the first '|' ends the key - ownerIds may contain '|' themselves
+            const separator = member.indexOf('|');
+            const key = separator === -1 ? member : member.slice(0, separator);
+            const ownerId = separator === -1 ? null : member.slice(separator + 1);
+            const candidate = parseKey(key);
+            if (isNearDuplicate(hash, candidate)) {
+                matches.set(member, { key, ownerId, distance: hammingDistance(hash.pHash, candidate.pHash) });
+            }
+        }
+        return [...matches.values()].sort((a, b) => a.distance - b.distance);
+    } catch (error) {
+        console.error('Hash lookup error:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Find who else already submitted this photo in a scope
+ * @returns {Object|null} { ownerId, distance } of the closest match from another user
+ */
+export async function findDuplicateSubmission(scope, hash, userId) {
+    const matches = await findNearDuplicates(scope, hash);
+    return matches.find(match => match.ownerId && match.ownerId !== userId) || null;
+}
+
+// ============================================
+// ANALYSIS CACHE - memory LRU in front of the KV store
+// ============================================
+
+const memoryCache = new Map();  // `${fingerprint}:${variant}` → { hash, variant, json, bytes, expiresAt } (Map order = LRU order)
+let memoryBytes = 0;
+
+const cacheStats = {
+    memoryHits: 0,
+    redisHits: 0,
+    nearDuplicateHits: 0,
+    misses: 0,
+    evictions: 0,
+    refilled: 0
+};
+
+function forgetMemoryEntry(memoryKey) {
+    const entry = memoryCache.get(memoryKey);
+    if (!entry) return;
+    memoryBytes -= entry.bytes;
+    memoryCache.delete(memoryKey);
+}
+
+function rememberInMemory(hash, variant, json, expiresAt = Date.now() + CACHE_TTL * 1000) {
+    const memoryKey = `${hash.key}:${variant}`;
+    forgetMemoryEntry(memoryKey);
+    const bytes = Buffer.byteLength(json);
+    if (bytes > MEMORY_CACHE_MAX_BYTES) return;
+
+    memoryCache.set(memoryKey, { hash, variant, json, bytes, expiresAt });
+    memoryBytes += bytes;
+
+    // Evict least recently used until back under both limits
+    while (memoryCache.size > MEMORY_CACHE_MAX_ENTRIES || memoryBytes > MEMORY_CACHE_MAX_BYTES) {
+        forgetMemoryEntry(memoryCache.keys().next().value);
+        cacheStats.evictions++;
+    }
+}
+
+// Copy a KV store hit into memory - it expires when the stored entry does, not a fresh 24h later
+async function rememberFromStore(hash, variant, storeKey, json) {
+    const ttlMs = await kv.pttl(storeKey);
+    if (ttlMs === -2) return;  // Expired between the read and now
+    rememberInMemory(hash, variant, json, ttlMs > 0 ? Date.now() + ttlMs : undefined);
+}
+
+// Hits move to the back of the Map (most recently used); expired entries are dropped on sight
+function touchMemoryEntry(memoryKey) {
+    const entry = memoryCache.get(memoryKey);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        forgetMemoryEntry(memoryKey);
+        return null;
+    }
+    memoryCache.delete(memoryKey);
+    memoryCache.set(memoryKey, entry);
+    return entry;
+}
+
+function findInMemory(hash, variant) {
+    const exact = touchMemoryEntry(`${hash.key}:${variant}`);
+    if (exact) return { entry: exact, distance: 0 };
+
+    // Small, bounded tier - a linear scan is cheaper than keeping band buckets
+    let closest = null;
+    for (const [memoryKey, entry] of memoryCache) {
+        if (entry.variant !== variant || !isNearDuplicate(hash, entry.hash)) continue;
+        const distance = hammingDistance(hash.pHash, entry.hash.pHash);
+        if (!closest || distance < closest.distance) closest = { memoryKey, distance };
+    }
+    if (!closest) return null;
+    const entry = touchMemoryEntry(closest.memoryKey);
+    return entry ? { entry, distance: closest.distance } : null;
+}
+
 /**
  * Get cached result for an image hash
+ * Memory first, then the KV store - each tier tries the exact fingerprint before near-duplicates
+ * @param {Object} hash - From getImageHash()
+ * @param {string} variant - `${mode}:${occasion}` - results only apply to the same prompt
+ * @returns {Object|null} A fresh copy of the cached result (safe to mutate)
  */
-export async function getCachedResult(hash) {
-    if (!hash || !isRedisAvailable()) return null;
+export async function getCachedResult(hash, variant) {
+    if (!hash) return null;
+
+    const inMemory = findInMemory(hash, variant);
+    if (inMemory) {
+        cacheStats.memoryHits++;
+        if (inMemory.distance > 0) cacheStats.nearDuplicateHits++;
+        console.log(`📦 Memory cache hit for hash: ${hash.key.substring(0, 10)}...${inMemory.distance > 0 ? ` (near-duplicate, distance ${inMemory.distance})` : ''}`);
+        return JSON.parse(inMemory.entry.json);
+    }
 
     try {
-        const cached = await redis.get(`${CACHE_PREFIX}${hash}`);
+        const cached = await kv.get(`${CACHE_PREFIX}${hash.key}:${variant}`);
         if (cached) {
-            console.log(`📦 Cache hit for hash: ${hash.substring(0, 10)}...`);
+            cacheStats.redisHits++;
+            await rememberFromStore(hash, variant, `${CACHE_PREFIX}${hash.key}:${variant}`, cached);
+            console.log(`📦 Cache hit for hash: ${hash.key.substring(0, 10)}...`);
             return JSON.parse(cached);
         }
+
+        const nearby = (await findNearDuplicates('cache', hash)).filter(match => match.key !== hash.key);
+        if (nearby.length > 0) {
+            const values = await kv.mget(nearby.map(match => `${CACHE_PREFIX}${match.key}:${variant}`));
+            const index = values.findIndex(Boolean);
+            if (index !== -1) {
+                cacheStats.redisHits++;
+                cacheStats.nearDuplicateHits++;
+                await rememberFromStore(parseKey(nearby[index].key), variant, `${CACHE_PREFIX}${nearby[index].key}:${variant}`, values[index]);
+                console.log(`📦 Near-duplicate cache hit for hash: ${hash.key.substring(0, 10)}... (distance ${nearby[index].distance})`);
+                return JSON.parse(values[index]);
+            }
+        }
     } catch (error) {
         console.error('Cache get error:', error.message);
     }
+
+    cacheStats.misses++;
     return null;
 }
 
 /**
- * Cache a result for an image hash
+ * Cache a result for an image hash - in memory and in the KV store
+ * @param {Object} hash - From getImageHash()
+ * @param {string} variant - `${mode}:${occasion}`
  */
-export async function cacheResult(hash, result) {
-    if (!hash || !isRedisAvailable() || !result) return;
+export async function cacheResult(hash, variant, result) {
+    if (!hash || !result) return;
+
+    const json = JSON.stringify(result);
+    rememberInMemory(hash, variant, json);
 
     try {
-        await redis.setex(`${CACHE_PREFIX}${hash}`, CACHE_TTL, JSON.stringify(result));
-        console.log(`💾 Cached result for hash: ${hash.substring(0, 10)}...`);
+        await kv.setex(`${CACHE_PREFIX}${hash.key}:${variant}`, CACHE_TTL, json);
+        await indexImage('cache', hash, null, CACHE_TTL);
+        console.log(`💾 Cached result for hash: ${hash.key.substring(0, 10)}...`);
     } catch (error) {
         console.error('Cache set error:', error.message);
     }
 }
+
+/**
+ * Copy the memory tier into Redis (runs whenever Redis becomes ready)
+ * NX: an entry another instance wrote while we were cut off wins
+ */
+async function refillRedisFromMemory() {
+    const now = Date.now();
+    const entries = [...memoryCache.values()].filter(entry => entry.expiresAt > now);
+    if (entries.length === 0) return;
+
+    try {
+        let refilled = 0;
+        for (const entry of entries) {
+            const ttl = Math.ceil((entry.expiresAt - now) / 1000);
+            const written = await redis.set(`${CACHE_PREFIX}${entry.hash.key}:${entry.variant}`, entry.json, 'EX', ttl, 'NX');
+            if (written) {
+                await indexImage('cache', entry.hash, null, ttl);
+                refilled++;
+            }
+        }
+        cacheStats.refilled += refilled;
+        console.log(`♻️ Analysis cache: refilled Redis with ${refilled}/${entries.length} memory entries`);
+    } catch (error) {
+        console.error('Cache refill error:', error.message);
+    }
+}
+
+if (redis) {
+    redis.on('ready', refillRedisFromMemory);
+}
+
+/**
+ * Analysis cache counters + memory tier usage (GET /api/diag)
+ */
+export function getCacheStats() {
+    const lookups = cacheStats.memoryHits + cacheStats.redisHits + cacheStats.misses;
+    return {
+        ...cacheStats,
+        hitRate: lookups > 0 ? Math.round(((cacheStats.memoryHits + cacheStats.redisHits) / lookups) * 1000) / 1000 : null,
+        memory: {
+            entries: memoryCache.size,
+            bytes: memoryBytes,
+            maxEntries: MEMORY_CACHE_MAX_ENTRIES,
+            maxBytes: MEMORY_CACHE_MAX_BYTES
+        }
+    };
+}
@@ -0,0 +1,284 @@
+/**
+ * Competition Integrity Service
+ *
+ * Screens competitive entries (weekly event, daily challenge) for stolen or
+ * recycled photos. Every entry's perceptual hash is kept for
+ * COMPETITION_HISTORY_DAYS across weeks, next to a curated reference set
+ * (celebrity / stock / viral outfit photos added by admins).
+ *
+ * An entry is flagged when its photo matches:
+ * - a reference image, or
+ * - a prior competitive entry by another user, or
+ * - the same user's entry in an earlier round of the same competition (last week's event,
+ *   yesterday's daily challenge) - entering one scan in both the event and the daily
+ *   challenge is allowed
+ *
+ * Flagged entries are held: the score is kept on the flag instead of the
+ * leaderboard sorted set, so public leaderboards, ranks, archives and rewards
+ * never see it. Admin review puts it back (approve) or drops it (reject).
+ *
+ * Redis Keys:
+ * - fitrate:phash:competition:* / fitrate:phash:reference:* - Hash indexes (imageHasher.js)
+ * - fitrate:integrity:reference - Hash (fingerprint → { label, addedAt })
+ * - fitrate:integrity:flag:{flagId} - Flag JSON (FLAG_TTL)
+ * - fitrate:integrity:thumb:{flagId} - Held entry's leaderboard thumbnail, placed on approval (FLAG_TTL)
+ * - fitrate:integrity:pending - Sorted set (flagId → flaggedAt) awaiting review
+ */
+
+import crypto from 'crypto';
+import { kv } from './kvStore.js';
+import { findNearDuplicates, indexImage } from './imageHasher.js';
+
+const REFERENCE_KEY = 'fitrate:integrity:reference';
+const FLAG_PREFIX = 'fitrate:integrity:flag:';
+const THUMB_PREFIX = 'fitrate:integrity:thumb:';
+const PENDING_KEY = 'fitrate:integrity:pending';
+
+const COMPETITION_HISTORY_DAYS = 180;
+const FLAG_TTL = 60 * 60 * 24 * 30;  // 30 days to review
+const MAX_LABEL_LENGTH = 80;
+
+// Competition index owners are "{context}~{userId}" so a match says where the photo was entered before
+const OWNER_SEPARATOR = '~';
+
+export const REVIEW_DECISIONS = ['approve', 'reject'];
+
+// Contexts (event:{weekId} | daily:{YYYY-MM-DD}) never contain the separator, so everything
+// after the first one is the userId - whatever characters it has
+function toOwnerId(context, userId) {
+    return `${context}${OWNER_SEPARATOR}${userId}`;
+}
+
+function parseOwnerId(ownerId) {
+    const at = ownerId.indexOf(OWNER_SEPARATOR);
+    return { context: ownerId.slice(0, at), userId: ownerId.slice(at + 1) };
+}
+
+// event:{weekId} → event
+function getCompetition(context) {
+    return context.split(':')[0];
+}
+
+/**
+ * Does an indexed entry make this one suspicious?
+ * Other users' photos always do; your own only when recycled into a later round of the same competition
+ */
+function isPriorEntry(match, userId, context) {
+    if (match.userId !== userId) return true;
+    return match.context !== context && getCompetition(match.context) === getCompetition(context);
+}
+
+function generateFlagId() {
+    return `fl_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+export function isValidFlagId(flagId) {
+    return typeof flagId === 'string' && /^fl_\d+_[a-f0-9]{8}$/.test(flagId);
+}
+
+/**
+ * Screen a competitive entry and remember its photo for future entries
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Object} params.imageHash - From imageHasher.getImageHash()
+ * @param {string} params.context - event:{weekId} | daily:{YYYY-MM-DD}
+ * @returns {Object} { flagged, reasons: [{ type: 'reference' | 'prior_entry', ... , distance }] }
+ */
+export async function screenEntry({ userId, imageHash, context }) {
+    if (!imageHash) return { flagged: false, reasons: [] };
+
+    const reasons = [];
+    try {
+        const references = await findNearDuplicates('reference', imageHash);
+        if (references.length > 0) {
+            const meta = await kv.hget(REFERENCE_KEY, references[0].key);
+            reasons.push({
+                type: 'reference',
+                label: meta ? JSON.parse(meta).label : null,
+                distance: references[0].distance
+            });
+        }
+
+        const prior = (await findNearDuplicates('competition', imageHash))
+            .map(match => ({ ...parseOwnerId(match.ownerId), distance: match.distance }))
+            .find(match => isPriorEntry(match, userId, context));
+        if (prior) {
+            reasons.push({
+                type: 'prior_entry',
+                context: prior.context,
+                sameUser: prior.userId === userId,
+                userId: prior.userId,
+                distance: prior.distance
+            });
+        }
+
+        await indexImage('competition', imageHash, toOwnerId(context, userId), COMPETITION_HISTORY_DAYS * 24 * 60 * 60);
+    } catch (error) {
+        // Screening is best-effort - never block a legitimate entry on an index failure
+        console.error('[INTEGRITY] Screening error:', error.message);
+    }
+
+    if (reasons.length > 0) {
+        console.log(`🚩 [INTEGRITY] ${context} entry by ${userId.slice(0, 12)}... flagged: ${reasons.map(r => r.type).join(', ')}`);
+    }
+    return { flagged: reasons.length > 0, reasons };
+}
+
+/**
+ * Hold a flagged entry out of its leaderboard until an admin reviews it
+ * The caller does NOT add the score to the leaderboard - approve adds it later
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.context - event:{weekId} | daily:{YYYY-MM-DD}
+ * @param {Array} params.reasons - From screenEntry()
+ * @param {string} params.leaderboardKey - Sorted set the entry belongs in
+ * @param {number} params.leaderboardScore - Sorted-set score to restore on approval
+ * @param {number} params.leaderboardTtl - Seconds the leaderboard key lives (null = no TTL)
+ * @param {number} params.score - Display score (0-100)
+ * @param {Object} params.thumbnail - { image, keyPrefix, ttl, limit } - stored at {keyPrefix}{userId}
+ *   on approval when the entry ranks within the top `limit` (null = no thumbnail)
+ * @returns {Object} flag
+ */
+export async function holdEntry({ userId, context, reasons, leaderboardKey, leaderboardScore, leaderboardTtl = null, score, thumbnail = null }) {
+    const flag = {
+        flagId: generateFlagId(),
+        status: 'pending',
+        userId,
+        context,
+        score,
+        reasons,
+        leaderboardKey,
+        leaderboardScore,
+        leaderboardTtl,
+        // Image itself lives under its own key - pending flags are listed in bulk
+        thumbnail: thumbnail ? { keyPrefix: thumbnail.keyPrefix, ttl: thumbnail.ttl, limit: thumbnail.limit } : null,
+        flaggedAt: new Date().toISOString(),
+        reviewedAt: null,
+        decision: null
+    };
+
+    const tx = kv.multi()
+        .set(`${FLAG_PREFIX}${flag.flagId}`, JSON.stringify(flag), 'EX', FLAG_TTL)
+        .zadd(PENDING_KEY, Date.now(), flag.flagId);
+    if (thumbnail) tx.set(`${THUMB_PREFIX}${flag.flagId}`, thumbnail.image, 'EX', FLAG_TTL);
+    await tx.exec();
+
+    console.log(`⏸️ [INTEGRITY] Held ${context} entry ${flag.flagId} (${score}) pending review`);
+    return flag;
+}
+
+/**
+ * Flags awaiting review, oldest first
+ */
+export async function getPendingFlags(limit = 50) {
+    const flagIds = await kv.zrange(PENDING_KEY, 0, limit - 1);
+    if (flagIds.length === 0) return [];
+
+    const values = await kv.mget(flagIds.map(flagId => `${FLAG_PREFIX}${flagId}`));
+    const expired = flagIds.filter((_, i) => !values[i]);
+    if (expired.length > 0) await kv.zrem(PENDING_KEY, ...expired);
+    return values.filter(Boolean).map(value => JSON.parse(value));
+}
+
+/**
+ * Give an approved entry its leaderboard thumbnail, mirroring the top-N rule of the
+ * board it was restored to: stored only inside the top `limit`, and whoever it pushed
+ * out loses theirs
+ */
+async function placeHeldThumbnail(flag) {
+    const image = await kv.get(`${THUMB_PREFIX}${flag.flagId}`);
+    if (!image) return;
+
+    const { keyPrefix, ttl, limit } = flag.thumbnail;
+    // GT kept a better score earned meanwhile - that entry's thumbnail stays
+    const boardScore = await kv.zscore(flag.leaderboardKey, flag.userId);
+    if (boardScore === null || parseFloat(boardScore) !== flag.leaderboardScore) return;
+
+    const rank = await kv.zrevrank(flag.leaderboardKey, flag.userId);
+    if (rank === null || rank >= limit) return;
+
+    await kv.set(`${keyPrefix}${flag.userId}`, image, 'EX', ttl);
+    const [pushedOutUserId] = await kv.zrevrange(flag.leaderboardKey, limit, limit);
+    if (pushedOutUserId) await kv.del(`${keyPrefix}${pushedOutUserId}`);
+}
+
+/**
+ * Approve (restore to the leaderboard) or reject (keep out) a held entry
+ * @param {string} flagId
+ * @param {string} decision - approve | reject
+ * @returns {Object} { success, flag } or { success: false, error, message }
+ */
+export async function reviewFlag(flagId, decision) {
+    // zrem is the claim - two admins can't both restore the same entry
+    const claimed = await kv.zrem(PENDING_KEY, flagId);
+    const data = await kv.get(`${FLAG_PREFIX}${flagId}`);
+    if (!data) {
+        return { success: false, error: 'not_found', message: 'Flag not found or expired' };
+    }
+    const flag = JSON.parse(data);
+    if (!claimed || flag.status !== 'pending') {
+        return { success: false, error: 'already_reviewed', message: `Flag was already ${flag.decision || 'reviewed'}` };
+    }
+
+    if (decision === 'approve') {
+        // GT: never lower a score the user earned while this entry was held
+        await kv.zadd(flag.leaderboardKey, 'GT', flag.leaderboardScore, flag.userId);
+        // Held entry may have been the board's only one - give a new key the board's TTL
+        if (flag.leaderboardTtl && (await kv.ttl(flag.leaderboardKey)) === -1) {
+            await kv.expire(flag.leaderboardKey, flag.leaderboardTtl);
+        }
+        if (flag.thumbnail) await placeHeldThumbnail(flag);
+    }
+    if (flag.thumbnail) await kv.del(`${THUMB_PREFIX}${flagId}`);
+
+    flag.status = 'reviewed';
+    flag.decision = decision;
+    flag.reviewedAt = new Date().toISOString();
+    await kv.set(`${FLAG_PREFIX}${flagId}`, JSON.stringify(flag), 'EX', FLAG_TTL);
+
+    console.log(`✅ [INTEGRITY] ${flagId} ${decision}d (${flag.context})`);
+    return { success: true, flag };
+}
+
+/**
+ * Add a photo to the curated reference set (celebrity, stock, viral outfits)
+ * @param {Object} imageHash - From imageHasher.getImageHash()
+ * @param {string} label - What the photo is, shown on flags
+ */
+export async function addReferenceImage(imageHash, label) {
+    if (!imageHash) {
+        return { success: false, error: 'invalid_image', message: 'Could not read image' };
+    }
+
+    const reference = {
+        label: String(label || '').trim().slice(0, MAX_LABEL_LENGTH) || 'Unlabeled',
+        addedAt: new Date().toISOString()
+    };
+    await kv.hset(REFERENCE_KEY, imageHash.key, JSON.stringify(reference));
+    await indexImage('reference', imageHash, null, null);
+
+    console.log(`📚 [INTEGRITY] Reference image added: ${reference.label}`);
+    return { success: true, reference: { fingerprint: imageHash.key, ...reference } };
+}
+
+/**
+ * Reference set size + review queue length
+ */
+export async function getIntegrityStats() {
+    const [referenceImages, pendingFlags] = await Promise.all([
+        kv.hlen(REFERENCE_KEY),
+        kv.zcard(PENDING_KEY)
+    ]);
+    return { referenceImages, pendingFlags };
+}
+
+export default {
+    REVIEW_DECISIONS,
+    isValidFlagId,
+    screenEntry,
+    holdEntry,
+    getPendingFlags,
+    reviewFlag,
+    addReferenceImage,
+    getIntegrityStats
+};
@@ -0,0 +1,739 @@
+/**
+ * KV Store
+ * One key-value storage layer for every store that must work with or without Redis
+ *
+ * The API is a subset of the ioredis command set (same names, arguments and
+ * return values), so call sites read like plain Redis code:
+ * - Redis ready → commands go straight to the shared ioredis client
+ * - Redis not configured / down → an adapter that emulates the same commands,
+ *   including TTLs (EX / expire / ttl) and empty-collection deletion
+ *
+ * Fallback adapters (KV_FALLBACK):
+ * - file (default) - in-memory, persisted to KV_FILE (data/kv-store.json) so
+ *   purchases, entitlements and streaks survive a restart. Caches and images
+ *   (MEMORY_ONLY_PREFIXES, or any value over MAX_PERSISTED_VALUE_BYTES) are
+ *   not written - they are rebuilt or simply missing after a restart
+ * - memory - in-memory only (lost on restart)
+ *
+ * Supported: strings (get/set/setex/mget/incr/decr), keys (del/exists/expire/expireat/ttl/pttl/keys/scan),
+ * hashes, sets, sorted sets, lists, and pipeline()/multi() batches. The fallback
+ * adapters run a batch without yielding, so multi() stays atomic without Redis too.
+ *
+ * Never call keys() on a hot path - it walks the whole keyspace in one blocking
+ * Redis command. Use scanKeys() (cursor-based, batched) instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { redis, isRedisAvailable } from './redisClient.js';
+import { config } from '../config/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '../../data/kv-store.json');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;   // Drop expired keys even if nobody reads them
+const SAVE_DEBOUNCE_MS = 1000;         // File adapter: coalesce writes
+const SCAN_BATCH_SIZE = 500;           // scanKeys(): keys per SCAN round-trip (COUNT hint)
+
+// File adapter: keys that are cheap to lose and expensive to rewrite every second
+const MEMORY_ONLY_PREFIXES = [
+    'fitrate:cache:',          // Analysis result cache (imageHasher.js)
+    'fitrate:phash:cache:',    // Its near-duplicate index
+    'fitrate:card:',           // Rendered share-card PNGs (shareCard.js)
+    'fitrate:event:thumb:',    // Leaderboard thumbnails
+    'fitrate:daily:thumb:',
+    'fitrate:integrity:thumb:'
+];
+const MAX_PERSISTED_VALUE_BYTES = 16 * 1024;  // Larger strings (base64 images) stay in memory
+
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+const NOT_INTEGER = 'ERR value is not an integer or out of range';
+
+const EMPTY = {
+    string: () => '',
+    hash: () => new Map(),
+    set: () => new Set(),
+    zset: () => new Map(),
+    list: () => []
+};
+
+// Redis LRANGE/ZRANGE index rules: negative = from the end, stop is inclusive and clamped
+function normalizeRange(length, start, stop) {
+    let from = Number(start);
+    let to = Number(stop);
+    if (from < 0) from = Math.max(0, length + from);
+    if (to < 0) to = length + to;
+    to = Math.min(to, length - 1);
+    return from > to ? null : [from, to];
+}
+
+function toInteger(value) {
+    const number = Number(value);
+    if (!Number.isSafeInteger(number)) throw new Error(NOT_INTEGER);
+    return number;
+}
+
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`);
+}
+
+// ZRANGEBYSCORE bounds: numbers, -inf/+inf, '(' prefix = exclusive
+function scoreBounds(min, max) {
+    const parse = (bound) => {
+        const text = String(bound);
+        const exclusive = text.startsWith('(');
+        const raw = exclusive ? text.slice(1) : text;
+        const value = /^[+-]?inf$/i.test(raw) ? (raw.startsWith('-') ? -Infinity : Infinity) : Number(raw);
+        return { value, exclusive };
+    };
+    const low = parse(min);
+    const high = parse(max);
+    return (score) => (low.exclusive ? score > low.value : score >= low.value)
+        && (high.exclusive ? score < high.value : score <= high.value);
+}
+
+// Redis orders sorted-set ties by member, lexicographically
+function compareZset([memberA, scoreA], [memberB, scoreB]) {
+    return (scoreA - scoreB) || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0);
+}
+
+/**
+ * In-memory emulation of the Redis commands the stores use
+ * Values are kept as strings (like Redis) so both backends return the same types.
+ */
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map(); // key → { type, value, expiresAt }
+        setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+    }
+
+    // Hook for persistent adapters - called after every write
+    changed() { }
+
+    sweep() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        if (removed > 0) this.changed();
+    }
+
+    entry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    // Value of the given type, optionally creating an empty one
+    value(key, type, create = false) {
+        let entry = this.entry(key);
+        if (entry && entry.type !== type) throw new Error(WRONGTYPE);
+        if (!entry) {
+            if (!create) return null;
+            entry = { type, value: EMPTY[type](), expiresAt: null };
+            this.entries.set(key, entry);
+        }
+        return entry.value;
+    }
+
+    // Redis deletes a collection once its last element is removed
+    prune(key) {
+        const entry = this.entries.get(key);
+        const size = entry && (entry.value.size ?? entry.value.length);
+        if (entry && entry.type !== 'string' && size === 0) this.entries.delete(key);
+    }
+
+    // ===== KEYS =====
+
+    async del(...keys) {
+        let count = 0;
+        for (const key of keys.flat()) {
+            if (this.entry(key)) {
+                this.entries.delete(key);
+                count++;
+            }
+        }
+        if (count > 0) this.changed();
+        return count;
+    }
+
+    async exists(...keys) {
+        return keys.flat().filter(key => this.entry(key)).length;
+    }
+
+    async expire(key, seconds) {
+        const entry = this.entry(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + Number(seconds) * 1000;
+        this.changed();
+        return 1;
+    }
+
+    async expireat(key, timestamp) {
+        const entry = this.entry(key);
+        if (!entry) return 0;
+        entry.expiresAt = Number(timestamp) * 1000;
+        this.changed();
+        return 1;
+    }
+
+    async ttl(key) {
+        const entry = this.entry(key);
+        if (!entry) return -2;
+        if (entry.expiresAt === null) return -1;
+        return Math.max(0, Math.round((entry.expiresAt - Date.now()) / 1000));
+    }
+
+    async pttl(key) {
+        const entry = this.entry(key);
+        if (!entry) return -2;
+        if (entry.expiresAt === null) return -1;
+        return Math.max(0, entry.expiresAt - Date.now());
+    }
+
+    async keys(pattern) {
+        const matcher = globToRegExp(pattern);
+        return [...this.entries.keys()].filter(key => matcher.test(key) && this.entry(key));
+    }
+
+    // scan(cursor[, 'MATCH', pattern][, 'COUNT', n]) → [nextCursor, keys], '0' when done
+    // The cursor is the last key visited (in sorted order), so keys added or deleted
+    // mid-iteration never make it skip keys that were there all along - same guarantee as Redis.
+    async scan(cursor, ...options) {
+        const flags = options.map(option => (typeof option === 'string' ? option.toUpperCase() : option));
+        const match = flags.indexOf('MATCH');
+        const countIndex = flags.indexOf('COUNT');
+        const matcher = globToRegExp(match !== -1 ? String(options[match + 1]) : '*');
+        const count = countIndex !== -1 ? Number(options[countIndex + 1]) : 10;
+
+        const after = String(cursor) === '0' ? null : String(cursor).slice(1);
+        const remaining = [...this.entries.keys()]
+            .filter(key => after === null || key > after)
+            .sort();
+        const page = remaining.slice(0, count);
+        const nextCursor = remaining.length > count ? `>${page[page.length - 1]}` : '0';
+        return [nextCursor, page.filter(key => matcher.test(key) && this.entry(key))];
+    }
+
+    // ===== STRINGS =====
+
+    async get(key) {
+        return this.value(key, 'string');
+    }
+
+    async mget(...keys) {
+        return keys.flat().map(key => this.value(key, 'string'));
+    }
+
+    // set(key, value[, 'EX', seconds][, 'PX', ms][, 'NX' | 'XX'][, 'KEEPTTL'])
+    async set(key, value, ...options) {
+        const flags = options.map(option => (typeof option === 'string' ? option.toUpperCase() : option));
+        const existing = this.entry(key);
+        if (flags.includes('NX') && existing) return null;
+        if (flags.includes('XX') && !existing) return null;
+
+        let expiresAt = flags.includes('KEEPTTL') && existing ? existing.expiresAt : null;
+        const ex = flags.indexOf('EX');
+        const px = flags.indexOf('PX');
+        if (ex !== -1) expiresAt = Date.now() + Number(flags[ex + 1]) * 1000;
+        if (px !== -1) expiresAt = Date.now() + Number(flags[px + 1]);
+
+        this.entries.set(key, { type: 'string', value: String(value), expiresAt });
+        this.changed();
+        return 'OK';
+    }
+
+    async setex(key, seconds, value) {
+        return this.set(key, value, 'EX', seconds);
+    }
+
+    async incrby(key, amount) {
+        const entry = this.entry(key);
+        if (entry && entry.type !== 'string') throw new Error(WRONGTYPE);
+        const next = toInteger(entry ? entry.value : 0) + toInteger(amount);
+        // Like Redis, incrementing keeps the key's TTL
+        this.entries.set(key, { type: 'string', value: String(next), expiresAt: entry ? entry.expiresAt : null });
+        this.changed();
+        return next;
+    }
+
+    async incr(key) { return this.incrby(key, 1); }
+    async decr(key) { return this.incrby(key, -1); }
+    async decrby(key, amount) { return this.incrby(key, -toInteger(amount)); }
+
+    // ===== HASHES =====
+
+    async hget(key, field) {
+        return this.value(key, 'hash')?.get(String(field)) ?? null;
+    }
+
+    async hmget(key, ...fields) {
+        const hash = this.value(key, 'hash');
+        return fields.flat().map(field => hash?.get(String(field)) ?? null);
+    }
+
+    // hset(key, field, value, ...) or hset(key, { field: value })
+    async hset(key, ...args) {
+        const pairs = typeof args[0] === 'object' && args[0] !== null
+            ? Object.entries(args[0])
+            : Array.from({ length: args.length / 2 }, (_, i) => [args[i * 2], args[i * 2 + 1]]);
+        const hash = this.value(key, 'hash', true);
+        let added = 0;
+        for (const [field, value] of pairs) {
+            if (!hash.has(String(field))) added++;
+            hash.set(String(field), String(value));
+        }
+        this.changed();
+        return added;
+    }
+
+    async hsetnx(key, field, value) {
+        const hash = this.value(key, 'hash', true);
+        if (hash.has(String(field))) return 0;
+        hash.set(String(field), String(value));
+        this.changed();
+        return 1;
+    }
+
+    async hgetall(key) {
+        return Object.fromEntries(this.value(key, 'hash') || []);
+    }
+
+    async hincrby(key, field, amount) {
+        const hash = this.value(key, 'hash', true);
+        const next = toInteger(hash.get(String(field)) ?? 0) + toInteger(amount);
+        hash.set(String(field), String(next));
+        this.changed();
+        return next;
+    }
+
+    async hdel(key, ...fields) {
+        const hash = this.value(key, 'hash');
+        if (!hash) return 0;
+        const count = fields.flat().filter(field => hash.delete(String(field))).length;
+        this.prune(key);
+        if (count > 0) this.changed();
+        return count;
+    }
+
+    async hexists(key, field) {
+        return this.value(key, 'hash')?.has(String(field)) ? 1 : 0;
+    }
+
+    async hkeys(key) {
+        return [...(this.value(key, 'hash')?.keys() || [])];
+    }
+
+    async hlen(key) {
+        return this.value(key, 'hash')?.size || 0;
+    }
+
+    // ===== SETS =====
+
+    async sadd(key, ...members) {
+        const set = this.value(key, 'set', true);
+        const before = set.size;
+        members.flat().forEach(member => set.add(String(member)));
+        this.changed();
+        return set.size - before;
+    }
+
+    async srem(key, ...members) {
+        const set = this.value(key, 'set');
+        if (!set) return 0;
+        const count = members.flat().filter(member => set.delete(String(member))).length;
+        this.prune(key);
+        if (count > 0) this.changed();
+        return count;
+    }
+
+    async sismember(key, member) {
+        return this.value(key, 'set')?.has(String(member)) ? 1 : 0;
+    }
+
+    async smembers(key) {
+        return [...(this.value(key, 'set') || [])];
+    }
+
+    async scard(key) {
+        return this.value(key, 'set')?.size || 0;
+    }
+
+    // ===== SORTED SETS =====
+
+    // zadd(key, [NX|XX] [GT|LT] [CH], score, member, ...)
+    async zadd(key, ...args) {
+        const flags = new Set();
+        while (typeof args[0] === 'string' && /^(NX|XX|GT|LT|CH)$/i.test(args[0])) {
+            flags.add(args.shift().toUpperCase());
+        }
+        const zset = this.value(key, 'zset', true);
+        let added = 0;
+        let changed = 0;
+        for (let i = 0; i < args.length; i += 2) {
+            const score = Number(args[i]);
+            const member = String(args[i + 1]);
+            const current = zset.get(member);
+            if (current === undefined) {
+                if (flags.has('XX')) continue;
+                zset.set(member, score);
+                added++;
+                changed++;
+                continue;
+            }
+            if (flags.has('NX')) continue;
+            if (flags.has('GT') && score <= current) continue;
+            if (flags.has('LT') && score >= current) continue;
+            if (score !== current) {
+                zset.set(member, score);
+                changed++;
+            }
+        }
+        this.prune(key);
+        this.changed();
+        return flags.has('CH') ? changed : added;
+    }
+
+    async zincrby(key, amount, member) {
+        const zset = this.value(key, 'zset', true);
+        const next = (zset.get(String(member)) || 0) + Number(amount);
+        zset.set(String(member), next);
+        this.changed();
+        return String(next);
+    }
+
+    async zscore(key, member) {
+        const score = this.value(key, 'zset')?.get(String(member));
+        return score === undefined ? null : String(score);
+    }
+
+    async zcard(key) {
+        return this.value(key, 'zset')?.size || 0;
+    }
+
+    async zrem(key, ...members) {
+        const zset = this.value(key, 'zset');
+        if (!zset) return 0;
+        const count = members.flat().filter(member => zset.delete(String(member))).length;
+        this.prune(key);
+        if (count > 0) this.changed();
+        return count;
+    }
+
+    sortedZset(key, reverse) {
+        const sorted = [...(this.value(key, 'zset') || [])].sort(compareZset);
+        return reverse ? sorted.reverse() : sorted;
+    }
+
+    rangeZset(key, start, stop, withScores, reverse) {
+        const sorted = this.sortedZset(key, reverse);
+        const range = normalizeRange(sorted.length, start, stop);
+        if (!range) return [];
+        const slice = sorted.slice(range[0], range[1] + 1);
+        const withScoresFlag = typeof withScores === 'string' && withScores.toUpperCase() === 'WITHSCORES';
+        return withScoresFlag
+            ? slice.flatMap(([member, score]) => [member, String(score)])
+            : slice.map(([member]) => member);
+    }
+
+    async zrange(key, start, stop, withScores) {
+        return this.rangeZset(key, start, stop, withScores, false);
+    }
+
+    async zrevrange(key, start, stop, withScores) {
+        return this.rangeZset(key, start, stop, withScores, true);
+    }
+
+    // zrangebyscore(key, min, max[, 'WITHSCORES'][, 'LIMIT', offset, count]) - min/max accept -inf/+inf and '(' exclusive bounds
+    async zrangebyscore(key, min, max, ...options) {
+        const flags = options.map(option => (typeof option === 'string' ? option.toUpperCase() : option));
+        const inRange = scoreBounds(min, max);
+        let slice = this.sortedZset(key, false).filter(([, score]) => inRange(score));
+        const limit = flags.indexOf('LIMIT');
+        if (limit !== -1) {
+            const offset = Number(options[limit + 1]);
+            const count = Number(options[limit + 2]);
+            slice = slice.slice(offset, count < 0 ? undefined : offset + count);
+        }
+        return flags.includes('WITHSCORES')
+            ? slice.flatMap(([member, score]) => [member, String(score)])
+            : slice.map(([member]) => member);
+    }
+
+    async zremrangebyscore(key, min, max) {
+        const zset = this.value(key, 'zset');
+        if (!zset) return 0;
+        const inRange = scoreBounds(min, max);
+        const members = [...zset].filter(([, score]) => inRange(score)).map(([member]) => member);
+        return this.zrem(key, ...members);
+    }
+
+    async zremrangebyrank(key, start, stop) {
+        const sorted = this.sortedZset(key, false);
+        const range = normalizeRange(sorted.length, start, stop);
+        if (!range) return 0;
+        return this.zrem(key, ...sorted.slice(range[0], range[1] + 1).map(([member]) => member));
+    }
+
+    async zrank(key, member) {
+        const index = this.sortedZset(key, false).findIndex(([m]) => m === String(member));
+        return index === -1 ? null : index;
+    }
+
+    async zrevrank(key, member) {
+        const index = this.sortedZset(key, true).findIndex(([m]) => m === String(member));
+        return index === -1 ? null : index;
+    }
+
+    // ===== LISTS =====
+
+    async lpush(key, ...values) {
+        const list = this.value(key, 'list', true);
+        values.flat().forEach(value => list.unshift(String(value)));
+        this.changed();
+        return list.length;
+    }
+
+    async rpush(key, ...values) {
+        const list = this.value(key, 'list', true);
+        values.flat().forEach(value => list.push(String(value)));
+        this.changed();
+        return list.length;
+    }
+
+    async lrange(key, start, stop) {
+        const list = this.value(key, 'list') || [];
+        const range = normalizeRange(list.length, start, stop);
+        return range ? list.slice(range[0], range[1] + 1) : [];
+    }
+
+    async ltrim(key, start, stop) {
+        const entry = this.entry(key);
+        if (!entry) return 'OK';
+        if (entry.type !== 'list') throw new Error(WRONGTYPE);
+        const range = normalizeRange(entry.value.length, start, stop);
+        entry.value = range ? entry.value.slice(range[0], range[1] + 1) : [];
+        this.prune(key);
+        this.changed();
+        return 'OK';
+    }
+
+    async llen(key) {
+        return this.value(key, 'list')?.length || 0;
+    }
+
+    // ===== BATCHES =====
+
+    // Queued commands run in order on exec(); results use ioredis' [error, result] shape.
+    // Like MULTI, nothing else runs in between: every command body above is synchronous
+    // (async only for the ioredis signature), so all of them are started - and finished -
+    // before exec() first yields. Keep command bodies free of await to preserve this.
+    pipeline() {
+        const queue = [];
+        const batch = new Proxy({}, {
+            get: (_, command) => {
+                if (command === 'exec') {
+                    return async () => {
+                        const pending = queue.map(([name, args]) => this[name](...args));
+                        const settled = await Promise.allSettled(pending);
+                        return settled.map(outcome => (outcome.status === 'fulfilled'
+                            ? [null, outcome.value]
+                            : [outcome.reason, null]));
+                    };
+                }
+                if (typeof this[command] !== 'function') return undefined;
+                return (...args) => {
+                    queue.push([command, args]);
+                    return batch;
+                };
+            }
+        });
+        return batch;
+    }
+
+    multi() {
+        return this.pipeline();
+    }
+}
+
+/**
+ * Memory adapter persisted to a JSON file
+ * Loaded once on first use, written (debounced) after changes and on exit.
+ */
+class FileAdapter extends MemoryAdapter {
+    constructor(filePath) {
+        super();
+        this.name = 'file';
+        this.filePath = filePath;
+        this.saveTimer = null;
+        this.saving = false;
+        this.dirty = false;
+        this.load();
+        // No async work runs during 'exit' - the last save is synchronous
+        process.on('exit', () => this.flushSync());
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const { entries = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const now = Date.now();
+            for (const [key, type, value, expiresAt] of entries) {
+                if (expiresAt !== null && expiresAt <= now) continue;
+                const restored = type === 'hash' || type === 'zset' ? new Map(Object.entries(value))
+                    : type === 'set' ? new Set(value)
+                        : value;
+                this.entries.set(key, { type, value: restored, expiresAt });
+            }
+            console.log(`📦 KV store: loaded ${this.entries.size} keys from ${path.basename(this.filePath)}`);
+        } catch (error) {
+            console.error('KV store: failed to load file:', error.message);
+        }
+    }
+
+    changed() {
+        this.dirty = true;
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        // A save in progress reschedules itself when it finishes
+        if (this.saveTimer || this.saving) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+        this.saveTimer.unref();
+    }
+
+    isPersisted(key, value) {
+        if (MEMORY_ONLY_PREFIXES.some(prefix => key.startsWith(prefix))) return false;
+        return typeof value !== 'string' || value.length <= MAX_PERSISTED_VALUE_BYTES;
+    }
+
+    serialize() {
+        const entries = [];
+        for (const [key, { type, value, expiresAt }] of this.entries) {
+            if (!this.isPersisted(key, value)) continue;
+            const serialized = value instanceof Map ? Object.fromEntries(value)
+                : value instanceof Set ? [...value]
+                    : value;
+            entries.push([key, type, serialized, expiresAt]);
+        }
+        return JSON.stringify({ version: 1, savedAt: new Date().toISOString(), entries });
+    }
+
+    // Write + rename so a crash mid-write never leaves a truncated file
+    async save() {
+        this.saveTimer = null;
+        if (!this.dirty) return;
+        this.dirty = false;
+        this.saving = true;
+
+        try {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, this.serialize());
+            await fs.promises.rename(tmpPath, this.filePath);
+        } catch (error) {
+            console.error('KV store: failed to save file:', error.message);
+            this.dirty = true;
+        } finally {
+            this.saving = false;
+            if (this.dirty) this.scheduleSave();
+        }
+    }
+
+    flushSync() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.dirty && !this.saving) return;
+        this.dirty = false;
+
+        try {
+            // Own temp file - an interrupted async save may still hold the other one
+            const tmpPath = `${this.filePath}.exit.tmp`;
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tmpPath, this.serialize());
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            console.error('KV store: failed to save file:', error.message);
+        }
+    }
+}
+
+// Fallback is created on first use - never touches the disk while Redis is up
+let fallback = null;
+function getFallback() {
+    if (!fallback) {
+        fallback = config.storage.fallback === 'memory'
+            ? new MemoryAdapter()
+            : new FileAdapter(config.storage.filePath || DEFAULT_FILE);
+        console.log(`⚠️ KV store: Redis unavailable, using ${fallback.name} fallback`);
+    }
+    return fallback;
+}
+
+function getAdapter() {
+    return isRedisAvailable() ? redis : getFallback();
+}
+
+const COMMANDS = [
+    'del', 'exists', 'expire', 'expireat', 'ttl', 'pttl', 'keys', 'scan',
+    'get', 'mget', 'set', 'setex', 'incr', 'incrby', 'decr', 'decrby',
+    'hget', 'hmget', 'hset', 'hsetnx', 'hgetall', 'hincrby', 'hdel', 'hexists', 'hkeys', 'hlen',
+    'sadd', 'srem', 'sismember', 'smembers', 'scard',
+    'zadd', 'zincrby', 'zscore', 'zcard', 'zrem', 'zrange', 'zrevrange', 'zrangebyscore',
+    'zremrangebyscore', 'zremrangebyrank', 'zrank', 'zrevrank',
+    'lpush', 'rpush', 'lrange', 'ltrim', 'llen',
+    'pipeline', 'multi'
+];
+
+/**
+ * The store - e.g. `await kv.incrby(key, 1)`, `await kv.set(key, value, 'EX', ttl)`
+ * Each call picks the backend at call time, so a Redis outage falls back instead of failing.
+ */
+export const kv = Object.fromEntries(COMMANDS.map(command => [command, (...args) => getAdapter()[command](...args)]));
+
+/**
+ * Iterate keys matching a glob pattern in batches, without blocking Redis
+ * Uses SCAN cursors, so other commands run between batches. Like SCAN, a key
+ * may show up in more than one batch - onBatch should be idempotent (e.g. del).
+ * @param {string} pattern - Glob, e.g. 'fitrate:scans:*'
+ * @param {Function} onBatch - async (keys) => void, called once per non-empty batch
+ * @param {Object} options
+ * @param {number} options.count - COUNT hint per round-trip
+ * @returns {number} Keys passed to onBatch
+ */
+export async function scanKeys(pattern, onBatch, { count = SCAN_BATCH_SIZE } = {}) {
+    // Stay on one backend for the whole walk - a cursor means nothing to the other one
+    const store = getAdapter();
+    let cursor = '0';
+    let total = 0;
+    do {
+        const [nextCursor, keys] = await store.scan(cursor, 'MATCH', pattern, 'COUNT', count);
+        cursor = nextCursor;
+        if (keys.length > 0) {
+            total += keys.length;
+            await onBatch(keys);
+        }
+    } while (cursor !== '0');
+    return total;
+}
+
+/**
+ * Backend currently serving commands: redis | file | memory
+ */
+export function getStorageBackend() {
+    return isRedisAvailable() ? 'redis' : getFallback().name;
+}
+
+export default kv;
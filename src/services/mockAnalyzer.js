@@ -0,0 +1,214 @@
+/**
+ * Mock Outfit Analyzer - Offline provider for local dev + end-to-end testing
+ *
+ * Select with AI_PROVIDER=mock (never active in production).
+ * Runs through the REAL Gemini pipeline (retries, model fallback, JSON repair)
+ * with a fake transport, so analyze → streak → leaderboard → event all work
+ * without network access or API keys.
+ *
+ * Results are deterministic: same image + mode = same scores and copy.
+ *
+ * Scenarios (MOCK_AI_SCENARIO env, or `mockScenario` in the analyze body outside production):
+ * - ok               Valid response for the requested mode
+ * - invalid          isValidOutfit: false (exercises scan rollback + invalid tracking)
+ * - overload         503 UNAVAILABLE from every model (all models fail)
+ * - overload-primary 503 from the primary model only (fallback model answers)
+ * - timeout          Never answers - aborted by the per-attempt timeout
+ * - truncated        JSON cut off mid-string (exercises JSON repair)
+ * - random           Deterministic pick per image (mostly ok)
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { MODE_CONFIGS, CELEBRITY_VOICES } from '../config/systemPrompt.js';
+import { analyzeWithGemini } from './geminiAnalyzer.js';
+
+export const MOCK_SCENARIOS = ['ok', 'invalid', 'overload', 'overload-primary', 'timeout', 'truncated', 'random'];
+
+// Longest setTimeout delay Node accepts (~24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Weighted pool for the 'random' scenario
+const RANDOM_SCENARIO_POOL = ['ok', 'ok', 'ok', 'ok', 'ok', 'ok', 'ok', 'invalid', 'overload-primary', 'truncated'];
+
+// Small curated copy pools - enough variety to look real in the UI
+const AESTHETICS = ['Quiet Luxury', 'Streetwear Core', 'Coastal Casual', 'Dark Academia', 'Clean Girl', 'Gorpcore', 'Old Money', 'Soft Grunge'];
+const CELEB_MATCHES = ['Hailey Bieber coffee run', 'Jacob Elordi airport fit', 'Zoe Kravitz off-duty', 'Bad Bunny tour day', 'Dua Lipa street style', 'Pedro Pascal press tour'];
+const VERDICT_TEMPLATES = [
+    'This fit filed for main character status',
+    'The closet finally cooperated today',
+    'Someone notify the fashion authorities',
+    'Quietly doing numbers on the timeline',
+    'Expected nothing. Got a whole outfit.',
+    'Bold of this jacket to carry alone'
+];
+const LINE_TEMPLATES = [
+    'That top is doing the heavy lifting and knows it',
+    'The shoes walked in before you did',
+    'Those colors are holding a very polite meeting',
+    'The layering has a five-year plan',
+    'The proportions signed a peace treaty'
+];
+const TAGLINES = ['Certified Fresh', 'Main Character Mode', 'Closet Unlocked', 'Timeline Ready', 'Fit Secured'];
+
+/**
+ * Seeded RNG (same approach as cardDNA) - deterministic per image + mode
+ */
+function createSeededRNG(seed) {
+    const hash = crypto.createHash('sha256').update(seed).digest();
+    let index = 0;
+    return () => {
+        const value = hash.readUInt32BE(index % (hash.length - 3)) / 0xFFFFFFFF;
+        index = (index + 4) % (hash.length - 3);
+        return value;
+    };
+}
+
+function pick(rng, array) {
+    return array[Math.floor(rng() * array.length) % array.length];
+}
+
+/**
+ * Score with one decimal, never .0 or .5 (matches prompt RULES)
+ */
+function mockScore(rng, min, max) {
+    let score = Math.round((min + rng() * (max - min)) * 10) / 10;
+    const decimal = Math.round((score * 10) % 10);
+    if (decimal === 0 || decimal === 5) score = Math.round((score + 0.3) * 10) / 10;
+    return Math.min(max, score);
+}
+
+function clampSubscore(value) {
+    return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+/**
+ * Build a schema-valid model response (same fields as OUTPUT_FORMAT in systemPrompt.js)
+ */
+export function buildMockResponse({ seed, mode = 'nice', eventContext = null, showContext = null }) {
+    const rng = createSeededRNG(seed);
+    const modeConfig = MODE_CONFIGS[mode] || MODE_CONFIGS.nice;
+    const [rangeMin, rangeMax] = modeConfig.scoreRange || [0, 100];
+
+    // Keep mock scores in the realistic 55-92 band, inside the mode's range
+    const overall = mockScore(rng, Math.max(rangeMin, 55), Math.min(rangeMax, 92));
+    const spread = () => (rng() - 0.5) * 16;
+
+    const response = {
+        isValidOutfit: true,
+        contentFlagged: false,
+        overall,
+        color: clampSubscore(overall + spread()),
+        fit: clampSubscore(overall + spread()),
+        style: clampSubscore(overall + spread()),
+        aesthetic: pick(rng, AESTHETICS),
+        verdict: `${pick(rng, VERDICT_TEMPLATES)} ${modeConfig.emojis.slice(0, 2)}`,
+        line: pick(rng, LINE_TEMPLATES),
+        tagline: pick(rng, TAGLINES),
+        celebMatch: pick(rng, CELEB_MATCHES),
+        percentile: Math.min(99, Math.round(overall)),
+        mode
+    };
+
+    if (mode === 'celeb') {
+        response.judgedBy = pick(rng, Object.keys(CELEBRITY_VOICES));
+    }
+
+    if (eventContext) {
+        response.themeScore = clampSubscore(overall + spread());
+        response.themeCompliant = response.themeScore >= 50;
+        response.themeVerdict = `A ${response.themeCompliant ? 'confident' : 'loose'} take on ${eventContext.theme}.`;
+    }
+
+    if (showContext) {
+        response.groupLine = `The "${showContext.name}" runway just got interesting 👀`;
+    }
+
+    return response;
+}
+
+function resolveScenario(requested, seed) {
+    const fromRequest = config.nodeEnv !== 'production' && MOCK_SCENARIOS.includes(requested) ? requested : null;
+    const scenario = fromRequest || config.mock.scenario;
+    if (scenario !== 'random') return scenario;
+    return pick(createSeededRNG(`${seed}:scenario`), RANDOM_SCENARIO_POOL);
+}
+
+function geminiResponse(status, data) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        json: async () => data
+    };
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            const abortError = new Error('The operation was aborted');
+            abortError.name = 'AbortError';
+            reject(abortError);
+        });
+    });
+}
+
+/**
+ * Fake Gemini transport - same (url, init) signature as fetch()
+ * Returns Gemini-shaped HTTP responses for the chosen scenario
+ */
+export function createMockGeminiTransport({ scenario, seed, mode, eventContext, showContext }) {
+    const primaryModel = config.gemini.model || 'gemini-2.5-flash';
+
+    return async (url, init = {}) => {
+        const modelName = url.split('/models/')[1]?.split(':')[0] || primaryModel;
+
+        if (scenario === 'timeout') {
+            // Hang until the analyzer's AbortController fires
+            await wait(MAX_TIMER_MS, init.signal);
+        }
+
+        await wait(config.mock.latencyMs, init.signal);
+
+        if (scenario === 'overload' || (scenario === 'overload-primary' && modelName === primaryModel)) {
+            return geminiResponse(503, { error: { code: 503, status: 'UNAVAILABLE', message: 'The model is overloaded. Please try again later.' } });
+        }
+
+        let text;
+        if (scenario === 'invalid') {
+            text = JSON.stringify({ isValidOutfit: false, error: 'Need to see your outfit! Try a photo showing your clothes 📸' });
+        } else {
+            text = JSON.stringify(buildMockResponse({ seed, mode, eventContext, showContext }), null, 2);
+            if (scenario === 'truncated') {
+                // Cut inside the "line" string, like a maxOutputTokens cutoff
+                const cut = text.indexOf('"line"');
+                text = text.slice(0, cut + 20);
+            }
+        }
+
+        return geminiResponse(200, {
+            candidates: [{ content: { parts: [{ text }] } }],
+            usageMetadata: { mock: true, scenario }
+        });
+    };
+}
+
+/**
+ * Mock provider entry point - same signature as analyzeWithGemini/analyzeOutfit
+ */
+export async function analyzeWithMock(imageBase64, options = {}) {
+    const { roastMode = false, mode: modeParam = null, occasion = null, eventContext = null, showContext = null, mockScenario = null } = options;
+    const mode = modeParam || (roastMode ? 'roast' : 'nice');
+    const imageDigest = crypto.createHash('sha256').update(imageBase64 || '').digest('hex');
+    const seed = `${imageDigest}:${mode}:${occasion || 'none'}`;
+    const scenario = resolveScenario(mockScenario, seed);
+
+    console.log(`[MOCK] Analyzing with scenario "${scenario}" (mode: ${mode})`);
+
+    return analyzeWithGemini(imageBase64, {
+        ...options,
+        providerId: 'mock',  // Separate circuit breakers from real Gemini
+        transport: createMockGeminiTransport({ scenario, seed, mode, eventContext, showContext })
+    });
+}
@@ -1,11 +1,15 @@
 import { config } from '../config/index.js';
 import {
-  buildSystemPrompt,
+  buildSystemPromptWithMeta,
+  BATTLE_SCORING_INSTRUCTIONS,
+  buildFashionShowPrompt,
   ERROR_MESSAGES,
   MODE_CONFIGS,
-  OUTPUT_LENGTHS,
-  getViralityHooks
+  OUTPUT_LENGTHS
 } from '../config/systemPrompt.js';
+import { parseAIResponse } from './responseParser.js';
+import { canAttempt, recordSuccess, recordFailure } from './circuitBreaker.js';
+import { recordRawResponse } from './fixtureRecorder.js';
 
 // Lazy-loaded OpenAI client - only initialized on first Pro scan request
 // COST OPTIMIZATION: Saves ~5MB memory at startup when Pro tier is not in use
@@ -37,7 +41,8 @@ async function getOpenAIClient() {
 }
 
 // Create analysis prompt for Pro tier using centralized config
-function createAnalysisPrompt(occasion, mode, securityContext = {}, eventContext = null, dailyChallengeContext = null) {
+// Returns { prompt, meta } - meta identifies the prompt variant for A/B stats
+function createAnalysisPrompt(occasion, mode, securityContext = {}, eventContext = null, dailyChallengeContext = null, promptVariant = null, battleMode = false, showContext = null) {
   const {
     userId = 'anonymous',
     scansUsed = 0,
@@ -59,14 +64,24 @@ function createAnalysisPrompt(occasion, mode, securityContext = {}, eventContext
   };
 
   // Use centralized system prompt builder (now includes dailyChallengeContext)
-  let prompt = buildSystemPrompt('pro', mode, fullSecurityContext, eventContext, dailyChallengeContext);
+  let { prompt, meta } = buildSystemPromptWithMeta('pro', mode, fullSecurityContext, eventContext, dailyChallengeContext, promptVariant);
 
   // Add occasion context if provided
   if (occasion) {
     prompt += `\n\nOCCASION CONTEXT: Rate for "${occasion}" appropriateness.`;
   }
 
-  return prompt;
+  // Add battle mode instructions for high variance scoring
+  if (battleMode) {
+    prompt += `\n\n${BATTLE_SCORING_INSTRUCTIONS}`;
+  }
+
+  // Fashion Show: group-aware verdict, family-safe rules, rank callout
+  if (showContext) {
+    prompt += `\n\n${buildFashionShowPrompt(showContext)}`;
+  }
+
+  return { prompt, meta };
 }
 
 // Get mode-specific system prompt for OpenAI (used as system message)
@@ -86,7 +101,7 @@ function getModeSystemPrompt(mode) {
 
 export async function analyzeOutfit(imageBase64, options = {}) {
   // Support both old roastMode boolean and new mode string for backwards compatibility
-  const { roastMode = false, mode: modeParam = null, occasion = null, securityContext = {}, eventContext = null, dailyChallengeContext = null } = options;
+  const { roastMode = false, mode: modeParam = null, occasion = null, securityContext = {}, eventContext = null, dailyChallengeContext = null, battleMode = false, showContext = null, onProgress = null, promptVariant = null } = options;
   const mode = modeParam || (roastMode ? 'roast' : 'nice');
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -101,6 +116,19 @@ export async function analyzeOutfit(imageBase64, options = {}) {
     };
   }
 
+  // CIRCUIT BREAKER: skip immediately while GPT-4o is tripped
+  const breakerKey = `openai:${config.openai.model}`;
+  if (!canAttempt(breakerKey)) {
+    console.warn(`[${requestId}] ⛔ Circuit open for ${config.openai.model} - skipping`);
+    onProgress?.('circuit_open', { provider: 'openai', model: config.openai.model });
+    return {
+      success: false,
+      error: 'AI service is busy. Please try again in a moment. 🔄',
+      code: 'AI_CIRCUIT_OPEN'
+    };
+  }
+  const callStart = Date.now();
+
   try {
     console.log(`[${requestId}] Starting outfit analysis with OpenAI (mode: ${mode}, occasion: ${occasion || 'none'})`);
 
@@ -109,12 +137,16 @@ export async function analyzeOutfit(imageBase64, options = {}) {
     const imageSizeKB = Math.round((base64Data.length * 3) / 4 / 1024);
     console.log(`[${requestId}] Image size: ${imageSizeKB}KB`);
 
+    const { prompt, meta: promptMeta } = createAnalysisPrompt(occasion, mode, securityContext, eventContext, dailyChallengeContext, promptVariant, battleMode, showContext);
+
     // Create a timeout promise
     const timeoutMs = 25000; // 25 seconds timeout
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error('OpenAI request timeout')), timeoutMs);
     });
 
+    onProgress?.('model_attempt', { provider: 'openai', model: config.openai.model, attempt: 1 });
+
     // Race between OpenAI call and timeout
     const response = await Promise.race([
       client.chat.completions.create({
@@ -137,7 +169,7 @@ export async function analyzeOutfit(imageBase64, options = {}) {
               },
               {
                 type: 'text',
-                text: createAnalysisPrompt(occasion, mode, securityContext, eventContext, dailyChallengeContext)
+                text: prompt
               }
             ]
           }
@@ -154,55 +186,22 @@ export async function analyzeOutfit(imageBase64, options = {}) {
 
     console.log(`[${requestId}] Received response from OpenAI (${content.length} chars)`);
 
-    // Parse JSON response (handle potential markdown wrapping)
-    let jsonStr = content.trim();
-    if (jsonStr.startsWith('```')) {
-      jsonStr = jsonStr.replace(/```json?\n?/g, '').replace(/```$/g, '').trim();
-    }
+    // Golden-set corpus capture (AI_FIXTURE_RECORD_DIR, dev only)
+    recordRawResponse({ provider: 'openai', model: config.openai.model, tier: 'pro', mode, eventContext, content });
 
-    const result = JSON.parse(jsonStr);
+    // Parse + validate against the pro-tier schema (same shape as Gemini)
+    const result = parseAIResponse(content, { tier: 'pro', mode, eventContext, battleMode, showContext, requestId });
+    recordSuccess(breakerKey, Date.now() - callStart);
 
-    if (!result.isValidOutfit) {
+    if (!result.success) {
       console.log(`[${requestId}] Invalid outfit detected: ${result.error}`);
-      return {
-        success: false,
-        error: result.error || 'Could not analyze this image',
-        code: 'INVALID_OUTFIT'
-      };
+      return { ...result, promptVariant: promptMeta };
     }
 
-    console.log(`[${requestId}] Analysis successful - Overall score: ${result.overall}`);
-
-    // Get virality hooks for this mode
-    const viralityHooks = getViralityHooks(mode);
-    const modeConfig = MODE_CONFIGS[mode];
-
-    return {
-      success: true,
-      scores: {
-        overall: result.overall,
-        rating: `${result.overall}`,  // String format for consistency
-        color: result.color,
-        fit: result.fit,
-        style: result.style,
-        text: result.text || result.verdict,  // Analysis text
-        verdict: result.verdict,
-        lines: result.lines,
-        tagline: result.tagline,
-        proTip: result.proTip || null,
-        aesthetic: result.aesthetic,
-        celebMatch: result.celebMatch,
-        judgedBy: result.judgedBy || null,  // Character archetype who judged (for celeb mode share cards)
-        identityReflection: result.identityReflection || null,
-        socialPerception: result.socialPerception || null,
-        itemRoasts: result.itemRoasts || null,
-        shareHook: result.shareHook || modeConfig?.shareHook,
-        mode: mode,
-        roastMode: mode === 'roast',
-        virality_hooks: result.virality_hooks || viralityHooks
-      }
-    };
+    console.log(`[${requestId}] Analysis successful - Overall score: ${result.scores.overall}`);
+    return { ...result, promptVariant: promptMeta };
   } catch (error) {
+    recordFailure(breakerKey, Date.now() - callStart, error.message);
     console.error(`[${requestId}] Analysis error:`, {
       message: error.message,
       type: error.constructor.name,
@@ -239,42 +238,3 @@ export async function analyzeOutfit(imageBase64, options = {}) {
     };
   }
 }
-
-export async function analyzeBattle(image1Base64, image2Base64) {
-  try {
-    const [result1, result2] = await Promise.all([
-      analyzeOutfit(image1Base64),
-      analyzeOutfit(image2Base64)
-    ]);
-
-    if (!result1.success || !result2.success) {
-      return {
-        success: false,
-        error: 'Failed to analyze one or both outfits'
-      };
-    }
-
-    const score1 = result1.scores.overall;
-    const score2 = result2.scores.overall;
-    const winner = score1 > score2 ? 1 : score2 > score1 ? 2 : 0;
-
-    return {
-      success: true,
-      battle: {
-        outfit1: result1.scores,
-        outfit2: result2.scores,
-        winner,
-        margin: Math.abs(score1 - score2),
-        commentary: winner === 0
-          ? "It's a tie! Both fits are equally fire 🔥"
-          : `Outfit ${winner} takes the crown by ${Math.abs(score1 - score2)} points!`
-      }
-    };
-  } catch (error) {
-    console.error('Battle analysis error:', error);
-    return {
-      success: false,
-      error: 'Battle failed. Please try again.'
-    };
-  }
-}
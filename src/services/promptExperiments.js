@@ -0,0 +1,154 @@
+/**
+ * Prompt Experiments Service
+ *
+ * A/B testing for buildSystemPrompt variants (PROMPT_VARIANTS in systemPrompt.js).
+ * - Weighted, sticky assignment per user (same user → same variant for an experiment)
+ * - Outcome stats per variant: scans, invalid-outfit rate
+ * - Feedback ratings (POST /api/analyze/feedback) aggregated per variant
+ *
+ * Redis Keys:
+ * - fitrate:prompt:stats:{experiment}:{variantId} - Hash of counters
+ * - fitrate:prompt:result:{resultId} - Variant id for a result (7 day TTL, deleted once rated)
+ */
+
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { PROMPT_VARIANTS } from '../config/systemPrompt.js';
+import { kv } from './kvStore.js';
+
+const STATS_KEY_PREFIX = 'fitrate:prompt:stats:';
+const RESULT_KEY_PREFIX = 'fitrate:prompt:result:';
+const RESULT_TTL = 60 * 60 * 24 * 7;  // Feedback usually arrives within minutes, keep a week
+// Model declined to score the photo - counted as invalid, not as a variant error
+const REJECTED_CODES = ['INVALID_OUTFIT', 'CONTENT_FLAGGED'];
+
+function getStatsKey(variantId) {
+    return `${STATS_KEY_PREFIX}${PROMPT_VARIANTS.experiment}:${variantId}`;
+}
+
+function getWeight(variant) {
+    return config.prompts.weights[variant.id] ?? variant.weight ?? 0;
+}
+
+/**
+ * Pick the prompt variant for a user
+ * Stable bucket from hash(experiment:userId) so a user keeps the same variant
+ * @param {string} userId
+ * @returns {Object} Variant from PROMPT_VARIANTS.variants
+ */
+export function assignPromptVariant(userId) {
+    const active = PROMPT_VARIANTS.variants.filter(v => getWeight(v) > 0);
+    const fallback = PROMPT_VARIANTS.variants.find(v => v.id === PROMPT_VARIANTS.defaultVariant) || PROMPT_VARIANTS.variants[0];
+    if (active.length === 0) return fallback;
+
+    const totalWeight = active.reduce((sum, v) => sum + getWeight(v), 0);
+    const hash = crypto.createHash('sha256').update(`${PROMPT_VARIANTS.experiment}:${userId || 'anonymous'}`).digest();
+    let bucket = hash.readUInt32BE(0) % totalWeight;
+
+    for (const variant of active) {
+        bucket -= getWeight(variant);
+        if (bucket < 0) return variant;
+    }
+    return fallback;
+}
+
+async function incrementStats(variantId, fields) {
+    const key = getStatsKey(variantId);
+    const pipeline = kv.pipeline();
+    for (const [field, amount] of Object.entries(fields)) {
+        pipeline.hincrby(key, field, amount);
+    }
+    await pipeline.exec();
+}
+
+/**
+ * Record the outcome of an analysis that ran with a prompt variant
+ * @param {string} resultId - result.resultId (or requestId for failed scans)
+ * @param {Object} promptVariant - result.promptVariant meta from the analyzer
+ * @param {Object} outcome - { success, code }
+ */
+export async function recordVariantOutcome(resultId, promptVariant, { success, code } = {}) {
+    if (!promptVariant?.variantId) return;
+
+    try {
+        await incrementStats(promptVariant.variantId, {
+            scans: 1,
+            success: success ? 1 : 0,
+            invalid: REJECTED_CODES.includes(code) ? 1 : 0,
+            errors: !success && !REJECTED_CODES.includes(code) ? 1 : 0
+        });
+
+        // Remember which variant produced this result so feedback can be attributed
+        if (success && resultId) {
+            await kv.set(`${RESULT_KEY_PREFIX}${resultId}`, promptVariant.variantId, 'EX', RESULT_TTL);
+        }
+    } catch (error) {
+        console.warn(`[PROMPT_AB] Failed to record outcome: ${error.message}`);
+    }
+}
+
+/**
+ * Attribute a feedback rating to the variant that produced the result
+ * Each result is counted once - the mapping is removed after rating
+ * @param {string} resultId
+ * @param {number} rating - 1-5
+ * @returns {string|null} Variant id the rating was attributed to
+ */
+export async function recordVariantFeedback(resultId, rating) {
+    if (!resultId) return null;
+
+    try {
+        const key = `${RESULT_KEY_PREFIX}${resultId}`;
+        const variantId = await kv.get(key);
+        if (variantId) await kv.del(key);
+        if (!variantId) return null;
+
+        await incrementStats(variantId, {
+            ratings: 1,
+            ratingSum: rating,
+            [`rating${rating}`]: 1
+        });
+        return variantId;
+    } catch (error) {
+        console.warn(`[PROMPT_AB] Failed to record feedback: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Per-variant comparison for the current experiment (admin/diag)
+ */
+export async function getVariantStats() {
+    const variants = [];
+
+    for (const variant of PROMPT_VARIANTS.variants) {
+        const key = getStatsKey(variant.id);
+        const raw = await kv.hgetall(key);
+        const n = (field) => parseInt(raw[field] || 0, 10);
+
+        const scans = n('scans');
+        const ratings = n('ratings');
+        variants.push({
+            id: variant.id,
+            version: variant.version,
+            description: variant.description,
+            weight: getWeight(variant),
+            scans,
+            successRate: scans ? Math.round((n('success') / scans) * 1000) / 1000 : null,
+            invalidRate: scans ? Math.round((n('invalid') / scans) * 1000) / 1000 : null,
+            errorRate: scans ? Math.round((n('errors') / scans) * 1000) / 1000 : null,
+            ratings,
+            avgRating: ratings ? Math.round((n('ratingSum') / ratings) * 100) / 100 : null,
+            ratingDistribution: [1, 2, 3, 4, 5].reduce((acc, r) => ({ ...acc, [r]: n(`rating${r}`) }), {})
+        });
+    }
+
+    return { experiment: PROMPT_VARIANTS.experiment, variants };
+}
+
+export default {
+    assignPromptVariant,
+    recordVariantOutcome,
+    recordVariantFeedback,
+    getVariantStats
+};
@@ -3,14 +3,20 @@
  * 
  * Manages Web Push subscriptions and notifications.
  * Uses VAPID for authentication.
- * Stores subscriptions in Redis.
+ * Stores subscriptions in the KV store (Redis, or the local fallback).
+ *
+ * Keys:
+ * - push:sub:{userId} - PushSubscription JSON (1 year TTL)
+ * - push:subscribers - Set of subscribed userIds, so broadcasts never scan the keyspace
  */
 
 import webpush from 'web-push';
-import { getRedis } from './redisClient.js';
+import { kv, scanKeys } from './kvStore.js';
 
 // Redis key prefix for push subscriptions
 const PUSH_KEY_PREFIX = 'push:sub:';
+const PUSH_INDEX_KEY = 'push:subscribers';
+const SUBSCRIPTION_TTL = 60 * 60 * 24 * 365; // 1 year
 
 // Initialize VAPID keys from environment
 const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY;
@@ -43,15 +49,10 @@ export const getPublicKey = () => VAPID_PUBLIC_KEY;
  * @param {object} subscription - PushSubscription object from browser
  */
 export const saveSubscription = async (userId, subscription) => {
-    const redis = getRedis();
-    if (redis) {
-        await redis.set(
-            `${PUSH_KEY_PREFIX}${userId}`,
-            JSON.stringify(subscription),
-            'EX',
-            60 * 60 * 24 * 365 // 1 year TTL
-        );
-    }
+    await kv.multi()
+        .set(`${PUSH_KEY_PREFIX}${userId}`, JSON.stringify(subscription), 'EX', SUBSCRIPTION_TTL)
+        .sadd(PUSH_INDEX_KEY, userId)
+        .exec();
     return true;
 };
 
@@ -61,10 +62,7 @@ export const saveSubscription = async (userId, subscription) => {
  * @returns {object|null} PushSubscription or null
  */
 export const getSubscription = async (userId) => {
-    const redis = getRedis();
-    if (!redis) return null;
-
-    const data = await redis.get(`${PUSH_KEY_PREFIX}${userId}`);
+    const data = await kv.get(`${PUSH_KEY_PREFIX}${userId}`);
     return data ? JSON.parse(data) : null;
 };
 
@@ -73,10 +71,10 @@ export const getSubscription = async (userId) => {
  * @param {string} userId - User ID
  */
 export const removeSubscription = async (userId) => {
-    const redis = getRedis();
-    if (redis) {
-        await redis.del(`${PUSH_KEY_PREFIX}${userId}`);
-    }
+    await kv.multi()
+        .del(`${PUSH_KEY_PREFIX}${userId}`)
+        .srem(PUSH_INDEX_KEY, userId)
+        .exec();
     return true;
 };
 
@@ -94,6 +92,8 @@ export const sendNotification = async (userId, payload) => {
 
     const subscription = await getSubscription(userId);
     if (!subscription) {
+        // Subscription expired (TTL) - drop it from the broadcast index too
+        await kv.srem(PUSH_INDEX_KEY, userId);
         console.log(`No subscription found for user ${userId}`);
         return false;
     }
@@ -128,23 +128,32 @@ export const sendNotification = async (userId, payload) => {
 export const sendBroadcast = async (payload) => {
     if (!isPushEnabled()) return 0;
 
-    const redis = getRedis();
-    if (!redis) return 0;
-
-    // Get all push subscription keys
-    const keys = await redis.keys(`${PUSH_KEY_PREFIX}*`);
+    // Subscribers come from the index set - no keyspace scan
+    const userIds = await kv.smembers(PUSH_INDEX_KEY);
     let successCount = 0;
 
-    for (const key of keys) {
-        const userId = key.replace(PUSH_KEY_PREFIX, '');
+    for (const userId of userIds) {
         const success = await sendNotification(userId, payload);
         if (success) successCount++;
     }
 
-    console.log(`📢 Broadcast sent to ${successCount}/${keys.length} users`);
+    console.log(`📢 Broadcast sent to ${successCount}/${userIds.length} users`);
     return successCount;
 };
 
+/**
+ * Add subscriptions saved before the index set existed to it
+ * One-off migration (scripts/backfillPushIndex.js) - walks push:sub:* with SCAN.
+ * @returns {number} Subscriptions indexed
+ */
+export const rebuildSubscriptionIndex = async () => {
+    const indexed = await scanKeys(`${PUSH_KEY_PREFIX}*`, async (keys) => {
+        await kv.sadd(PUSH_INDEX_KEY, ...keys.map(key => key.slice(PUSH_KEY_PREFIX.length)));
+    });
+    console.log(`📇 Push index rebuilt: ${indexed} subscriptions`);
+    return indexed;
+};
+
 export const PushService = {
     isPushEnabled,
     getPublicKey,
@@ -152,5 +161,6 @@ export const PushService = {
     getSubscription,
     removeSubscription,
     sendNotification,
-    sendBroadcast
+    sendBroadcast,
+    rebuildSubscriptionIndex
 };
@@ -42,6 +42,24 @@ export function isRedisAvailable() {
     return redis !== null && redis.status === 'ready';
 }
 
+/**
+ * Wait for the initial connection (scripts run before ioredis is ready)
+ * Without this a script would see Redis as down and the KV store would fall back to the local file.
+ * @param {number} timeoutMs
+ * @returns {boolean} Whether Redis is available
+ */
+export async function waitForRedis(timeoutMs = 10000) {
+    if (!redis || isRedisAvailable()) return isRedisAvailable();
+    await new Promise(resolve => {
+        const timer = setTimeout(resolve, timeoutMs);
+        redis.once('ready', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+    return isRedisAvailable();
+}
+
 /**
  * Get Redis client (or null if not available)
  */
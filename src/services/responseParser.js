@@ -0,0 +1,339 @@
+/**
+ * AI Response Parser - Shared by Gemini (free) and OpenAI (pro) analyzers
+ *
+ * 1. Extract JSON from raw model text (markdown fences, preamble, truncation)
+ * 2. Validate against RESPONSE_SCHEMAS (derived from OUTPUT_FORMAT)
+ *    - coerce types ("82" → 82, "true" → true)
+ *    - clamp numbers to the schema range
+ *    - fill safe defaults for missing fields
+ *    - record every repaired field
+ * 3. Build the analyzer result so both providers return the same shape
+ */
+
+import { MODE_CONFIGS, RESPONSE_SCHEMAS, getViralityHooks } from '../config/systemPrompt.js';
+
+// Score fields that can be derived from overall when missing
+const SUBSCORE_FIELDS = ['color', 'fit', 'style'];
+
+// 🎁 Surprise bonus fields the prompt occasionally adds (not in OUTPUT_FORMAT)
+const BONUS_FIELDS = ['outfitFortune', 'outfitLore', 'outfitSoundtrack', 'outfitEnemy', 'outfitDatingApp', 'outfitPowerMove'];
+
+// Safe text defaults when the model omits a field
+const STRING_DEFAULTS = {
+    aesthetic: 'Signature Style',
+    verdict: 'Fit check complete',
+    line: '',
+    tagline: 'Fit Checked',
+    celebMatch: ''
+};
+
+/**
+ * Strip bracket placeholders the model sometimes echoes from the template
+ * e.g., "[style elementing]", "<5-9 words>"
+ */
+function cleanPlaceholders(str) {
+    return str
+        .replace(/\[[\w\s-]+\]/g, '')  // [placeholder]
+        .replace(/<[\w\s-]+>/g, '')   // <placeholder>
+        .replace(/\s{2,}/g, ' ')      // Multiple spaces
+        .trim();
+}
+
+/**
+ * Close unterminated strings/arrays/objects left by a maxTokens cutoff
+ */
+function repairTruncatedJSON(jsonStr) {
+    let repaired = jsonStr;
+
+    const openBraces = (repaired.match(/\{/g) || []).length;
+    const closeBraces = (repaired.match(/\}/g) || []).length;
+    const openBrackets = (repaired.match(/\[/g) || []).length;
+    const closeBrackets = (repaired.match(/\]/g) || []).length;
+
+    // If truncated mid-string, close the string
+    if (repaired.match(/"[^"]*$/)) {
+        repaired += '"';
+    }
+
+    for (let i = 0; i < openBrackets - closeBrackets; i++) {
+        repaired += ']';
+    }
+
+    for (let i = 0; i < openBraces - closeBraces; i++) {
+        repaired += '}';
+    }
+
+    return repaired;
+}
+
+/**
+ * Extract a JSON object from raw model output
+ * @param {string} content - Raw model text
+ * @returns {{ parsed: Object, truncated: boolean }}
+ * @throws {SyntaxError} when the JSON cannot be parsed or repaired
+ */
+export function extractJSON(content) {
+    let jsonStr = content.trim();
+
+    // Remove markdown code blocks
+    if (jsonStr.startsWith('```')) {
+        jsonStr = jsonStr.replace(/```json?\n?/g, '').replace(/```$/g, '').trim();
+    }
+
+    // Extract JSON if there's preamble text (e.g., "Okay, let me...")
+    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+        jsonStr = jsonMatch[0];
+    }
+
+    try {
+        return { parsed: JSON.parse(jsonStr), truncated: false };
+    } catch (parseError) {
+        try {
+            return { parsed: JSON.parse(repairTruncatedJSON(jsonStr)), truncated: true };
+        } catch (repairError) {
+            // Still failed - throw original error
+            throw parseError;
+        }
+    }
+}
+
+function coerceNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string') {
+        // Handles "82", "82.4", "82/100", "82%"
+        const num = parseFloat(value);
+        return Number.isFinite(num) ? num : null;
+    }
+    return null;
+}
+
+function coerceBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 1) return true;
+    if (value === 'false' || value === 0) return false;
+    return null;
+}
+
+/**
+ * Validate + repair a parsed model response against the tier schema
+ * @param {Object} parsed - Raw parsed JSON (must have isValidOutfit: true)
+ * @param {Object} context
+ * @param {string} context.tier - 'free' | 'pro'
+ * @param {string} context.mode - Requested analysis mode
+ * @param {Object} context.eventContext - Weekly event context (optional)
+ * @param {boolean} context.battleMode - Keep 2 decimals on overall (battle tie-breaks)
+ * @returns {{ data: Object, repairs: Array<{ field: string, reason: string }> }}
+ * @throws {Error} when no score can be recovered (caller should retry)
+ */
+export function validateResponse(parsed, { tier = 'free', mode = 'nice', eventContext = null, battleMode = false } = {}) {
+    const schema = RESPONSE_SCHEMAS[tier] || RESPONSE_SCHEMAS.free;
+    const data = {};
+    const repairs = [];
+    const repair = (field, reason) => repairs.push({ field, reason });
+
+    for (const [field, spec] of Object.entries(schema)) {
+        // Conditional fields only apply in their context
+        if (spec.when === 'event' && !eventContext) continue;
+        if (spec.when === 'celeb' && mode !== 'celeb') continue;
+        if (spec.when === 'error') continue;
+
+        const raw = parsed[field];
+
+        if (spec.type === 'number') {
+            let num = coerceNumber(raw);
+            if (num === null) {
+                if (raw !== undefined && raw !== null) repair(field, 'not_a_number');
+                data[field] = null;  // Filled below from related scores
+                continue;
+            }
+            if (typeof raw !== 'number') repair(field, 'coerced_type');
+            if (num < spec.min || num > spec.max) {
+                repair(field, 'clamped');
+                num = Math.min(spec.max, Math.max(spec.min, num));
+            }
+            data[field] = num;
+        } else if (spec.type === 'boolean') {
+            const bool = coerceBoolean(raw);
+            if (bool === null) {
+                repair(field, 'defaulted');
+                data[field] = field === 'isValidOutfit' || field === 'themeCompliant';
+                continue;
+            }
+            if (typeof raw !== 'boolean') repair(field, 'coerced_type');
+            data[field] = bool;
+        } else if (spec.type === 'object') {
+            if (Array.isArray(raw)) {
+                data[field] = raw.filter(item => typeof item === 'string').map(cleanPlaceholders);
+            } else if (raw && typeof raw === 'object') {
+                data[field] = {};
+                for (const key of spec.keys) {
+                    if (typeof raw[key] === 'string') data[field][key] = cleanPlaceholders(raw[key]);
+                }
+            } else {
+                if (raw !== undefined) repair(field, 'invalid_object');
+                data[field] = null;
+            }
+        } else {
+            if (typeof raw === 'string' && raw.trim()) {
+                const cleaned = cleanPlaceholders(raw);
+                if (cleaned !== raw.trim()) repair(field, 'placeholder_removed');
+                data[field] = cleaned || null;  // Placeholder-only text gets the default below
+            } else if (typeof raw === 'number') {
+                repair(field, 'coerced_type');
+                data[field] = String(raw);
+            } else {
+                data[field] = null;
+            }
+        }
+    }
+
+    // overall is the one field we cannot invent - derive from subscores or fail
+    if (data.overall === null) {
+        const subscores = SUBSCORE_FIELDS.map(f => data[f]).filter(v => v !== null);
+        if (subscores.length === 0) {
+            throw new Error('AI JSON response missing required field: overall');
+        }
+        data.overall = subscores.reduce((sum, v) => sum + v, 0) / subscores.length;
+        repair('overall', 'derived_from_subscores');
+    }
+    // Battles are decided on decimals (BATTLE_SCORING_INSTRUCTIONS asks for e.g. 73.47)
+    const precision = battleMode ? 100 : 10;
+    data.overall = Math.round(data.overall * precision) / precision;
+
+    for (const field of SUBSCORE_FIELDS) {
+        if (data[field] === null) {
+            data[field] = Math.round(data.overall);
+            repair(field, 'defaulted');
+        }
+    }
+
+    if (data.percentile === null) {
+        data.percentile = Math.min(99, Math.max(0, Math.round(data.overall)));
+        repair('percentile', 'defaulted');
+    }
+
+    if ('themeScore' in data && data.themeScore === null) {
+        data.themeScore = Math.round(data.overall);
+        repair('themeScore', 'defaulted');
+    }
+
+    for (const [field, fallback] of Object.entries(STRING_DEFAULTS)) {
+        if (field in data && data[field] === null) {
+            data[field] = fallback;
+            repair(field, 'defaulted');
+        }
+    }
+
+    // Mode always reflects what was requested, not what the model echoed
+    if (data.mode !== mode) {
+        if (data.mode !== null) repair('mode', 'mismatch');
+        data.mode = mode;
+    }
+
+    return { data, repairs };
+}
+
+/**
+ * Pro responses can carry extra one-liners in `lines` (string or array)
+ * Falls back to the single `line` so the field is always an array on pro
+ */
+function normalizeLines(raw, line) {
+    const list = Array.isArray(raw) ? raw : (typeof raw === 'string' ? [raw] : []);
+    const cleaned = list.filter(item => typeof item === 'string').map(cleanPlaceholders).filter(Boolean);
+    if (cleaned.length > 0) return cleaned;
+    return line ? [line] : [];
+}
+
+/**
+ * Parse raw model output into the analyzer result shape
+ * Shared by geminiAnalyzer.js and outfitAnalyzer.js
+ *
+ * @param {string} content - Raw model text
+ * @param {Object} context - { tier, mode, eventContext, battleMode, showContext, requestId }
+ * @returns {Object} { success, scores, repairedFields } or { success: false, error, code }
+ * @throws {Error} on unparseable JSON or unrecoverable scores (caller retries)
+ */
+export function parseAIResponse(content, { tier = 'free', mode = 'nice', eventContext = null, battleMode = false, showContext = null, requestId = 'parse' } = {}) {
+    const { parsed, truncated } = extractJSON(content);
+    if (truncated) {
+        console.log(`[${requestId}] JSON repair successful`);
+    }
+
+    // Flagged content gets its own code - it isn't a bad upload, so it never feeds the invalid-attempt counter
+    if (coerceBoolean(parsed.contentFlagged) === true) {
+        return {
+            success: false,
+            error: (typeof parsed.error === 'string' && parsed.error) || 'This image cannot be rated. Please upload a photo of your outfit.',
+            code: 'CONTENT_FLAGGED'
+        };
+    }
+
+    if (coerceBoolean(parsed.isValidOutfit) !== true) {
+        return {
+            success: false,
+            error: (typeof parsed.error === 'string' && parsed.error) || 'Could not analyze this image',
+            code: 'INVALID_OUTFIT'
+        };
+    }
+
+    const { data, repairs } = validateResponse(parsed, { tier, mode, eventContext, battleMode });
+    if (truncated) repairs.unshift({ field: '*', reason: 'truncated_json' });
+    if (repairs.length > 0) {
+        console.warn(`[${requestId}] Repaired AI response fields: ${repairs.map(r => `${r.field}(${r.reason})`).join(', ')}`);
+    }
+
+    const modeConfig = MODE_CONFIGS[mode];
+    const bonusFields = {};
+    for (const field of BONUS_FIELDS) {
+        bonusFields[field] = typeof parsed[field] === 'string' ? cleanPlaceholders(parsed[field]) : null;
+    }
+
+    return {
+        success: true,
+        scores: {
+            overall: data.overall,
+            rating: `${data.overall}`,  // String format for consistency
+            color: data.color,
+            fit: data.fit,
+            style: data.style,
+            text: (typeof parsed.text === 'string' && cleanPlaceholders(parsed.text)) || data.verdict,  // Analysis text
+            verdict: data.verdict,
+            line: data.line,
+            tagline: data.tagline,
+            aesthetic: data.aesthetic,
+            celebMatch: data.celebMatch,
+            percentile: data.percentile,
+            // Character archetype who judged (for celeb mode share cards) - free prompt omits it from the schema
+            judgedBy: data.judgedBy || (typeof parsed.judgedBy === 'string' ? cleanPlaceholders(parsed.judgedBy) : null),
+            // Pro-only fields (null on free tier)
+            proTip: data.proTip || null,
+            identityReflection: data.identityReflection || null,
+            socialPerception: data.socialPerception || null,
+            itemRoasts: data.itemRoasts || null,
+            ...(tier === 'pro' && { lines: normalizeLines(parsed.lines, data.line) }),
+            // Event mode fields (only when eventContext was provided)
+            ...(eventContext && {
+                themeScore: data.themeScore,
+                themeCompliant: data.themeCompliant,
+                themeVerdict: data.themeVerdict || null
+            }),
+            // Fashion Show rank callout (buildFashionShowPrompt asks for it)
+            ...(showContext && {
+                groupLine: typeof parsed.groupLine === 'string' ? (cleanPlaceholders(parsed.groupLine) || null) : null
+            }),
+            mode: mode,
+            roastMode: mode === 'roast',
+            shareHook: parsed.shareHook || modeConfig?.shareHook,
+            virality_hooks: parsed.virality_hooks || getViralityHooks(mode),
+            ...bonusFields
+        },
+        repairedFields: repairs
+    };
+}
+
+export default {
+    extractJSON,
+    validateResponse,
+    parseAIResponse
+};
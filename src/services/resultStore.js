@@ -0,0 +1,125 @@
+/**
+ * Result Store - Server-side record of successful analyze results
+ *
+ * Every successful scan is persisted under its resultId (scores, verdict, mode,
+ * cardDNA, owner) so it can still be looked up after the 24h image-hash cache
+ * is gone (GET /api/results/:resultId). Anything that compares scores between
+ * users (challenges, arena) reads the score from here instead of trusting a
+ * number sent by the client.
+ *
+ * Retention: RESULT_RETENTION_DAYS (config.results.retentionDays, default 30)
+ *
+ * Redis Keys:
+ * - fitrate:result:{resultId} - Result JSON (retention TTL)
+ */
+
+import { kv } from './kvStore.js';
+import { config } from '../config/index.js';
+
+const RESULT_KEY_PREFIX = 'fitrate:result:';
+
+// analyze.js: req_{ts}_{rand} | batch: batch_{ts}_{rand}_{n}
+const RESULT_ID_PATTERN = /^(req|batch)_\d+_[a-z0-9]+(_\d+)?$/;
+
+// Score fields anyone with the link may see - Pro personal insights
+// (identityReflection, socialPerception, proTip, itemRoasts) stay owner-only
+const PUBLIC_SCORE_FIELDS = [
+    'overall', 'rating', 'color', 'fit', 'style', 'verdict', 'line', 'tagline',
+    'aesthetic', 'celebMatch', 'percentile', 'judgedBy', 'mode', 'shareHook', 'palette'
+];
+
+function getRetentionSeconds() {
+    return config.results.retentionDays * 24 * 60 * 60;
+}
+
+export function isValidResultId(resultId) {
+    return typeof resultId === 'string' && RESULT_ID_PATTERN.test(resultId);
+}
+
+/**
+ * Persist a successful analysis under its resultId
+ * @param {string} resultId
+ * @param {Object} params
+ * @param {Object} params.scores - Final scores object (after sanitizing/jackpot)
+ * @param {string} params.mode - Analysis mode
+ * @param {string} params.userId - Owner (null for anonymous scans)
+ * @param {Object} params.cardDNA - Share card visuals (single scans only)
+ * @param {Object} params.imageHash - Photo fingerprint (imageHasher.getImageHash) - arena entries are keyed on it
+ */
+export async function recordResult(resultId, { scores, mode, userId = null, cardDNA = null, imageHash = null }) {
+    if (!isValidResultId(resultId) || typeof scores?.overall !== 'number') return;
+
+    const ttl = getRetentionSeconds();
+    const now = Date.now();
+    const record = {
+        resultId,
+        overall: scores.overall,
+        mode,
+        userId,
+        scores,
+        cardDNA,
+        imageHash: imageHash?.key || null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl * 1000).toISOString()
+    };
+
+    try {
+        await kv.set(`${RESULT_KEY_PREFIX}${resultId}`, JSON.stringify(record), 'EX', ttl);
+    } catch (error) {
+        // Never fail a scan because the record couldn't be written
+        console.warn(`[RESULTS] Failed to record ${resultId}: ${error.message}`);
+    }
+}
+
+/**
+ * Look up a recorded result
+ * @param {string} resultId
+ * @returns {Object|null} { resultId, overall, mode, userId, scores, cardDNA, imageHash, createdAt, expiresAt } or null if unknown/expired
+ */
+export async function getResult(resultId) {
+    if (!isValidResultId(resultId)) return null;
+
+    const data = await kv.get(`${RESULT_KEY_PREFIX}${resultId}`);
+    return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Public, privacy-safe view of a result (share links) - no owner, no personal insights
+ * @param {Object} record - From getResult()
+ */
+export function toPublicResult(record) {
+    const scores = {};
+    for (const field of PUBLIC_SCORE_FIELDS) {
+        if (record.scores?.[field] !== undefined) scores[field] = record.scores[field];
+    }
+    return {
+        resultId: record.resultId,
+        mode: record.mode,
+        scores,
+        cardDNA: record.cardDNA || null,
+        createdAt: record.createdAt
+    };
+}
+
+/**
+ * Full view for the result's owner
+ * @param {Object} record - From getResult()
+ */
+export function toOwnerResult(record) {
+    return {
+        resultId: record.resultId,
+        mode: record.mode,
+        scores: record.scores,
+        cardDNA: record.cardDNA || null,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt
+    };
+}
+
+export default {
+    isValidResultId,
+    recordResult,
+    getResult,
+    toPublicResult,
+    toOwnerResult
+};
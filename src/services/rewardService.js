@@ -9,7 +9,7 @@
  * Uses addPurchasedScans() to credit rewards to winners.
  */
 
-import { redis, isRedisAvailable } from './redisClient.js';
+import { kv } from './kvStore.js';
 import { addPurchasedScans } from '../middleware/referralStore.js';
 
 // Redis keys for tracking distributions
@@ -156,10 +156,8 @@ export async function distributeRewards(rewards) {
  * @returns {boolean}
  */
 export async function wasDistributed(dateKey, challengeType) {
-    if (!isRedisAvailable()) return false;
-
     const key = `${DISTRIBUTED_KEY_PREFIX}${challengeType}:${dateKey}`;
-    const exists = await redis.exists(key);
+    const exists = await kv.exists(key);
     return exists === 1;
 }
 
@@ -170,8 +168,6 @@ export async function wasDistributed(dateKey, challengeType) {
  * @param {Object} result - Distribution result to log
  */
 export async function markDistributed(dateKey, challengeType, result) {
-    if (!isRedisAvailable()) return;
-
     const key = `${DISTRIBUTED_KEY_PREFIX}${challengeType}:${dateKey}`;
     const logEntry = {
         dateKey,
@@ -181,12 +177,12 @@ export async function markDistributed(dateKey, challengeType, result) {
     };
 
     // Store distribution record (expires after 30 days)
-    await redis.set(key, JSON.stringify(logEntry));
-    await redis.expire(key, 60 * 60 * 24 * 30);
+    await kv.set(key, JSON.stringify(logEntry));
+    await kv.expire(key, 60 * 60 * 24 * 30);
 
     // Also add to audit log list
-    await redis.lpush(REWARD_LOG_KEY, JSON.stringify(logEntry));
-    await redis.ltrim(REWARD_LOG_KEY, 0, 999); // Keep last 1000 entries
+    await kv.lpush(REWARD_LOG_KEY, JSON.stringify(logEntry));
+    await kv.ltrim(REWARD_LOG_KEY, 0, 999); // Keep last 1000 entries
 
     console.log(`✅ Marked ${challengeType} rewards for ${dateKey} as distributed`);
 }
@@ -197,9 +193,7 @@ export async function markDistributed(dateKey, challengeType, result) {
  * @returns {Array} - Recent distribution logs
  */
 export async function getDistributionHistory(limit = 50) {
-    if (!isRedisAvailable()) return [];
-
-    const logs = await redis.lrange(REWARD_LOG_KEY, 0, limit - 1);
+    const logs = await kv.lrange(REWARD_LOG_KEY, 0, limit - 1);
     return logs.map(log => JSON.parse(log));
 }
 
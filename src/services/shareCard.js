@@ -0,0 +1,353 @@
+/**
+ * Share Card Renderer - PNG results cards from Card DNA
+ *
+ * Builds an SVG from a stored result (public score fields + cardDNA) and
+ * rasterizes it with sharp, so every platform shares the exact same card
+ * instead of each client re-implementing the Card DNA layout.
+ *
+ * Formats: card (4:5 feed), story (9:16), square (1:1)
+ *
+ * Rendered PNGs are cached per result + format. Results never change after
+ * they're recorded, so a cached card only goes stale when the renderer does -
+ * bump CARD_RENDER_VERSION when the layout changes.
+ *
+ * Redis Keys:
+ * - fitrate:card:{version}:{resultId}:{format} - PNG as base64 (7 day TTL)
+ */
+
+import sharp from 'sharp';
+import { kv } from './kvStore.js';
+import { generateCardDNA, isValidCardDNA } from './cardDNA.js';
+import { MODE_CONFIGS } from '../config/systemPrompt.js';
+
+const CARD_KEY_PREFIX = 'fitrate:card:';
+const CARD_RENDER_VERSION = 1;
+const CARD_TTL = 60 * 60 * 24 * 7;  // 7 days
+
+export const CARD_FORMATS = {
+    card: { width: 1080, height: 1350 },
+    story: { width: 1080, height: 1920 },
+    square: { width: 1080, height: 1080 }
+};
+
+const FONT_FAMILY = "'Inter', 'Helvetica Neue', Arial, sans-serif";
+const DEFAULT_ACCENT = '#FF6B35';
+
+// ============================================
+// TEXT HELPERS
+// ============================================
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// librsvg has no color emoji font - drop pictographs instead of rendering boxes
+function stripEmoji(text) {
+    return String(text ?? '')
+        .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Greedy word wrap by estimated glyph width (~0.55em per character, wider for bold caps)
+ */
+function wrapText(text, fontSize, maxWidth, maxLines, charWidth = 0.55) {
+    const maxChars = Math.max(8, Math.floor(maxWidth / (fontSize * charWidth)));
+    const lines = [];
+    let current = '';
+    for (const word of stripEmoji(text).split(' ')) {
+        if (!word) continue;
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length <= maxChars) {
+            current = candidate;
+            continue;
+        }
+        if (current) lines.push(current);
+        current = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word;
+        if (lines.length === maxLines) break;
+    }
+    if (current && lines.length < maxLines) lines.push(current);
+    if (lines.length === maxLines && lines.join(' ').length < stripEmoji(text).length) {
+        lines[maxLines - 1] = `${lines[maxLines - 1].replace(/[\s.,!?…]+$/, '').slice(0, maxChars - 1)}…`;
+    }
+    return lines;
+}
+
+function textBlock(lines, { x, y, fontSize, lineHeight, anchor, fill, weight = 400, opacity = 1 }) {
+    return lines.map((line, i) =>
+        `<text x="${x}" y="${y + i * lineHeight}" font-family="${FONT_FAMILY}" font-size="${fontSize}" font-weight="${weight}" fill="${fill}" fill-opacity="${opacity}" text-anchor="${anchor}">${escapeXml(line)}</text>`
+    ).join('');
+}
+
+// ============================================
+// SVG PARTS (one per Card DNA style token)
+// ============================================
+
+function patternDefs(pattern) {
+    switch (pattern?.id) {
+        case 'dots':
+            return '<pattern id="pattern" width="24" height="24" patternUnits="userSpaceOnUse"><circle cx="12" cy="12" r="2" fill="#fff"/></pattern>';
+        case 'grid':
+            return '<pattern id="pattern" width="48" height="48" patternUnits="userSpaceOnUse"><path d="M48 0H0V48" fill="none" stroke="#fff" stroke-width="1"/></pattern>';
+        case 'noise':
+            // Speckle tile instead of feTurbulence - real noise doesn't compress and triples render time
+            return '<pattern id="pattern" width="37" height="37" patternUnits="userSpaceOnUse">' +
+                '<rect x="3" y="7" width="2" height="2" fill="#fff"/><rect x="19" y="2" width="1" height="1" fill="#fff"/>' +
+                '<rect x="29" y="17" width="2" height="2" fill="#fff"/><rect x="11" y="23" width="1" height="1" fill="#fff"/>' +
+                '<rect x="23" y="31" width="2" height="2" fill="#fff"/><rect x="6" y="33" width="1" height="1" fill="#fff"/></pattern>';
+        default:
+            return '';
+    }
+}
+
+function patternLayer(pattern, width, height) {
+    if (!pattern || pattern.id === 'none' || !pattern.opacity) return '';
+    return `<rect width="${width}" height="${height}" fill="url(#pattern)" opacity="${pattern.opacity * 4}"/>`;
+}
+
+/**
+ * Score ring - track + progress arc, drawn per ringStyle
+ */
+function scoreRing({ cx, cy, r, score, ringStyle, accent, glow }) {
+    const strokeWidth = ringStyle?.strokeWidth || 16;
+    const circumference = 2 * Math.PI * r;
+    const progress = Math.max(0, Math.min(100, score)) / 100 * circumference;
+    const arc = (radius, width, extra = '') => {
+        const c = 2 * Math.PI * radius;
+        const len = Math.max(0, Math.min(100, score)) / 100 * c;
+        return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${accent}" stroke-width="${width}" stroke-linecap="round" stroke-dasharray="${len.toFixed(1)} ${c.toFixed(1)}" transform="rotate(-90 ${cx} ${cy})"${extra}/>`;
+    };
+    const track = (radius, width) => `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="#ffffff" stroke-opacity="0.08" stroke-width="${width}"/>`;
+
+    switch (ringStyle?.id) {
+        case 'segmented': {
+            const segment = circumference / 40;
+            return track(r, strokeWidth) +
+                `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${accent}" stroke-width="${strokeWidth}" stroke-dasharray="${(segment * 0.7).toFixed(1)} ${(segment * 0.3).toFixed(1)}" stroke-dashoffset="0" transform="rotate(-90 ${cx} ${cy})" mask="url(#ringMask)" filter="url(#glow)"/>` +
+                `<mask id="ringMask"><circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="#fff" stroke-width="${strokeWidth + 2}" stroke-dasharray="${progress.toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 ${cx} ${cy})"/></mask>`;
+        }
+        case 'neon':
+            return track(r, strokeWidth) + arc(r, strokeWidth * glow, ' filter="url(#glow)"') + arc(r, strokeWidth / 2);
+        case 'double':
+            return track(r, strokeWidth) + track(r - strokeWidth * 2, strokeWidth / 2) +
+                arc(r, strokeWidth) + arc(r - strokeWidth * 2, strokeWidth / 2, ' stroke-opacity="0.5"');
+        default:
+            return track(r, strokeWidth) + arc(r, strokeWidth, glow > 1 ? ' filter="url(#glow)"' : '');
+    }
+}
+
+function divider({ x1, x2, y, style, accent }) {
+    // Glow is a rect - a filter on a zero-height line has an empty bounding box and renders nothing
+    if (style === 'glow') return `<rect x="${x1}" y="${y - 1.5}" width="${x2 - x1}" height="3" fill="${accent}" fill-opacity="0.8" filter="url(#glow)"/>`;
+    const base = `x1="${x1}" x2="${x2}" y1="${y}" y2="${y}" stroke="${accent}" stroke-width="3" stroke-opacity="0.6"`;
+    if (style === 'dashed') return `<line ${base} stroke-dasharray="14 10"/>`;
+    return `<line ${base}/>`;
+}
+
+/**
+ * Sparkles - positions come from the DNA seed so a card always renders the same.
+ * Kept to the side gutters so they never sit on the score or copy.
+ */
+function sparkles({ count, seed, width, height, accent }) {
+    let out = '';
+    for (let i = 0; i < count; i++) {
+        const a = parseInt(seed.slice((i * 2) % 14, (i * 2) % 14 + 2), 16) / 255;
+        const b = parseInt(seed.slice((i * 2 + 5) % 14, (i * 2 + 5) % 14 + 2), 16) / 255;
+        const gutterX = 30 + Math.round(a * 40);
+        const x = i % 2 === 0 ? gutterX : width - gutterX;
+        const y = Math.round(180 + b * (height * 0.5));
+        const s = 10 + Math.round(a * 14);
+        out += `<path d="M${x} ${y - s}L${x + s * 0.3} ${y - s * 0.3}L${x + s} ${y}L${x + s * 0.3} ${y + s * 0.3}L${x} ${y + s}L${x - s * 0.3} ${y + s * 0.3}L${x - s} ${y}L${x - s * 0.3} ${y - s * 0.3}Z" fill="${accent}" fill-opacity="0.7"/>`;
+    }
+    return out;
+}
+
+function subScoreBars({ scores, x, y, width, accent }) {
+    const rows = [['Color', scores.color], ['Fit', scores.fit], ['Style', scores.style]]
+        .filter(([, value]) => typeof value === 'number');
+    return rows.map(([label, value], i) => {
+        const rowY = y + i * 56;
+        const barWidth = Math.round((width - 220) * Math.max(0, Math.min(100, value)) / 100);
+        return `<text x="${x}" y="${rowY + 10}" font-family="${FONT_FAMILY}" font-size="30" fill="#ffffff" fill-opacity="0.7">${label}</text>` +
+            `<rect x="${x + 120}" y="${rowY - 8}" width="${width - 220}" height="14" rx="7" fill="#ffffff" fill-opacity="0.08"/>` +
+            `<rect x="${x + 120}" y="${rowY - 8}" width="${barWidth}" height="14" rx="7" fill="${accent}"/>` +
+            `<text x="${x + width}" y="${rowY + 10}" font-family="${FONT_FAMILY}" font-size="30" font-weight="700" fill="#ffffff" text-anchor="end">${Math.round(value)}</text>`;
+    }).join('');
+}
+
+// ============================================
+// CARD SVG
+// ============================================
+
+/**
+ * Build the card SVG for a stored result
+ * @param {Object} record - From resultStore.getResult()
+ * @param {string} format - Key of CARD_FORMATS
+ * @returns {string} SVG markup
+ */
+export function buildCardSvg(record, format = 'card') {
+    const { width, height } = CARD_FORMATS[format] || CARD_FORMATS.card;
+    const scores = record.scores || { overall: record.overall };
+    const score = Number(scores.overall) || 0;
+
+    // Batch results have no DNA - derive one from the resultId so they still get a unique, stable card
+    const dna = isValidCardDNA(record.cardDNA)
+        ? record.cardDNA
+        : generateCardDNA({ cardId: record.resultId, mode: record.mode, score, timestamp: new Date(record.createdAt).getTime(), palette: scores.palette });
+    const { styleTokens, copySlots, timeContext = {}, streakContext = {}, paletteContext } = dna;
+
+    const accent = paletteContext?.accent || timeContext.accent || DEFAULT_ACCENT;
+    const gradient = styleTokens.gradient?.colors || ['#0a0a15', '#1a1a2e'];
+    const gradientEnd = timeContext.gradientBoost?.[1] || gradient[1];
+    const weight = styleTokens.headlineWeight || 700;
+    // Square has no room to stack ring + title - it always puts the title beside the ring
+    const heroLeft = styleTokens.template?.id === 'hero-left' || format === 'square';
+    const expanded = styleTokens.template?.id === 'expanded' || format === 'story';
+    const minimal = styleTokens.template?.id === 'minimal';
+    const glow = streakContext.ringGlow || 1;
+    const modeName = MODE_CONFIGS[record.mode]?.name || 'FitRate';
+
+    const margin = 80;
+    const contentWidth = width - margin * 2;
+    // Vertical rhythm scales with the canvas so square and story keep the same proportions
+    const unit = height / 1350;
+    const ringR = Math.round(Math.min(width, height) * (heroLeft ? 0.19 : minimal ? 0.2 : 0.24));
+    const ringCx = heroLeft ? margin + ringR + 20 : width / 2;
+    const ringCy = Math.round(margin + 120 * unit + ringR);
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`);
+    parts.push('<defs>' +
+        `<linearGradient id="bg" x1="0" y1="0" x2="0.4" y2="1"><stop offset="0" stop-color="${gradient[0]}"/><stop offset="1" stop-color="${gradientEnd}"/></linearGradient>` +
+        `<filter id="glow" x="-50%" y="-50%" width="200%" height="200%"><feGaussianBlur stdDeviation="${Math.round(6 * glow)}" result="blur"/><feMerge><feMergeNode in="blur"/><feMergeNode in="SourceGraphic"/></feMerge></filter>` +
+        patternDefs(styleTokens.pattern) +
+        '</defs>');
+    parts.push(`<rect width="${width}" height="${height}" fill="url(#bg)"/>`);
+    parts.push(patternLayer(styleTokens.pattern, width, height));
+    parts.push(sparkles({ count: styleTokens.sparkles?.count || 0, seed: dna.seed || '0'.repeat(16), width, height, accent }));
+
+    // Header: brand + mode, badge top-right unless the DNA puts it under the title
+    parts.push(textBlock(['FITRATE'], { x: margin, y: margin, fontSize: 34, lineHeight: 0, anchor: 'start', fill: '#ffffff', weight: 800 }));
+    parts.push(textBlock([`${modeName} mode`], { x: margin, y: margin + 44, fontSize: 26, lineHeight: 0, anchor: 'start', fill: '#ffffff', opacity: 0.6 }));
+    const badgeText = stripEmoji(copySlots.verdictBadge);
+    const badgeUnderTitle = styleTokens.badgePosition === 'under-title' || styleTokens.template?.badgePos === 'under-title';
+    if (!badgeUnderTitle) {
+        parts.push(textBlock([badgeText], { x: width - margin, y: margin, fontSize: 30, lineHeight: 0, anchor: 'end', fill: accent, weight: 800 }));
+    }
+
+    // Hero: score ring + number
+    parts.push(scoreRing({ cx: ringCx, cy: ringCy, r: ringR, score, ringStyle: styleTokens.ringStyle, accent, glow }));
+    const scoreLabel = Number.isInteger(score) ? String(score) : score.toFixed(1);
+    parts.push(textBlock([scoreLabel], { x: ringCx, y: ringCy + ringR * 0.22, fontSize: Math.round(ringR * 0.62), lineHeight: 0, anchor: 'middle', fill: '#ffffff', weight }));
+    parts.push(textBlock(['/ 100'], { x: ringCx, y: ringCy + ringR * 0.5, fontSize: Math.round(ringR * 0.14), lineHeight: 0, anchor: 'middle', fill: '#ffffff', opacity: 0.5 }));
+
+    // Left-hero puts the title block beside the ring, everything else stacks below it
+    let y = heroLeft ? ringCy - ringR * 0.35 : ringCy + ringR + 90 * unit;
+    const textX = heroLeft ? ringCx + ringR + 50 : width / 2;
+    const textWidth = heroLeft ? width - textX - margin : contentWidth;
+    const anchor = heroLeft ? 'start' : 'middle';
+
+    if (scores.tagline) {
+        const taglineSize = heroLeft ? 44 : 54;
+        const taglineLines = wrapText(scores.tagline.toUpperCase(), taglineSize, textWidth, heroLeft ? 3 : 2, 0.72);
+        parts.push(textBlock(taglineLines, { x: textX, y, fontSize: taglineSize, lineHeight: taglineSize + 8, anchor, fill: '#ffffff', weight }));
+        y += (taglineSize + 8) * taglineLines.length + 6;
+    }
+    if (badgeUnderTitle) {
+        parts.push(textBlock([badgeText], { x: textX, y, fontSize: 32, lineHeight: 0, anchor, fill: accent, weight: 800 }));
+        y += 52;
+    }
+    if (scores.aesthetic) {
+        parts.push(textBlock([stripEmoji(scores.aesthetic)], { x: textX, y, fontSize: 30, lineHeight: 0, anchor, fill: '#ffffff', opacity: 0.6 }));
+        y += 40;
+    }
+    if (heroLeft) y = Math.max(y, ringCy + ringR + 70 * unit);
+
+    parts.push(divider({ x1: margin, x2: width - margin, y: y + 10, style: styleTokens.dividerStyle, accent }));
+    y += 80;
+
+    // Footer is pinned to the bottom - body copy only gets the space above it
+    const footerY = height - margin;
+    const streakBadge = stripEmoji(copySlots.streakBadge);
+    const bodyBottom = footerY - (streakBadge ? 110 : 60);
+
+    const verdictRoom = Math.max(1, Math.floor((bodyBottom - y + 40) / 54));
+    const verdictLines = wrapText(scores.verdict || scores.line || '', 40, contentWidth, Math.min(minimal ? 2 : 3, verdictRoom));
+    parts.push(textBlock(verdictLines, { x: width / 2, y, fontSize: 40, lineHeight: 54, anchor: 'middle', fill: '#ffffff', weight: 600 }));
+    y += verdictLines.length * 54 + 30;
+
+    if (expanded && y + 180 < bodyBottom) {
+        parts.push(subScoreBars({ scores, x: margin, y: y + 20, width: contentWidth, accent }));
+        y += 200;
+    }
+
+    if (format === 'story' && copySlots.motivation && y + 90 < bodyBottom) {
+        parts.push(textBlock(wrapText(copySlots.motivation, 32, contentWidth, 2), { x: width / 2, y: y + 40, fontSize: 32, lineHeight: 44, anchor: 'middle', fill: '#ffffff', opacity: 0.6 }));
+    }
+
+    // Footer: streak badge (if any) + call to action
+    if (streakBadge) {
+        parts.push(textBlock([streakBadge], { x: margin, y: footerY - 60, fontSize: 28, lineHeight: 0, anchor: 'start', fill: accent, weight: 700 }));
+    }
+    parts.push(textBlock(['Rate your fit at fitrate.app'], { x: margin, y: footerY, fontSize: 30, lineHeight: 0, anchor: 'start', fill: '#ffffff', opacity: 0.7 }));
+    parts.push(textBlock([stripEmoji(timeContext.badge)], { x: width - margin, y: footerY, fontSize: 26, lineHeight: 0, anchor: 'end', fill: '#ffffff', opacity: 0.5 }));
+
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+// ============================================
+// RENDER + CACHE
+// ============================================
+
+function getCardKey(resultId, format) {
+    return `${CARD_KEY_PREFIX}v${CARD_RENDER_VERSION}:${resultId}:${format}`;
+}
+
+async function getCachedCard(resultId, format) {
+    const key = getCardKey(resultId, format);
+    const data = await kv.get(key);
+    return data ? Buffer.from(data, 'base64') : null;
+}
+
+async function cacheCard(resultId, format, png) {
+    const key = getCardKey(resultId, format);
+    try {
+        await kv.set(key, png.toString('base64'), 'EX', CARD_TTL);
+    } catch (error) {
+        // A cache miss next time is fine - never fail the render for it
+        console.warn(`[CARD] Failed to cache ${resultId}/${format}: ${error.message}`);
+    }
+}
+
+/**
+ * Render (or fetch the cached) share card PNG for a stored result
+ * @param {Object} record - From resultStore.getResult()
+ * @param {string} format - card | story | square
+ * @returns {Object} { png: Buffer, cached: boolean }
+ */
+export async function renderShareCard(record, format = 'card') {
+    const cached = await getCachedCard(record.resultId, format);
+    if (cached) return { png: cached, cached: true };
+
+    const started = Date.now();
+    const png = await sharp(Buffer.from(buildCardSvg(record, format)))
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+    console.log(`🖼️ Card rendered: ${record.resultId}/${format} (${Math.round(png.length / 1024)}KB, ${Date.now() - started}ms)`);
+
+    await cacheCard(record.resultId, format, png);
+    return { png, cached: false };
+}
+
+export default {
+    CARD_FORMATS,
+    buildCardSvg,
+    renderShareCard
+};
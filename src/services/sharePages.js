@@ -0,0 +1,164 @@
+/**
+ * Share Pages - Open Graph / Twitter Card HTML for shared links
+ *
+ * iMessage, WhatsApp, X, Discord etc. unfurl a link by fetching it and reading
+ * the meta tags. These pages carry the score, tagline and verdict as text and
+ * a rendered share card as the image; real visitors are sent on into the app.
+ *
+ * Link-preview crawlers get the tags only (some follow meta refresh and would
+ * unfurl the app shell instead), everyone else also gets an instant redirect.
+ */
+
+import { getViralityHooks } from '../config/systemPrompt.js';
+
+// Known link-preview / unfurl user agents (iMessage sends facebookexternalhit + Twitterbot)
+const UNFURL_BOT_PATTERN = /bot|crawler|spider|facebookexternalhit|facebot|whatsapp|telegram|slack|discord|embedly|pinterest|skypeuripreview|iframely|vkshare|quora link preview|bitlybot|outbrain|nuzzel|google-structured|preview/i;
+
+const SITE_NAME = 'FitRate';
+const DEFAULT_DESCRIPTION = 'Get your outfit rated by AI in seconds. What\'s your FitRate?';
+
+export function isUnfurlBot(userAgent) {
+    return typeof userAgent === 'string' && UNFURL_BOT_PATTERN.test(userAgent);
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function truncate(text, max) {
+    const clean = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+}
+
+function formatScore(score) {
+    const value = Number(score);
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+/**
+ * Render a share page
+ * @param {Object} params
+ * @param {string} params.title - og:title / twitter:title
+ * @param {string} params.description - og:description / twitter:description
+ * @param {string} params.pageUrl - Canonical URL of this share page
+ * @param {string} params.redirectUrl - Where human visitors end up (the app)
+ * @param {Object} params.image - { url, width, height, alt } or null
+ * @param {boolean} params.redirect - Add the instant redirect (false for crawlers)
+ * @returns {string} HTML document
+ */
+export function renderSharePage({ title, description, pageUrl, redirectUrl, image = null, redirect = true }) {
+    const safeTitle = escapeHtml(truncate(title, 90));
+    const safeDescription = escapeHtml(truncate(description || DEFAULT_DESCRIPTION, 200));
+    const safeRedirect = escapeHtml(redirectUrl);
+
+    const meta = [
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        '<meta property="og:type" content="website">',
+        `<meta property="og:title" content="${safeTitle}">`,
+        `<meta property="og:description" content="${safeDescription}">`,
+        `<meta property="og:url" content="${escapeHtml(pageUrl)}">`,
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${safeTitle}">`,
+        `<meta name="twitter:description" content="${safeDescription}">`,
+        `<meta name="description" content="${safeDescription}">`
+    ];
+    if (image) {
+        meta.push(
+            `<meta property="og:image" content="${escapeHtml(image.url)}">`,
+            '<meta property="og:image:type" content="image/png">',
+            `<meta property="og:image:width" content="${image.width}">`,
+            `<meta property="og:image:height" content="${image.height}">`,
+            `<meta property="og:image:alt" content="${escapeHtml(truncate(image.alt || title, 120))}">`,
+            `<meta name="twitter:image" content="${escapeHtml(image.url)}">`
+        );
+    }
+    if (redirect) {
+        meta.push(`<meta http-equiv="refresh" content="0;url=${safeRedirect}">`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${safeTitle}</title>
+${meta.join('\n')}
+<link rel="canonical" href="${escapeHtml(pageUrl)}">
+</head>
+<body>
+<p><a href="${safeRedirect}">Open ${SITE_NAME}</a></p>
+</body>
+</html>`;
+}
+
+/**
+ * Page text for a stored result (public fields only)
+ * @param {Object} result - resultStore.toPublicResult() view
+ */
+export function describeResult(result) {
+    const { scores = {}, mode } = result;
+    const score = formatScore(scores.overall);
+    const hook = getViralityHooks(mode)[1];
+    return {
+        title: scores.tagline ? `${score}/100 · ${scores.tagline}` : `Rated ${score}/100 on ${SITE_NAME}`,
+        description: [scores.verdict, hook].filter(Boolean).join(' '),
+        alt: `FitRate card: ${score}/100${scores.tagline ? ` - ${scores.tagline}` : ''}`
+    };
+}
+
+/**
+ * Page text for a challenge room
+ * @param {Object} challenge - challengeService challenge
+ * @param {Object|null} creatorResult - Creator's public result (tagline/verdict), if still stored
+ */
+export function describeChallenge(challenge, creatorResult) {
+    const creatorScore = formatScore(challenge.creatorScore);
+    if (challenge.status === 'completed') {
+        const responderScore = formatScore(challenge.responderScore);
+        const outcome = challenge.winner === 'tie'
+            ? 'It\'s a tie!'
+            : challenge.winner === 'creator' ? 'The challenger held the crown.' : 'The challenger got dethroned.';
+        return {
+            title: `Fit Challenge: ${creatorScore} vs ${responderScore}`,
+            description: `${outcome} Start your own challenge on ${SITE_NAME}.`
+        };
+    }
+    if (challenge.status === 'expired') {
+        return {
+            title: `Fit Challenge: ${creatorScore}/100`,
+            description: `This challenge has expired. Start your own on ${SITE_NAME}.`
+        };
+    }
+    const verdict = creatorResult?.scores?.verdict;
+    return {
+        title: `Can you beat ${creatorScore}/100?`,
+        description: [verdict && `"${verdict}"`, 'Scan your fit and answer the challenge.'].filter(Boolean).join(' ')
+    };
+}
+
+/**
+ * Page text for an archived weekly event
+ * @param {Object} archive - eventService archive { weekId, theme, themeEmoji, leaderboard, totalParticipants }
+ */
+export function describeEventArchive(archive) {
+    const winner = archive.leaderboard?.[0];
+    return {
+        title: `${archive.theme} - Weekly Challenge results`,
+        description: winner
+            ? `${winner.displayName} won with ${formatScore(winner.score)}/100 out of ${archive.totalParticipants} fits. Enter this week's challenge on ${SITE_NAME}.`
+            : `${archive.totalParticipants} fits entered. Enter this week's challenge on ${SITE_NAME}.`
+    };
+}
+
+export default {
+    isUnfurlBot,
+    renderSharePage,
+    describeResult,
+    describeChallenge,
+    describeEventArchive
+};
@@ -0,0 +1,358 @@
+/**
+ * Fashion Show Service - named group rooms with a live ranking
+ *
+ * A host creates a show (name, vibe, family-safe flag, deadline) and shares
+ * its join code. Participants join by code and submit outfits through
+ * POST /api/analyze with `showCode` - the analyzer gets a showContext
+ * (buildFashionShowPrompt) and the score lands in the show's ranking.
+ * Each participant's BEST score counts. Shows close on their deadline.
+ *
+ * Lifecycle: open → closed (closesAt passed - evaluated lazily on every read)
+ *
+ * Participant slots and walks are reserved with an atomic counter (increment,
+ * compare, roll back) before anything else happens, so concurrent joins/walks
+ * can't overshoot SHOW_LIMITS.
+ *
+ * Redis Keys (all expire SHOW_RETENTION after the deadline):
+ * - fitrate:show:{code} - Hash of show settings/status (+ participantCount slot counter)
+ * - fitrate:show:{code}:participants - Hash userId → participant JSON
+ * - fitrate:show:{code}:walks - Hash userId → walks reserved (in flight + scored)
+ * - fitrate:show:{code}:ranking - Sorted set userId → best score
+ */
+
+import crypto from 'crypto';
+import { kv } from './kvStore.js';
+import { vibeToMode, MODE_CONFIGS } from '../config/systemPrompt.js';
+
+const SHOW_KEY_PREFIX = 'fitrate:show:';
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';  // No 0/O/1/I - codes get read aloud
+const CODE_LENGTH = 6;
+const SHOW_RETENTION = 60 * 60 * 24 * 7;  // Results stay viewable a week after closing
+
+export const SHOW_LIMITS = {
+    minDurationMinutes: 5,
+    maxDurationMinutes: 60 * 24 * 7,
+    defaultDurationMinutes: 60,
+    maxParticipants: 50,
+    maxSubmissionsPerUser: 3
+};
+
+export function isValidShowCode(code) {
+    return typeof code === 'string' && new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`).test(code);
+}
+
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (const byte of bytes) code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    return code;
+}
+
+function cleanText(value, maxLength) {
+    if (typeof value !== 'string') return '';
+    return value.replace(/[<>]/g, '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+const showKey = (code) => `${SHOW_KEY_PREFIX}${code}`;
+const participantsKey = (code) => `${SHOW_KEY_PREFIX}${code}:participants`;
+const walksKey = (code) => `${SHOW_KEY_PREFIX}${code}:walks`;
+const rankingKey = (code) => `${SHOW_KEY_PREFIX}${code}:ranking`;
+
+// Unix time every show key expires at
+function getExpireAt(show) {
+    return Math.ceil(new Date(show.closesAt).getTime() / 1000) + SHOW_RETENTION;
+}
+
+function parseShow(raw) {
+    if (!raw || !raw.code) return null;
+    return {
+        code: raw.code,
+        name: raw.name,
+        vibe: raw.vibe,
+        mode: raw.mode,
+        familySafe: raw.familySafe === true || raw.familySafe === '1',
+        hostId: raw.hostId,
+        status: raw.status,
+        createdAt: raw.createdAt,
+        closesAt: raw.closesAt,
+        closedAt: raw.closedAt || null
+    };
+}
+
+async function readShow(code) {
+    return parseShow(await kv.hgetall(showKey(code)));
+}
+
+async function readParticipant(code, userId) {
+    const data = await kv.hget(participantsKey(code), userId);
+    return data ? JSON.parse(data) : null;
+}
+
+async function writeParticipant(code, userId, participant) {
+    await kv.hset(participantsKey(code), userId, JSON.stringify(participant));
+}
+
+async function countParticipants(code) {
+    return kv.hlen(participantsKey(code));
+}
+
+/**
+ * Close a show whose deadline has passed (idempotent)
+ */
+async function closeIfDue(show) {
+    if (show.status !== 'open' || new Date(show.closesAt).getTime() > Date.now()) return show;
+
+    const closedAt = new Date().toISOString();
+    // Only the first reader records the close
+    const claimed = await kv.hsetnx(showKey(show.code), 'closedAt', closedAt);
+    if (claimed) {
+        await kv.hset(showKey(show.code), 'status', 'closed');
+        console.log(`[SHOW] 🏁 ${show.code} closed (deadline reached)`);
+    }
+    return { ...show, status: 'closed', closedAt: show.closedAt || closedAt };
+}
+
+/**
+ * Create a show
+ * @param {Object} params
+ * @param {string} params.hostId - Host userId (joins automatically)
+ * @param {string} params.hostName - Host display name
+ * @param {string} params.name - Show name
+ * @param {string} params.vibe - Any FitRate mode (vibeToMode)
+ * @param {boolean} params.familySafe - Enforce family-safe verdicts
+ * @param {number} params.durationMinutes - Minutes until the show closes
+ * @returns {Object} { success, show } or { success: false, error, message }
+ */
+export async function createShow({ hostId, hostName, name, vibe, familySafe = false, durationMinutes = SHOW_LIMITS.defaultDurationMinutes }) {
+    const showName = cleanText(name, 40);
+    if (!showName) {
+        return { success: false, error: 'invalid_name', message: 'Show name required' };
+    }
+
+    const minutes = Number(durationMinutes);
+    if (!Number.isFinite(minutes) || minutes < SHOW_LIMITS.minDurationMinutes || minutes > SHOW_LIMITS.maxDurationMinutes) {
+        return {
+            success: false,
+            error: 'invalid_duration',
+            message: `Duration must be ${SHOW_LIMITS.minDurationMinutes}-${SHOW_LIMITS.maxDurationMinutes} minutes`
+        };
+    }
+
+    const mode = vibeToMode(vibe);
+    const now = Date.now();
+    const closesAt = new Date(now + minutes * 60 * 1000);
+    const show = {
+        code: '',
+        name: showName,
+        vibe: MODE_CONFIGS[vibe] ? vibe : mode,
+        mode,
+        familySafe: familySafe ? '1' : '0',
+        hostId,
+        status: 'open',
+        createdAt: new Date(now).toISOString(),
+        closesAt: closesAt.toISOString(),
+        participantCount: '0'
+    };
+    const expireAt = getExpireAt(show);
+
+    // Codes are short - retry on the rare collision
+    for (let attempt = 0; attempt < 5 && !show.code; attempt++) {
+        const code = generateCode();
+        const claimed = await kv.hsetnx(showKey(code), 'code', code);
+        if (!claimed) continue;
+        show.code = code;
+        await kv.multi()
+            .hset(showKey(code), show)
+            .expireat(showKey(code), expireAt)
+            .exec();
+    }
+    if (!show.code) {
+        return { success: false, error: 'code_unavailable', message: 'Could not create show - please try again' };
+    }
+
+    const joined = await joinShow(show.code, hostId, hostName);
+    if (!joined.success) return joined;
+
+    console.log(`[SHOW] 🎭 ${show.code} "${showName}" created (vibe: ${show.vibe}, familySafe: ${!!familySafe}, closes: ${show.closesAt})`);
+    return { success: true, show: parseShow(show) };
+}
+
+/**
+ * Get a show (closes it if the deadline has passed)
+ * @param {string} code
+ * @returns {Object|null}
+ */
+export async function getShow(code) {
+    if (!isValidShowCode(code)) return null;
+    const show = await readShow(code);
+    return show ? closeIfDue(show) : null;
+}
+
+/**
+ * Join a show by code (re-joining just updates the display name)
+ * @returns {Object} { success, show, participant } or { success: false, error, message }
+ */
+export async function joinShow(code, userId, displayName) {
+    const show = await getShow(code);
+    if (!show) return { success: false, error: 'not_found', message: 'Show not found' };
+    if (show.status !== 'open') return { success: false, error: 'closed', message: 'This show has closed' };
+
+    const name = cleanText(displayName, 24) || 'Mystery Model';
+    const existing = await readParticipant(code, userId);
+    if (existing) {
+        const participant = { ...existing, displayName: name };
+        await writeParticipant(code, userId, participant);
+        return { success: true, show, participant };
+    }
+
+    // Take a participant slot first (shows created before the counter existed start from the hash size)
+    await kv.hsetnx(showKey(code), 'participantCount', await countParticipants(code));
+    const slot = await kv.hincrby(showKey(code), 'participantCount', 1);
+    if (slot > SHOW_LIMITS.maxParticipants) {
+        await kv.hincrby(showKey(code), 'participantCount', -1);
+        return { success: false, error: 'full', message: `This show is full (${SHOW_LIMITS.maxParticipants} max)` };
+    }
+
+    const participant = { displayName: name, joinedAt: new Date().toISOString(), submissions: 0, bestScore: null, bestResultId: null, verdict: null, groupLine: null };
+    const added = await kv.hsetnx(participantsKey(code), userId, JSON.stringify(participant));
+    if (!added) {
+        // Same user joined concurrently - they already hold a slot
+        await kv.hincrby(showKey(code), 'participantCount', -1);
+        return { success: true, show, participant: await readParticipant(code, userId) };
+    }
+    await kv.expireat(participantsKey(code), getExpireAt(show));
+
+    return { success: true, show, participant };
+}
+
+/**
+ * Live ranking (best score per participant)
+ * @param {string} code
+ * @param {number} limit
+ * @returns {Array<{ rank, userId, displayName, score, verdict, groupLine, submissions }>}
+ */
+export async function getShowRanking(code, limit = SHOW_LIMITS.maxParticipants) {
+    const flat = await kv.zrevrange(rankingKey(code), 0, limit - 1, 'WITHSCORES');
+    const ids = [];
+    for (let i = 0; i < flat.length; i += 2) ids.push(flat[i]);
+    const participants = ids.length ? await kv.hmget(participantsKey(code), ...ids) : [];
+    const ordered = ids.map((userId, i) => ({ userId, score: parseFloat(flat[i * 2 + 1]), ...(participants[i] ? JSON.parse(participants[i]) : {}) }));
+
+    return ordered.map((p, i) => ({
+        rank: i + 1,
+        userId: p.userId,
+        displayName: p.displayName || 'Mystery Model',
+        score: p.score,
+        verdict: p.verdict || null,
+        groupLine: p.groupLine || null,
+        submissions: p.submissions || 0
+    }));
+}
+
+async function getRank(code, userId) {
+    const [rank, total] = await Promise.all([
+        kv.zrevrank(rankingKey(code), userId),
+        kv.zcard(rankingKey(code))
+    ]);
+    return { rank: rank === null ? null : rank + 1, total };
+}
+
+/**
+ * Check a submission is allowed, reserve one of the participant's walks and
+ * build the analyzer's showContext
+ * The walk counts from here - give it back with releaseShowSubmission() if the
+ * walk never gets scored (rejected, analysis failed).
+ * @returns {Object} { success, show, showContext } or { success: false, error, message }
+ */
+export async function prepareShowSubmission(code, userId) {
+    const show = await getShow(code);
+    if (!show) return { success: false, error: 'not_found', message: 'Show not found' };
+    if (show.status !== 'open') return { success: false, error: 'closed', message: 'This show has closed - check the final ranking!' };
+
+    const participant = userId ? await readParticipant(code, userId) : null;
+    if (!participant) return { success: false, error: 'not_joined', message: 'Join the show before submitting' };
+
+    // Participants from before the walk counter existed start from their scored walks
+    await kv.hsetnx(walksKey(code), userId, participant.submissions);
+    const walks = await kv.hincrby(walksKey(code), userId, 1);
+    if (walks > SHOW_LIMITS.maxSubmissionsPerUser) {
+        await kv.hincrby(walksKey(code), userId, -1);
+        return { success: false, error: 'submission_limit', message: `You've used all ${SHOW_LIMITS.maxSubmissionsPerUser} walks for this show` };
+    }
+    await kv.expireat(walksKey(code), getExpireAt(show));
+
+    // Current standing (before this walk) drives the prompt's rank callout
+    const { rank, total } = await getRank(code, userId);
+    return {
+        success: true,
+        show,
+        showContext: {
+            name: show.name,
+            vibe: show.vibe,
+            familySafe: show.familySafe,
+            currentRank: rank,
+            totalParticipants: total || null
+        }
+    };
+}
+
+/**
+ * Give back a walk reserved by prepareShowSubmission that was never scored
+ */
+export async function releaseShowSubmission(code, userId) {
+    await kv.hincrby(walksKey(code), userId, -1);
+}
+
+/**
+ * Record a scored walk - best score per participant counts
+ * @param {string} code
+ * @param {string} userId
+ * @param {Object} entry - { score, verdict, groupLine, resultId }
+ * @returns {Object} { rank, totalParticipants, bestScore, improved, submissionsLeft, leader }
+ */
+export async function recordShowEntry(code, userId, { score, verdict = null, groupLine = null, resultId = null }) {
+    const participant = await readParticipant(code, userId);
+    if (!participant) return null;
+
+    const improved = participant.bestScore === null || score > participant.bestScore;
+    const updated = {
+        ...participant,
+        submissions: participant.submissions + 1,
+        ...(improved && { bestScore: score, bestResultId: resultId, verdict, groupLine })
+    };
+    await writeParticipant(code, userId, updated);
+
+    if (improved) {
+        const show = await readShow(code);
+        await kv.multi()
+            .zadd(rankingKey(code), score, userId)
+            .expireat(rankingKey(code), getExpireAt(show))
+            .exec();
+    }
+    const walks = parseInt(await kv.hget(walksKey(code), userId)) || updated.submissions;
+
+    const { rank, total } = await getRank(code, userId);
+    const [leader] = await getShowRanking(code, 1);
+    console.log(`[SHOW] ${code} walk by ${userId.slice(0, 12)}: ${score}${improved ? ' (new best)' : ''} → #${rank}/${total}`);
+
+    return {
+        rank,
+        totalParticipants: total,
+        bestScore: updated.bestScore,
+        improved,
+        submissionsLeft: Math.max(0, SHOW_LIMITS.maxSubmissionsPerUser - walks),
+        leader: leader ? { displayName: leader.displayName, score: leader.score } : null
+    };
+}
+
+export default {
+    SHOW_LIMITS,
+    isValidShowCode,
+    createShow,
+    getShow,
+    joinShow,
+    getShowRanking,
+    prepareShowSubmission,
+    releaseShowSubmission,
+    recordShowEntry
+};
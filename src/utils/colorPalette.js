@@ -0,0 +1,219 @@
+/**
+ * Color Palette
+ * Deterministic dominant-color extraction for the `color` subscore
+ * - Top 5 swatches (hex, name, coverage %) from the sanitized image
+ * - Harmony classification (monochrome / analogous / complementary / clashing)
+ * - Accent color for Card DNA, lifted so it reads on the dark card background
+ *
+ * No AI involved: the same photo always gives the same palette.
+ */
+
+import sharp from 'sharp';
+
+const SAMPLE_SIZE = 64;          // Pixels per side after downscale - plenty for dominant colors
+const BUCKET_BITS = 3;           // Per channel → 512 buckets before merging
+const MERGE_DISTANCE = 40;       // RGB distance under which two buckets are the same swatch
+const MAX_SWATCHES = 5;
+
+// Below this chroma (max - min channel, 0-1) a swatch is a neutral (black / gray / white) and has no hue.
+// Chroma, not HSL saturation - saturation blows up near black and white.
+const NEUTRAL_CHROMA = 0.1;
+// Swatches under this coverage don't count toward harmony (a logo, a shoelace)
+const HARMONY_MIN_COVERAGE = 5;
+
+export const HARMONY_TYPES = ['monochrome', 'analogous', 'complementary', 'clashing'];
+
+function toHex(r, g, b) {
+    return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// h: 0-360, s/l/c: 0-1 (c = chroma)
+function rgbToHsl(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l, c: 0 };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = ((g - b) / d + (g < b ? 6 : 0));
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return { h: h * 60, s, l, c: d };
+}
+
+function hslToHex(h, s, l) {
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + h / 30) % 12;
+        return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+    };
+    return toHex(channel(0), channel(8), channel(4));
+}
+
+// Shortest distance between two hues on the color wheel (0-180)
+function hueDistance(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Fashion-friendly color name from HSL
+ */
+function nameColor({ h, s, l, c }) {
+    if (c < NEUTRAL_CHROMA) {
+        if (l < 0.12) return 'black';
+        if (l < 0.3) return 'charcoal';
+        if (l < 0.6) return 'gray';
+        if (l < 0.85) return 'silver';
+        return (s > 0.25 && h >= 20 && h < 60) ? 'cream' : 'white';
+    }
+
+    // Warm, muted or dark hues read as browns and beiges on clothing
+    if (h >= 15 && h < 50) {
+        if (l < 0.35) return 'brown';
+        if (s < 0.55) return l > 0.7 ? 'beige' : 'tan';
+        if (l < 0.5) return 'rust';
+    }
+
+    if (h < 15 || h >= 345) {
+        if (l < 0.3) return 'burgundy';
+        return l > 0.7 ? 'pink' : 'red';
+    }
+    if (h < 45) return l > 0.7 ? 'peach' : 'orange';
+    if (h < 70) return l < 0.35 ? 'olive' : 'yellow';
+    if (h < 160) {
+        if (l < 0.3 || (h < 100 && s < 0.4)) return 'olive';
+        return l > 0.7 ? 'mint' : 'green';
+    }
+    if (h < 195) return 'teal';
+    if (h < 250) {
+        if (l < 0.3) return 'navy';
+        return l > 0.7 ? 'light blue' : 'blue';
+    }
+    if (h < 290) return l > 0.7 ? 'lavender' : 'purple';
+    return l < 0.3 ? 'plum' : 'pink';
+}
+
+/**
+ * Classify how the chromatic (non-neutral) swatches relate on the color wheel
+ * Neutrals go with everything, so an all-neutral fit is monochrome.
+ * @param {Array} swatches - [{ hex, coverage }]
+ * @returns {string} One of HARMONY_TYPES
+ */
+export function classifyHarmony(swatches) {
+    const hues = swatches
+        .filter(swatch => swatch.coverage >= HARMONY_MIN_COVERAGE)
+        .map(swatch => rgbToHsl(...hexToRgb(swatch.hex)))
+        .filter(hsl => hsl.c >= NEUTRAL_CHROMA)
+        .map(hsl => hsl.h);
+
+    let spread = 0;
+    for (let i = 0; i < hues.length; i++) {
+        for (let j = i + 1; j < hues.length; j++) {
+            spread = Math.max(spread, hueDistance(hues[i], hues[j]));
+        }
+    }
+    if (spread <= 20) return 'monochrome';
+    if (spread <= 60) return 'analogous';
+
+    // Complementary: two hue families far apart on the wheel (red + navy, rust + teal), nothing in between
+    const families = [];
+    for (const hue of hues) {
+        if (!families.some(family => hueDistance(family, hue) <= 30)) families.push(hue);
+    }
+    if (families.length === 2 && hueDistance(families[0], families[1]) >= 120) return 'complementary';
+    return 'clashing';
+}
+
+/**
+ * Extract the dominant colors of a photo
+ * @param {string} sanitizedImage - Data URL from validateAndSanitizeImage()
+ * @returns {Object|null} { swatches: [{ hex, name, coverage }], harmony } or null if the image can't be read
+ */
+export async function extractPalette(sanitizedImage) {
+    try {
+        const buffer = Buffer.from(sanitizedImage.replace(/^data:[^;,]+;base64,/, ''), 'base64');
+        const { data, info } = await sharp(buffer)
+            .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        // Bucket pixels by their high bits, keeping the true average color per bucket
+        const shift = 8 - BUCKET_BITS;
+        const buckets = new Map();
+        for (let i = 0; i < data.length; i += info.channels) {
+            const key = ((data[i] >> shift) << (BUCKET_BITS * 2)) | ((data[i + 1] >> shift) << BUCKET_BITS) | (data[i + 2] >> shift);
+            const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += data[i];
+            bucket.g += data[i + 1];
+            bucket.b += data[i + 2];
+            buckets.set(key, bucket);
+        }
+
+        // Merge neighbouring buckets (largest first, ties by key) so one shirt is one swatch
+        const ordered = [...buckets.entries()]
+            .sort((a, b) => (b[1].count - a[1].count) || (a[0] - b[0]))
+            .map(([, bucket]) => bucket);
+        const swatches = [];
+        for (const bucket of ordered) {
+            const color = [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+            const match = swatches.find(s => Math.hypot(s.color[0] - color[0], s.color[1] - color[1], s.color[2] - color[2]) < MERGE_DISTANCE);
+            if (match) {
+                const total = match.count + bucket.count;
+                match.color = match.color.map((v, c) => (v * match.count + color[c] * bucket.count) / total);
+                match.count = total;
+            } else {
+                swatches.push({ color, count: bucket.count });
+            }
+        }
+
+        const pixels = info.width * info.height;
+        const top = swatches
+            .sort((a, b) => b.count - a.count)
+            .slice(0, MAX_SWATCHES)
+            .map(({ color, count }) => ({
+                hex: toHex(...color),
+                name: nameColor(rgbToHsl(...color)),
+                coverage: Math.round((count / pixels) * 1000) / 10
+            }));
+
+        return { swatches: top, harmony: classifyHarmony(top) };
+    } catch (error) {
+        // Palette is decoration - never fail a scan over it
+        console.error('Palette extraction error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Accent color for cards: the most vivid sizeable swatch, lightened to read on a dark background
+ * @param {Object} palette - From extractPalette()
+ * @returns {string|null} Hex color, or null for all-neutral palettes
+ */
+export function paletteAccent(palette) {
+    const candidates = (palette?.swatches || [])
+        .map(swatch => ({ swatch, hsl: rgbToHsl(...hexToRgb(swatch.hex)) }))
+        .filter(({ swatch, hsl }) => hsl.c >= NEUTRAL_CHROMA && swatch.coverage >= HARMONY_MIN_COVERAGE);
+    if (candidates.length === 0) return null;
+
+    const vividness = ({ swatch, hsl }) => hsl.c * Math.sqrt(swatch.coverage);
+    const { hsl } = candidates.reduce((best, candidate) => (vividness(candidate) > vividness(best) ? candidate : best));
+    return hslToHex(hsl.h, Math.max(hsl.s, 0.55), Math.min(Math.max(hsl.l, 0.55), 0.7));
+}
+
+export default {
+    HARMONY_TYPES,
+    extractPalette,
+    classifyHarmony,
+    paletteAccent
+};
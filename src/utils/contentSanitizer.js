@@ -123,7 +123,8 @@ export function sanitizeAIResponse(result) {
             'celebMatch', 'shareHook', 'proTip',
             'identityReflection', 'socialPerception',
             'outfitFortune', 'outfitLore', 'outfitSoundtrack',
-            'outfitEnemy', 'outfitDatingApp', 'outfitPowerMove'
+            'outfitEnemy', 'outfitDatingApp', 'outfitPowerMove',
+            'groupLine'
         ];
         for (const field of scoreTextFields) {
             scanField(result.scores, field, 'scores.');
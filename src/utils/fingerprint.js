@@ -6,7 +6,7 @@
  */
 
 import crypto from 'crypto';
-import { redis, isRedisAvailable } from '../services/redisClient.js';
+import { kv } from '../services/kvStore.js';
 
 // Track suspicious fingerprints
 const SUSPICIOUS_KEY_PREFIX = 'fitrate:suspicious:';
@@ -87,33 +87,31 @@ export async function checkSuspiciousBehavior(req, claimedUserId) {
     const ip = getClientIP(req);
 
     // Check 1: Same fingerprint claiming many different userIds (account switching abuse)
-    if (isRedisAvailable() && claimedUserId) {
+    if (claimedUserId) {
         const fpUsersKey = `${FINGERPRINT_USERS_PREFIX}${fingerprint}`;
 
         // Add this userId to the set of userIds from this fingerprint
-        await redis.sadd(fpUsersKey, claimedUserId);
-        await redis.expire(fpUsersKey, 86400); // 24 hour TTL
+        await kv.sadd(fpUsersKey, claimedUserId);
+        await kv.expire(fpUsersKey, 86400); // 24 hour TTL
 
         // Count how many different userIds this fingerprint has claimed
-        const userCount = await redis.scard(fpUsersKey);
+        const userCount = await kv.scard(fpUsersKey);
 
         if (userCount > 5) {
             // Same device claiming more than 5 different user IDs in 24h = suspicious
             console.warn(`⚠️ ABUSE: Fingerprint ${fingerprint.slice(0, 12)} claimed ${userCount} different userIds`);
 
             // Mark as suspicious
-            await redis.setex(`${SUSPICIOUS_KEY_PREFIX}${fingerprint}`, 3600, 'multi_account');
+            await kv.set(`${SUSPICIOUS_KEY_PREFIX}${fingerprint}`, 'multi_account', 'EX', 3600);
 
             return { suspicious: true, reason: 'multi_account', userCount };
         }
     }
 
     // Check 2: Known suspicious fingerprint
-    if (isRedisAvailable()) {
-        const suspiciousReason = await redis.get(`${SUSPICIOUS_KEY_PREFIX}${fingerprint}`);
-        if (suspiciousReason) {
-            return { suspicious: true, reason: suspiciousReason, blocked: true };
-        }
+    const suspiciousReason = await kv.get(`${SUSPICIOUS_KEY_PREFIX}${fingerprint}`);
+    if (suspiciousReason) {
+        return { suspicious: true, reason: suspiciousReason, blocked: true };
     }
 
     // Check 3: Missing critical headers (likely a script/bot)
@@ -142,10 +140,8 @@ export async function checkSuspiciousBehavior(req, claimedUserId) {
 export async function markSuspicious(req, reason, duration = 3600) {
     const fingerprint = generateFingerprint(req);
 
-    if (isRedisAvailable()) {
-        await redis.setex(`${SUSPICIOUS_KEY_PREFIX}${fingerprint}`, duration, reason);
-        console.warn(`🚫 Marked fingerprint ${fingerprint.slice(0, 12)} as suspicious: ${reason}`);
-    }
+    await kv.set(`${SUSPICIOUS_KEY_PREFIX}${fingerprint}`, reason, 'EX', duration);
+    console.warn(`🚫 Marked fingerprint ${fingerprint.slice(0, 12)} as suspicious: ${reason}`);
 }
 
 /**
@@ -1,9 +1,13 @@
 /**
  * Image Validator
  * Validates uploaded images for security
- * - Checks MIME type via magic bytes
- * - Strips EXIF metadata
+ * - Checks MIME type via magic bytes (JPEG, PNG, WebP, GIF, HEIC/HEIF, AVIF)
+ * - Converts everything to a ≤512px JPEG and strips EXIF metadata
+ * - HEIC (HEVC-coded, the iPhone default) is decoded with libheif-js - prebuilt sharp only reads AVIF
+ * - Animated GIF/WebP: scores the frames and keeps the sharpest one
  * - Validates dimensions
+ * - Photo quality gate (dark / blown out / flat / blurry / odd aspect) before any AI call
+ * - Leaderboard thumbnails derived from the sanitized image
  */
 
 import sharp from 'sharp';
@@ -27,7 +31,15 @@ const MAGIC_BYTES = {
     ]
 };
 
-const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+// ISO-BMFF containers ("ftyp" box at byte 4) - brand decides HEIC vs AVIF
+const GENERIC_HEIF_BRANDS = ['mif1', 'msf1'];
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', ...GENERIC_HEIF_BRANDS];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'image/heif', 'image/avif'];
+const ANIMATED_TYPES = ['image/gif', 'image/webp'];
+const MAX_FRAME_SAMPLES = 24; // Frames scored per animation (evenly spaced)
+const FRAME_SAMPLE_SIZE = 256; // Frames are scored at this size - enough to separate sharp from motion blur
 const MAX_DIMENSION = 4096; // Max width/height
 const MIN_DIMENSION = 100;  // Min width/height
 
@@ -36,20 +48,35 @@ const MIN_DIMENSION = 100;  // Min width/height
  * Returns sanitized buffer or null if invalid
  */
 export async function validateAndSanitizeImage(base64Image) {
+    let detectedType = null;
     try {
         // Remove data URL prefix if present
-        const base64Data = base64Image.replace(/^data:image\/\w+;base64,/, '');
+        const base64Data = base64Image.replace(/^data:[^;,]+;base64,/, '');
         const buffer = Buffer.from(base64Data, 'base64');
 
         // Check magic bytes
-        const detectedType = detectImageType(buffer);
+        detectedType = detectImageType(buffer);
         if (!detectedType) {
-            return { valid: false, error: 'Invalid image format. Use JPEG, PNG, or WebP.' };
+            return { valid: false, error: 'Invalid image format. Use JPEG, PNG, WebP, HEIC or AVIF.' };
+        }
+
+        // HEIC: hand sharp the decoded pixels instead of the container
+        let source = { input: buffer, options: {} };
+        if (detectedType === 'image/heic') {
+            source = await decodeHeic(buffer);
+            if (source.error) return { valid: false, error: source.error };
         }
 
         // Use Sharp to validate and sanitize
-        const image = sharp(buffer);
-        const metadata = await image.metadata();
+        let metadata = await sharp(source.input, source.options).metadata();
+
+        // Animated GIF/WebP: sharp reads frame 0 by default - use the sharpest frame instead
+        let frame = 0;
+        if (ANIMATED_TYPES.includes(detectedType) && metadata.pages > 1) {
+            frame = await pickSharpestFrame(buffer, metadata.pages);
+        }
+        const image = sharp(source.input, { ...source.options, page: frame });
+        if (frame > 0) metadata = await image.metadata();
 
         // Validate dimensions
         if (!metadata.width || !metadata.height) {
@@ -96,20 +123,216 @@ export async function validateAndSanitizeImage(base64Image) {
             sanitizedImage: `data:image/jpeg;base64,${sanitizedBase64}`,
             originalType: detectedType,
             width: metadata.width,
-            height: metadata.height
+            height: metadata.height,
+            ...(metadata.pages > 1 && { frame, frames: metadata.pages })
         };
     } catch (error) {
         console.error('Image validation error:', error.message);
+        if (detectedType === 'image/heic') {
+            // Corrupt, truncated or an image type libheif-js can't decode (e.g. a burst sequence)
+            return { valid: false, error: 'Could not read this HEIC photo. Share it as JPEG, or set Camera > Formats to "Most Compatible".' };
+        }
         return { valid: false, error: 'Could not process image. Try a different file.' };
     }
 }
 
+/**
+ * Decode an HEVC-coded HEIC/HEIF to raw RGBA for sharp
+ * Prebuilt sharp ships an AV1-only libheif, so HEVC goes through libheif-js (WebAssembly libde265).
+ * The size check runs before decoding - a 4096px RGBA frame alone is 64MB.
+ * @param {Buffer} buffer - HEIC file
+ * @returns {Object} { input, options } for sharp(), or { error }
+ */
+async function decodeHeic(buffer) {
+    // Loaded on first use - the wasm bundle is large and most uploads are JPEG
+    const { default: heicDecode } = await import('heic-decode');
+    const images = await heicDecode.all({ buffer });
+    try {
+        // First top-level image - iPhone thumbnails and depth maps aren't top-level
+        const [primary] = images;
+        if (primary.width > MAX_DIMENSION || primary.height > MAX_DIMENSION) {
+            return { error: `Image too large. Max ${MAX_DIMENSION}px.` };
+        }
+        const { width, height, data } = await primary.decode();
+        return {
+            input: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+            options: { raw: { width, height, channels: 4 } }
+        };
+    } finally {
+        images.dispose();
+    }
+}
+
+/**
+ * Pick the sharpest frame of an animated GIF/WebP
+ * Samples up to MAX_FRAME_SAMPLES evenly spaced frames and scores each by Laplacian variance.
+ * @param {Buffer} buffer - Animated image
+ * @param {number} pages - Frame count (metadata.pages)
+ * @returns {number} Frame index for sharp's { page } option
+ */
+async function pickSharpestFrame(buffer, pages) {
+    const step = Math.max(1, pages / MAX_FRAME_SAMPLES);
+    let best = { frame: 0, sharpness: -1 };
+    for (let position = 0; position < pages; position += step) {
+        const frame = Math.floor(position);
+        const { data, info } = await sharp(buffer, { page: frame })
+            .resize(FRAME_SAMPLE_SIZE, FRAME_SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .grayscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const sharpness = laplacianVariance(data, info.width, info.height);
+        if (sharpness > best.sharpness) best = { frame, sharpness };
+    }
+    return best.frame;
+}
+
+// ============================================
+// LEADERBOARD THUMBNAILS
+// ============================================
+
+// Fixed size/quality so every stored thumbnail is bounded (4:5, like the share card)
+export const THUMBNAIL = {
+    width: 192,
+    height: 240,
+    quality: 70,
+    fallbackQuality: 45,     // Retried once when a busy photo exceeds maxBytes
+    maxBytes: 24 * 1024      // Decoded JPEG size cap
+};
+
+/**
+ * Build a leaderboard thumbnail from the sanitized scan image
+ * Never from client input - the thumbnail always shows the photo that was scored.
+ * @param {string} sanitizedImage - Data URL from validateAndSanitizeImage()
+ * @returns {string|null} JPEG data URL, or null if it can't be made within THUMBNAIL.maxBytes
+ */
+export async function createThumbnail(sanitizedImage) {
+    try {
+        const buffer = Buffer.from(sanitizedImage.replace(/^data:[^;,]+;base64,/, ''), 'base64');
+        const resized = sharp(buffer).resize(THUMBNAIL.width, THUMBNAIL.height, { fit: 'cover', position: 'attention' });
+
+        let thumb = await resized.clone().jpeg({ quality: THUMBNAIL.quality, mozjpeg: true }).toBuffer();
+        if (thumb.length > THUMBNAIL.maxBytes) {
+            thumb = await resized.clone().jpeg({ quality: THUMBNAIL.fallbackQuality, mozjpeg: true }).toBuffer();
+        }
+        if (thumb.length > THUMBNAIL.maxBytes) return null;
+
+        return `data:image/jpeg;base64,${thumb.toString('base64')}`;
+    } catch (error) {
+        console.error('Thumbnail error:', error.message);
+        return null;
+    }
+}
+
+// ============================================
+// PHOTO QUALITY GATE
+// ============================================
+
+// Local, deterministic limits - photos outside them almost always come back INVALID_OUTFIT
+export const PHOTO_QUALITY_LIMITS = {
+    minBrightness: 35,       // Mean luma (0-255) - below: too dark
+    maxBrightness: 240,      // Above: blown out / blank
+    minContrast: 12,         // Luma standard deviation - below: flat, washed out
+    minSharpness: 15,        // Laplacian variance at ≤512px - sharp phone photos score 250+, below: motion blur / out of focus
+    maxAspectRatio: 3        // Long side / short side - beyond: strips, panoramas, screenshots of chats
+};
+
+// code → actionable message (shown to the user as-is)
+const PHOTO_QUALITY_ERRORS = {
+    PHOTO_TOO_DARK: 'This photo is too dark to rate. Turn on a light or face a window and try again.',
+    PHOTO_TOO_BRIGHT: 'This photo is overexposed. Step out of direct light or turn off the flash.',
+    PHOTO_LOW_CONTRAST: 'We can\'t make out the outfit. Stand against a plainer background with even lighting.',
+    PHOTO_BLURRY: 'This photo is too blurry. Hold the camera steady or tap to focus before taking it.',
+    PHOTO_BAD_ASPECT: 'This photo is cropped too narrow or too wide. Use a normal portrait photo of your full outfit.'
+};
+
+function meanAndVariance(values) {
+    let sum = 0;
+    let sumSquares = 0;
+    for (const value of values) {
+        sum += value;
+        sumSquares += value * value;
+    }
+    const mean = sum / values.length;
+    return { mean, variance: sumSquares / values.length - mean * mean };
+}
+
+// Variance of the 4-neighbour Laplacian - low when edges are soft (blur, focus miss)
+function laplacianVariance(pixels, width, height) {
+    const responses = new Float64Array((width - 2) * (height - 2));
+    let i = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const p = y * width + x;
+            responses[i++] = pixels[p - width] + pixels[p + width] + pixels[p - 1] + pixels[p + 1] - 4 * pixels[p];
+        }
+    }
+    return meanAndVariance(responses).variance;
+}
+
+export function isPhotoQualityCode(code) {
+    return Object.prototype.hasOwnProperty.call(PHOTO_QUALITY_ERRORS, code);
+}
+
+/**
+ * Check brightness, contrast, sharpness and aspect ratio before any AI call
+ * Run on the sanitized image (≤512px JPEG) so every check sees the same scale.
+ * @param {string} sanitizedImage - Data URL from validateAndSanitizeImage()
+ * @returns {Object} { ok: true, metrics } or { ok: false, code, error, metrics }
+ */
+export async function checkPhotoQuality(sanitizedImage) {
+    try {
+        const buffer = Buffer.from(sanitizedImage.replace(/^data:[^;,]+;base64,/, ''), 'base64');
+        // sharp's stats() reads the input, not the pipeline - work on the raw grayscale pixels
+        const { data, info: { width, height } } = await sharp(buffer)
+            .grayscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const luma = meanAndVariance(data);
+        const metrics = {
+            brightness: Math.round(luma.mean),
+            contrast: Math.round(Math.sqrt(luma.variance) * 10) / 10,
+            sharpness: Math.round(laplacianVariance(data, width, height) * 10) / 10,
+            aspectRatio: Math.round((Math.max(width, height) / Math.min(width, height)) * 100) / 100
+        };
+
+        let code = null;
+        if (metrics.aspectRatio > PHOTO_QUALITY_LIMITS.maxAspectRatio) code = 'PHOTO_BAD_ASPECT';
+        else if (metrics.brightness < PHOTO_QUALITY_LIMITS.minBrightness) code = 'PHOTO_TOO_DARK';
+        else if (metrics.brightness > PHOTO_QUALITY_LIMITS.maxBrightness) code = 'PHOTO_TOO_BRIGHT';
+        else if (metrics.contrast < PHOTO_QUALITY_LIMITS.minContrast) code = 'PHOTO_LOW_CONTRAST';
+        else if (metrics.sharpness < PHOTO_QUALITY_LIMITS.minSharpness) code = 'PHOTO_BLURRY';
+
+        return code
+            ? { ok: false, code, error: PHOTO_QUALITY_ERRORS[code], metrics }
+            : { ok: true, metrics };
+    } catch (error) {
+        // Never block a scan because the gate itself failed - the AI gets to decide
+        console.error('Photo quality check error:', error.message);
+        return { ok: true, metrics: null };
+    }
+}
+
 /**
  * Detect image type from magic bytes
  */
 function detectImageType(buffer) {
     if (buffer.length < 12) return null;
 
+    // HEIC/HEIF/AVIF: [box size]["ftyp"][major brand][minor version][compatible brands...]
+    if (buffer.slice(4, 8).toString('ascii') === 'ftyp') {
+        const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length, 64);
+        const brands = [buffer.slice(8, 12).toString('ascii')];
+        for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+            brands.push(buffer.slice(offset, offset + 4).toString('ascii'));
+        }
+        if (AVIF_BRANDS.includes(brands[0])) return 'image/avif';
+        // mif1/msf1 are generic HEIF brands - AVIF encoders may list them first
+        if (GENERIC_HEIF_BRANDS.includes(brands[0]) && brands.some(brand => AVIF_BRANDS.includes(brand))) return 'image/avif';
+        if (HEIC_BRANDS.includes(brands[0])) return 'image/heic';
+        return null;
+    }
+
     for (const [mimeType, signatures] of Object.entries(MAGIC_BYTES)) {
         for (const signature of signatures) {
             let match = true;
@@ -141,11 +364,12 @@ export function quickImageCheck(base64Image) {
         return false;
     }
 
-    // Check for data URL prefix
+    // Check for data URL prefix - the magic bytes decide the real type later
+    // (browsers label HEIC as image/heic, image/heif or application/octet-stream)
     if (base64Image.startsWith('data:')) {
-        const match = base64Image.match(/^data:(image\/\w+);base64,/);
+        const match = base64Image.match(/^data:([\w.+-]+\/[\w.+-]+);base64,/);
         if (!match) return false;
-        if (!ALLOWED_TYPES.includes(match[1])) return false;
+        if (!ALLOWED_TYPES.includes(match[1]) && match[1] !== 'application/octet-stream') return false;
     }
 
     // Check reasonable length (10KB - 10MB in base64)
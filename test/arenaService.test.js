@@ -0,0 +1,55 @@
+/**
+ * Arena entry
+ * Run: npm test (in-memory KV store, no Redis needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.KV_FALLBACK = 'memory';
+delete process.env.REDIS_URL;
+
+const { kv } = await import('../src/services/kvStore.js');
+const { parseKey } = await import('../src/services/imageHasher.js');
+const { recordResult } = await import('../src/services/resultStore.js');
+const { enterArena, getArenaLeaderboard, getRewardWeekId } = await import('../src/services/arenaService.js');
+const { getWeekId } = await import('../src/services/eventService.js');
+
+test('a failed entry gives the photo back for a retry', async (t) => {
+    const resultId = `req_${Date.now()}_arena1`;
+    const imageHash = parseKey('8c8c8c8c8c8c8c8c8c8c8c8c8c8c8c8c');
+    await recordResult(resultId, { scores: { overall: 72 }, mode: 'nice', userId: 'player-1', imageHash });
+
+    // Matchmaking fails after the photo was claimed
+    const lookup = t.mock.method(kv, 'zrangebyscore', async () => { throw new Error('connection lost'); });
+    await assert.rejects(enterArena({ userId: 'player-1', resultId, displayName: 'P1' }), /connection lost/);
+    lookup.mock.restore();
+
+    const retry = await enterArena({ userId: 'player-1', resultId, displayName: 'P1' });
+    assert.equal(retry.success, true);
+    assert.equal(retry.ticket.status, 'searching');
+
+    // Once entered, the photo stays claimed
+    const again = await enterArena({ userId: 'player-1', resultId, displayName: 'P1' });
+    assert.equal(again.error, 'already_entered');
+});
+
+test('the Monday payout reads the week the last matches were recorded under', async (t) => {
+    // Summer (UTC-4 in New York) - the week still rolls over at 05:00 UTC
+    const sundayLateNight = Date.parse('2026-07-13T04:58:00Z');  // Sunday 23:58 at UTC-5
+    const payoutRun = Date.parse('2026-07-13T05:01:00Z');        // Monday, inside the 05:00-05:02 window
+    t.mock.timers.enable({ apis: ['Date'], now: sundayLateNight });
+
+    for (const [userId, overall] of [['late-a', 20], ['late-b', 22]]) {
+        const resultId = `req_${Date.now()}_${userId.replace('-', '')}`;
+        await recordResult(resultId, { scores: { overall }, mode: 'nice', userId });
+        await enterArena({ userId, resultId, displayName: userId });
+    }
+    const recordedWeekId = getWeekId();
+    const board = await getArenaLeaderboard(recordedWeekId);
+    assert.deepEqual(board.map(entry => entry.userId).sort(), ['late-a', 'late-b']);
+
+    t.mock.timers.setTime(payoutRun);
+    assert.notEqual(getWeekId(), recordedWeekId);
+    assert.equal(getRewardWeekId(new Date()), recordedWeekId);
+});
@@ -0,0 +1,54 @@
+/**
+ * Challenge Party responses
+ * Run: npm test (in-memory KV store, no Redis needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.KV_FALLBACK = 'memory';
+delete process.env.REDIS_URL;
+
+const { kv } = await import('../src/services/kvStore.js');
+const { recordResult } = await import('../src/services/resultStore.js');
+const { createChallenge, respondToChallenge } = await import('../src/services/challengeService.js');
+
+let sequence = 0;
+async function scan(userId, overall) {
+    const resultId = `req_${Date.now() + sequence++}_abc${sequence}`;
+    await recordResult(resultId, { scores: { overall }, mode: 'nice', userId });
+    return resultId;
+}
+
+async function openChallenge() {
+    const created = await createChallenge(await scan('creator', 60), 'creator');
+    assert.equal(created.success, true);
+    await new Promise(resolve => setTimeout(resolve, 5));  // Responses must be scanned after creation
+    return created.challenge.challengeId;
+}
+
+test('only one of two concurrent responses completes the challenge', async () => {
+    const challengeId = await openChallenge();
+    const [first, second] = await Promise.all([
+        respondToChallenge(challengeId, await scan('responder-a', 70), 'responder-a'),
+        respondToChallenge(challengeId, await scan('responder-b', 50), 'responder-b')
+    ]);
+
+    assert.deepEqual([first.success, second.success].sort(), [false, true]);
+    assert.equal((first.success ? second : first).error, 'already_completed');
+
+    // Claim and challenge expire together
+    const challengeTtl = await kv.ttl(`challenge:${challengeId}`);
+    const claimTtl = await kv.ttl(`challenge:${challengeId}:claim`);
+    assert.ok(challengeTtl > 0 && Math.abs(challengeTtl - claimTtl) <= 1);
+});
+
+test('answering an expired challenge does not recreate it', async () => {
+    const challengeId = await openChallenge();
+    await kv.del(`challenge:${challengeId}`);
+
+    const outcome = await respondToChallenge(challengeId, await scan('late', 80), 'late');
+    assert.equal(outcome.error, 'not_found');
+    assert.equal(await kv.exists(`challenge:${challengeId}`), 0);
+    assert.equal(await kv.exists(`challenge:${challengeId}:claim`), 0);
+});
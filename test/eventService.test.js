@@ -0,0 +1,43 @@
+/**
+ * Weekly event + integrity hold
+ * Run: npm test (in-memory KV store, no Redis needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.KV_FALLBACK = 'memory';
+delete process.env.REDIS_URL;
+
+const { parseKey } = await import('../src/services/imageHasher.js');
+const { addReferenceImage, reviewFlag } = await import('../src/services/integrityService.js');
+const { ensureCurrentEvent, recordEventScore, getLeaderboard, getUserEventStatus } = await import('../src/services/eventService.js');
+
+test('held entry keeps its details through approval', async () => {
+    const stockPhoto = parseKey('00ff00ff00ff00ff00ff00ff00ff00ff');
+    await addReferenceImage(stockPhoto, 'Stock photo');
+
+    const { weekId } = await ensureCurrentEvent();
+    const held = await recordEventScore('held-user-0001', 91.26, false, true, null, stockPhoto);
+    assert.equal(held.action, 'held');
+
+    const pending = await getUserEventStatus(weekId, 'held-user-0001');
+    assert.equal(pending.participating, true);
+    assert.equal(pending.underReview, true);
+    assert.equal(pending.rank, null);
+
+    const review = await reviewFlag(held.flagId, 'approve');
+    assert.equal(review.success, true);
+
+    const [top] = await getLeaderboard(weekId);
+    assert.equal(top.userId, 'held-use...');
+    assert.equal(Math.floor(top.score), 91);  // Composite score - decimals carry the tie-break time
+    assert.equal(top.isPro, true);
+    assert.equal(top.themeCompliant, false);
+
+    const approved = await getUserEventStatus(weekId, 'held-user-0001');
+    assert.equal(approved.participating, true);
+    assert.equal(approved.underReview, false);
+    assert.equal(approved.rank, 1);
+    assert.equal(approved.bestScore, 91.26);
+});
@@ -0,0 +1,42 @@
+/**
+ * Competition integrity screening
+ * Run: npm test (in-memory KV store, no Redis needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.KV_FALLBACK = 'memory';
+delete process.env.REDIS_URL;
+
+const { parseKey } = await import('../src/services/imageHasher.js');
+const { screenEntry } = await import('../src/services/integrityService.js');
+
+// Fingerprints far apart from each other - no accidental near-duplicates between tests
+const photo = (byte) => parseKey(byte.repeat(16));
+
+test('same scan in the weekly event and the daily challenge is not held', async () => {
+    const imageHash = photo('13');
+    assert.equal((await screenEntry({ userId: 'user-a', imageHash, context: 'daily:2026-10-19' })).flagged, false);
+    assert.equal((await screenEntry({ userId: 'user-a', imageHash, context: 'event:2026-W43' })).flagged, false);
+});
+
+test('own scan recycled into a later round of the same competition is held', async () => {
+    const imageHash = photo('5a');
+    await screenEntry({ userId: 'user-b', imageHash, context: 'daily:2026-10-18' });
+
+    const screening = await screenEntry({ userId: 'user-b', imageHash, context: 'daily:2026-10-19' });
+    assert.equal(screening.flagged, true);
+    assert.deepEqual(screening.reasons.map(({ type, context, sameUser }) => ({ type, context, sameUser })),
+        [{ type: 'prior_entry', context: 'daily:2026-10-18', sameUser: true }]);
+});
+
+test("another user's entry is held in any competition, whatever the userId contains", async () => {
+    const imageHash = photo('c3');
+    await screenEntry({ userId: 'a|b~c', imageHash, context: 'event:2026-W43' });
+
+    const screening = await screenEntry({ userId: 'user-c', imageHash, context: 'daily:2026-10-19' });
+    assert.equal(screening.flagged, true);
+    assert.equal(screening.reasons[0].userId, 'a|b~c');
+    assert.equal(screening.reasons[0].context, 'event:2026-W43');
+});
@@ -0,0 +1,68 @@
+/**
+ * KV store fallback adapters
+ * Run: npm test (file adapter, writes to a temp dir - no Redis needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitrate-kv-'));
+const file = path.join(dir, 'kv-store.json');
+process.env.KV_FALLBACK = 'file';
+process.env.KV_FILE = file;
+delete process.env.REDIS_URL;
+
+const { kv, getStorageBackend } = await import('../src/services/kvStore.js');
+
+async function waitForSave() {
+    const started = Date.now();
+    while (!fs.existsSync(file) && Date.now() - started < 5000) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('file adapter persists durable keys but not caches or images', async () => {
+    assert.equal(getStorageBackend(), 'file');
+
+    await kv.set('fitrate:pro:status:user-1', '1');
+    // Registered after the adapter's own exit hook, so its final save is cleaned up too
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    await kv.hset('fitrate:streak:user-1', 'current', '3');
+    await kv.set('fitrate:cache:abc:free', JSON.stringify({ overall: 80 }), 'EX', 60);
+    await kv.set('fitrate:card:res_1', 'data:image/png;base64,AAAA');
+    await kv.set('fitrate:result:big', 'x'.repeat(64 * 1024));
+
+    const saved = await waitForSave();
+    const keys = saved.entries.map(([key]) => key);
+    assert.deepEqual(keys.sort(), ['fitrate:pro:status:user-1', 'fitrate:streak:user-1']);
+
+    // Still served from memory
+    assert.equal(await kv.get('fitrate:card:res_1'), 'data:image/png;base64,AAAA');
+});
+
+test('multi runs its commands without other commands in between', async () => {
+    const tx = kv.multi()
+        .incr('fitrate:test:counter')
+        .incr('fitrate:test:counter')
+        .expire('fitrate:test:counter', 60);
+    // Issued while the transaction is executing
+    const [results, seen] = await Promise.all([tx.exec(), kv.get('fitrate:test:counter')]);
+
+    assert.equal(seen, '2');
+    assert.deepEqual(results, [[null, 1], [null, 2], [null, 1]]);
+});
+
+test('a failing command in a batch reports its error and the rest still run', async () => {
+    await kv.set('fitrate:test:string', 'x');
+    const results = await kv.multi()
+        .hset('fitrate:test:string', 'field', '1')
+        .set('fitrate:test:after', '1')
+        .exec();
+
+    assert.match(results[0][0].message, /WRONGTYPE/);
+    assert.deepEqual(results[1], [null, 'OK']);
+});
@@ -0,0 +1,45 @@
+/**
+ * Batch scan quota
+ * Run: npm test (in-memory KV store, no Redis needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.KV_FALLBACK = 'memory';
+delete process.env.REDIS_URL;
+
+const { kv } = await import('../src/services/kvStore.js');
+const { batchScanLimiter, LIMITS } = await import('../src/middleware/scanLimiter.js');
+
+function batchRequest(userId, batchSize) {
+    return {
+        body: { userId },
+        query: {},
+        files: Array.from({ length: batchSize }, () => ({})),
+        headers: { 'user-agent': 'test-device', 'x-forwarded-for': '10.9.8.7' },
+        ip: '10.9.8.7',
+        socket: { remoteAddress: '10.9.8.7' }
+    };
+}
+
+// Resolves with 'next' when the limiter lets the batch through, else the HTTP status
+function runLimiter(req) {
+    return new Promise((resolve) => {
+        const res = {
+            status: (code) => ({ json: () => resolve(code) })
+        };
+        batchScanLimiter(req, res, () => resolve('next')).catch(resolve);
+    });
+}
+
+test('parallel batches rotating userIds on one device share its daily quota', async () => {
+    const outcomes = await Promise.all(['rot-a', 'rot-b', 'rot-c'].map(userId =>
+        runLimiter(batchRequest(userId, LIMITS.free))));
+
+    assert.equal(outcomes.filter(outcome => outcome === 'next').length, 1);
+    assert.equal(outcomes.filter(outcome => outcome === 429).length, 2);
+
+    const [fpKey] = await kv.keys('fitrate:scans:fp:*');
+    assert.equal(parseInt(await kv.get(fpKey), 10), LIMITS.free);
+});